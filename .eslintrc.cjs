@@ -10,4 +10,8 @@ module.exports = {
   globals: {
     shopify: "readonly"
   },
+  settings: {
+    // Tests run on vitest, so there is no jest install to read the version from.
+    jest: { version: 29 },
+  },
 };
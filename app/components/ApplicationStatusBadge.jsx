@@ -0,0 +1,14 @@
+import { Badge } from "@shopify/polaris";
+import { APPLICATION_STATUS } from "../models/applicationStatus";
+
+export const STATUS_BADGES = {
+  [APPLICATION_STATUS.PENDING]: { tone: "attention", label: "Pending" },
+  [APPLICATION_STATUS.INFO_REQUESTED]: { tone: "warning", label: "Info requested" },
+  [APPLICATION_STATUS.APPROVED]: { tone: "success", label: "Approved" },
+  [APPLICATION_STATUS.REJECTED]: { tone: "critical", label: "Rejected" },
+};
+
+export function ApplicationStatusBadge({ status }) {
+  const badge = STATUS_BADGES[status] || { label: status };
+  return <Badge tone={badge.tone}>{badge.label}</Badge>;
+}
@@ -0,0 +1,30 @@
+import { Badge } from "@shopify/polaris";
+import { IMPORT_ROW_STATUS, IMPORT_STATUS } from "../models/importStatus";
+
+export const IMPORT_BADGES = {
+  [IMPORT_STATUS.DRAFT]: { tone: undefined, label: "Draft" },
+  [IMPORT_STATUS.RUNNING]: { tone: "info", label: "Running" },
+  [IMPORT_STATUS.COMPLETED]: { tone: "success", label: "Completed" },
+  [IMPORT_STATUS.FAILED]: { tone: "critical", label: "Stopped" },
+};
+
+export const IMPORT_ROW_BADGES = {
+  [IMPORT_ROW_STATUS.INVALID]: { tone: "critical", label: "Invalid" },
+  [IMPORT_ROW_STATUS.PENDING]: { tone: undefined, label: "Pending" },
+  [IMPORT_ROW_STATUS.SUCCEEDED]: { tone: "success", label: "Imported" },
+  [IMPORT_ROW_STATUS.INCOMPLETE]: { tone: "warning", label: "Incomplete" },
+  [IMPORT_ROW_STATUS.FAILED]: { tone: "critical", label: "Failed" },
+};
+
+// `interrupted` jobs are still marked running but nothing works on them.
+export function ImportStatusBadge({ status, interrupted = false }) {
+  const badge = interrupted
+    ? { tone: "warning", label: "Interrupted" }
+    : IMPORT_BADGES[status] || { label: status };
+  return <Badge tone={badge.tone}>{badge.label}</Badge>;
+}
+
+export function ImportRowStatusBadge({ status }) {
+  const badge = IMPORT_ROW_BADGES[status] || { label: status };
+  return <Badge tone={badge.tone}>{badge.label}</Badge>;
+}
@@ -0,0 +1,75 @@
+import { BlockStack, Checkbox, Select, TextField } from "@shopify/polaris";
+import {
+  PAYMENT_TERMS_OPTIONS,
+  parseLocationTerms,
+  validateLocationTerms,
+} from "../models/locationTerms";
+
+/** Form values for `terms`, as the fields below edit them. */
+export function locationTermsDraft(terms) {
+  return {
+    catalogId: terms.catalogId,
+    paymentTermsDays: String(terms.paymentTermsDays),
+    checkoutToDraft: terms.checkoutToDraft,
+    depositPercentage: String(terms.depositPercentage),
+  };
+}
+
+export function locationTermsErrors(draft) {
+  return validateLocationTerms(parseLocationTerms(draft));
+}
+
+// Catalog, payment terms, draft review and deposit for new company
+// locations. `catalogs` come from the shop; a saved catalog that no longer
+// exists is still listed so it can be changed.
+export function LocationTermsFields({ draft, onChange, catalogs }) {
+  const errors = locationTermsErrors(draft);
+  const catalogOptions = [
+    { label: "No catalog", value: "" },
+    ...catalogs.map(({ id, title, priceList }) => ({
+      label: priceList ? `${title} (${priceList.currency})` : title,
+      value: id,
+    })),
+    ...(draft.catalogId && !catalogs.some(({ id }) => id === draft.catalogId)
+      ? [{ label: "Catalog not found", value: draft.catalogId }]
+      : []),
+  ];
+  const set = (field) => (value) => onChange({ ...draft, [field]: value });
+
+  return (
+    <BlockStack gap="300">
+      <Select
+        label="Catalog"
+        options={catalogOptions}
+        value={draft.catalogId}
+        onChange={set("catalogId")}
+        helpText="Its price list gives the location wholesale prices."
+      />
+      <Select
+        label="Payment terms"
+        options={PAYMENT_TERMS_OPTIONS}
+        value={draft.paymentTermsDays}
+        onChange={set("paymentTermsDays")}
+        error={errors.paymentTermsDays}
+      />
+      <TextField
+        label="Deposit"
+        type="number"
+        suffix="%"
+        min={0}
+        max={99}
+        value={draft.depositPercentage}
+        onChange={set("depositPercentage")}
+        error={errors.depositPercentage}
+        helpText="Share of the order total paid at checkout; 0 for none."
+        autoComplete="off"
+      />
+      <Checkbox
+        label="Submit orders as drafts for review"
+        helpText="Checkout creates a draft order that staff approve before the buyer is charged."
+        checked={draft.checkoutToDraft}
+        onChange={set("checkoutToDraft")}
+      />
+    </BlockStack>
+  );
+}
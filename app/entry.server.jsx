@@ -4,9 +4,18 @@ import { RemixServer } from "@remix-run/react";
 import { createReadableStreamFromReadable } from "@remix-run/node";
 import { isbot } from "isbot";
 import { addDocumentResponseHeaders } from "./shopify.server";
+import { failInterruptedImports } from "./models/importJobs.server";
+import { startWebhookDeliveries } from "./models/outboundWebhooks.server";
+import { startCertificateReminders } from "./models/taxCertificates.server";
 
 export const streamTimeout = 5000;
 
+// Background jobs run alongside the server, not in scripts that import the
+// models.
+startWebhookDeliveries();
+startCertificateReminders();
+failInterruptedImports();
+
 export default async function handleRequest(
   request,
   responseStatusCode,
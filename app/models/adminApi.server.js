@@ -0,0 +1,168 @@
+import { unauthenticated } from "../shopify.server";
+
+// Shared Admin API access for routes and models. Every GraphQL call goes
+// through `adminQuery`/`adminMutation`, which turn top-level `errors` and
+// mutation `userErrors` into thrown errors and retry throttled requests.
+
+export class AdminApiError extends Error {
+  constructor(message, { errors = [], operation = null, cause } = {}) {
+    super(message, { cause });
+    this.name = "AdminApiError";
+    this.errors = errors.length ? errors : [{ message }];
+    this.operation = operation;
+  }
+}
+
+/** Top-level GraphQL `errors`: invalid queries, missing access scopes, ... */
+export class AdminGraphqlError extends AdminApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "AdminGraphqlError";
+  }
+}
+
+/** A mutation ran but returned `userErrors`. */
+export class AdminUserError extends AdminApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "AdminUserError";
+  }
+}
+
+/** Still throttled after every retry. */
+export class AdminThrottledError extends AdminApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "AdminThrottledError";
+  }
+}
+
+/** The shop has no offline session, i.e. the app is not installed. */
+export class AdminSessionError extends AdminApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "AdminSessionError";
+  }
+}
+
+const MAX_ATTEMPTS = 4;
+const BASE_RETRY_DELAY = 1000;
+
+function operationName(document) {
+  return document.match(/\b(?:query|mutation)\s+(\w+)/)?.[1] || null;
+}
+
+function isThrottled(errors) {
+  return errors.some(({ extensions }) => extensions?.code === "THROTTLED");
+}
+
+// Waits until the cost bucket has refilled enough for the request, falling
+// back to exponential backoff when the response has no cost information.
+function throttleDelay(extensions, attempt) {
+  const cost = extensions?.cost;
+  const status = cost?.throttleStatus;
+
+  if (status?.restoreRate) {
+    const missing = cost.requestedQueryCost - status.currentlyAvailable;
+    return Math.max(1, Math.ceil(missing / status.restoreRate)) * 1000;
+  }
+
+  return BASE_RETRY_DELAY * 2 ** (attempt - 1);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function send(admin, document, variables, operation) {
+  try {
+    // `tries` lets the client retry HTTP 429 and 5xx responses itself.
+    const response = await admin.graphql(document, {
+      variables,
+      tries: MAX_ATTEMPTS,
+    });
+    return await response.json();
+  } catch (error) {
+    // authenticate.admin throws Responses to trigger re-authentication.
+    if (error instanceof Response) throw error;
+
+    const graphQLErrors = error?.body?.errors?.graphQLErrors;
+    if (graphQLErrors?.length) {
+      return { errors: graphQLErrors, extensions: error.body.extensions };
+    }
+    if (error?.name === "HttpMaxRetriesError") {
+      throw new AdminThrottledError(error.message, { operation, cause: error });
+    }
+    throw new AdminApiError(error?.message || "Admin API request failed", {
+      operation,
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Runs a GraphQL query and returns its `data`. Throws `AdminGraphqlError`
+ * when the response has top-level errors and `AdminThrottledError` when the
+ * shop stays throttled after retrying.
+ */
+export async function adminQuery(admin, document, variables = {}) {
+  const operation = operationName(document);
+
+  for (let attempt = 1; ; attempt++) {
+    const body = await send(admin, document, variables, operation);
+
+    if (!body.errors?.length) {
+      return body.data;
+    }
+
+    if (isThrottled(body.errors)) {
+      if (attempt >= MAX_ATTEMPTS) {
+        throw new AdminThrottledError("The Admin API is throttling requests", {
+          errors: body.errors,
+          operation,
+        });
+      }
+      await sleep(throttleDelay(body.extensions, attempt));
+      continue;
+    }
+
+    throw new AdminGraphqlError(body.errors[0].message, {
+      errors: body.errors,
+      operation,
+    });
+  }
+}
+
+/**
+ * Runs a GraphQL mutation and returns the payload under `root` (e.g.
+ * "customerCreate"). Throws `AdminUserError` when the payload has
+ * `userErrors`, in addition to the errors `adminQuery` throws.
+ */
+export async function adminMutation(admin, document, variables, root) {
+  const data = await adminQuery(admin, document, variables);
+  const payload = data?.[root];
+  const userErrors = payload?.userErrors || [];
+
+  if (userErrors.length) {
+    throw new AdminUserError(userErrors[0].message, {
+      errors: userErrors,
+      operation: operationName(document),
+    });
+  }
+
+  return payload;
+}
+
+/**
+ * Resolves the Admin API client for a shop from its offline session, for
+ * requests that do not come from the embedded admin (app proxy, jobs).
+ */
+export async function getOfflineAdmin(shop) {
+  try {
+    return await unauthenticated.admin(shop);
+  } catch (error) {
+    throw new AdminSessionError(`App is not installed on ${shop}`, {
+      cause: error,
+    });
+  }
+}
@@ -0,0 +1,1455 @@
+import { adminMutation, adminQuery } from "./adminApi.server";
+import {
+  APP_NAMESPACE,
+  COMPANY_EMAIL_METAFIELD,
+  LEGACY_COMPANY_EMAIL_METAFIELD,
+} from "./appMetafields";
+
+// Typed Admin API operations for the resources the app works with. Each
+// function takes the `admin` client from `authenticate.admin` or
+// `getOfflineAdmin` and throws the errors documented in adminApi.server.js.
+
+/**
+ * @typedef {{ id: string, email: string, firstName: string | null,
+ *   lastName: string | null, phone: string | null, tags: string[] }} Customer
+ * @typedef {{ id: string, name: string }} CompanyLocation
+ * @typedef {{ id: string, name: string }} CompanyRole
+ * @typedef {{ id: string, title: string, handle: string,
+ *   isPublished: boolean }} Page
+ * @typedef {{ id: string, title: string, type: string, url: string | null,
+ *   resourceId: string | null, tags: string[], items: MenuItem[] }} MenuItem
+ * @typedef {{ id: string, handle: string, title: string,
+ *   items: MenuItem[] }} Menu
+ * @typedef {{ ownerId: string, namespace: string, key: string, type: string,
+ *   value: string }} MetafieldInput
+ */
+
+const CUSTOMER_FIELDS = `#graphql
+  fragment CustomerFields on Customer {
+    id
+    email
+    firstName
+    lastName
+    phone
+    tags
+  }
+`;
+
+// A quoted value for the search syntax. Quotes and backslashes in it are
+// escaped so they cannot end the value and add terms of their own.
+function searchValue(value) {
+  return `"${value.replace(/[\\"]/g, "\\$&")}"`;
+}
+
+function sameEmail(a, b) {
+  return (a || "").toLowerCase() === (b || "").trim().toLowerCase();
+}
+
+// Shop
+
+/**
+ * The shop's contact email and plan, for onboarding checks.
+ * @returns {Promise<{ name: string, contactEmail: string,
+ *   plan: { displayName: string, shopifyPlus: boolean,
+ *   partnerDevelopment: boolean } }>}
+ */
+export async function getShopDetails(admin) {
+  const data = await adminQuery(
+    admin,
+    `#graphql
+      query GetShopDetails {
+        shop {
+          name
+          contactEmail
+          plan {
+            displayName
+            shopifyPlus
+            partnerDevelopment
+          }
+        }
+      }`,
+  );
+
+  return data.shop;
+}
+
+/**
+ * Reads a single company, which fails when B2B is not available to the app.
+ */
+export async function checkCompaniesAccess(admin) {
+  await adminQuery(
+    admin,
+    `#graphql
+      query CheckCompaniesAccess {
+        companies(first: 1) {
+          nodes {
+            id
+          }
+        }
+      }`,
+  );
+}
+
+// Customers
+
+/** @returns {Promise<Customer | null>} */
+export async function getCustomer(admin, id) {
+  const data = await adminQuery(
+    admin,
+    `#graphql
+      ${CUSTOMER_FIELDS}
+      query GetCustomer($id: ID!) {
+        customer(id: $id) {
+          ...CustomerFields
+        }
+      }`,
+    { id },
+  );
+
+  return data.customer;
+}
+
+/**
+ * Finds the customer with exactly this email address.
+ * @returns {Promise<Customer | null>}
+ */
+export async function findCustomerByEmail(admin, email) {
+  const data = await adminQuery(
+    admin,
+    `#graphql
+      ${CUSTOMER_FIELDS}
+      query FindCustomerByEmail($query: String!) {
+        customers(first: 5, query: $query) {
+          nodes {
+            ...CustomerFields
+          }
+        }
+      }`,
+    { query: `email:${searchValue(email.trim().toLowerCase())}` },
+  );
+
+  return data.customers.nodes.find((node) => sameEmail(node.email, email)) || null;
+}
+
+/** @returns {Promise<Customer>} */
+export async function createCustomer(admin, input) {
+  const { customer } = await adminMutation(
+    admin,
+    `#graphql
+      ${CUSTOMER_FIELDS}
+      mutation CreateCustomer($input: CustomerInput!) {
+        customerCreate(input: $input) {
+          customer {
+            ...CustomerFields
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+    { input },
+    "customerCreate",
+  );
+
+  return customer;
+}
+
+/** @returns {Promise<Customer>} */
+export async function updateCustomer(admin, input) {
+  const { customer } = await adminMutation(
+    admin,
+    `#graphql
+      ${CUSTOMER_FIELDS}
+      mutation UpdateCustomer($input: CustomerInput!) {
+        customerUpdate(input: $input) {
+          customer {
+            ...CustomerFields
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+    { input },
+    "customerUpdate",
+  );
+
+  return customer;
+}
+
+// Companies
+
+// The company email, plus where earlier versions of the app stored it.
+const COMPANY_EMAIL_FIELDS = `#graphql
+  fragment CompanyEmailFields on Company {
+    id
+    name
+    email: metafield(namespace: "${COMPANY_EMAIL_METAFIELD.namespace}", key: "${COMPANY_EMAIL_METAFIELD.key}") {
+      id
+      value
+    }
+    legacyEmail: metafield(namespace: "${LEGACY_COMPANY_EMAIL_METAFIELD.namespace}", key: "${LEGACY_COMPANY_EMAIL_METAFIELD.key}") {
+      id
+      value
+    }
+  }
+`;
+
+function companyEmail(company) {
+  return {
+    id: company.id,
+    name: company.name,
+    email: company.email?.value || company.legacyEmail?.value || null,
+  };
+}
+
+/**
+ * One page of companies with their company email metafield, for
+ * mirroring every company of a shop. Pass the returned `endCursor` as `after`
+ * while `hasNextPage` is true.
+ * @returns {Promise<{ companies: { id: string, name: string,
+ *   email: string | null }[], hasNextPage: boolean,
+ *   endCursor: string | null }>}
+ */
+export async function listCompanyEmails(admin, { after = null } = {}) {
+  const data = await adminQuery(
+    admin,
+    `#graphql
+      ${COMPANY_EMAIL_FIELDS}
+      query ListCompanyEmails($after: String) {
+        companies(first: 250, after: $after) {
+          nodes {
+            ...CompanyEmailFields
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }`,
+    { after },
+  );
+
+  return {
+    companies: data.companies.nodes.map(companyEmail),
+    ...data.companies.pageInfo,
+  };
+}
+
+/**
+ * A company's company email metafield, or null when the company no
+ * longer exists.
+ * @returns {Promise<{ id: string, name: string, email: string | null } | null>}
+ */
+export async function getCompanyEmail(admin, id) {
+  const data = await adminQuery(
+    admin,
+    `#graphql
+      ${COMPANY_EMAIL_FIELDS}
+      query GetCompanyEmail($id: ID!) {
+        company(id: $id) {
+          ...CompanyEmailFields
+        }
+      }`,
+    { id },
+  );
+
+  return data.company ? companyEmail(data.company) : null;
+}
+
+/**
+ * Finds the company created with this external ID, if any.
+ * @returns {Promise<{ id: string, name: string } | null>}
+ */
+export async function findCompanyByExternalId(admin, externalId) {
+  const data = await adminQuery(
+    admin,
+    `#graphql
+      query FindCompanyByExternalId($query: String!) {
+        companies(first: 5, query: $query) {
+          nodes {
+            id
+            name
+            externalId
+          }
+        }
+      }`,
+    { query: `external_id:"${externalId}"` },
+  );
+
+  const company = data.companies.nodes.find(
+    (node) => node.externalId === externalId,
+  );
+
+  return company ? { id: company.id, name: company.name } : null;
+}
+
+const APP_METAFIELD_VALUES = `#graphql
+  fragment AppMetafieldValues on Metafield {
+    id
+    key
+    type
+    value
+  }
+`;
+
+const LOCATION_METAFIELD_VALUES = `#graphql
+  fragment LocationMetafieldValues on CompanyLocation {
+    id
+    name
+    metafields(namespace: "${APP_NAMESPACE}", first: 10) {
+      nodes {
+        ...AppMetafieldValues
+      }
+    }
+  }
+`;
+
+function metafieldValues(metafields) {
+  return Object.fromEntries(metafields.nodes.map(({ key, value }) => [key, value]));
+}
+
+function locationWithMetafields(location) {
+  return {
+    id: location.id,
+    name: location.name,
+    values: metafieldValues(location.metafields),
+  };
+}
+
+// The locations after `after` of a company whose first page the companies
+// query loaded, 25 at a time to keep each query's cost down.
+async function remainingLocationsWithMetafields(admin, companyId, after) {
+  const locations = [];
+
+  while (after) {
+    const data = await adminQuery(
+      admin,
+      `#graphql
+        ${APP_METAFIELD_VALUES}
+        ${LOCATION_METAFIELD_VALUES}
+        query ListCompanyLocationsWithMetafields($companyId: ID!, $after: String) {
+          company(id: $companyId) {
+            locations(first: 25, after: $after) {
+              nodes {
+                ...LocationMetafieldValues
+              }
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
+            }
+          }
+        }`,
+      { companyId, after },
+    );
+    if (!data.company) break;
+
+    const { nodes, pageInfo } = data.company.locations;
+    locations.push(...nodes.map(locationWithMetafields));
+    after = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+  }
+
+  return locations;
+}
+
+/**
+ * One page of companies, optionally filtered by a search term, with the
+ * values of their app-owned metafields keyed by metafield key and the same
+ * for each of their locations. The company email falls back to the legacy
+ * `custom.companyEmail` value.
+ *
+ * Pass `after: endCursor` for the next page or `before: startCursor` for the
+ * previous one.
+ * @returns {Promise<{ companies: { id: string, name: string,
+ *   values: Record<string, string>, locations: { id: string, name: string,
+ *   values: Record<string, string> }[] }[], hasNextPage: boolean,
+ *   hasPreviousPage: boolean, startCursor: string | null,
+ *   endCursor: string | null }>}
+ */
+export async function listCompaniesWithMetafields(
+  admin,
+  { query = "", after = null, before = null, pageSize = 10 } = {},
+) {
+  const data = await adminQuery(
+    admin,
+    `#graphql
+      ${APP_METAFIELD_VALUES}
+      ${LOCATION_METAFIELD_VALUES}
+      query ListCompaniesWithMetafields(
+        $first: Int
+        $last: Int
+        $after: String
+        $before: String
+        $query: String
+      ) {
+        companies(
+          first: $first
+          last: $last
+          after: $after
+          before: $before
+          query: $query
+          sortKey: NAME
+        ) {
+          nodes {
+            id
+            name
+            metafields(namespace: "${APP_NAMESPACE}", first: 10) {
+              nodes {
+                ...AppMetafieldValues
+              }
+            }
+            legacyEmail: metafield(namespace: "${LEGACY_COMPANY_EMAIL_METAFIELD.namespace}", key: "${LEGACY_COMPANY_EMAIL_METAFIELD.key}") {
+              value
+            }
+            locations(first: 5) {
+              nodes {
+                ...LocationMetafieldValues
+              }
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
+            }
+          }
+          pageInfo {
+            hasNextPage
+            hasPreviousPage
+            startCursor
+            endCursor
+          }
+        }
+      }`,
+    {
+      ...(before ? { last: pageSize, before } : { first: pageSize, after }),
+      query: query || null,
+    },
+  );
+
+  const companies = [];
+  for (const company of data.companies.nodes) {
+    const values = metafieldValues(company.metafields);
+    if (!values[COMPANY_EMAIL_METAFIELD.key] && company.legacyEmail) {
+      values[COMPANY_EMAIL_METAFIELD.key] = company.legacyEmail.value;
+    }
+    const { nodes, pageInfo } = company.locations;
+
+    companies.push({
+      id: company.id,
+      name: company.name,
+      values,
+      locations: [
+        ...nodes.map(locationWithMetafields),
+        ...(pageInfo.hasNextPage
+          ? await remainingLocationsWithMetafields(admin, company.id, pageInfo.endCursor)
+          : []),
+      ],
+    });
+  }
+
+  return { companies, ...data.companies.pageInfo };
+}
+
+const COMPANY_EXPORT_FIELDS = `#graphql
+  fragment CompanyExportFields on Company {
+    id
+    name
+    externalId
+    createdAt
+    email: metafield(namespace: "${COMPANY_EMAIL_METAFIELD.namespace}", key: "${COMPANY_EMAIL_METAFIELD.key}") {
+      value
+    }
+    legacyEmail: metafield(namespace: "${LEGACY_COMPANY_EMAIL_METAFIELD.namespace}", key: "${LEGACY_COMPANY_EMAIL_METAFIELD.key}") {
+      value
+    }
+    mainContact {
+      customer {
+        id
+        email
+        firstName
+        lastName
+        phone
+      }
+    }
+    locations(first: 1) {
+      nodes {
+        id
+        name
+        shippingAddress {
+          address1
+          address2
+          city
+          zoneCode
+          countryCode
+          zip
+        }
+        taxSettings {
+          taxRegistrationId
+        }
+      }
+    }
+  }
+`;
+
+function companyExportRecord(company) {
+  const location = company.locations.nodes[0] || null;
+
+  return {
+    id: company.id,
+    name: company.name,
+    externalId: company.externalId || null,
+    createdAt: company.createdAt,
+    email: company.email?.value || company.legacyEmail?.value || null,
+    mainContact: company.mainContact?.customer || null,
+    location: location && {
+      id: location.id,
+      name: location.name,
+      address: location.shippingAddress || null,
+      taxId: location.taxSettings?.taxRegistrationId || null,
+    },
+  };
+}
+
+/**
+ * @typedef {{ id: string, name: string, externalId: string | null,
+ *   createdAt: string, email: string | null,
+ *   mainContact: { id: string, email: string | null,
+ *     firstName: string | null, lastName: string | null,
+ *     phone: string | null } | null,
+ *   location: { id: string, name: string, address: object | null,
+ *     taxId: string | null } | null }} CompanyExportRecord
+ */
+
+/**
+ * One page of companies with their main contact, first location, shipping
+ * address and tax ID, for exports. `query` uses the companies search syntax.
+ * @returns {Promise<{ companies: CompanyExportRecord[],
+ *   hasNextPage: boolean, endCursor: string | null }>}
+ */
+export async function listCompaniesForExport(admin, { after = null, query = null } = {}) {
+  const data = await adminQuery(
+    admin,
+    `#graphql
+      ${COMPANY_EXPORT_FIELDS}
+      query ListCompaniesForExport($after: String, $query: String) {
+        companies(first: 50, after: $after, query: $query, sortKey: CREATED_AT) {
+          nodes {
+            ...CompanyExportFields
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }`,
+    { after, query },
+  );
+
+  return {
+    companies: data.companies.nodes.map(companyExportRecord),
+    ...data.companies.pageInfo,
+  };
+}
+
+/**
+ * The export details of the given companies, skipping ones that no longer
+ * exist. Takes at most 50 IDs.
+ * @returns {Promise<CompanyExportRecord[]>}
+ */
+export async function getCompaniesForExport(admin, ids) {
+  const data = await adminQuery(
+    admin,
+    `#graphql
+      ${COMPANY_EXPORT_FIELDS}
+      query GetCompaniesForExport($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on Company {
+            ...CompanyExportFields
+          }
+        }
+      }`,
+    { ids },
+  );
+
+  return data.nodes.filter((node) => node?.id).map(companyExportRecord);
+}
+
+/**
+ * Creates a company, optionally with a new customer as its main contact.
+ * @returns {Promise<{ id: string, name: string }>}
+ */
+export async function createCompany(admin, input) {
+  const { company } = await adminMutation(
+    admin,
+    `#graphql
+      mutation CreateCompany($input: CompanyCreateInput!) {
+        companyCreate(input: $input) {
+          company {
+            id
+            name
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+    { input },
+    "companyCreate",
+  );
+
+  return company;
+}
+
+/**
+ * The company's roles and its first location, as needed to give a contact
+ * ordering permissions.
+ * @returns {Promise<{ defaultRole: CompanyRole | null,
+ *   contactRoles: CompanyRole[], location: CompanyLocation | null }>}
+ */
+export async function getCompanyRoles(admin, companyId) {
+  const data = await adminQuery(
+    admin,
+    `#graphql
+      query GetCompanyRoles($companyId: ID!) {
+        company(id: $companyId) {
+          defaultRole {
+            id
+            name
+          }
+          contactRoles(first: 25) {
+            nodes {
+              id
+              name
+            }
+          }
+          mainContact {
+            id
+          }
+          locations(first: 50) {
+            nodes {
+              id
+              name
+            }
+          }
+        }
+      }`,
+    { companyId },
+  );
+
+  return {
+    defaultRole: data.company?.defaultRole || null,
+    contactRoles: data.company?.contactRoles?.nodes || [],
+    mainContactId: data.company?.mainContact?.id || null,
+    locations: data.company?.locations?.nodes || [],
+  };
+}
+
+/**
+ * Names of the contact roles the shop's companies use, for choosing which
+ * one approved registrations get.
+ */
+export async function listContactRoleNames(admin) {
+  const data = await adminQuery(
+    admin,
+    `#graphql
+      query ListContactRoleNames {
+        companies(first: 10) {
+          nodes {
+            contactRoles(first: 25) {
+              nodes {
+                name
+              }
+            }
+          }
+        }
+      }`,
+  );
+
+  return [
+    ...new Set(
+      data.companies.nodes.flatMap(({ contactRoles }) =>
+        contactRoles.nodes.map(({ name }) => name),
+      ),
+    ),
+  ];
+}
+
+/**
+ * The roles a company contact holds, one entry per location.
+ * @returns {Promise<Array<{ id: string, roleId: string, roleName: string, locationId: string }>>}
+ */
+export async function getContactRoleAssignments(admin, companyContactId) {
+  const data = await adminQuery(
+    admin,
+    `#graphql
+      query GetContactRoleAssignments($companyContactId: ID!) {
+        companyContact(id: $companyContactId) {
+          roleAssignments(first: 50) {
+            nodes {
+              id
+              role {
+                id
+                name
+              }
+              companyLocation {
+                id
+              }
+            }
+          }
+        }
+      }`,
+    { companyContactId },
+  );
+
+  return (data.companyContact?.roleAssignments?.nodes || []).map(
+    ({ id, role, companyLocation }) => ({
+      id,
+      roleId: role.id,
+      roleName: role.name,
+      locationId: companyLocation.id,
+    }),
+  );
+}
+
+/** @returns {Promise<{ id: string }>} the company contact */
+export async function assignCustomerAsContact(admin, companyId, customerId) {
+  const { companyContact } = await adminMutation(
+    admin,
+    `#graphql
+      mutation AssignCustomerAsContact($companyId: ID!, $customerId: ID!) {
+        companyAssignCustomerAsContact(companyId: $companyId, customerId: $customerId) {
+          companyContact {
+            id
+          }
+          userErrors {
+            field
+            message
+            code
+          }
+        }
+      }`,
+    { companyId, customerId },
+    "companyAssignCustomerAsContact",
+  );
+
+  return companyContact;
+}
+
+export async function assignMainContact(admin, companyId, companyContactId) {
+  const { company } = await adminMutation(
+    admin,
+    `#graphql
+      mutation AssignMainContact($companyId: ID!, $companyContactId: ID!) {
+        companyAssignMainContact(companyId: $companyId, companyContactId: $companyContactId) {
+          company {
+            id
+            mainContact {
+              id
+            }
+          }
+          userErrors {
+            field
+            message
+            code
+          }
+        }
+      }`,
+    { companyId, companyContactId },
+    "companyAssignMainContact",
+  );
+
+  return company;
+}
+
+/**
+ * Gives a company contact roles at the company's locations, one
+ * `{ roleId, locationId }` per location.
+ */
+export async function assignContactRoles(admin, companyContactId, assignments) {
+  const { roleAssignments } = await adminMutation(
+    admin,
+    `#graphql
+      mutation AssignContactRoles($companyContactId: ID!, $rolesToAssign: [CompanyContactRoleAssign!]!) {
+        companyContactAssignRoles(companyContactId: $companyContactId, rolesToAssign: $rolesToAssign) {
+          roleAssignments {
+            id
+          }
+          userErrors {
+            field
+            message
+            code
+          }
+        }
+      }`,
+    {
+      companyContactId,
+      rolesToAssign: assignments.map(({ roleId, locationId }) => ({
+        companyContactRoleId: roleId,
+        companyLocationId: locationId,
+      })),
+    },
+    "companyContactAssignRoles",
+  );
+
+  return roleAssignments;
+}
+
+export async function revokeContactRoles(admin, companyContactId, roleAssignmentIds) {
+  const { revokedRoleAssignmentIds } = await adminMutation(
+    admin,
+    `#graphql
+      mutation RevokeContactRoles($companyContactId: ID!, $roleAssignmentIds: [ID!]!) {
+        companyContactRevokeRoles(companyContactId: $companyContactId, roleAssignmentIds: $roleAssignmentIds) {
+          revokedRoleAssignmentIds
+          userErrors {
+            field
+            message
+            code
+          }
+        }
+      }`,
+    { companyContactId, roleAssignmentIds },
+    "companyContactRevokeRoles",
+  );
+
+  return revokedRoleAssignmentIds;
+}
+
+/**
+ * The company and customer an application created, for the review screen.
+ */
+export async function getRegistrationRecords(admin, { companyId, customerId }) {
+  const data = await adminQuery(
+    admin,
+    `#graphql
+      query GetRegistrationRecords(
+        $companyId: ID!
+        $customerId: ID!
+        $hasCompany: Boolean!
+        $hasCustomer: Boolean!
+      ) {
+        company(id: $companyId) @include(if: $hasCompany) {
+          id
+          name
+          locations(first: 10) {
+            nodes {
+              id
+              name
+              shippingAddress {
+                formattedAddress
+              }
+              billingAddress {
+                formattedAddress
+              }
+            }
+          }
+        }
+        customer(id: $customerId) @include(if: $hasCustomer) {
+          id
+          displayName
+          email
+          tags
+        }
+      }`,
+    {
+      companyId: companyId || "gid://shopify/Company/0",
+      customerId: customerId || "gid://shopify/Customer/0",
+      hasCompany: !!companyId,
+      hasCustomer: !!customerId,
+    },
+  );
+
+  return { company: data.company || null, customer: data.customer || null };
+}
+
+// Company locations
+
+/** @returns {Promise<CompanyLocation | null>} */
+export async function getFirstCompanyLocation(admin, companyId) {
+  const data = await adminQuery(
+    admin,
+    `#graphql
+      query GetFirstCompanyLocation($companyId: ID!) {
+        company(id: $companyId) {
+          locations(first: 1) {
+            nodes {
+              id
+              name
+            }
+          }
+        }
+      }`,
+    { companyId },
+  );
+
+  return data.company?.locations?.nodes?.[0] || null;
+}
+
+/**
+ * The company location created with `externalId`, so a retried create can
+ * find a location an earlier attempt made.
+ * @returns {Promise<CompanyLocation | null>}
+ */
+export async function findCompanyLocationByExternalId(admin, companyId, externalId) {
+  const data = await adminQuery(
+    admin,
+    `#graphql
+      query FindCompanyLocations($companyId: ID!) {
+        company(id: $companyId) {
+          locations(first: 100) {
+            nodes {
+              id
+              name
+              externalId
+            }
+          }
+        }
+      }`,
+    { companyId },
+  );
+
+  const location = data.company?.locations?.nodes?.find(
+    (node) => node.externalId === externalId,
+  );
+  return location ? { id: location.id, name: location.name } : null;
+}
+
+/** @returns {Promise<CompanyLocation>} */
+export async function createCompanyLocation(admin, companyId, input) {
+  const { companyLocation } = await adminMutation(
+    admin,
+    `#graphql
+      mutation CreateCompanyLocation($companyId: ID!, $input: CompanyLocationInput!) {
+        companyLocationCreate(companyId: $companyId, input: $input) {
+          companyLocation {
+            id
+            name
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+    { companyId, input },
+    "companyLocationCreate",
+  );
+
+  return companyLocation;
+}
+
+/** @returns {Promise<CompanyLocation>} */
+export async function updateCompanyLocation(admin, companyLocationId, input) {
+  const { companyLocation } = await adminMutation(
+    admin,
+    `#graphql
+      mutation UpdateCompanyLocation($companyLocationId: ID!, $input: CompanyLocationUpdateInput!) {
+        companyLocationUpdate(companyLocationId: $companyLocationId, input: $input) {
+          companyLocation {
+            id
+            name
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+    { companyLocationId, input },
+    "companyLocationUpdate",
+  );
+
+  return companyLocation;
+}
+
+/**
+ * The shop's B2B catalogs, which give company locations their prices and
+ * products.
+ * @returns {Promise<Array<{ id: string, title: string, status: string, priceList: { name: string, currency: string } | null }>>}
+ */
+export async function listCompanyLocationCatalogs(admin) {
+  const data = await adminQuery(
+    admin,
+    `#graphql
+      query ListCompanyLocationCatalogs {
+        catalogs(first: 50, type: COMPANY_LOCATION) {
+          nodes {
+            id
+            title
+            status
+            priceList {
+              name
+              currency
+            }
+          }
+        }
+      }`,
+  );
+
+  return data.catalogs.nodes;
+}
+
+export async function assignCatalogToLocations(admin, catalogId, companyLocationIds) {
+  const { catalog } = await adminMutation(
+    admin,
+    `#graphql
+      mutation AssignCatalogToLocations($catalogId: ID!, $contextsToAdd: CatalogContextInput) {
+        catalogContextUpdate(catalogId: $catalogId, contextsToAdd: $contextsToAdd) {
+          catalog {
+            id
+          }
+          userErrors {
+            field
+            message
+            code
+          }
+        }
+      }`,
+    { catalogId, contextsToAdd: { companyLocationIds } },
+    "catalogContextUpdate",
+  );
+
+  return catalog;
+}
+
+/** Net payment terms templates: Net 15, Net 30 and so on. */
+export async function getNetPaymentTermsTemplates(admin) {
+  const data = await adminQuery(
+    admin,
+    `#graphql
+      query GetNetPaymentTermsTemplates {
+        paymentTermsTemplates(paymentTermsType: NET) {
+          id
+          name
+          dueInDays
+        }
+      }`,
+  );
+
+  return data.paymentTermsTemplates;
+}
+
+/** @returns {Promise<{ id: string }[]>} the assigned addresses */
+export async function assignCompanyLocationAddress(
+  admin,
+  locationId,
+  address,
+  addressTypes,
+) {
+  const { addresses } = await adminMutation(
+    admin,
+    `#graphql
+      mutation AssignCompanyLocationAddress($locationId: ID!, $address: CompanyAddressInput!, $addressTypes: [CompanyAddressType!]!) {
+        companyLocationAssignAddress(locationId: $locationId, address: $address, addressTypes: $addressTypes) {
+          addresses {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+    { locationId, address, addressTypes },
+    "companyLocationAssignAddress",
+  );
+
+  return addresses;
+}
+
+export async function updateCompanyLocationTaxId(
+  admin,
+  companyLocationId,
+  taxRegistrationId,
+) {
+  const { companyLocation } = await adminMutation(
+    admin,
+    `#graphql
+      mutation UpdateCompanyLocationTaxId($companyLocationId: ID!, $taxRegistrationId: String) {
+        companyLocationTaxSettingsUpdate(companyLocationId: $companyLocationId, taxRegistrationId: $taxRegistrationId) {
+          companyLocation {
+            id
+          }
+          userErrors {
+            field
+            message
+            code
+          }
+        }
+      }`,
+    { companyLocationId, taxRegistrationId },
+    "companyLocationTaxSettingsUpdate",
+  );
+
+  return companyLocation;
+}
+
+// Like the tax ID, exemptions live in the location's tax settings, which
+// need B2B on Shopify Plus.
+export async function updateCompanyLocationTaxExemptions(
+  admin,
+  companyLocationId,
+  { taxExempt, exemptionsToAssign },
+) {
+  const { companyLocation } = await adminMutation(
+    admin,
+    `#graphql
+      mutation UpdateCompanyLocationTaxExemptions($companyLocationId: ID!, $taxExempt: Boolean, $exemptionsToAssign: [TaxExemption!]) {
+        companyLocationTaxSettingsUpdate(companyLocationId: $companyLocationId, taxExempt: $taxExempt, exemptionsToAssign: $exemptionsToAssign) {
+          companyLocation {
+            id
+          }
+          userErrors {
+            field
+            message
+            code
+          }
+        }
+      }`,
+    { companyLocationId, taxExempt, exemptionsToAssign },
+    "companyLocationTaxSettingsUpdate",
+  );
+
+  return companyLocation;
+}
+
+// Metafields
+
+/** @param {MetafieldInput[]} metafields */
+export async function setMetafields(admin, metafields) {
+  const payload = await adminMutation(
+    admin,
+    `#graphql
+      mutation SetMetafields($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          metafields {
+            id
+            namespace
+            key
+            value
+            type
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+    { metafields },
+    "metafieldsSet",
+  );
+
+  return payload.metafields;
+}
+
+/**
+ * Deletes metafields by owner, namespace and key. Deleting a metafield that
+ * does not exist is not an error.
+ * @param {{ ownerId: string, namespace: string, key: string }[]} metafields
+ */
+export async function deleteMetafields(admin, metafields) {
+  await adminMutation(
+    admin,
+    `#graphql
+      mutation DeleteMetafields($metafields: [MetafieldIdentifierInput!]!) {
+        metafieldsDelete(metafields: $metafields) {
+          deletedMetafields {
+            key
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+    { metafields },
+    "metafieldsDelete",
+  );
+}
+
+export async function listMetafieldDefinitions(admin, ownerType, { namespace } = {}) {
+  const data = await adminQuery(
+    admin,
+    `#graphql
+      query ListMetafieldDefinitions($ownerType: MetafieldOwnerType!, $namespace: String) {
+        metafieldDefinitions(first: 100, ownerType: $ownerType, namespace: $namespace) {
+          nodes {
+            id
+            name
+            namespace
+            key
+            description
+            type {
+              name
+            }
+            validations {
+              name
+              value
+            }
+            capabilities {
+              uniqueValues {
+                eligible
+                enabled
+              }
+            }
+          }
+        }
+      }`,
+    { ownerType, namespace },
+  );
+
+  return data.metafieldDefinitions.nodes;
+}
+
+export async function createMetafieldDefinition(admin, definition) {
+  const { createdDefinition } = await adminMutation(
+    admin,
+    `#graphql
+      mutation CreateMetafieldDefinition($definition: MetafieldDefinitionInput!) {
+        metafieldDefinitionCreate(definition: $definition) {
+          createdDefinition {
+            id
+            name
+            namespace
+            key
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+    { definition },
+    "metafieldDefinitionCreate",
+  );
+
+  return createdDefinition;
+}
+
+// Online store pages
+
+const PAGE_FIELDS = `#graphql
+  fragment PageFields on Page {
+    id
+    title
+    handle
+    isPublished
+  }
+`;
+
+/** @returns {Promise<Page[]>} */
+export async function listPages(admin) {
+  const data = await adminQuery(
+    admin,
+    `#graphql
+      ${PAGE_FIELDS}
+      query ListPages {
+        pages(first: 50) {
+          nodes {
+            ...PageFields
+          }
+        }
+      }`,
+  );
+
+  return data.pages.nodes;
+}
+
+/** @returns {Promise<Page | null>} */
+export async function getPage(admin, id) {
+  const data = await adminQuery(
+    admin,
+    `#graphql
+      ${PAGE_FIELDS}
+      query GetPage($id: ID!) {
+        page(id: $id) {
+          ...PageFields
+        }
+      }`,
+    { id },
+  );
+
+  return data.page;
+}
+
+/** @returns {Promise<Page>} */
+export async function createPage(admin, page) {
+  const payload = await adminMutation(
+    admin,
+    `#graphql
+      ${PAGE_FIELDS}
+      mutation CreatePage($page: PageCreateInput!) {
+        pageCreate(page: $page) {
+          page {
+            ...PageFields
+          }
+          userErrors {
+            code
+            field
+            message
+          }
+        }
+      }`,
+    { page },
+    "pageCreate",
+  );
+
+  return payload.page;
+}
+
+/**
+ * Updates a page. `page` is a `PageUpdateInput`: title, handle, body,
+ * isPublished, ...
+ * @returns {Promise<Page>}
+ */
+export async function updatePage(admin, id, page) {
+  const payload = await adminMutation(
+    admin,
+    `#graphql
+      ${PAGE_FIELDS}
+      mutation UpdatePage($id: ID!, $page: PageUpdateInput!) {
+        pageUpdate(id: $id, page: $page) {
+          page {
+            ...PageFields
+          }
+          userErrors {
+            code
+            field
+            message
+          }
+        }
+      }`,
+    { id, page },
+    "pageUpdate",
+  );
+
+  return payload.page;
+}
+
+export async function deletePage(admin, id) {
+  await adminMutation(
+    admin,
+    `#graphql
+      mutation DeletePage($id: ID!) {
+        pageDelete(id: $id) {
+          deletedPageId
+          userErrors {
+            code
+            field
+            message
+          }
+        }
+      }`,
+    { id },
+    "pageDelete",
+  );
+}
+
+// Navigation menus
+
+// Menus nest up to three levels deep.
+const MENU_ITEM_FIELDS = `#graphql
+  fragment MenuItemFields on MenuItem {
+    id
+    title
+    type
+    url
+    resourceId
+    tags
+  }
+`;
+
+/**
+ * All of the shop's menus, read 25 at a time.
+ * @returns {Promise<Menu[]>}
+ */
+export async function listMenus(admin) {
+  const menus = [];
+  let after = null;
+
+  do {
+    const data = await adminQuery(
+      admin,
+      `#graphql
+        ${MENU_ITEM_FIELDS}
+        query ListMenus($after: String) {
+          menus(first: 25, after: $after) {
+            nodes {
+              id
+              handle
+              title
+              items {
+                ...MenuItemFields
+                items {
+                  ...MenuItemFields
+                  items {
+                    ...MenuItemFields
+                  }
+                }
+              }
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+        }`,
+      { after },
+    );
+
+    menus.push(...data.menus.nodes);
+    after = data.menus.pageInfo.hasNextPage ? data.menus.pageInfo.endCursor : null;
+  } while (after);
+
+  return menus;
+}
+
+/**
+ * Turns items read with `listMenus` back into `MenuItemUpdateInput`s, so a
+ * menu can be saved with `updateMenu` without losing nested items or any of
+ * the fields the input takes.
+ */
+export function menuItemInputs(items = []) {
+  return items.map(({ id, title, type, url, resourceId, tags, items }) => ({
+    id,
+    title,
+    type,
+    url,
+    resourceId,
+    tags,
+    items: menuItemInputs(items),
+  }));
+}
+
+/**
+ * Replaces a menu's items. `items` are `MenuItemUpdateInput`s; existing
+ * items keep their `id`.
+ * @returns {Promise<Menu>}
+ */
+export async function updateMenu(admin, { id, title, handle, items }) {
+  const { menu } = await adminMutation(
+    admin,
+    `#graphql
+      mutation UpdateMenu($id: ID!, $title: String!, $handle: String!, $items: [MenuItemUpdateInput!]!) {
+        menuUpdate(id: $id, title: $title, handle: $handle, items: $items) {
+          menu {
+            id
+            handle
+            title
+          }
+          userErrors {
+            code
+            field
+            message
+          }
+        }
+      }`,
+    { id, title, handle, items },
+    "menuUpdate",
+  );
+
+  return menu;
+}
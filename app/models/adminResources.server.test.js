@@ -0,0 +1,126 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+vi.mock("./adminApi.server", () => ({
+  adminQuery: vi.fn(),
+  adminMutation: vi.fn(),
+}));
+
+const { adminQuery } = await import("./adminApi.server");
+const { findCustomerByEmail, listCompaniesWithMetafields, listMenus, menuItemInputs } =
+  await import("./adminResources.server");
+
+const admin = {};
+
+function location(number) {
+  return {
+    id: `gid://shopify/CompanyLocation/${number}`,
+    name: `Location ${number}`,
+    metafields: { nodes: [{ key: "priceTier", value: `tier-${number}` }] },
+  };
+}
+
+function locationPage(from, to, hasNextPage) {
+  const nodes = [];
+  for (let number = from; number <= to; number++) nodes.push(location(number));
+
+  return { nodes, pageInfo: { hasNextPage, endCursor: hasNextPage ? `cursor-${to}` : null } };
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+describe("findCustomerByEmail", () => {
+  it("escapes quotes and backslashes in the search", async () => {
+    adminQuery.mockResolvedValueOnce({ customers: { nodes: [] } });
+
+    await findCustomerByEmail(admin, ' "a\\b"@Acme.example" OR email:* ');
+
+    expect(adminQuery).toHaveBeenCalledWith(admin, expect.any(String), {
+      query: 'email:"\\"a\\\\b\\"@acme.example\\" or email:*"',
+    });
+  });
+});
+
+describe("listCompaniesWithMetafields", () => {
+  it("loads every location of a company with more than the first page", async () => {
+    adminQuery
+      .mockResolvedValueOnce({
+        companies: {
+          nodes: [
+            {
+              id: "gid://shopify/Company/1",
+              name: "Acme Supplies",
+              metafields: { nodes: [] },
+              legacyEmail: null,
+              locations: locationPage(1, 5, true),
+            },
+          ],
+          pageInfo: { hasNextPage: false, hasPreviousPage: false, startCursor: "a", endCursor: "a" },
+        },
+      })
+      .mockResolvedValueOnce({ company: { locations: locationPage(6, 30, true) } })
+      .mockResolvedValueOnce({ company: { locations: locationPage(31, 32, false) } });
+
+    const { companies } = await listCompaniesWithMetafields(admin);
+
+    expect(companies[0].locations).toHaveLength(32);
+    expect(companies[0].locations[31]).toEqual({
+      id: "gid://shopify/CompanyLocation/32",
+      name: "Location 32",
+      values: { priceTier: "tier-32" },
+    });
+    expect(adminQuery).toHaveBeenNthCalledWith(2, admin, expect.any(String), {
+      companyId: "gid://shopify/Company/1",
+      after: "cursor-5",
+    });
+    expect(adminQuery).toHaveBeenNthCalledWith(3, admin, expect.any(String), {
+      companyId: "gid://shopify/Company/1",
+      after: "cursor-30",
+    });
+  });
+});
+
+describe("listMenus", () => {
+  it("reads every page of menus", async () => {
+    const menu = (number) => ({ id: `gid://shopify/Menu/${number}`, handle: `menu-${number}`, title: "Menu", items: [] });
+    adminQuery
+      .mockResolvedValueOnce({
+        menus: { nodes: [menu(1), menu(2)], pageInfo: { hasNextPage: true, endCursor: "cursor-2" } },
+      })
+      .mockResolvedValueOnce({
+        menus: { nodes: [menu(3)], pageInfo: { hasNextPage: false, endCursor: "cursor-3" } },
+      });
+
+    const menus = await listMenus(admin);
+
+    expect(menus.map(({ id }) => id)).toEqual([1, 2, 3].map((number) => `gid://shopify/Menu/${number}`));
+    expect(adminQuery).toHaveBeenLastCalledWith(admin, expect.any(String), { after: "cursor-2" });
+  });
+});
+
+describe("menuItemInputs", () => {
+  it("keeps the tags of nested items", () => {
+    const item = {
+      id: "gid://shopify/MenuItem/1",
+      title: "Shop",
+      type: "COLLECTION",
+      url: "/collections/all",
+      resourceId: "gid://shopify/Collection/1",
+      tags: ["sale"],
+      items: [
+        {
+          id: "gid://shopify/MenuItem/2",
+          title: "Wholesale",
+          type: "HTTP",
+          url: "/pages/wholesale",
+          resourceId: null,
+          tags: ["b2b", "new"],
+          items: [],
+        },
+      ],
+    };
+
+    expect(menuItemInputs([item])).toEqual([item]);
+  });
+});
@@ -0,0 +1,182 @@
+// Metafield definitions the app owns, declared once and created on each
+// shop by app/models/metafieldDefinitions.server.js. They live in the app's
+// reserved namespace, so other apps and themes cannot change them and
+// merchants' own `custom` metafields never collide with them.
+
+import { isCalendarDate } from "./dates";
+
+export const APP_NAMESPACE = "$app:wholesale";
+
+export const COMPANY_EMAIL_METAFIELD = {
+  namespace: APP_NAMESPACE,
+  key: "company_email",
+};
+
+// Where earlier versions of the app stored the company email. Still read so
+// companies registered before the move are found.
+export const LEGACY_COMPANY_EMAIL_METAFIELD = {
+  namespace: "custom",
+  key: "companyEmail",
+};
+
+// Tax ID of a company location. Written whether or not the shop's tax
+// settings for the location can hold it too.
+export const LOCATION_TAX_ID_METAFIELD = {
+  namespace: APP_NAMESPACE,
+  key: "tax_id",
+};
+
+export const BUSINESS_TYPES = [
+  "Retailer",
+  "Distributor",
+  "Online store",
+  "Service provider",
+  "Other",
+];
+
+export const APP_METAFIELD_DEFINITIONS = [
+  {
+    ...COMPANY_EMAIL_METAFIELD,
+    ownerType: "COMPANY",
+    name: "Company email",
+    description: "Email address of the company, unique across companies",
+    type: "single_line_text_field",
+    validations: [
+      { name: "regex", value: "^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$" },
+    ],
+    capabilities: { uniqueValues: { enabled: true } },
+  },
+  {
+    namespace: APP_NAMESPACE,
+    key: "business_type",
+    ownerType: "COMPANY",
+    name: "Business type",
+    description: "What kind of business the company is",
+    type: "single_line_text_field",
+    validations: [{ name: "choices", value: JSON.stringify(BUSINESS_TYPES) }],
+  },
+  {
+    namespace: APP_NAMESPACE,
+    key: "website",
+    ownerType: "COMPANY",
+    name: "Website",
+    description: "The company's website",
+    type: "url",
+    validations: [],
+  },
+  {
+    namespace: APP_NAMESPACE,
+    key: "annual_volume",
+    ownerType: "COMPANY",
+    name: "Annual volume",
+    description: "Expected yearly purchase volume in the shop's currency",
+    type: "number_integer",
+    validations: [{ name: "min", value: "0" }],
+  },
+  {
+    namespace: APP_NAMESPACE,
+    key: "resale_certificate_number",
+    ownerType: "COMPANY_LOCATION",
+    name: "Resale certificate number",
+    description: "Resale or reseller certificate number for this location",
+    type: "single_line_text_field",
+    validations: [{ name: "max", value: "100" }],
+  },
+  {
+    ...LOCATION_TAX_ID_METAFIELD,
+    ownerType: "COMPANY_LOCATION",
+    name: "Tax ID",
+    description: "Tax registration ID the location was registered with",
+    type: "single_line_text_field",
+    validations: [{ name: "max", value: "100" }],
+  },
+];
+
+export const METAFIELD_OWNER_LABELS = {
+  COMPANY: "Company",
+  COMPANY_LOCATION: "Company location",
+  CUSTOMER: "Customer",
+};
+
+// How a shop's definition compares with the registry.
+export const DEFINITION_STATUS = {
+  OK: "OK",
+  MISSING: "MISSING",
+  DRIFTED: "DRIFTED",
+};
+
+function validationRules(definition) {
+  return Object.fromEntries(
+    definition.validations.map(({ name, value }) => [name, value]),
+  );
+}
+
+/**
+ * Returns an error message for a value about to be written to a metafield of
+ * `definition`, or null when Shopify will accept it. `value` is the trimmed
+ * string from the editor; an empty value clears the metafield and is always
+ * valid. Shared by the editor, to flag fields as staff type, and the action
+ * that saves them.
+ */
+export function validateMetafieldValue(definition, value) {
+  if (!value) return null;
+
+  const rules = validationRules(definition);
+  const { name } = definition;
+
+  if (definition.type === "number_integer" || definition.type === "number_decimal") {
+    const pattern =
+      definition.type === "number_integer" ? /^-?\d+$/ : /^-?\d+(\.\d+)?$/;
+    if (!pattern.test(value)) {
+      return definition.type === "number_integer"
+        ? `${name} must be a whole number`
+        : `${name} must be a number`;
+    }
+    if (rules.min !== undefined && Number(value) < Number(rules.min)) {
+      return `${name} must be at least ${rules.min}`;
+    }
+    if (rules.max !== undefined && Number(value) > Number(rules.max)) {
+      return `${name} must be at most ${rules.max}`;
+    }
+    return null;
+  }
+
+  if (definition.type === "url") {
+    try {
+      const url = new URL(value);
+      if (url.protocol !== "http:" && url.protocol !== "https:") {
+        return `${name} must start with http:// or https://`;
+      }
+    } catch {
+      return `${name} must be a full URL, such as https://example.com`;
+    }
+    return null;
+  }
+
+  if (definition.type === "boolean") {
+    return value === "true" || value === "false"
+      ? null
+      : `${name} must be true or false`;
+  }
+
+  if (definition.type === "date") {
+    return isCalendarDate(value)
+      ? null
+      : `${name} must be a date (YYYY-MM-DD)`;
+  }
+
+  // Text types: `min` and `max` are lengths.
+  if (rules.min !== undefined && value.length < Number(rules.min)) {
+    return `${name} must be at least ${rules.min} characters long`;
+  }
+  if (rules.max !== undefined && value.length > Number(rules.max)) {
+    return `${name} must not exceed ${rules.max} characters`;
+  }
+  if (rules.regex !== undefined && !new RegExp(rules.regex).test(value)) {
+    return `${name} is not in the expected format`;
+  }
+  if (rules.choices !== undefined && !JSON.parse(rules.choices).includes(value)) {
+    return `${name} must be one of the listed options`;
+  }
+  return null;
+}
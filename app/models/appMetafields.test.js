@@ -0,0 +1,16 @@
+import { describe, expect, it } from "vitest";
+import { validateMetafieldValue } from "./appMetafields";
+
+describe("validateMetafieldValue", () => {
+  const definition = { name: "Renewal date", type: "date", validations: [] };
+
+  it("accepts a calendar date", () => {
+    expect(validateMetafieldValue(definition, "2024-02-29")).toBeNull();
+  });
+
+  it("rejects dates that roll over or are not YYYY-MM-DD", () => {
+    for (const value of ["2026-02-30", "2024-13-45", "03/05/2026"]) {
+      expect(validateMetafieldValue(definition, value)).toBe("Renewal date must be a date (YYYY-MM-DD)");
+    }
+  });
+});
@@ -0,0 +1,12 @@
+export const APPLICATION_STATUS = {
+  PENDING: "PENDING",
+  INFO_REQUESTED: "INFO_REQUESTED",
+  APPROVED: "APPROVED",
+  REJECTED: "REJECTED",
+};
+
+// Applications in these states are still waiting on a staff decision.
+export const OPEN_STATUSES = [
+  APPLICATION_STATUS.PENDING,
+  APPLICATION_STATUS.INFO_REQUESTED,
+];
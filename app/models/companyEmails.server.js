@@ -0,0 +1,113 @@
+import db from "../db.server";
+import { getCompanyEmail, listCompanyEmails } from "./adminResources.server";
+
+// Local mirror of the company email metafield, so duplicate companies
+// are found with one indexed query whatever the size of the shop. The first
+// lookup for a shop copies every company; afterwards the companies/*
+// webhooks and the app's own metafield writes keep the mirror current.
+
+function normalizeEmail(email) {
+  return (email || "").trim().toLowerCase();
+}
+
+/**
+ * Stores a company's email in the mirror, or removes the company when it has
+ * no email.
+ */
+export async function saveCompanyEmail(shop, { id, name, email }) {
+  const normalized = normalizeEmail(email);
+
+  if (!normalized) {
+    await removeCompanyEmail(shop, id);
+    return;
+  }
+
+  const data = { name: name || "", email: normalized };
+  await db.companyEmail.upsert({
+    where: { shop_companyId: { shop, companyId: id } },
+    create: { shop, companyId: id, ...data },
+    update: data,
+  });
+}
+
+export async function removeCompanyEmail(shop, companyId) {
+  await db.companyEmail.deleteMany({ where: { shop, companyId } });
+}
+
+/**
+ * Re-reads one company from the Admin API, e.g. after a webhook reported a
+ * change. Webhook payloads do not include metafields.
+ */
+export async function refreshCompanyEmail(admin, shop, companyId) {
+  const company = await getCompanyEmail(admin, companyId);
+
+  if (!company) {
+    await removeCompanyEmail(shop, companyId);
+    return;
+  }
+
+  await saveCompanyEmail(shop, company);
+}
+
+/**
+ * Replaces the shop's mirror with the current emails of all its companies.
+ */
+export async function syncCompanyEmails(admin, shop) {
+  const rows = [];
+  let after = null;
+
+  do {
+    const page = await listCompanyEmails(admin, { after });
+    for (const company of page.companies) {
+      const email = normalizeEmail(company.email);
+      if (email) {
+        rows.push({ shop, companyId: company.id, name: company.name || "", email });
+      }
+    }
+    after = page.hasNextPage ? page.endCursor : null;
+  } while (after);
+
+  const syncedAt = new Date();
+  await db.$transaction([
+    db.companyEmail.deleteMany({ where: { shop } }),
+    db.companyEmail.createMany({ data: rows }),
+    db.companyEmailSync.upsert({
+      where: { shop },
+      create: { shop, syncedAt },
+      update: { syncedAt },
+    }),
+  ]);
+
+  return rows.length;
+}
+
+/**
+ * Forgets the shop's mirror. While the app is uninstalled no webhooks arrive,
+ * so a reinstall starts with a full copy again.
+ */
+export async function clearCompanyEmails(shop) {
+  await db.$transaction([
+    db.companyEmail.deleteMany({ where: { shop } }),
+    db.companyEmailSync.deleteMany({ where: { shop } }),
+  ]);
+}
+
+/**
+ * Finds the company whose company email metafield matches `email`
+ * exactly (ignoring case), copying the shop's companies first if this is the
+ * first lookup.
+ * @returns {Promise<{ id: string, name: string } | null>}
+ */
+export async function findCompanyByEmail(admin, shop, email) {
+  const sync = await db.companyEmailSync.findUnique({ where: { shop } });
+  if (!sync) {
+    await syncCompanyEmails(admin, shop);
+  }
+
+  const company = await db.companyEmail.findFirst({
+    where: { shop, email: normalizeEmail(email) },
+    orderBy: { updatedAt: "asc" },
+  });
+
+  return company ? { id: company.companyId, name: company.name } : null;
+}
@@ -0,0 +1,83 @@
+import { deleteMetafields, setMetafields } from "./adminResources.server";
+import {
+  APP_METAFIELD_DEFINITIONS,
+  COMPANY_EMAIL_METAFIELD,
+  validateMetafieldValue,
+} from "./appMetafields";
+import { refreshCompanyEmail } from "./companyEmails.server";
+
+// Writes the app-owned metafields of companies and company locations from
+// the metafield editor. Values are checked against the registry before
+// anything is sent, so staff get one message per field instead of the first
+// user error Shopify reports.
+
+const EDITABLE_OWNER_TYPES = ["COMPANY", "COMPANY_LOCATION"];
+
+export class MetafieldValueError extends Error {
+  /** @param {{ field: string, message: string }[]} errors */
+  constructor(errors) {
+    super(errors.map(({ message }) => message).join("; "));
+    this.name = "MetafieldValueError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Saves changed metafield values of one company or location. `values` maps
+ * metafield keys to the new strings; an empty string deletes the metafield.
+ * Throws MetafieldValueError when a key is unknown or a value is invalid.
+ */
+export async function saveOwnerMetafields(
+  admin,
+  shop,
+  { ownerId, ownerType, values },
+) {
+  if (!EDITABLE_OWNER_TYPES.includes(ownerType)) {
+    throw new MetafieldValueError([
+      { field: "ownerType", message: `Cannot edit ${ownerType} metafields` },
+    ]);
+  }
+
+  const errors = [];
+  const toSet = [];
+  const toDelete = [];
+
+  for (const [key, raw] of Object.entries(values)) {
+    const definition = APP_METAFIELD_DEFINITIONS.find(
+      (candidate) => candidate.ownerType === ownerType && candidate.key === key,
+    );
+    if (!definition) {
+      errors.push({ field: key, message: `Unknown metafield: ${key}` });
+      continue;
+    }
+
+    const value = String(raw ?? "").trim();
+    const message = validateMetafieldValue(definition, value);
+    if (message) {
+      errors.push({ field: key, message });
+      continue;
+    }
+
+    const identifier = { ownerId, namespace: definition.namespace, key };
+    if (value) {
+      toSet.push({ ...identifier, type: definition.type, value });
+    } else {
+      toDelete.push(identifier);
+    }
+  }
+
+  if (errors.length) {
+    throw new MetafieldValueError(errors);
+  }
+
+  if (toSet.length) {
+    await setMetafields(admin, toSet);
+  }
+  if (toDelete.length) {
+    await deleteMetafields(admin, toDelete);
+  }
+
+  if (ownerType === "COMPANY" && COMPANY_EMAIL_METAFIELD.key in values) {
+    await refreshCompanyEmail(admin, shop, ownerId);
+  }
+}
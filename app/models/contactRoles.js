@@ -0,0 +1,35 @@
+// Which company role approved registrations give their contact, and on
+// which locations.
+
+// Role names are matched against the company's own roles; Shopify gives
+// every B2B company these two.
+export const STANDARD_ROLE_NAMES = ["Ordering only", "Location admin"];
+
+// An empty role name keeps the automatic choice: the company's default
+// role, otherwise a buyer or admin role.
+export const AUTOMATIC_ROLE = "";
+
+export const ROLE_SCOPE = {
+  FORM_LOCATION: "FORM_LOCATION",
+  ALL_LOCATIONS: "ALL_LOCATIONS",
+};
+
+export const ROLE_SCOPE_LABELS = {
+  [ROLE_SCOPE.FORM_LOCATION]: "Only the location from the registration form",
+  [ROLE_SCOPE.ALL_LOCATIONS]: "All of the company's locations",
+};
+
+export const DEFAULT_ROLE_ASSIGNMENT = {
+  roleName: AUTOMATIC_ROLE,
+  scope: ROLE_SCOPE.FORM_LOCATION,
+};
+
+/** Role options for a Select, with any further names the shop's roles use. */
+export function roleOptions(roleNames = []) {
+  const names = [...new Set([...STANDARD_ROLE_NAMES, ...roleNames])];
+
+  return [
+    { label: "Automatic (company default role)", value: AUTOMATIC_ROLE },
+    ...names.map((name) => ({ label: name, value: name })),
+  ];
+}
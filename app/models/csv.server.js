@@ -0,0 +1,83 @@
+// Minimal RFC 4180 CSV reading and writing for imports and reports: quoted
+// fields may contain commas, quotes ("") and line breaks.
+
+export class CsvError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CsvError";
+  }
+}
+
+/**
+ * Parses CSV text into an array of rows, each an array of strings. Blank
+ * lines are dropped. A leading byte order mark, as spreadsheet programs write
+ * it, is ignored.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let value = "";
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    row.push(value);
+    if (row.length > 1 || row[0] !== "") rows.push(row);
+    row = [];
+    value = "";
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"' && value === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(value);
+      value = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      value += char;
+    }
+  }
+
+  if (quoted) {
+    throw new CsvError("The file ends inside a quoted value");
+  }
+  if (value !== "" || row.length) endRow();
+
+  return rows;
+}
+
+// Spreadsheet programs run text starting with one of these as a formula.
+// Exports hold values applicants typed, so such text is prefixed with a
+// quote to keep it text.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function escapeValue(value) {
+  let text = value == null ? "" : String(value);
+  if (typeof value === "string" && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes rows (arrays of values) as CSV text with CRLF line endings. Text
+ * that a spreadsheet would read as a formula is written with a leading
+ * quote.
+ */
+export function toCsv(rows) {
+  return rows.map((row) => row.map(escapeValue).join(",")).join("\r\n") + "\r\n";
+}
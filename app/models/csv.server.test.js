@@ -0,0 +1,20 @@
+import { describe, expect, it } from "vitest";
+import { parseCsv, toCsv } from "./csv.server";
+
+describe("toCsv", () => {
+  it("quotes values with commas, quotes and line breaks", () => {
+    expect(toCsv([["a,b", 'say "hi"', "two\nlines", null, 3]])).toBe(
+      '"a,b","say ""hi""","two\nlines",,3\r\n',
+    );
+  });
+
+  it("keeps text that starts like a formula from running", () => {
+    const values = ["=HYPERLINK(\"http://x\")", "+1 555 0100", "-2+3", "@SUM(A1)", "\tcmd", "\rcmd"];
+
+    expect(parseCsv(toCsv([values]))[0]).toEqual(values.map((value) => `'${value}`));
+  });
+
+  it("leaves numbers and ordinary text alone", () => {
+    expect(toCsv([[-5, "Acme Supplies", "a=b"]])).toBe("-5,Acme Supplies,a=b\r\n");
+  });
+});
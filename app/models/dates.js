@@ -0,0 +1,21 @@
+// Calendar dates as forms, filters and exports take them: YYYY-MM-DD, read
+// as midnight UTC.
+
+/**
+ * Whether `value` is a YYYY-MM-DD date that exists in the calendar. `new
+ * Date` alone accepts other formats and rolls 2026-02-30 over into March.
+ *
+ * Keep this function self-contained and ES5: it is served to the storefront
+ * along with `validateFieldValue`.
+ */
+export function isCalendarDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+
+  var date = new Date(value + "T00:00:00Z");
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/** The Date of a YYYY-MM-DD value, or null when it is not a calendar date. */
+export function parseCalendarDate(value) {
+  return isCalendarDate(value) ? new Date(`${value}T00:00:00Z`) : null;
+}
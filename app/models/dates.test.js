@@ -0,0 +1,30 @@
+import { describe, expect, it } from "vitest";
+import { isCalendarDate, parseCalendarDate } from "./dates";
+
+describe("isCalendarDate", () => {
+  it("accepts YYYY-MM-DD dates that exist", () => {
+    for (const value of ["2024-02-29", "2026-12-31", "2026-01-01"]) {
+      expect(isCalendarDate(value)).toBe(true);
+    }
+  });
+
+  it("rejects other formats and dates that do not exist", () => {
+    for (const value of ["", "03/05/2026", "March 5", "2026-3-5", "2026-02-30", "2023-02-29", "2024-13-45"]) {
+      expect(isCalendarDate(value)).toBe(false);
+    }
+  });
+
+  it("needs nothing from its module, so it can be served to the storefront", () => {
+    const served = new Function(`return ${isCalendarDate.toString()}`)();
+
+    expect(served("2026-02-28")).toBe(true);
+    expect(served("2026-02-30")).toBe(false);
+  });
+});
+
+describe("parseCalendarDate", () => {
+  it("reads a date as midnight UTC", () => {
+    expect(parseCalendarDate("2026-03-05")).toEqual(new Date("2026-03-05T00:00:00Z"));
+    expect(parseCalendarDate("2026-02-30")).toBeNull();
+  });
+});
@@ -0,0 +1,201 @@
+// Notification emails: the events that send them, who receives them and the
+// default wording. Shops can change subject and body of each template in the
+// admin.
+
+export const EMAIL_EVENT = {
+  SUBMITTED: "SUBMITTED",
+  APPROVED: "APPROVED",
+  REJECTED: "REJECTED",
+  INFO_REQUESTED: "INFO_REQUESTED",
+  CERTIFICATE_EXPIRING: "CERTIFICATE_EXPIRING",
+};
+
+export const EMAIL_EVENT_LABELS = {
+  [EMAIL_EVENT.SUBMITTED]: "Application submitted",
+  [EMAIL_EVENT.APPROVED]: "Application approved",
+  [EMAIL_EVENT.REJECTED]: "Application rejected",
+  [EMAIL_EVENT.INFO_REQUESTED]: "More information requested",
+  [EMAIL_EVENT.CERTIFICATE_EXPIRING]: "Resale certificate expiring",
+};
+
+export const EMAIL_RECIPIENT = {
+  APPLICANT: "APPLICANT",
+  STAFF: "STAFF",
+};
+
+export const EMAIL_RECIPIENT_LABELS = {
+  [EMAIL_RECIPIENT.APPLICANT]: "Applicant",
+  [EMAIL_RECIPIENT.STAFF]: "Staff",
+};
+
+export const DELIVERY_STATUS = {
+  SENT: "SENT",
+  FAILED: "FAILED",
+};
+
+// Placeholders templates can use as {{name}}.
+export const TEMPLATE_VARIABLES = [
+  { name: "shopName", description: "Your store's name" },
+  { name: "storeUrl", description: "Your storefront address" },
+  { name: "companyName", description: "Company name from the application" },
+  { name: "firstName", description: "Applicant's first name" },
+  { name: "lastName", description: "Applicant's last name" },
+  { name: "userEmail", description: "Applicant's email" },
+  { name: "companyEmail", description: "Company email from the application" },
+  { name: "rejectionReason", description: "Reason given when rejecting" },
+  { name: "infoRequest", description: "Information asked for" },
+  { name: "certificateExpiresOn", description: "When the resale certificate expires" },
+  { name: "applicationUrl", description: "The application in the Shopify admin (staff emails)" },
+];
+
+export const SAMPLE_VARIABLES = {
+  shopName: "Example Store",
+  storeUrl: "https://example.myshopify.com",
+  companyName: "Acme Supplies",
+  firstName: "Jane",
+  lastName: "Doe",
+  userEmail: "jane@acme.example",
+  companyEmail: "orders@acme.example",
+  rejectionReason: "We only work with registered retailers.",
+  infoRequest: "Please send a copy of your resale certificate.",
+  certificateExpiresOn: "2026-12-31",
+  applicationUrl: "https://admin.shopify.com/store/example/apps/wholesale/app/applications/1",
+};
+
+export const DEFAULT_EMAIL_TEMPLATES = [
+  {
+    event: EMAIL_EVENT.SUBMITTED,
+    recipient: EMAIL_RECIPIENT.APPLICANT,
+    enabled: true,
+    subject: "We received your wholesale application",
+    body: `Hi {{firstName}},
+
+Thank you for applying for a wholesale account for {{companyName}} at {{shopName}}. We will review your application and get back to you soon.
+
+{{shopName}}`,
+  },
+  {
+    event: EMAIL_EVENT.SUBMITTED,
+    recipient: EMAIL_RECIPIENT.STAFF,
+    enabled: true,
+    subject: "New wholesale application from {{companyName}}",
+    body: `{{firstName}} {{lastName}} ({{userEmail}}) applied for a wholesale account for {{companyName}}.
+
+Review the application: {{applicationUrl}}`,
+  },
+  {
+    event: EMAIL_EVENT.APPROVED,
+    recipient: EMAIL_RECIPIENT.APPLICANT,
+    enabled: true,
+    subject: "Your wholesale account is ready",
+    body: `Hi {{firstName}},
+
+Your wholesale application for {{companyName}} has been approved. Log in at {{storeUrl}} with {{userEmail}} to see wholesale prices and place orders.
+
+{{shopName}}`,
+  },
+  {
+    event: EMAIL_EVENT.APPROVED,
+    recipient: EMAIL_RECIPIENT.STAFF,
+    enabled: false,
+    subject: "Wholesale application from {{companyName}} approved",
+    body: `The wholesale application from {{companyName}} was approved.
+
+{{applicationUrl}}`,
+  },
+  {
+    event: EMAIL_EVENT.REJECTED,
+    recipient: EMAIL_RECIPIENT.APPLICANT,
+    enabled: true,
+    subject: "Your wholesale application",
+    body: `Hi {{firstName}},
+
+Thank you for your interest in a wholesale account for {{companyName}}. Unfortunately we cannot approve your application:
+
+{{rejectionReason}}
+
+{{shopName}}`,
+  },
+  {
+    event: EMAIL_EVENT.REJECTED,
+    recipient: EMAIL_RECIPIENT.STAFF,
+    enabled: false,
+    subject: "Wholesale application from {{companyName}} rejected",
+    body: `The wholesale application from {{companyName}} was rejected: {{rejectionReason}}
+
+{{applicationUrl}}`,
+  },
+  {
+    event: EMAIL_EVENT.INFO_REQUESTED,
+    recipient: EMAIL_RECIPIENT.APPLICANT,
+    enabled: true,
+    subject: "We need more information about your wholesale application",
+    body: `Hi {{firstName}},
+
+Before we can decide on your wholesale application for {{companyName}}, we need some more information:
+
+{{infoRequest}}
+
+Reply to this email with the details.
+
+{{shopName}}`,
+  },
+  {
+    event: EMAIL_EVENT.INFO_REQUESTED,
+    recipient: EMAIL_RECIPIENT.STAFF,
+    enabled: false,
+    subject: "More information requested from {{companyName}}",
+    body: `More information was requested from {{companyName}}: {{infoRequest}}
+
+{{applicationUrl}}`,
+  },
+  {
+    event: EMAIL_EVENT.CERTIFICATE_EXPIRING,
+    recipient: EMAIL_RECIPIENT.APPLICANT,
+    enabled: true,
+    subject: "Your resale certificate expires on {{certificateExpiresOn}}",
+    body: `Hi {{firstName}},
+
+The resale certificate we have on file for {{companyName}} expires on {{certificateExpiresOn}}. Reply to this email with a renewed certificate so your wholesale orders stay tax exempt.
+
+{{shopName}}`,
+  },
+  {
+    event: EMAIL_EVENT.CERTIFICATE_EXPIRING,
+    recipient: EMAIL_RECIPIENT.STAFF,
+    enabled: true,
+    subject: "Resale certificate of {{companyName}} expires on {{certificateExpiresOn}}",
+    body: `The resale certificate of {{companyName}} expires on {{certificateExpiresOn}}. Update the expiry date once they send a renewed one, or remove their tax exemptions in Shopify.
+
+{{applicationUrl}}`,
+  },
+];
+
+/**
+ * Replaces {{name}} placeholders with `variables`. Unknown or empty
+ * placeholders become empty text.
+ */
+export function renderTemplate(text, variables) {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) =>
+    variables[name] == null ? "" : String(variables[name]),
+  );
+}
+
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Splits a list of addresses separated by commas, semicolons or line breaks.
+ * Returns `{ emails, invalid }`.
+ */
+export function parseEmailList(value) {
+  const entries = (value || "")
+    .split(/[\s,;]+/)
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  const emails = [...new Set(entries.map((entry) => entry.toLowerCase()))];
+
+  return {
+    emails: emails.filter((entry) => EMAIL_PATTERN.test(entry)),
+    invalid: emails.filter((entry) => !EMAIL_PATTERN.test(entry)),
+  };
+}
@@ -0,0 +1,261 @@
+import {
+  getCompaniesForExport,
+  listCompaniesForExport,
+} from "./adminResources.server";
+import { APPLICATION_STATUS } from "./applicationStatus";
+import { toCsv } from "./csv.server";
+import { isCalendarDate } from "./dates";
+import {
+  findApplicationsByCompany,
+  listApplicationsAfter,
+} from "./wholesaleApplication.server";
+
+// Streams registrations or wholesale companies as CSV or JSON. Records are
+// read a batch at a time (applications from the app database, companies
+// with GraphQL cursors) and written as they arrive, so large shops do not
+// have to fit in memory or in one Admin API call.
+
+export class ExportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ExportError";
+  }
+}
+
+export const EXPORT_DATASETS = ["registrations", "companies"];
+export const EXPORT_FORMATS = ["csv", "json"];
+
+const APPLICATION_BATCH = 100;
+// getCompaniesForExport takes at most 50 IDs.
+const COMPANY_BATCH = 50;
+
+/**
+ * Checks the export options from a request. Returns `{ dataset, format,
+ * filters }`; `filters` holds the application `status` and the inclusive
+ * `from`/`to` dates (`YYYY-MM-DD`).
+ */
+export function readExportOptions(searchParams) {
+  const dataset = searchParams.get("dataset") || "registrations";
+  const format = searchParams.get("format") || "csv";
+  const status = searchParams.get("status") || "";
+  const from = searchParams.get("from") || "";
+  const to = searchParams.get("to") || "";
+
+  if (!EXPORT_DATASETS.includes(dataset)) {
+    throw new ExportError(`Unknown export: ${dataset}`);
+  }
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new ExportError(`Unknown format: ${format}`);
+  }
+  if (status && !Object.values(APPLICATION_STATUS).includes(status)) {
+    throw new ExportError(`Unknown status: ${status}`);
+  }
+  for (const date of [from, to].filter(Boolean)) {
+    if (!isCalendarDate(date)) {
+      throw new ExportError(`${date} is not a valid date in the format YYYY-MM-DD`);
+    }
+  }
+
+  return { dataset, format, filters: { status, from, to } };
+}
+
+function registrationRecord(application, company) {
+  return {
+    id: application.id,
+    status: application.status,
+    submittedAt: application.createdAt.toISOString(),
+    reviewedAt: application.reviewedAt?.toISOString() || null,
+    companyName: application.companyName,
+    firstName: application.firstName,
+    lastName: application.lastName,
+    userEmail: application.userEmail,
+    companyEmail: application.companyEmail,
+    customerId: application.customerId,
+    company: company || null,
+  };
+}
+
+async function companiesById(admin, ids) {
+  const found = {};
+  const unique = [...new Set(ids)];
+
+  for (let i = 0; i < unique.length; i += COMPANY_BATCH) {
+    const companies = await getCompaniesForExport(admin, unique.slice(i, i + COMPANY_BATCH));
+    for (const company of companies) {
+      found[company.id] = company;
+    }
+  }
+
+  return found;
+}
+
+async function* registrationRecords(admin, shop, filters) {
+  let after = null;
+
+  for (;;) {
+    const applications = await listApplicationsAfter(shop, filters, {
+      after,
+      take: APPLICATION_BATCH,
+    });
+    if (!applications.length) return;
+
+    const companies = await companiesById(
+      admin,
+      applications.map(({ companyId }) => companyId).filter(Boolean),
+    );
+    for (const application of applications) {
+      yield registrationRecord(application, companies[application.companyId]);
+    }
+
+    after = applications[applications.length - 1].id;
+  }
+}
+
+// Search syntax for companies created between the filter dates.
+function companyQuery({ from, to }) {
+  const terms = [];
+  if (from) terms.push(`created_at:>='${from}T00:00:00Z'`);
+  if (to) terms.push(`created_at:<='${to}T23:59:59Z'`);
+  return terms.join(" AND ") || null;
+}
+
+async function* companyRecords(admin, shop, filters) {
+  const query = companyQuery(filters);
+  let after = null;
+
+  do {
+    const page = await listCompaniesForExport(admin, { after, query });
+    const applications = await findApplicationsByCompany(
+      shop,
+      page.companies.map(({ id }) => id),
+    );
+
+    for (const company of page.companies) {
+      const application = applications[company.id];
+      // The status filter is about registrations, so it leaves out
+      // companies that were not created through one.
+      if (filters.status && application?.status !== filters.status) continue;
+
+      yield {
+        ...company,
+        registration: application
+          ? {
+              id: application.id,
+              status: application.status,
+              submittedAt: application.createdAt.toISOString(),
+            }
+          : null,
+      };
+    }
+
+    after = page.hasNextPage ? page.endCursor : null;
+  } while (after);
+}
+
+function contactName(contact) {
+  return [contact?.firstName, contact?.lastName].filter(Boolean).join(" ");
+}
+
+// Contact, location and tax columns shared by both CSV layouts; the company
+// is read from the record with `getCompany`.
+function companyColumns(getCompany) {
+  const location = (record) => getCompany(record)?.location;
+  const address = (record) => location(record)?.address;
+
+  return [
+    ["Main contact email", (record) => getCompany(record)?.mainContact?.email],
+    ["Main contact name", (record) => contactName(getCompany(record)?.mainContact)],
+    ["Main contact phone", (record) => getCompany(record)?.mainContact?.phone],
+    ["Location", (record) => location(record)?.name],
+    ["Address line 1", (record) => address(record)?.address1],
+    ["Address line 2", (record) => address(record)?.address2],
+    ["City", (record) => address(record)?.city],
+    ["Province", (record) => address(record)?.zoneCode],
+    ["Country", (record) => address(record)?.countryCode],
+    ["ZIP code", (record) => address(record)?.zip],
+    ["Tax ID", (record) => location(record)?.taxId],
+  ];
+}
+
+const CSV_COLUMNS = {
+  registrations: [
+    ["Application ID", (record) => record.id],
+    ["Status", (record) => record.status],
+    ["Submitted", (record) => record.submittedAt],
+    ["Reviewed", (record) => record.reviewedAt],
+    ["Company name", (record) => record.companyName],
+    ["First name", (record) => record.firstName],
+    ["Last name", (record) => record.lastName],
+    ["User email", (record) => record.userEmail],
+    ["Company email", (record) => record.companyEmail],
+    ["Customer ID", (record) => record.customerId],
+    ["Company ID", (record) => record.company?.id],
+    ["Company name in Shopify", (record) => record.company?.name],
+    ...companyColumns((record) => record.company),
+  ],
+  companies: [
+    ["Company ID", (record) => record.id],
+    ["Company name", (record) => record.name],
+    ["External ID", (record) => record.externalId],
+    ["Created", (record) => record.createdAt],
+    ["Company email", (record) => record.email],
+    ...companyColumns((record) => record),
+    ["Application ID", (record) => record.registration?.id],
+    ["Registration status", (record) => record.registration?.status],
+    ["Submitted", (record) => record.registration?.submittedAt],
+  ],
+};
+
+/**
+ * A streamed download of the chosen dataset. CSV has one row per record;
+ * JSON is an array of the records with their nested company details.
+ */
+export function exportResponse(admin, shop, { dataset, format, filters }) {
+  const records =
+    dataset === "companies"
+      ? companyRecords(admin, shop, filters)
+      : registrationRecords(admin, shop, filters);
+  const columns = CSV_COLUMNS[dataset];
+  const encoder = new TextEncoder();
+  let count = 0;
+
+  const body = new ReadableStream({
+    start(controller) {
+      controller.enqueue(
+        encoder.encode(
+          format === "csv" ? toCsv([columns.map(([heading]) => heading)]) : "[",
+        ),
+      );
+    },
+    async pull(controller) {
+      const { value, done } = await records.next();
+
+      if (done) {
+        if (format === "json") controller.enqueue(encoder.encode("\n]\n"));
+        controller.close();
+        return;
+      }
+
+      controller.enqueue(
+        encoder.encode(
+          format === "csv"
+            ? toCsv([columns.map(([, read]) => read(value))])
+            : `${count ? "," : ""}\n${JSON.stringify(value)}`,
+        ),
+      );
+      count++;
+    },
+    async cancel() {
+      await records.return();
+    },
+  });
+
+  const date = new Date().toISOString().slice(0, 10);
+  return new Response(body, {
+    headers: {
+      "Content-Type":
+        format === "csv" ? "text/csv; charset=utf-8" : "application/json; charset=utf-8",
+      "Content-Disposition": `attachment; filename="wholesale-${dataset}-${date}.${format}"`,
+    },
+  });
+}
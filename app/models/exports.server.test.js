@@ -0,0 +1,27 @@
+import { describe, expect, it, vi } from "vitest";
+
+vi.mock("./adminResources.server", () => ({}));
+vi.mock("./wholesaleApplication.server", () => ({}));
+
+const { ExportError, readExportOptions } = await import("./exports.server");
+
+function options(query) {
+  return readExportOptions(new URLSearchParams(query));
+}
+
+describe("readExportOptions", () => {
+  it("reads the date range", () => {
+    expect(options({ from: "2024-02-29", to: "2024-03-31" }).filters).toEqual({
+      status: "",
+      from: "2024-02-29",
+      to: "2024-03-31",
+    });
+  });
+
+  it("rejects dates that do not exist or are not YYYY-MM-DD", () => {
+    for (const date of ["2024-13-45", "2024-02-30", "2023-02-29", "03/05/2026"]) {
+      expect(() => options({ from: date })).toThrow(ExportError);
+      expect(() => options({ to: date })).toThrow(`${date} is not a valid date`);
+    }
+  });
+});
@@ -0,0 +1,504 @@
+import db from "../db.server";
+import { getOfflineAdmin } from "./adminApi.server";
+import { APPLICATION_STATUS, OPEN_STATUSES } from "./applicationStatus";
+import { CsvError, parseCsv, toCsv } from "./csv.server";
+import { IMPORT_ROW_STATUS, IMPORT_STATUS } from "./importStatus";
+import { REQUIRED_MAPPINGS, FIELD_MAPPINGS } from "./registrationForm";
+import {
+  getRegistrationForm,
+  resolveRegistration,
+} from "./registrationForm.server";
+import { validateSubmission } from "./registrationValidation";
+import {
+  approveApplication,
+  createApplication,
+  failedStepNames,
+} from "./wholesaleApplication.server";
+
+// Bulk import of wholesale accounts from a CSV file. Each valid row becomes
+// an application that is approved straight away, so imported accounts go
+// through the same pipeline, step history and retries as storefront
+// registrations. Rows sharing a company email end up as contacts of one
+// company.
+//
+// Jobs run in the background of the app process. Progress is stored per
+// row, so a job that stopped (an error, a deploy) is resumed where it left
+// off; the application created for a row is found again by its idempotency
+// key.
+
+export class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ImportError";
+  }
+}
+
+export const MAX_IMPORT_SIZE = 2 * 1024 * 1024;
+export const MAX_IMPORT_ROWS = 1000;
+
+const PREVIEW_ROWS = 50;
+const TRUE_VALUES = ["true", "yes", "y", "1", "x"];
+
+// Jobs this process is working on. Assumes a single app instance, like the
+// SQLite session storage does.
+const activeImports = new Set();
+
+function normalizeHeader(value) {
+  return (value || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * The registration form fields a CSV column can be mapped to. Files cannot
+ * be imported.
+ */
+export function importableFields(formFields) {
+  return formFields.filter(({ type }) => type !== "file");
+}
+
+// Maps each field to the column whose header matches its name or label.
+function guessMapping(fields, headers) {
+  const columns = headers.map(normalizeHeader);
+  const mapping = {};
+
+  for (const field of importableFields(fields)) {
+    const index = columns.findIndex(
+      (column) =>
+        column &&
+        (column === normalizeHeader(field.name) ||
+          column === normalizeHeader(field.label)),
+    );
+    if (index !== -1) mapping[field.name] = index;
+  }
+
+  return mapping;
+}
+
+function deserialize(job) {
+  return {
+    ...job,
+    headers: JSON.parse(job.headers),
+    data: JSON.parse(job.data),
+    mapping: job.mapping ? JSON.parse(job.mapping) : {},
+  };
+}
+
+async function rowCounts(jobIds) {
+  const groups = await db.importRow.groupBy({
+    by: ["jobId", "status"],
+    where: { jobId: { in: jobIds } },
+    _count: { _all: true },
+  });
+
+  const counts = Object.fromEntries(jobIds.map((id) => [id, {}]));
+  for (const { jobId, status, _count } of groups) {
+    counts[jobId][status] = _count._all;
+  }
+  return counts;
+}
+
+function withProgress(job, counts) {
+  const { data, ...rest } = job;
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+  return {
+    ...rest,
+    rowCount: data.length,
+    counts,
+    processed: total - (counts[IMPORT_ROW_STATUS.PENDING] || 0),
+    total,
+    // Marked running, but no longer worked on by this process.
+    interrupted: job.status === IMPORT_STATUS.RUNNING && !activeImports.has(job.id),
+  };
+}
+
+/**
+ * Reads an uploaded CSV file into a draft import. The first row must hold
+ * the column headers; columns are mapped to form fields by matching headers
+ * with field names and labels, and staff can change the mapping before the
+ * import starts.
+ */
+export async function createImport(shop, file) {
+  if (!file || typeof file === "string" || file.size === 0) {
+    throw new ImportError("Choose a CSV file to import");
+  }
+  if (file.size > MAX_IMPORT_SIZE) {
+    throw new ImportError(
+      `The file must be smaller than ${MAX_IMPORT_SIZE / 1024 / 1024} MB`,
+    );
+  }
+
+  let rows;
+  try {
+    rows = parseCsv(await file.text());
+  } catch (error) {
+    if (error instanceof CsvError) throw new ImportError(error.message);
+    throw error;
+  }
+
+  const [headers, ...data] = rows;
+  if (!data.length) {
+    throw new ImportError("The file needs a header row and at least one row to import");
+  }
+  if (data.length > MAX_IMPORT_ROWS) {
+    throw new ImportError(
+      `The file has ${data.length} rows; import at most ${MAX_IMPORT_ROWS} at a time`,
+    );
+  }
+
+  const form = await getRegistrationForm(shop);
+
+  return db.importJob.create({
+    data: {
+      shop,
+      fileName: file.name || "import.csv",
+      headers: JSON.stringify(headers.map((header) => header.trim())),
+      data: JSON.stringify(data),
+      mapping: JSON.stringify(guessMapping(form.fields, headers)),
+    },
+  });
+}
+
+export async function listImports(shop) {
+  const jobs = await db.importJob.findMany({
+    where: { shop },
+    orderBy: { createdAt: "desc" },
+    take: 20,
+  });
+  const counts = await rowCounts(jobs.map(({ id }) => id));
+
+  return jobs.map((job) => withProgress(deserialize(job), counts[job.id]));
+}
+
+async function findImport(shop, id) {
+  const job = await db.importJob.findFirst({ where: { id, shop } });
+  if (!job) {
+    throw new ImportError("Import not found");
+  }
+
+  return deserialize(job);
+}
+
+/**
+ * An import with its progress: `counts` of rows by status, `processed` and
+ * `total`.
+ */
+export async function getImport(shop, id) {
+  const job = await findImport(shop, id);
+  const counts = await rowCounts([job.id]);
+
+  return withProgress(job, counts[job.id]);
+}
+
+// The value a CSV cell contributes to a form field.
+function cellValue(field, cell) {
+  const value = (cell || "").trim();
+
+  if (field.type === "checkbox") {
+    return TRUE_VALUES.includes(value.toLowerCase()) ? "true" : "";
+  }
+  if (field.type === "select") {
+    const option = (field.options || []).find(
+      (candidate) => candidate.toLowerCase() === value.toLowerCase(),
+    );
+    return option || value;
+  }
+  return value;
+}
+
+// Reads each data row into form values and validates it like a storefront
+// submission.
+function readRows(job, formFields) {
+  const fields = importableFields(formFields);
+
+  return job.data.map((cells, index) => {
+    const values = {};
+    for (const field of fields) {
+      const column = job.mapping[field.name];
+      values[field.name] = column === undefined ? "" : cellValue(field, cells[column]);
+    }
+
+    return {
+      // Line 1 of the file is the header row.
+      line: index + 2,
+      values,
+      errors: validateSubmission(fields, values),
+    };
+  });
+}
+
+/**
+ * Dry run of a draft import with the current mapping: the first rows as
+ * they would be imported, and every row that fails validation with its
+ * errors. Nothing is written.
+ */
+export async function previewImport(shop, id) {
+  const job = await findImport(shop, id);
+  const form = await getRegistrationForm(shop);
+  const rows = readRows(job, form.fields);
+  const invalid = rows.filter(({ errors }) => Object.keys(errors).length);
+
+  return {
+    fields: importableFields(form.fields).map(({ name, label, required }) => ({
+      name,
+      label,
+      required: Boolean(required),
+    })),
+    rows: rows.slice(0, PREVIEW_ROWS),
+    invalid,
+    validCount: rows.length - invalid.length,
+  };
+}
+
+/**
+ * Saves which column each form field is read from. `mapping` maps field
+ * names to column indexes; fields left out are imported empty.
+ */
+export async function saveImportMapping(shop, id, mapping) {
+  const job = await findImport(shop, id);
+  if (job.status !== IMPORT_STATUS.DRAFT) {
+    throw new ImportError("The import has already started");
+  }
+
+  const form = await getRegistrationForm(shop);
+  const clean = {};
+  for (const field of importableFields(form.fields)) {
+    const column = Number(mapping[field.name]);
+    if (mapping[field.name] === undefined || mapping[field.name] === "") continue;
+    if (!Number.isInteger(column) || column < 0 || column >= job.headers.length) {
+      throw new ImportError(`Unknown column for ${field.label}`);
+    }
+    clean[field.name] = column;
+  }
+
+  for (const required of REQUIRED_MAPPINGS) {
+    const field = form.fields.find(({ mapping }) => mapping === required);
+    if (field && clean[field.name] === undefined) {
+      const { label } = FIELD_MAPPINGS.find(({ value }) => value === required);
+      throw new ImportError(`Choose the column for ${label.toLowerCase()}`);
+    }
+  }
+
+  await db.importJob.update({
+    where: { id: job.id },
+    data: { mapping: JSON.stringify(clean) },
+  });
+}
+
+// Imports one row through an application and records the outcome.
+async function importRow(admin, job, row) {
+  let application = await createApplication(job.shop, {
+    fields: JSON.parse(row.fields),
+    registration: JSON.parse(row.registration),
+    idempotencyKey: `import:${row.id}`,
+    note: `Imported from ${job.fileName}, line ${row.line}`,
+  });
+
+  let result = null;
+  if (OPEN_STATUSES.includes(application.status)) {
+    ({ application, result } = await approveApplication(admin, job.shop, application.id));
+  }
+
+  let status = IMPORT_ROW_STATUS.SUCCEEDED;
+  let errors = null;
+
+  if (application.status === APPLICATION_STATUS.APPROVED) {
+    const failed = failedStepNames(application);
+    if (failed.length) {
+      status = IMPORT_ROW_STATUS.INCOMPLETE;
+      errors = [{ message: `Steps failed: ${failed.join(", ")}` }];
+    }
+  } else {
+    status = IMPORT_ROW_STATUS.FAILED;
+    errors =
+      application.status === APPLICATION_STATUS.REJECTED
+        ? [{ message: "The application was rejected" }]
+        : [{ message: result?.error || "Registration failed" }, ...(result?.details || [])];
+  }
+
+  await db.importRow.update({
+    where: { id: row.id },
+    data: {
+      status,
+      errors: errors ? JSON.stringify(errors) : null,
+      applicationId: application.id,
+      companyId: application.companyId,
+      customerId: application.customerId,
+    },
+  });
+}
+
+async function runImport(jobId) {
+  if (activeImports.has(jobId)) return;
+  activeImports.add(jobId);
+
+  try {
+    const job = await db.importJob.findUnique({ where: { id: jobId } });
+    const admin = await getOfflineAdmin(job.shop);
+
+    for (;;) {
+      const row = await db.importRow.findFirst({
+        where: { jobId, status: IMPORT_ROW_STATUS.PENDING },
+        orderBy: { line: "asc" },
+      });
+      if (!row) break;
+
+      await importRow(admin, job, row);
+    }
+
+    await db.importJob.update({
+      where: { id: jobId },
+      data: { status: IMPORT_STATUS.COMPLETED, finishedAt: new Date(), error: null },
+    });
+  } catch (error) {
+    console.error(`Import ${jobId} stopped:`, error);
+    await db.importJob.update({
+      where: { id: jobId },
+      data: { status: IMPORT_STATUS.FAILED, error: error.message },
+    });
+  } finally {
+    activeImports.delete(jobId);
+  }
+}
+
+// Not awaited: the job outlives the request. runImport records its own
+// failure; this only catches one that could not be recorded.
+function runInBackground(jobId) {
+  runImport(jobId).catch((error) => {
+    console.error(`Import ${jobId} could not be marked as failed:`, error);
+  });
+}
+
+/**
+ * Marks the imports an earlier app process left running as failed, so
+ * staff can resume them: only the process that started a job works on it.
+ * Never throws.
+ */
+export async function failInterruptedImports() {
+  try {
+    const { count } = await db.importJob.updateMany({
+      where: { status: IMPORT_STATUS.RUNNING, id: { notIn: [...activeImports] } },
+      data: {
+        status: IMPORT_STATUS.FAILED,
+        error: "The app restarted while the import was running",
+      },
+    });
+    if (count) console.warn(`Marked ${count} interrupted import(s) as failed`);
+  } catch (error) {
+    console.error("Could not mark interrupted imports as failed:", error);
+  }
+}
+
+/**
+ * Validates every row of a draft import once more, stores the outcome per
+ * row and starts importing the valid ones in the background.
+ */
+export async function startImport(shop, id) {
+  const job = await findImport(shop, id);
+  if (job.status !== IMPORT_STATUS.DRAFT) {
+    throw new ImportError("The import has already started");
+  }
+
+  const form = await getRegistrationForm(shop);
+  const rows = readRows(job, form.fields);
+  if (!rows.some(({ errors }) => !Object.keys(errors).length)) {
+    throw new ImportError("No row is valid; fix the file or the column mapping");
+  }
+
+  await db.$transaction([
+    db.importRow.createMany({
+      data: rows.map(({ line, values, errors }) => {
+        const valid = !Object.keys(errors).length;
+        return {
+          jobId: job.id,
+          line,
+          status: valid ? IMPORT_ROW_STATUS.PENDING : IMPORT_ROW_STATUS.INVALID,
+          fields: JSON.stringify(values),
+          registration: JSON.stringify(resolveRegistration(form.fields, values)),
+          errors: valid
+            ? null
+            : JSON.stringify(
+                Object.entries(errors).map(([field, message]) => ({ field, message })),
+              ),
+        };
+      }),
+    }),
+    db.importJob.update({
+      where: { id: job.id },
+      data: { status: IMPORT_STATUS.RUNNING, startedAt: new Date() },
+    }),
+  ]);
+
+  runInBackground(job.id);
+}
+
+/**
+ * Continues an import that stopped before all its rows were processed.
+ */
+export async function resumeImport(shop, id) {
+  const job = await getImport(shop, id);
+  if (job.status !== IMPORT_STATUS.FAILED && !job.interrupted) {
+    throw new ImportError("The import is not stopped");
+  }
+
+  await db.importJob.update({
+    where: { id: job.id },
+    data: { status: IMPORT_STATUS.RUNNING, error: null },
+  });
+
+  runInBackground(job.id);
+}
+
+/**
+ * Rows of an import in file order, for showing progress and outcomes.
+ */
+export async function listImportRows(shop, id) {
+  const job = await findImport(shop, id);
+  const rows = await db.importRow.findMany({
+    where: { jobId: job.id },
+    orderBy: { line: "asc" },
+  });
+
+  return rows.map((row) => {
+    const { values } = JSON.parse(row.registration);
+    return {
+      ...row,
+      fields: JSON.parse(row.fields),
+      errors: row.errors ? JSON.parse(row.errors) : [],
+      companyName: values.companyName || "",
+      userEmail: values.userEmail || "",
+      companyEmail: values.companyEmail || "",
+    };
+  });
+}
+
+/**
+ * The outcome of every row as CSV, to download once the import is done.
+ */
+export async function importReport(shop, id) {
+  const rows = await listImportRows(shop, id);
+
+  return toCsv([
+    [
+      "Row",
+      "Status",
+      "Company name",
+      "User email",
+      "Company email",
+      "Company ID",
+      "Customer ID",
+      "Application ID",
+      "Errors",
+    ],
+    ...rows.map((row) => [
+      row.line,
+      row.status,
+      row.companyName,
+      row.userEmail,
+      row.companyEmail,
+      row.companyId,
+      row.customerId,
+      row.applicationId,
+      row.errors.map(({ message }) => message).join("; "),
+    ]),
+  ]);
+}
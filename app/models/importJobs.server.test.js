@@ -0,0 +1,70 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+vi.mock("../db.server", () => ({
+  default: {
+    importJob: { findFirst: vi.fn(), findUnique: vi.fn(), update: vi.fn(), updateMany: vi.fn() },
+    importRow: { groupBy: vi.fn() },
+  },
+}));
+
+vi.mock("./adminApi.server", () => ({ getOfflineAdmin: vi.fn() }));
+vi.mock("./registrationForm.server", () => ({}));
+vi.mock("./wholesaleApplication.server", () => ({}));
+
+const { default: db } = await import("../db.server");
+const { failInterruptedImports, resumeImport } = await import("./importJobs.server");
+
+const SHOP = "wholesale-test.myshopify.com";
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  vi.spyOn(console, "error").mockImplementation(() => {});
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+describe("failInterruptedImports", () => {
+  it("marks the imports an earlier process left running as failed", async () => {
+    db.importJob.updateMany.mockResolvedValue({ count: 2 });
+
+    await failInterruptedImports();
+
+    expect(db.importJob.updateMany).toHaveBeenCalledWith({
+      where: { status: "RUNNING", id: { notIn: [] } },
+      data: { status: "FAILED", error: "The app restarted while the import was running" },
+    });
+  });
+
+  it("does not throw when the jobs cannot be updated", async () => {
+    db.importJob.updateMany.mockRejectedValue(new Error("database is locked"));
+
+    await expect(failInterruptedImports()).resolves.toBeUndefined();
+    expect(console.error).toHaveBeenCalled();
+  });
+});
+
+describe("resumeImport", () => {
+  it("logs a job that stopped and could not be marked as failed", async () => {
+    db.importJob.findFirst.mockResolvedValue({
+      id: "job-1",
+      shop: SHOP,
+      status: "FAILED",
+      headers: "[]",
+      data: "[]",
+      mapping: null,
+    });
+    db.importRow.groupBy.mockResolvedValue([]);
+    db.importJob.findUnique.mockRejectedValue(new Error("database is locked"));
+    db.importJob.update
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(new Error("database is locked"));
+
+    await resumeImport(SHOP, "job-1");
+
+    await vi.waitFor(() =>
+      expect(console.error).toHaveBeenCalledWith(
+        "Import job-1 could not be marked as failed:",
+        expect.any(Error),
+      ),
+    );
+  });
+});
@@ -0,0 +1,19 @@
+export const IMPORT_STATUS = {
+  // Uploaded; columns are being mapped and the rows previewed.
+  DRAFT: "DRAFT",
+  RUNNING: "RUNNING",
+  COMPLETED: "COMPLETED",
+  // The job stopped on an unexpected error and can be resumed.
+  FAILED: "FAILED",
+};
+
+export const IMPORT_ROW_STATUS = {
+  // Failed validation in the preview and was not imported.
+  INVALID: "INVALID",
+  PENDING: "PENDING",
+  SUCCEEDED: "SUCCEEDED",
+  // The account was created but some steps failed; they can be retried
+  // from the row's application.
+  INCOMPLETE: "INCOMPLETE",
+  FAILED: "FAILED",
+};
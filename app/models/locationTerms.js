@@ -0,0 +1,65 @@
+// The catalog and buying terms new company locations get when a
+// registration is approved.
+
+// Days until payment is due; 0 means buyers pay at checkout.
+export const PAYMENT_TERMS_OPTIONS = [
+  { label: "Pay at checkout", value: "0" },
+  { label: "Net 15", value: "15" },
+  { label: "Net 30", value: "30" },
+  { label: "Net 60", value: "60" },
+];
+
+export const DEFAULT_LOCATION_TERMS = {
+  catalogId: "",
+  paymentTermsDays: 0,
+  checkoutToDraft: false,
+  depositPercentage: 0,
+};
+
+/** Whether `terms` change anything in the location's checkout. */
+export function hasBuyingTerms(terms) {
+  return Boolean(
+    terms.paymentTermsDays || terms.checkoutToDraft || terms.depositPercentage,
+  );
+}
+
+/**
+ * Error messages by field for terms entered in the admin, e.g. a deposit
+ * without payment terms to collect the rest.
+ */
+export function validateLocationTerms(terms) {
+  const errors = {};
+
+  if (
+    !PAYMENT_TERMS_OPTIONS.some(
+      ({ value }) => Number(value) === terms.paymentTermsDays,
+    )
+  ) {
+    errors.paymentTermsDays = "Choose payment terms";
+  }
+
+  const deposit = terms.depositPercentage;
+  if (!Number.isInteger(deposit) || deposit < 0 || deposit > 99) {
+    errors.depositPercentage = "Enter a whole percentage from 0 to 99";
+  } else if (deposit && !terms.paymentTermsDays) {
+    errors.depositPercentage =
+      "A deposit needs payment terms for the rest of the order";
+  }
+
+  return errors;
+}
+
+/** Terms from form values, which arrive as strings. */
+export function parseLocationTerms({
+  catalogId,
+  paymentTermsDays,
+  checkoutToDraft,
+  depositPercentage,
+}) {
+  return {
+    catalogId: (catalogId || "").trim(),
+    paymentTermsDays: Number(paymentTermsDays || 0),
+    checkoutToDraft: checkoutToDraft === true || checkoutToDraft === "true",
+    depositPercentage: Number(depositPercentage || 0),
+  };
+}
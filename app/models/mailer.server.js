@@ -0,0 +1,136 @@
+import { mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import nodemailer from "nodemailer";
+
+// Outgoing mail goes through one transport, chosen with MAIL_TRANSPORT:
+//
+//   smtp     sends through the relay in SMTP_HOST, SMTP_PORT (587),
+//            SMTP_SECURE ("true" for implicit TLS), SMTP_USER and SMTP_PASS.
+//            With credentials, a relay that does not offer STARTTLS is
+//            refused rather than sent the password in the clear.
+//   capture  keeps messages in memory and logs them, and also writes them as
+//            .eml files to MAIL_CAPTURE_DIR when set. For development and
+//            tests; nothing leaves the machine.
+//
+// Without MAIL_TRANSPORT, smtp is used when SMTP_HOST is set. Otherwise
+// capture is used outside production; in production every message fails,
+// so applicants' emails are neither logged nor recorded as sent. MAIL_FROM
+// is the sender address.
+
+const CAPTURE_LIMIT = 100;
+const captured = [];
+
+// Builds the raw message without sending it, for the .eml files.
+const emlWriter = nodemailer.createTransport({
+  streamTransport: true,
+  buffer: true,
+  newline: "crlf",
+});
+
+const captureTransport = {
+  name: "capture",
+  async send(message) {
+    const messageId = `<capture.${Date.now()}.${captured.length}@localhost>`;
+    captured.push({ ...message, messageId, sentAt: new Date() });
+    if (captured.length > CAPTURE_LIMIT) captured.shift();
+
+    console.log(
+      `Captured email to ${message.to.join(", ")}: ${message.subject}\n${message.text}`,
+    );
+
+    const directory = process.env.MAIL_CAPTURE_DIR;
+    if (directory) {
+      await mkdir(directory, { recursive: true });
+      const { message: eml } = await emlWriter.sendMail({ ...message, messageId });
+      await writeFile(path.join(directory, `${Date.now()}-${captured.length}.eml`), eml);
+    }
+
+    return { messageId };
+  },
+};
+
+/**
+ * Options for nodemailer's SMTP transport from the SMTP_* variables. Without
+ * implicit TLS, credentials are only sent after STARTTLS succeeded.
+ */
+export function smtpOptions(env = process.env) {
+  const secure = env.SMTP_SECURE === "true";
+  const auth = env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS || "" } : undefined;
+
+  return {
+    host: env.SMTP_HOST,
+    port: Number(env.SMTP_PORT) || 587,
+    secure,
+    requireTLS: Boolean(auth) && !secure,
+    auth,
+    connectionTimeout: 30000,
+    greetingTimeout: 30000,
+    socketTimeout: 30000,
+  };
+}
+
+// One connection per message, as notifications are few.
+const smtpTransport = {
+  name: "smtp",
+  async send(message) {
+    const { messageId, response } = await nodemailer
+      .createTransport(smtpOptions())
+      .sendMail(message);
+
+    return { messageId, response };
+  },
+};
+
+// Production without SMTP_HOST or MAIL_TRANSPORT.
+const unconfiguredTransport = {
+  name: "unconfigured",
+  async send() {
+    throw new Error("No mail transport is configured: set SMTP_HOST or MAIL_TRANSPORT");
+  },
+};
+
+const TRANSPORTS = {
+  capture: captureTransport,
+  smtp: smtpTransport,
+  unconfigured: unconfiguredTransport,
+};
+
+let warnedUnconfigured = false;
+
+function defaultTransportName(env) {
+  if (env.SMTP_HOST) return "smtp";
+  if (env.NODE_ENV !== "production") return "capture";
+
+  if (!warnedUnconfigured) {
+    warnedUnconfigured = true;
+    console.warn("No mail transport is configured; notification emails will fail until SMTP_HOST is set");
+  }
+  return "unconfigured";
+}
+
+/**
+ * The configured transport: `{ name, send(message) }`. `send` takes
+ * `{ from, to, replyTo, subject, text }`, with `to` a list of addresses,
+ * resolves with `{ messageId }` and throws when the message is refused.
+ */
+export function getMailTransport() {
+  const name = process.env.MAIL_TRANSPORT || defaultTransportName(process.env);
+  const transport = TRANSPORTS[name];
+  if (!transport) {
+    throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+  }
+  return transport;
+}
+
+export function mailSender(shop) {
+  return process.env.MAIL_FROM || `no-reply@${shop}`;
+}
+
+/** Messages the capture transport kept, oldest first. */
+export function capturedMessages() {
+  return [...captured];
+}
+
+export function clearCapturedMessages() {
+  captured.length = 0;
+}
@@ -0,0 +1,191 @@
+import { mkdtemp, readdir, readFile, rm } from "node:fs/promises";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  capturedMessages,
+  clearCapturedMessages,
+  getMailTransport,
+  smtpOptions,
+} from "./mailer.server";
+
+const MESSAGE = {
+  from: "no-reply@example.com",
+  to: ["jane@acme.example"],
+  subject: "Your wholesale account is ready",
+  text: "Hi Jane,\n\nWelcome aboard.",
+};
+
+// A relay that speaks plain SMTP and never offers STARTTLS. It records the
+// commands it receives.
+function startRelay() {
+  const commands = [];
+  const sockets = new Set();
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    let buffer = "";
+    let inData = false;
+    socket.write("220 relay.test ESMTP\r\n");
+
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      if (inData) {
+        if (!buffer.includes("\r\n.\r\n")) return;
+        inData = false;
+        buffer = buffer.slice(buffer.indexOf("\r\n.\r\n") + 5);
+        socket.write("250 2.0.0 queued\r\n");
+      }
+
+      let index;
+      while (!inData && (index = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        commands.push(line);
+        const verb = line.split(" ")[0].toUpperCase();
+
+        if (verb === "EHLO") socket.write("250-relay.test\r\n250 AUTH PLAIN LOGIN\r\n");
+        else if (verb === "AUTH") socket.write("235 2.7.0 accepted\r\n");
+        else if (verb === "DATA") {
+          inData = true;
+          socket.write("354 go ahead\r\n");
+        } else if (verb === "STARTTLS") socket.write("502 5.5.1 not implemented\r\n");
+        else if (verb === "QUIT") socket.end("221 bye\r\n");
+        else socket.write("250 ok\r\n");
+      }
+    });
+    socket.on("error", () => {});
+  });
+
+  return new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () =>
+      resolve({
+        commands,
+        port: server.address().port,
+        close: () =>
+          new Promise((closed) => {
+            sockets.forEach((socket) => socket.destroy());
+            server.close(closed);
+          }),
+      }),
+    ),
+  );
+}
+
+describe("capture transport", () => {
+  let directory;
+
+  beforeEach(async () => {
+    clearCapturedMessages();
+    directory = await mkdtemp(path.join(os.tmpdir(), "mail-"));
+    vi.stubEnv("MAIL_TRANSPORT", "capture");
+    vi.stubEnv("MAIL_CAPTURE_DIR", directory);
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    vi.unstubAllEnvs();
+    vi.restoreAllMocks();
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it("keeps the message and writes it as an .eml file", async () => {
+    const { messageId } = await getMailTransport().send(MESSAGE);
+
+    expect(capturedMessages()).toMatchObject([{ ...MESSAGE, messageId }]);
+    const [file] = await readdir(directory);
+    const eml = await readFile(path.join(directory, file), "utf8");
+    expect(eml).toContain("To: jane@acme.example\r\n");
+    expect(eml).toContain(`Message-ID: ${messageId}\r\n`);
+    expect(eml).toContain("Subject: Your wholesale account is ready\r\n");
+  });
+});
+
+describe("transport choice", () => {
+  beforeEach(() => {
+    vi.stubEnv("MAIL_TRANSPORT", "");
+    vi.stubEnv("SMTP_HOST", "");
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    vi.restoreAllMocks();
+  });
+
+  it("captures outside production when no relay is set", () => {
+    vi.stubEnv("NODE_ENV", "development");
+
+    expect(getMailTransport().name).toBe("capture");
+  });
+
+  it("fails every message in production when no transport is set", async () => {
+    vi.stubEnv("NODE_ENV", "production");
+    clearCapturedMessages();
+
+    const transport = getMailTransport();
+
+    expect(transport.name).toBe("unconfigured");
+    await expect(transport.send(MESSAGE)).rejects.toThrow("No mail transport is configured");
+    expect(capturedMessages()).toEqual([]);
+  });
+
+  it("uses the relay when one is set", () => {
+    vi.stubEnv("NODE_ENV", "production");
+    vi.stubEnv("SMTP_HOST", "relay.example");
+
+    expect(getMailTransport().name).toBe("smtp");
+  });
+});
+
+describe("smtp transport", () => {
+  let relay;
+
+  beforeEach(async () => {
+    relay = await startRelay();
+    vi.stubEnv("MAIL_TRANSPORT", "smtp");
+    vi.stubEnv("SMTP_HOST", "127.0.0.1");
+    vi.stubEnv("SMTP_PORT", String(relay.port));
+    vi.stubEnv("SMTP_SECURE", "false");
+    vi.stubEnv("SMTP_USER", "");
+    vi.stubEnv("SMTP_PASS", "");
+  });
+
+  afterEach(async () => {
+    vi.unstubAllEnvs();
+    await relay.close();
+  });
+
+  it("delivers through a relay that needs no login", async () => {
+    const { response } = await getMailTransport().send(MESSAGE);
+
+    expect(response).toContain("queued");
+    expect(relay.commands).toEqual(
+      expect.arrayContaining([
+        "MAIL FROM:<no-reply@example.com>",
+        "RCPT TO:<jane@acme.example>",
+        "DATA",
+      ]),
+    );
+  });
+
+  it("refuses to send credentials without TLS", async () => {
+    vi.stubEnv("SMTP_USER", "mailer");
+    vi.stubEnv("SMTP_PASS", "secret");
+
+    await expect(getMailTransport().send(MESSAGE)).rejects.toThrow();
+    expect(relay.commands.some((line) => /^AUTH/i.test(line))).toBe(false);
+    expect(relay.commands.some((line) => line.startsWith("MAIL FROM"))).toBe(false);
+  });
+
+  it("requires TLS only when there are credentials to protect", () => {
+    expect(smtpOptions({ SMTP_HOST: "relay" })).toMatchObject({ requireTLS: false, auth: undefined });
+    expect(smtpOptions({ SMTP_HOST: "relay", SMTP_USER: "u", SMTP_PASS: "p" })).toMatchObject({
+      requireTLS: true,
+      auth: { user: "u", pass: "p" },
+    });
+    expect(
+      smtpOptions({ SMTP_HOST: "relay", SMTP_SECURE: "true", SMTP_USER: "u" }),
+    ).toMatchObject({ secure: true, requireTLS: false });
+  });
+});
@@ -0,0 +1,116 @@
+import {
+  createMetafieldDefinition,
+  listMetafieldDefinitions,
+} from "./adminResources.server";
+import {
+  APP_METAFIELD_DEFINITIONS,
+  APP_NAMESPACE,
+  DEFINITION_STATUS,
+} from "./appMetafields";
+
+// Compares the registry in app/models/appMetafields.js with the definitions
+// a shop has, and creates the missing ones. Definitions that exist with a
+// different type or validations are reported, not changed: the type of a
+// definition with values cannot change, and validations may have been
+// adjusted by staff on purpose.
+
+// Shopify may reformat JSON validation values (e.g. `choices`), so compare
+// parsed values where they are JSON.
+function normalizeValidationValue(value) {
+  try {
+    return JSON.stringify(JSON.parse(value));
+  } catch {
+    return value;
+  }
+}
+
+function validationMap(validations = []) {
+  return Object.fromEntries(
+    validations.map(({ name, value }) => [name, normalizeValidationValue(value)]),
+  );
+}
+
+function differences(definition, existing) {
+  const found = [];
+
+  if (existing.type.name !== definition.type) {
+    found.push(`Type is ${existing.type.name}, expected ${definition.type}`);
+  }
+
+  const expected = validationMap(definition.validations);
+  const actual = validationMap(existing.validations);
+  for (const name of new Set([...Object.keys(expected), ...Object.keys(actual)])) {
+    if (expected[name] === actual[name]) continue;
+    found.push(
+      name in expected
+        ? `Validation ${name} is ${actual[name] ?? "not set"}, expected ${expected[name]}`
+        : `Unexpected validation ${name}`,
+    );
+  }
+
+  return found;
+}
+
+/**
+ * Reports the state of every app-owned definition on the shop:
+ * `{ ownerType, key, name, status, differences }`, with `status` one of
+ * DEFINITION_STATUS.
+ */
+export async function checkMetafieldDefinitions(admin) {
+  const ownerTypes = [
+    ...new Set(APP_METAFIELD_DEFINITIONS.map(({ ownerType }) => ownerType)),
+  ];
+  const existingByOwner = Object.fromEntries(
+    await Promise.all(
+      ownerTypes.map(async (ownerType) => [
+        ownerType,
+        // The API returns app namespaces resolved ("app--<id>--wholesale"),
+        // so match on the key within the namespace filter.
+        await listMetafieldDefinitions(admin, ownerType, {
+          namespace: APP_NAMESPACE,
+        }),
+      ]),
+    ),
+  );
+
+  return APP_METAFIELD_DEFINITIONS.map((definition) => {
+    const existing = existingByOwner[definition.ownerType].find(
+      ({ key }) => key === definition.key,
+    );
+    const found = existing ? differences(definition, existing) : [];
+
+    return {
+      ownerType: definition.ownerType,
+      key: definition.key,
+      name: definition.name,
+      status: !existing
+        ? DEFINITION_STATUS.MISSING
+        : found.length
+          ? DEFINITION_STATUS.DRIFTED
+          : DEFINITION_STATUS.OK,
+      differences: found,
+    };
+  });
+}
+
+/**
+ * Creates the app-owned definitions the shop does not have yet. Returns the
+ * report from `checkMetafieldDefinitions` as it was before creating them,
+ * plus the keys that were created.
+ */
+export async function ensureMetafieldDefinitions(admin) {
+  const report = await checkMetafieldDefinitions(admin);
+  const created = [];
+
+  for (const entry of report) {
+    if (entry.status !== DEFINITION_STATUS.MISSING) continue;
+
+    const definition = APP_METAFIELD_DEFINITIONS.find(
+      ({ ownerType, key }) => ownerType === entry.ownerType && key === entry.key,
+    );
+    await createMetafieldDefinition(admin, definition);
+    created.push(`${entry.ownerType}.${entry.key}`);
+  }
+
+  return { report, created };
+}
@@ -0,0 +1,220 @@
+import db from "../db.server";
+import { getShopDetails } from "./adminResources.server";
+import {
+  DEFAULT_EMAIL_TEMPLATES,
+  DELIVERY_STATUS,
+  EMAIL_EVENT,
+  EMAIL_PATTERN,
+  EMAIL_RECIPIENT,
+  SAMPLE_VARIABLES,
+  renderTemplate,
+} from "./emailTemplates";
+import { getMailTransport, mailSender } from "./mailer.server";
+import { getShopSettings, notificationEmails } from "./shopSettings.server";
+import { formatExpiryDate } from "./taxExemptions";
+
+// Emails about applications, to the applicant and to the shop's staff
+// notification addresses. Every message is recorded as an EmailDelivery on
+// the application, including ones the transport refused; a failed email
+// never fails the action that triggered it.
+
+export class NotificationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "NotificationError";
+  }
+}
+
+function findDefault(event, recipient) {
+  return DEFAULT_EMAIL_TEMPLATES.find(
+    (template) => template.event === event && template.recipient === recipient,
+  );
+}
+
+/**
+ * Every notification template of the shop: its own wording where it saved
+ * one, the default otherwise (`isDefault`).
+ */
+export async function getEmailTemplates(shop) {
+  const saved = await db.emailTemplate.findMany({ where: { shop } });
+
+  return DEFAULT_EMAIL_TEMPLATES.map((template) => {
+    const custom = saved.find(
+      ({ event, recipient }) =>
+        event === template.event && recipient === template.recipient,
+    );
+    return custom
+      ? {
+          event: custom.event,
+          recipient: custom.recipient,
+          enabled: custom.enabled,
+          subject: custom.subject,
+          body: custom.body,
+          isDefault: false,
+        }
+      : { ...template, isDefault: true };
+  });
+}
+
+export async function saveEmailTemplate(shop, { event, recipient, enabled, subject, body }) {
+  if (!findDefault(event, recipient)) {
+    throw new NotificationError(`Unknown email template: ${event} ${recipient}`);
+  }
+  if (!subject?.trim() || !body?.trim()) {
+    throw new NotificationError("Enter a subject and a message");
+  }
+
+  const data = { enabled: Boolean(enabled), subject: subject.trim(), body: body.trim() };
+  await db.emailTemplate.upsert({
+    where: { shop_event_recipient: { shop, event, recipient } },
+    create: { shop, event, recipient, ...data },
+    update: data,
+  });
+}
+
+export async function resetEmailTemplate(shop, { event, recipient }) {
+  await db.emailTemplate.deleteMany({ where: { shop, event, recipient } });
+}
+
+async function shopName(admin, shop) {
+  try {
+    return (await getShopDetails(admin)).name;
+  } catch (error) {
+    console.error("Could not load the shop name for an email:", error);
+    return shop;
+  }
+}
+
+function applicationVariables(application, name) {
+  return {
+    shopName: name,
+    storeUrl: `https://${application.shop}`,
+    companyName: application.companyName,
+    firstName: application.firstName,
+    lastName: application.lastName,
+    userEmail: application.userEmail,
+    companyEmail: application.companyEmail,
+    rejectionReason: application.rejectionReason,
+    infoRequest: application.infoRequest,
+    certificateExpiresOn: formatExpiryDate(application.certificateExpiresOn),
+    applicationUrl: `https://${application.shop}/admin/apps/${process.env.SHOPIFY_API_KEY}/app/applications/${application.id}`,
+  };
+}
+
+async function deliver(transport, application, template, message) {
+  const delivery = {
+    applicationId: application.id,
+    event: template.event,
+    recipient: template.recipient,
+    to: message.to.join(", "),
+    subject: message.subject,
+    transport: transport.name,
+  };
+
+  try {
+    const { messageId } = await transport.send({
+      from: mailSender(application.shop),
+      ...message,
+    });
+    await db.emailDelivery.create({
+      data: { ...delivery, status: DELIVERY_STATUS.SENT, messageId },
+    });
+    return true;
+  } catch (error) {
+    console.error(`Could not send the ${template.event} email:`, error);
+    await db.emailDelivery.create({
+      data: { ...delivery, status: DELIVERY_STATUS.FAILED, error: error.message },
+    });
+    return false;
+  }
+}
+
+/**
+ * Sends the enabled templates for `event` about `application`: to the
+ * applicant's email and to the staff notification addresses. Never throws;
+ * resolves with how many messages were `sent` and how many `failed`, an
+ * error before sending counting as one failure.
+ *
+ * A submission is only announced once, however often the storefront retries
+ * it with the same idempotency key.
+ */
+export async function notifyApplicationEvent(admin, application, event) {
+  const outcome = { sent: 0, failed: 0 };
+
+  try {
+    if (
+      event === EMAIL_EVENT.SUBMITTED &&
+      (await db.emailDelivery.count({
+        where: { applicationId: application.id, event },
+      }))
+    ) {
+      return outcome;
+    }
+
+    const templates = (await getEmailTemplates(application.shop)).filter(
+      (template) => template.event === event && template.enabled,
+    );
+    if (!templates.length) return outcome;
+
+    const transport = getMailTransport();
+    const staff = notificationEmails(await getShopSettings(application.shop));
+    const variables = applicationVariables(
+      application,
+      await shopName(admin, application.shop),
+    );
+
+    for (const template of templates) {
+      const applicant = template.recipient === EMAIL_RECIPIENT.APPLICANT;
+      const to = applicant ? [application.userEmail] : staff;
+      if (!to.length) continue;
+
+      const delivered = await deliver(transport, application, template, {
+        to,
+        // Applicants answer to the staff rather than the sender address.
+        replyTo: applicant ? staff[0] : undefined,
+        subject: renderTemplate(template.subject, variables),
+        text: renderTemplate(template.body, variables),
+      });
+      outcome[delivered ? "sent" : "failed"] += 1;
+    }
+    return outcome;
+  } catch (error) {
+    console.error(`Could not send ${event} notifications:`, error);
+    return { ...outcome, failed: outcome.failed + 1 };
+  }
+}
+
+/**
+ * Sends a template filled with sample values to `to`, so staff can check
+ * wording and delivery. Throws NotificationError when sending fails.
+ */
+export async function sendTestEmail(admin, shop, { event, recipient, to }) {
+  const address = (to || "").trim();
+  if (!EMAIL_PATTERN.test(address)) {
+    throw new NotificationError("Enter a valid email address");
+  }
+
+  const template = (await getEmailTemplates(shop)).find(
+    (candidate) => candidate.event === event && candidate.recipient === recipient,
+  );
+  if (!template) {
+    throw new NotificationError(`Unknown email template: ${event} ${recipient}`);
+  }
+
+  const variables = { ...SAMPLE_VARIABLES, shopName: await shopName(admin, shop) };
+  try {
+    await getMailTransport().send({
+      from: mailSender(shop),
+      to: [address],
+      subject: `[Test] ${renderTemplate(template.subject, variables)}`,
+      text: renderTemplate(template.body, variables),
+    });
+  } catch (error) {
+    throw new NotificationError(`The test email could not be sent: ${error.message}`);
+  }
+}
+
+/** Which transport sends email and from which address, for the admin. */
+export function mailSettings(shop) {
+  return { transport: getMailTransport().name, from: mailSender(shop) };
+}
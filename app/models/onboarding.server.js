@@ -0,0 +1,200 @@
+import db from "../db.server";
+import { AdminApiError } from "./adminApi.server";
+import { checkCompaniesAccess, getShopDetails } from "./adminResources.server";
+import { DEFINITION_STATUS } from "./appMetafields";
+import { parseEmailList } from "./emailTemplates";
+import { ensureMetafieldDefinitions } from "./metafieldDefinitions.server";
+import {
+  RegistrationPageError,
+  linkRegistrationPage,
+  setUpRegistrationPage,
+} from "./registrationPage.server";
+import { SETUP_STATUS } from "./setupStatus";
+import {
+  getShopSettings,
+  notificationEmails,
+  updateShopSettings,
+} from "./shopSettings.server";
+
+// Onboarding checklist. Every step writes to the shop only when staff run
+// it, checks what already exists first, and can be run again at any time;
+// its last outcome is stored in SetupStep.
+
+export class SetupError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SetupError";
+  }
+}
+
+// Creates missing definitions and fails the step when existing ones have
+// drifted from the registry, so staff see what to look at.
+async function setUpMetafieldDefinitions(admin) {
+  const { report } = await ensureMetafieldDefinitions(admin);
+  const drifted = report.filter(
+    ({ status }) => status === DEFINITION_STATUS.DRIFTED,
+  );
+
+  if (drifted.length) {
+    throw new SetupError(
+      `These metafield definitions differ from what the app expects: ${drifted
+        .map(({ name, differences }) => `${name} (${differences.join("; ")})`)
+        .join(", ")}`,
+    );
+  }
+}
+
+async function checkB2bAvailability(admin) {
+  const { plan } = await getShopDetails(admin);
+
+  if (!plan.shopifyPlus && !plan.partnerDevelopment) {
+    throw new SetupError(
+      `B2B companies need Shopify Plus; this store is on ${plan.displayName}`,
+    );
+  }
+
+  await checkCompaniesAccess(admin);
+}
+
+// Defaults the staff notification addresses to the store's contact email.
+async function setUpNotificationEmails(admin, shop) {
+  const settings = await getShopSettings(shop);
+  if (notificationEmails(settings).length) return;
+
+  const { contactEmail } = await getShopDetails(admin);
+  if (!contactEmail) {
+    throw new SetupError("The store has no contact email; enter an address");
+  }
+  await updateShopSettings(shop, {
+    notificationEmails: JSON.stringify([contactEmail.toLowerCase()]),
+  });
+}
+
+export const SETUP_STEPS = [
+  {
+    name: "metafieldDefinitions",
+    title: "Metafield definitions",
+    description:
+      "Creates the app's company, location and customer metafield definitions and checks existing ones for changes.",
+    run: (admin) => setUpMetafieldDefinitions(admin),
+  },
+  {
+    name: "b2bAvailability",
+    title: "B2B availability",
+    description:
+      "Checks that the store can use B2B companies, which approved applications create.",
+    run: (admin) => checkB2bAvailability(admin),
+  },
+  {
+    name: "registrationPage",
+    title: "Registration page",
+    description: "Creates the storefront page for the registration form.",
+    run: (admin, shop) => setUpRegistrationPage(admin, shop),
+  },
+  {
+    name: "menuLink",
+    title: "Menu link",
+    description: "Links the registration page from the storefront navigation.",
+    run: (admin, shop) => linkRegistrationPage(admin, shop),
+  },
+  {
+    name: "notificationEmail",
+    title: "Email settings",
+    description: "Sets the staff addresses that are notified about new applications.",
+    run: (admin, shop) => setUpNotificationEmails(admin, shop),
+  },
+];
+
+async function recordStep(shop, name, status, error = null) {
+  await db.setupStep.upsert({
+    where: { shop_name: { shop, name } },
+    create: { shop, name, status, error },
+    update: { status, error },
+  });
+}
+
+/**
+ * The checklist with each step's last outcome. Only reads the app database.
+ */
+export async function getSetupChecklist(shop) {
+  const [records, settings] = await Promise.all([
+    db.setupStep.findMany({ where: { shop } }),
+    getShopSettings(shop),
+  ]);
+
+  const steps = SETUP_STEPS.map(({ name, title, description }) => {
+    const record = records.find((step) => step.name === name);
+    return {
+      name,
+      title,
+      description,
+      status: record?.status || SETUP_STATUS.PENDING,
+      error: record?.error || null,
+      updatedAt: record?.updatedAt || null,
+    };
+  });
+
+  return {
+    steps,
+    complete: steps.every(({ status }) => status === SETUP_STATUS.COMPLETE),
+    notificationEmails: notificationEmails(settings),
+  };
+}
+
+/**
+ * Runs one step and records its outcome. Expected failures (Admin API
+ * errors, missing prerequisites) are recorded on the step, not thrown.
+ */
+export async function runSetupStep(admin, shop, name) {
+  const step = SETUP_STEPS.find((candidate) => candidate.name === name);
+  if (!step) {
+    throw new SetupError(`Unknown setup step: ${name}`);
+  }
+
+  try {
+    await step.run(admin, shop);
+    await recordStep(shop, name, SETUP_STATUS.COMPLETE);
+    return true;
+  } catch (error) {
+    if (
+      !(error instanceof AdminApiError) &&
+      !(error instanceof RegistrationPageError) &&
+      !(error instanceof SetupError)
+    ) {
+      throw error;
+    }
+    console.error(`Setup step ${name} failed:`, error);
+    await recordStep(shop, name, SETUP_STATUS.FAILED, error.message);
+    return false;
+  }
+}
+
+/**
+ * Runs every step in order. Returns whether all of them succeeded.
+ */
+export async function runSetup(admin, shop) {
+  let succeeded = true;
+
+  for (const { name } of SETUP_STEPS) {
+    succeeded = (await runSetupStep(admin, shop, name)) && succeeded;
+  }
+
+  return succeeded;
+}
+
+/**
+ * Stores the staff notification addresses from a comma or line separated
+ * list.
+ */
+export async function saveNotificationEmails(shop, value) {
+  const { emails, invalid } = parseEmailList(value);
+  if (invalid.length) {
+    throw new SetupError(`Not a valid email address: ${invalid.join(", ")}`);
+  }
+  if (!emails.length) {
+    throw new SetupError("Enter at least one email address");
+  }
+
+  await updateShopSettings(shop, { notificationEmails: JSON.stringify(emails) });
+  await recordStep(shop, "notificationEmail", SETUP_STATUS.COMPLETE);
+}
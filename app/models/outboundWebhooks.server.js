@@ -0,0 +1,464 @@
+import { createHmac, randomBytes, randomUUID } from "node:crypto";
+import { lookup } from "node:dns/promises";
+import { isIP } from "node:net";
+import { Agent, fetch } from "undici";
+import db from "../db.server";
+import {
+  TEST_EVENT,
+  WEBHOOK_DELIVERY_STATUS,
+  WEBHOOK_EVENT,
+  WEBHOOK_HEADERS,
+} from "./webhookEvents";
+
+// Webhooks the app sends to the merchant's own systems. Queuing an event
+// stores one delivery per subscribed endpoint; a timer in the app process
+// sends the due ones and retries failures with backoff. Deliveries are
+// claimed before they are sent, so overlapping workers (dev reloads, a
+// second instance) do not send one twice.
+//
+// Endpoints must be public hosts: the app's own network (loopback, private
+// and link-local addresses) is off limits, both when an endpoint is saved
+// and, for names resolving there, when it is called.
+
+export class WebhookError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "WebhookError";
+  }
+}
+
+const REQUEST_TIMEOUT = 10 * 1000;
+// Wait before the next attempt, by the number of attempts made so far. A
+// delivery that still fails after the last one is given up.
+const RETRY_DELAYS = [1, 5, 30, 120, 360, 720].map((minutes) => minutes * 60 * 1000);
+const MAX_ATTEMPTS = RETRY_DELAYS.length + 1;
+const CLAIM_LEASE = REQUEST_TIMEOUT * 3;
+const BATCH_SIZE = 20;
+const DELIVERY_LOG_SIZE = 50;
+
+function deserialize(endpoint) {
+  return { ...endpoint, events: JSON.parse(endpoint.events) };
+}
+
+function ipv4Private(address) {
+  const [a, b, c] = address.split(".").map(Number);
+  return (
+    a === 0 ||
+    a === 10 ||
+    a === 127 ||
+    (a === 100 && b >= 64 && b <= 127) ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 0 && c === 0) ||
+    (a === 192 && b === 168) ||
+    (a === 198 && (b === 18 || b === 19)) ||
+    // Multicast and reserved.
+    a >= 224
+  );
+}
+
+// The eight 16-bit groups of an IPv6 address, however it is written.
+function ipv6Groups(address) {
+  const canonical = new URL(`http://[${address}]`).hostname.slice(1, -1);
+  const [head, tail] = canonical.split("::").map((part) => (part ? part.split(":") : []));
+  const groups = tail ? [...head, ...Array(8 - head.length - tail.length).fill("0"), ...tail] : head;
+  return groups.map((group) => parseInt(group, 16));
+}
+
+// Whether `host` (a hostname or IP address) is, or is an address on, the
+// app's own machine or network.
+function isPrivateHost(host) {
+  const name = host.replace(/^\[|\]$/g, "").toLowerCase();
+
+  if (name === "localhost" || name.endsWith(".localhost")) return true;
+  if (isIP(name) === 4) return ipv4Private(name);
+  if (isIP(name) === 6) {
+    const groups = ipv6Groups(name);
+    const prefix = groups.slice(0, 6).map((group) => group.toString(16)).join(":");
+    // IPv4-mapped (::ffff:0:0/96) and NAT64 (64:ff9b::/96) addresses reach
+    // the IPv4 address in their last 32 bits.
+    if (prefix === "0:0:0:0:0:ffff" || prefix === "64:ff9b:0:0:0:0") {
+      const [high, low] = groups.slice(6);
+      return ipv4Private(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+    }
+    // The unspecified address (::) and loopback (::1).
+    const local = groups.slice(0, 7).every((group) => group === 0) && groups[7] <= 1;
+    return (
+      local ||
+      (groups[0] & 0xfe00) === 0xfc00 || // unique local
+      (groups[0] & 0xffc0) === 0xfe80 // link-local
+    );
+  }
+  return false;
+}
+
+// The address to call an endpoint at: the one its name resolves to, or
+// null when the URL already has an IP address. Refuses private addresses.
+async function resolveEndpointAddress(url) {
+  const { hostname } = new URL(url);
+  if (isPrivateHost(hostname)) {
+    throw new WebhookError(`${hostname} is a private address`);
+  }
+  if (isIP(hostname.replace(/^\[|\]$/g, ""))) return null;
+
+  const addresses = await lookup(hostname, { all: true });
+  if (addresses.some(({ address }) => isPrivateHost(address))) {
+    throw new WebhookError(`${hostname} resolves to a private address`);
+  }
+  return addresses[0];
+}
+
+// Connects to the checked address instead of resolving the name again, so
+// a DNS answer changed since the check cannot send the request to a private
+// address. TLS still verifies the certificate against the hostname.
+function pinnedAgent({ address, family }) {
+  return new Agent({
+    connect: {
+      lookup: (hostname, options, callback) =>
+        options.all
+          ? callback(null, [{ address, family }])
+          : callback(null, address, family),
+    },
+  });
+}
+
+function readEndpoint({ url, events }) {
+  let parsed;
+  try {
+    parsed = new URL((url || "").trim());
+  } catch {
+    throw new WebhookError("Enter a valid URL");
+  }
+  if (parsed.protocol !== "https:") {
+    throw new WebhookError("The endpoint must use HTTPS");
+  }
+  if (parsed.username || parsed.password) {
+    throw new WebhookError("Put credentials in the endpoint's own checks, not in the URL");
+  }
+  if (isPrivateHost(parsed.hostname)) {
+    throw new WebhookError("The endpoint must be a public address, not one on a local or private network");
+  }
+
+  const known = Object.values(WEBHOOK_EVENT);
+  const subscribed = [...new Set(events || [])].filter((event) => known.includes(event));
+  if (!subscribed.length) {
+    throw new WebhookError("Choose at least one event");
+  }
+
+  return { url: parsed.toString(), events: JSON.stringify(subscribed) };
+}
+
+async function findEndpoint(shop, id) {
+  const endpoint = await db.webhookEndpoint.findFirst({ where: { id, shop } });
+  if (!endpoint) {
+    throw new WebhookError("Webhook endpoint not found");
+  }
+  return endpoint;
+}
+
+export async function listWebhookEndpoints(shop) {
+  const endpoints = await db.webhookEndpoint.findMany({
+    where: { shop },
+    orderBy: { createdAt: "asc" },
+  });
+
+  return endpoints.map(deserialize);
+}
+
+export async function createWebhookEndpoint(shop, { url, events }) {
+  const endpoint = await db.webhookEndpoint.create({
+    data: {
+      shop,
+      ...readEndpoint({ url, events }),
+      secret: `whsec_${randomBytes(24).toString("hex")}`,
+    },
+  });
+
+  return deserialize(endpoint);
+}
+
+export async function updateWebhookEndpoint(shop, id, { url, events, enabled }) {
+  await findEndpoint(shop, id);
+
+  const endpoint = await db.webhookEndpoint.update({
+    where: { id },
+    data: { ...readEndpoint({ url, events }), enabled: Boolean(enabled) },
+  });
+
+  // Deliveries held back while the endpoint was disabled are due again.
+  if (endpoint.enabled) scheduleDeliveries(Date.now());
+
+  return deserialize(endpoint);
+}
+
+export async function deleteWebhookEndpoint(shop, id) {
+  await findEndpoint(shop, id);
+  await db.webhookEndpoint.delete({ where: { id } });
+}
+
+/**
+ * The shop's most recent deliveries, newest first, with their endpoint.
+ */
+export async function listWebhookDeliveries(shop) {
+  return db.webhookDelivery.findMany({
+    where: { endpoint: { shop } },
+    orderBy: { createdAt: "desc" },
+    take: DELIVERY_LOG_SIZE,
+    include: { endpoint: { select: { id: true, url: true } } },
+  });
+}
+
+function sign(secret, timestamp, body) {
+  return createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("base64");
+}
+
+/**
+ * Posts a delivery to its endpoint once and stores the outcome: succeeded on
+ * a 2xx answer, otherwise pending with the next attempt scheduled, or failed
+ * when `retry` is off or the attempts ran out.
+ */
+async function attemptDelivery(delivery, endpoint, { retry = true } = {}) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  let responseStatus = null;
+  let error = null;
+  let agent = null;
+
+  try {
+    const address = await resolveEndpointAddress(endpoint.url);
+    agent = address && pinnedAgent(address);
+    const response = await fetch(endpoint.url, {
+      ...(agent && { dispatcher: agent }),
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "Wholesale-Registration-Webhooks",
+        [WEBHOOK_HEADERS.EVENT]: delivery.event,
+        [WEBHOOK_HEADERS.DELIVERY]: delivery.id,
+        [WEBHOOK_HEADERS.TIMESTAMP]: String(timestamp),
+        [WEBHOOK_HEADERS.SIGNATURE]: sign(endpoint.secret, timestamp, delivery.payload),
+      },
+      body: delivery.payload,
+      redirect: "manual",
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    });
+    responseStatus = response.status;
+    await response.body?.cancel();
+
+    if (!response.ok) {
+      error = `The endpoint answered ${response.status} ${response.statusText}`.trim();
+    }
+  } catch (fetchError) {
+    error =
+      fetchError instanceof WebhookError
+        ? fetchError.message
+        : fetchError.name === "TimeoutError"
+        ? `No answer within ${REQUEST_TIMEOUT / 1000} seconds`
+        : fetchError.cause?.message || fetchError.message;
+  } finally {
+    await agent?.close();
+  }
+
+  const attempts = delivery.attempts + 1;
+  const retrying = Boolean(error) && retry && attempts < MAX_ATTEMPTS;
+  const status = !error
+    ? WEBHOOK_DELIVERY_STATUS.SUCCEEDED
+    : retrying
+      ? WEBHOOK_DELIVERY_STATUS.PENDING
+      : WEBHOOK_DELIVERY_STATUS.FAILED;
+
+  return db.webhookDelivery.update({
+    where: { id: delivery.id },
+    data: {
+      status,
+      attempts,
+      lastAttemptAt: new Date(),
+      nextAttemptAt: retrying
+        ? new Date(Date.now() + RETRY_DELAYS[attempts - 1])
+        : null,
+      responseStatus,
+      error,
+    },
+  });
+}
+
+function dueWhere(now) {
+  return {
+    status: WEBHOOK_DELIVERY_STATUS.PENDING,
+    nextAttemptAt: { lte: now },
+    endpoint: { enabled: true },
+  };
+}
+
+async function claimDueDeliveries() {
+  const now = new Date();
+  const due = await db.webhookDelivery.findMany({
+    where: dueWhere(now),
+    orderBy: { nextAttemptAt: "asc" },
+    take: BATCH_SIZE,
+    include: { endpoint: true },
+  });
+
+  const claimed = [];
+  for (const delivery of due) {
+    const { count } = await db.webhookDelivery.updateMany({
+      where: {
+        id: delivery.id,
+        status: WEBHOOK_DELIVERY_STATUS.PENDING,
+        nextAttemptAt: delivery.nextAttemptAt,
+      },
+      data: { nextAttemptAt: new Date(now.getTime() + CLAIM_LEASE) },
+    });
+    if (count) claimed.push(delivery);
+  }
+
+  return claimed;
+}
+
+let timer = null;
+let timerAt = null;
+let processing = false;
+let runAgain = false;
+
+async function processDueDeliveries() {
+  timer = null;
+  timerAt = null;
+  if (processing) {
+    runAgain = true;
+    return;
+  }
+  processing = true;
+
+  try {
+    for (;;) {
+      const deliveries = await claimDueDeliveries();
+      if (!deliveries.length) break;
+
+      for (const delivery of deliveries) {
+        await attemptDelivery(delivery, delivery.endpoint);
+      }
+    }
+
+    const next = await db.webhookDelivery.findFirst({
+      where: {
+        status: WEBHOOK_DELIVERY_STATUS.PENDING,
+        nextAttemptAt: { not: null },
+        endpoint: { enabled: true },
+      },
+      orderBy: { nextAttemptAt: "asc" },
+    });
+    if (next) scheduleDeliveries(next.nextAttemptAt.getTime());
+  } catch (error) {
+    console.error("Could not process webhook deliveries:", error);
+    scheduleDeliveries(Date.now() + RETRY_DELAYS[0]);
+  } finally {
+    processing = false;
+  }
+
+  if (runAgain) {
+    runAgain = false;
+    scheduleDeliveries(Date.now());
+  }
+}
+
+// Runs the worker at `at` unless it is already due to run earlier.
+function scheduleDeliveries(at) {
+  if (timer && timerAt <= at) return;
+
+  clearTimeout(timer);
+  timerAt = at;
+  timer = setTimeout(processDueDeliveries, Math.max(0, at - Date.now()));
+  // A pending retry should not keep scripts or a stopping server alive.
+  timer.unref?.();
+}
+
+/**
+ * Queues `event` with `data` for every enabled endpoint of the shop that
+ * subscribed to it and sends it right away. Never throws: a webhook that
+ * cannot be queued must not fail the registration that triggered it.
+ */
+export async function queueWebhookEvent(shop, event, data) {
+  try {
+    const endpoints = (
+      await db.webhookEndpoint.findMany({ where: { shop, enabled: true } })
+    ).filter((endpoint) => JSON.parse(endpoint.events).includes(event));
+    if (!endpoints.length) return;
+
+    // Every endpoint receives the same event id, to recognise repeats.
+    const payload = JSON.stringify({
+      id: randomUUID(),
+      event,
+      shop,
+      createdAt: new Date().toISOString(),
+      data,
+    });
+    const nextAttemptAt = new Date();
+
+    await db.webhookDelivery.createMany({
+      data: endpoints.map((endpoint) => ({
+        endpointId: endpoint.id,
+        event,
+        payload,
+        status: WEBHOOK_DELIVERY_STATUS.PENDING,
+        nextAttemptAt,
+      })),
+    });
+    scheduleDeliveries(nextAttemptAt.getTime());
+  } catch (error) {
+    console.error(`Could not queue the ${event} webhook:`, error);
+  }
+}
+
+/**
+ * Sends an example payload to an endpoint once, without retries, and
+ * returns the delivery with the endpoint's answer.
+ */
+export async function sendTestEvent(shop, id) {
+  const endpoint = await findEndpoint(shop, id);
+
+  const delivery = await db.webhookDelivery.create({
+    data: {
+      endpointId: endpoint.id,
+      event: TEST_EVENT,
+      payload: JSON.stringify({
+        id: randomUUID(),
+        event: TEST_EVENT,
+        shop,
+        createdAt: new Date().toISOString(),
+        data: { subscribedEvents: JSON.parse(endpoint.events) },
+      }),
+      status: WEBHOOK_DELIVERY_STATUS.PENDING,
+    },
+  });
+
+  return attemptDelivery(delivery, endpoint, { retry: false });
+}
+
+/**
+ * Sends a failed or still pending delivery again now.
+ */
+export async function redeliverWebhook(shop, id) {
+  const delivery = await db.webhookDelivery.findFirst({
+    where: { id, endpoint: { shop } },
+  });
+  if (!delivery) {
+    throw new WebhookError("Webhook delivery not found");
+  }
+  if (delivery.status === WEBHOOK_DELIVERY_STATUS.SUCCEEDED) {
+    throw new WebhookError("The delivery already succeeded");
+  }
+
+  const nextAttemptAt = new Date();
+  await db.webhookDelivery.update({
+    where: { id },
+    data: { status: WEBHOOK_DELIVERY_STATUS.PENDING, nextAttemptAt },
+  });
+  scheduleDeliveries(nextAttemptAt.getTime());
+}
+
+/**
+ * Starts the delivery worker, picking up retries that came due while the
+ * app was not running.
+ */
+export function startWebhookDeliveries() {
+  scheduleDeliveries(Date.now() + 5000);
+}
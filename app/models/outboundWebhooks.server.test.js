@@ -0,0 +1,136 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+vi.mock("../db.server", () => ({
+  default: {
+    webhookEndpoint: {
+      create: vi.fn(async ({ data }) => ({ id: "endpoint-1", ...data })),
+      findFirst: vi.fn(),
+    },
+    webhookDelivery: {
+      create: vi.fn(async ({ data }) => ({ id: "delivery-1", attempts: 0, ...data })),
+      update: vi.fn(async ({ data }) => data),
+    },
+  },
+}));
+
+vi.mock("node:dns/promises", () => ({ lookup: vi.fn() }));
+
+vi.mock("undici", () => ({
+  Agent: vi.fn(function (options) {
+    this.options = options;
+    this.close = vi.fn();
+  }),
+  fetch: vi.fn(),
+}));
+
+const { default: db } = await import("../db.server");
+const { lookup } = await import("node:dns/promises");
+const { fetch } = await import("undici");
+const { WebhookError, createWebhookEndpoint, sendTestEvent } = await import(
+  "./outboundWebhooks.server"
+);
+const { WEBHOOK_EVENT } = await import("./webhookEvents");
+
+const SHOP = "wholesale-test.myshopify.com";
+const events = [WEBHOOK_EVENT.APPLICATION_SUBMITTED];
+
+describe("createWebhookEndpoint", () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it("accepts a public HTTPS endpoint", async () => {
+    const endpoint = await createWebhookEndpoint(SHOP, {
+      url: "https://hooks.example.com/wholesale",
+      events,
+    });
+
+    expect(endpoint).toMatchObject({ url: "https://hooks.example.com/wholesale", events });
+  });
+
+  it.each([
+    "https://localhost/hook",
+    "https://api.localhost/hook",
+    "https://127.0.0.1/hook",
+    "https://127.8.9.10/hook",
+    "https://0x7f.1/hook",
+    "https://10.1.2.3/hook",
+    "https://172.20.0.1/hook",
+    "https://192.168.1.10/hook",
+    "https://169.254.169.254/latest/meta-data",
+    "https://[::1]/hook",
+    "https://[::ffff:127.0.0.1]/hook",
+    "https://[fd00::1]/hook",
+    "https://[fe80::1]/hook",
+    "https://192.0.0.8/hook",
+    "https://198.18.0.1/hook",
+    "https://224.0.0.1/hook",
+    "https://240.0.0.1/hook",
+    "https://[64:ff9b::7f00:1]/hook",
+    "https://[64:ff9b::10.0.0.1]/hook",
+  ])("rejects %s", async (url) => {
+    await expect(createWebhookEndpoint(SHOP, { url, events })).rejects.toThrow(WebhookError);
+  });
+
+  it("accepts a NAT64 address of a public IPv4 address", async () => {
+    const endpoint = await createWebhookEndpoint(SHOP, {
+      url: "https://[64:ff9b::8.8.8.8]/hook",
+      events,
+    });
+
+    expect(endpoint.url).toBe("https://[64:ff9b::808:808]/hook");
+  });
+
+  it("rejects plain HTTP", async () => {
+    await expect(
+      createWebhookEndpoint(SHOP, { url: "http://hooks.example.com/", events }),
+    ).rejects.toThrow("HTTPS");
+  });
+});
+
+describe("sendTestEvent", () => {
+  const endpoint = {
+    id: "endpoint-1",
+    shop: SHOP,
+    url: "https://hooks.example.com/wholesale",
+    events: JSON.stringify(events),
+    secret: "whsec_test",
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    db.webhookEndpoint.findFirst.mockResolvedValue(endpoint);
+  });
+
+  it("connects to the address the endpoint's name resolved to when it was checked", async () => {
+    lookup.mockResolvedValue([{ address: "93.184.216.34", family: 4 }]);
+    fetch.mockResolvedValue({ ok: true, status: 200, body: null });
+
+    const delivery = await sendTestEvent(SHOP, "endpoint-1");
+
+    expect(delivery.status).toBe("SUCCEEDED");
+    const { dispatcher } = fetch.mock.calls[0][1];
+    const connectLookup = dispatcher.options.connect.lookup;
+    const resolved = vi.fn();
+    connectLookup("hooks.example.com", { all: true }, resolved);
+    connectLookup("hooks.example.com", {}, resolved);
+    expect(resolved.mock.calls).toEqual([
+      [null, [{ address: "93.184.216.34", family: 4 }]],
+      [null, "93.184.216.34", 4],
+    ]);
+    expect(dispatcher.close).toHaveBeenCalled();
+  });
+
+  it("fails without calling an endpoint whose name resolves to a private address", async () => {
+    lookup.mockResolvedValue([
+      { address: "93.184.216.34", family: 4 },
+      { address: "64:ff9b::a9fe:a9fe", family: 6 },
+    ]);
+
+    const delivery = await sendTestEvent(SHOP, "endpoint-1");
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(delivery).toMatchObject({
+      status: "FAILED",
+      error: "hooks.example.com resolves to a private address",
+    });
+  });
+});
@@ -0,0 +1,378 @@
+// Registration form schema shared by the admin form builder, the storefront
+// page and the proxy action.
+
+export const FIELD_TYPES = [
+  { label: "Text", value: "text" },
+  { label: "Email", value: "email" },
+  { label: "Phone", value: "tel" },
+  { label: "Select", value: "select" },
+  { label: "Checkbox", value: "checkbox" },
+  { label: "Date", value: "date" },
+  { label: "File", value: "file" },
+  { label: "Locations (repeatable)", value: "locations" },
+];
+
+export const METAFIELD_OWNER_TYPES = [
+  { label: "Company", value: "COMPANY" },
+  { label: "Company location", value: "COMPANY_LOCATION" },
+  { label: "Customer", value: "CUSTOMER" },
+];
+
+// Where a field's value ends up once the application is approved. The
+// registration pipeline reads mapped values by `key`.
+export const FIELD_MAPPINGS = [
+  { value: "none", label: "Application only", key: null },
+  { value: "customer.firstName", label: "Customer first name", key: "firstName" },
+  { value: "customer.lastName", label: "Customer last name", key: "lastName" },
+  { value: "customer.email", label: "Customer email", key: "userEmail" },
+  { value: "customer.phone", label: "Customer phone", key: "phone" },
+  { value: "company.name", label: "Company name", key: "companyName" },
+  { value: "company.email", label: "Company email", key: "companyEmail" },
+  { value: "location.name", label: "Location name", key: "location" },
+  { value: "location.taxId", label: "Location tax ID", key: "taxId" },
+  { value: "location.address1", label: "Location address line 1", key: "address1" },
+  { value: "location.address2", label: "Location address line 2", key: "address2" },
+  { value: "location.city", label: "Location city", key: "city" },
+  { value: "location.province", label: "Location state/province", key: "state" },
+  { value: "location.country", label: "Location country", key: "country" },
+  { value: "location.zip", label: "Location ZIP code", key: "zip_code" },
+  { value: "billing.separate", label: "Separate billing address (checkbox)", key: "separateBilling" },
+  { value: "billing.address1", label: "Billing address line 1", key: "billingAddress1" },
+  { value: "billing.address2", label: "Billing address line 2", key: "billingAddress2" },
+  { value: "billing.city", label: "Billing city", key: "billingCity" },
+  { value: "billing.province", label: "Billing state/province", key: "billingState" },
+  { value: "billing.country", label: "Billing country", key: "billingCountry" },
+  { value: "billing.zip", label: "Billing ZIP code", key: "billingZip" },
+  { value: "company.locations", label: "Further company locations", key: "additionalLocations" },
+  { value: "tax.certificate", label: "Resale certificate (file)", key: "taxCertificate" },
+  { value: "tax.certificateExpiry", label: "Resale certificate expiry date", key: "certificateExpiresOn" },
+  { value: "metafield", label: "Metafield", key: null },
+];
+
+// What applicants enter for each location of a "locations" field. Its value
+// is a JSON list of objects with these keys, one per location beyond the
+// main one; each becomes a location of the company.
+export const LOCATION_FIELDS = [
+  { name: "name", label: "Location name", type: "text", required: true },
+  { name: "address1", label: "Address line 1", type: "text", required: true },
+  { name: "address2", label: "Address line 2", type: "text" },
+  { name: "city", label: "City", type: "text" },
+  { name: "state", label: "State", type: "text" },
+  { name: "country", label: "Country", type: "text" },
+  { name: "zip", label: "ZIP code", type: "text" },
+  { name: "taxId", label: "Tax ID", type: "text" },
+  { name: "contactFirstName", label: "Contact first name", type: "text" },
+  { name: "contactLastName", label: "Contact last name", type: "text" },
+  { name: "contactEmail", label: "Contact email", type: "email" },
+];
+
+/**
+ * The locations a locations field's value lists, with every key of
+ * LOCATION_FIELDS as a trimmed string. Empty or unreadable values list none.
+ */
+export function readLocations(value) {
+  let locations;
+  try {
+    locations = value ? JSON.parse(value) : [];
+  } catch {
+    locations = [];
+  }
+  if (!Array.isArray(locations)) return [];
+
+  return locations.map((location) =>
+    Object.fromEntries(
+      LOCATION_FIELDS.map(({ name }) => [name, String(location?.[name] ?? "").trim()]),
+    ),
+  );
+}
+
+// A registration cannot be processed without these.
+export const REQUIRED_MAPPINGS = ["customer.email", "company.name"];
+
+export const FIELD_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+
+const NAME_PATTERN = "^[a-zA-Z\\s]+$";
+
+export const DEFAULT_FORM_FIELDS = [
+  {
+    name: "companyName",
+    label: "Company Name",
+    type: "text",
+    required: true,
+    minLength: 2,
+    maxLength: 100,
+    mapping: "company.name",
+  },
+  {
+    name: "firstName",
+    label: "First Name",
+    type: "text",
+    required: true,
+    minLength: 2,
+    maxLength: 50,
+    pattern: NAME_PATTERN,
+    patternMessage: "First name can only contain letters and spaces",
+    mapping: "customer.firstName",
+  },
+  {
+    name: "lastName",
+    label: "Last Name",
+    type: "text",
+    required: true,
+    minLength: 2,
+    maxLength: 50,
+    pattern: NAME_PATTERN,
+    patternMessage: "Last name can only contain letters and spaces",
+    mapping: "customer.lastName",
+  },
+  {
+    name: "location",
+    label: "Location",
+    type: "text",
+    maxLength: 100,
+    mapping: "location.name",
+  },
+  {
+    name: "taxId",
+    label: "Tax ID",
+    type: "text",
+    maxLength: 20,
+    pattern: "^[0-9\\-]+$",
+    patternMessage: "Tax ID can only contain numbers and hyphens",
+    mapping: "location.taxId",
+  },
+  {
+    name: "phone",
+    label: "Phone Number",
+    type: "tel",
+    minLength: 10,
+    maxLength: 15,
+    pattern: "^[0-9\\+\\-\\(\\)\\s]+$",
+    patternMessage: "Phone number can only contain numbers, +, -, (), and spaces",
+    mapping: "customer.phone",
+  },
+  {
+    name: "companyEmail",
+    label: "Company Email",
+    type: "email",
+    required: true,
+    maxLength: 100,
+    mapping: "company.email",
+  },
+  {
+    name: "userEmail",
+    label: "User Email",
+    type: "email",
+    required: true,
+    maxLength: 100,
+    mapping: "customer.email",
+  },
+  {
+    name: "address1",
+    label: "Address Line 1",
+    type: "text",
+    required: true,
+    maxLength: 191,
+    mapping: "location.address1",
+  },
+  {
+    name: "address2",
+    label: "Address Line 2",
+    type: "text",
+    maxLength: 191,
+    mapping: "location.address2",
+  },
+  {
+    name: "country",
+    label: "Country",
+    type: "text",
+    maxLength: 191,
+    mapping: "location.country",
+  },
+  {
+    name: "state",
+    label: "State",
+    type: "text",
+    maxLength: 191,
+    mapping: "location.province",
+  },
+  {
+    name: "city",
+    label: "City",
+    type: "text",
+    maxLength: 191,
+    mapping: "location.city",
+  },
+  {
+    name: "zip_code",
+    label: "ZIP Code",
+    type: "text",
+    maxLength: 191,
+    mapping: "location.zip",
+  },
+  {
+    name: "separateBilling",
+    label: "Use a different billing address",
+    type: "checkbox",
+    mapping: "billing.separate",
+  },
+  {
+    name: "billing_address1",
+    label: "Billing Address Line 1",
+    type: "text",
+    required: true,
+    maxLength: 191,
+    mapping: "billing.address1",
+    showWhenChecked: "separateBilling",
+  },
+  {
+    name: "billing_address2",
+    label: "Billing Address Line 2",
+    type: "text",
+    maxLength: 191,
+    mapping: "billing.address2",
+    showWhenChecked: "separateBilling",
+  },
+  {
+    name: "billing_country",
+    label: "Billing Country",
+    type: "text",
+    maxLength: 191,
+    mapping: "billing.country",
+    showWhenChecked: "separateBilling",
+  },
+  {
+    name: "billing_state",
+    label: "Billing State",
+    type: "text",
+    maxLength: 191,
+    mapping: "billing.province",
+    showWhenChecked: "separateBilling",
+  },
+  {
+    name: "billing_city",
+    label: "Billing City",
+    type: "text",
+    maxLength: 191,
+    mapping: "billing.city",
+    showWhenChecked: "separateBilling",
+  },
+  {
+    name: "billing_zip_code",
+    label: "Billing ZIP Code",
+    type: "text",
+    maxLength: 191,
+    mapping: "billing.zip",
+    showWhenChecked: "separateBilling",
+  },
+  {
+    name: "resaleCertificate",
+    label: "Resale or Tax Exemption Certificate",
+    type: "file",
+    mapping: "tax.certificate",
+  },
+  {
+    name: "certificateExpiry",
+    label: "Certificate Expiry Date",
+    type: "date",
+    mapping: "tax.certificateExpiry",
+  },
+  {
+    name: "additionalLocations",
+    label: "Further locations",
+    type: "locations",
+    mapping: "company.locations",
+  },
+];
+
+/**
+ * Checks a form schema before it is saved. Returns a list of
+ * `{ field, message }` problems; an empty list means the schema is usable.
+ */
+export function validateFormSchema(fields) {
+  const errors = [];
+  const names = new Set();
+  const mappings = new Map();
+
+  if (!Array.isArray(fields) || fields.length === 0) {
+    return [{ field: null, message: "The form needs at least one field" }];
+  }
+
+  fields.forEach((field, index) => {
+    const position = `Field ${index + 1}`;
+
+    if (!FIELD_NAME_PATTERN.test(field.name || "")) {
+      errors.push({
+        field: field.name,
+        message: `${position}: name must start with a letter and only contain letters, numbers and underscores`,
+      });
+    } else if (names.has(field.name)) {
+      errors.push({ field: field.name, message: `${position}: name "${field.name}" is used twice` });
+    }
+    names.add(field.name);
+
+    if (!field.label?.trim()) {
+      errors.push({ field: field.name, message: `${position}: label is required` });
+    }
+    if (!FIELD_TYPES.some(({ value }) => value === field.type)) {
+      errors.push({ field: field.name, message: `${position}: unknown type "${field.type}"` });
+    }
+    if (field.type === "select" && !field.options?.length) {
+      errors.push({ field: field.name, message: `${position}: select fields need at least one option` });
+    }
+    if (field.pattern) {
+      // Submissions are checked with `new RegExp(field.pattern)`, which
+      // throws for a pattern that does not compile.
+      try {
+        new RegExp(field.pattern);
+      } catch {
+        errors.push({ field: field.name, message: `${position}: pattern is not a valid regular expression` });
+      }
+    }
+    if (field.showWhenChecked) {
+      const checkbox = fields.find(({ name }) => name === field.showWhenChecked);
+      if (!checkbox || checkbox.type !== "checkbox" || checkbox === field) {
+        errors.push({ field: field.name, message: `${position}: can only depend on another checkbox field` });
+      } else if (checkbox.showWhenChecked) {
+        errors.push({ field: field.name, message: `${position}: "${checkbox.label}" is itself conditional` });
+      }
+    }
+
+    const mapping = FIELD_MAPPINGS.find(({ value }) => value === field.mapping);
+    if (!mapping) {
+      errors.push({ field: field.name, message: `${position}: unknown mapping "${field.mapping}"` });
+    } else if (field.type === "file" && !["none", "tax.certificate"].includes(mapping.value)) {
+      errors.push({ field: field.name, message: `${position}: file fields can only be kept on the application or be the resale certificate` });
+    } else if (field.type !== "file" && mapping.value === "tax.certificate") {
+      errors.push({ field: field.name, message: `${position}: only file fields can be mapped to "${mapping.label}"` });
+    } else if (field.type !== "date" && mapping.value === "tax.certificateExpiry") {
+      errors.push({ field: field.name, message: `${position}: only date fields can be mapped to "${mapping.label}"` });
+    } else if (field.type === "locations" && mapping.value !== "company.locations") {
+      errors.push({ field: field.name, message: `${position}: locations fields must be mapped to "Further company locations"` });
+    } else if (field.type !== "locations" && mapping.value === "company.locations") {
+      errors.push({ field: field.name, message: `${position}: only locations fields can be mapped to "Further company locations"` });
+    } else if (mapping.value === "metafield") {
+      const { ownerType, namespace, key } = field.metafield || {};
+      if (!METAFIELD_OWNER_TYPES.some(({ value }) => value === ownerType) || !namespace || !key) {
+        errors.push({ field: field.name, message: `${position}: metafield mappings need an owner, namespace and key` });
+      }
+    } else if (mapping.key) {
+      if (mappings.has(mapping.value)) {
+        errors.push({ field: field.name, message: `${position}: "${mapping.label}" is already mapped to another field` });
+      }
+      mappings.set(mapping.value, field);
+    }
+  });
+
+  for (const required of REQUIRED_MAPPINGS) {
+    const field = mappings.get(required);
+    const { label } = FIELD_MAPPINGS.find(({ value }) => value === required);
+    if (!field) {
+      errors.push({ field: null, message: `A field must be mapped to "${label}"` });
+    } else if (!field.required) {
+      errors.push({ field: field.name, message: `The field mapped to "${label}" must be required` });
+    }
+  }
+
+  return errors;
+}
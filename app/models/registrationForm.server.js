@@ -0,0 +1,190 @@
+import db from "../db.server";
+import {
+  DEFAULT_FORM_FIELDS,
+  FIELD_MAPPINGS,
+  validateFormSchema,
+} from "./registrationForm";
+import { isFieldShown } from "./registrationValidation";
+
+export class FormSchemaError extends Error {
+  constructor(errors) {
+    super("The registration form has errors");
+    this.name = "FormSchemaError";
+    this.errors = errors;
+  }
+}
+
+// Uploads are stored in the app database, so keep them small.
+export const MAX_ATTACHMENT_SIZE = 5 * 1024 * 1024;
+
+const METAFIELD_TYPES = {
+  checkbox: "boolean",
+  date: "date",
+};
+
+/**
+ * Returns the shop's saved registration form, falling back to the default
+ * field set until the merchant saves one in the form builder.
+ */
+export async function getRegistrationForm(shop) {
+  const form = await db.registrationForm.findUnique({ where: { shop } });
+
+  return {
+    fields: form ? JSON.parse(form.fields) : DEFAULT_FORM_FIELDS,
+    isDefault: !form,
+    updatedAt: form?.updatedAt || null,
+  };
+}
+
+export async function saveRegistrationForm(shop, fields) {
+  const errors = validateFormSchema(fields);
+  if (errors.length) {
+    throw new FormSchemaError(errors);
+  }
+
+  const data = { fields: JSON.stringify(fields) };
+  await db.registrationForm.upsert({
+    where: { shop },
+    create: { shop, ...data },
+    update: data,
+  });
+
+  return getRegistrationForm(shop);
+}
+
+export async function resetRegistrationForm(shop) {
+  await db.registrationForm.deleteMany({ where: { shop } });
+
+  return getRegistrationForm(shop);
+}
+
+/**
+ * Reads a storefront submission against the form schema. Values for fields
+ * that are not in the schema are dropped. Uploaded files are returned as
+ * attachments and their file names are kept in `fields`.
+ */
+export async function readSubmission(schemaFields, formData) {
+  const fields = {};
+  const attachments = [];
+  const errors = {};
+
+  for (const field of schemaFields) {
+    const value = formData.get(field.name);
+
+    if (field.type !== "file") {
+      fields[field.name] = typeof value === "string" ? value : "";
+      continue;
+    }
+
+    if (!value || typeof value === "string" || value.size === 0) {
+      fields[field.name] = "";
+      continue;
+    }
+
+    if (value.size > MAX_ATTACHMENT_SIZE) {
+      errors[field.name] = `${field.label} must be smaller than ${MAX_ATTACHMENT_SIZE / 1024 / 1024} MB`;
+      continue;
+    }
+
+    fields[field.name] = value.name;
+    attachments.push({
+      fieldName: field.name,
+      fileName: value.name,
+      contentType: value.type || "application/octet-stream",
+      size: value.size,
+      data: Buffer.from(await value.arrayBuffer()),
+    });
+  }
+
+  return { fields, attachments, errors };
+}
+
+const CUSTOMER_PREFILL = {
+  "customer.firstName": "firstName",
+  "customer.lastName": "lastName",
+  "customer.email": "email",
+  "customer.phone": "phone",
+};
+
+/**
+ * Values from the logged-in customer's account for the fields mapped to
+ * them, keyed by field name. `locked` lists the fields the customer may not
+ * change: the registration is always made with the account's own email.
+ */
+export function customerPrefill(fields, customer) {
+  const values = {};
+  const locked = [];
+
+  for (const field of fields) {
+    const property = CUSTOMER_PREFILL[field.mapping];
+    if (property && customer[property]) {
+      values[field.name] = customer[property];
+    }
+    if (field.mapping === "customer.email") {
+      locked.push(field.name);
+    }
+  }
+
+  return { values, locked };
+}
+
+/**
+ * Field errors for a submission whose email differs from the logged-in
+ * customer's account email.
+ */
+export function customerEmailErrors(fields, submitted, customer) {
+  const errors = {};
+
+  for (const field of fields) {
+    if (
+      field.mapping === "customer.email" &&
+      (submitted[field.name] || "").trim().toLowerCase() !==
+        (customer.email || "").toLowerCase()
+    ) {
+      errors[field.name] =
+        "You can only register with the email address of your account";
+    }
+  }
+
+  return errors;
+}
+
+function submittedValue(field, values) {
+  const value = values[field.name];
+
+  if (field.type === "checkbox") {
+    return value ? "true" : "false";
+  }
+
+  return typeof value === "string" ? value.trim() : "";
+}
+
+/**
+ * Maps submitted values onto the registration pipeline inputs using the
+ * form schema. `values` are keyed by the pipeline's field names (companyName,
+ * userEmail, ...); metafield-mapped fields are returned separately, grouped
+ * by owner type. Fields that were not shown contribute no value.
+ */
+export function resolveRegistration(fields, submitted) {
+  const values = {};
+  const metafields = [];
+
+  for (const field of fields) {
+    const value = isFieldShown(field, submitted) ? submittedValue(field, submitted) : "";
+    const mapping = FIELD_MAPPINGS.find(({ value }) => value === field.mapping);
+
+    if (mapping?.key) {
+      values[mapping.key] = value;
+    } else if (mapping?.value === "metafield" && value) {
+      metafields.push({
+        ownerType: field.metafield.ownerType,
+        namespace: field.metafield.namespace,
+        key: field.metafield.key,
+        type: METAFIELD_TYPES[field.type] || "single_line_text_field",
+        value,
+      });
+    }
+  }
+
+  return { values, metafields };
+}
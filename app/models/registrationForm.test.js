@@ -0,0 +1,20 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_FORM_FIELDS, validateFormSchema } from "./registrationForm";
+
+function withPattern(pattern) {
+  return DEFAULT_FORM_FIELDS.map((field) =>
+    field.name === "taxId" ? { ...field, pattern } : field,
+  );
+}
+
+describe("validateFormSchema", () => {
+  it("accepts the default form", () => {
+    expect(validateFormSchema(DEFAULT_FORM_FIELDS)).toEqual([]);
+  });
+
+  it("rejects a pattern that is not a valid regular expression", () => {
+    expect(validateFormSchema(withPattern("^[0-9"))).toEqual([
+      { field: "taxId", message: expect.stringMatching(/pattern is not a valid regular expression/) },
+    ]);
+  });
+});
@@ -0,0 +1,333 @@
+import {
+  createPage,
+  deletePage,
+  getPage,
+  listMenus,
+  listPages,
+  menuItemInputs,
+  updateMenu,
+  updatePage,
+} from "./adminResources.server";
+import { getShopSettings, updateShopSettings } from "./shopSettings.server";
+import {
+  REGISTRATION_PAGE_TITLE,
+  registrationPageBody,
+} from "../templates/registrationPage.server";
+
+// The storefront page that hosts the registration form. Its ID is stored in
+// the shop's settings; the page itself lives in Shopify, where staff can
+// also edit or delete it.
+
+export class RegistrationPageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RegistrationPageError";
+  }
+}
+
+const PAGE_HANDLE = "wholesale-registration";
+const DEFAULT_MENU_HANDLE = "main-menu";
+export const DEFAULT_MENU_ITEM_TITLE = "Wholesale Registration";
+
+// Finds the menu item linking to the page, at any level of `items`.
+function findPageLink(items, pageId, parent = null) {
+  for (const [index, item] of items.entries()) {
+    if (item.resourceId === pageId) {
+      return { item, parent, index, last: index === items.length - 1 };
+    }
+    const found = findPageLink(item.items || [], pageId, item);
+    if (found) return found;
+  }
+  return null;
+}
+
+function withoutPage(items, pageId) {
+  return items
+    .filter((item) => item.resourceId !== pageId)
+    .map((item) => ({ ...item, items: withoutPage(item.items || [], pageId) }));
+}
+
+// Inserts `newItem` among the children of `parentId` (or the top level) at
+// `position`, appending when it is null or past the end.
+function withItem(items, newItem, parentId, position) {
+  if (!parentId) {
+    const next = [...items];
+    next.splice(position ?? next.length, 0, newItem);
+    return next;
+  }
+
+  return items.map((item) => ({
+    ...item,
+    items:
+      item.id === parentId
+        ? withItem(item.items || [], newItem, null, position)
+        : withItem(item.items || [], newItem, parentId, position),
+  }));
+}
+
+function containsItem(items, id) {
+  return items.some((item) => item.id === id || containsItem(item.items || [], id));
+}
+
+// Removes every menu entry, at any level, that links to the page.
+async function removePageFromMenus(admin, pageId) {
+  const menus = await listMenus(admin);
+
+  for (const menu of menus) {
+    if (!findPageLink(menu.items, pageId)) continue;
+
+    await updateMenu(admin, {
+      id: menu.id,
+      title: menu.title,
+      handle: menu.handle,
+      items: menuItemInputs(withoutPage(menu.items, pageId)),
+    });
+  }
+}
+
+// Moves the page's menu link to the given menu, parent item and position.
+async function placePageLink(admin, page, { menuId, parentId, position, title }) {
+  await removePageFromMenus(admin, page.id);
+
+  const menu = (await listMenus(admin)).find(({ id }) => id === menuId);
+  if (!menu) {
+    throw new RegistrationPageError("The selected menu no longer exists");
+  }
+  if (parentId && !containsItem(menu.items, parentId)) {
+    throw new RegistrationPageError("The selected parent menu item no longer exists");
+  }
+
+  const pageItem = {
+    title,
+    type: "PAGE",
+    resourceId: page.id,
+    url: `/pages/${page.handle}`,
+  };
+
+  await updateMenu(admin, {
+    id: menu.id,
+    title: menu.title,
+    handle: menu.handle,
+    items: menuItemInputs(withItem(menu.items, pageItem, parentId, position)),
+  });
+}
+
+function placementFromSettings(settings) {
+  return {
+    menuId: settings?.menuId || null,
+    parentId: settings?.menuParentId || null,
+    position: settings?.menuPosition ?? null,
+    title: settings?.menuItemTitle || DEFAULT_MENU_ITEM_TITLE,
+  };
+}
+
+/**
+ * Returns the shop's registration page, or null when none has been created
+ * or it was deleted in the Shopify admin.
+ */
+export async function getRegistrationPage(admin, shop) {
+  const settings = await getShopSettings(shop);
+  if (!settings?.registrationPageId) return null;
+
+  const page = await getPage(admin, settings.registrationPageId);
+  if (!page) {
+    await updateShopSettings(shop, { registrationPageId: null });
+  }
+
+  return page;
+}
+
+async function requireRegistrationPage(admin, shop) {
+  const page = await getRegistrationPage(admin, shop);
+  if (!page) {
+    throw new RegistrationPageError("The registration page does not exist");
+  }
+  return page;
+}
+
+/**
+ * Creates the registration page and links it from the configured menu.
+ */
+export async function createRegistrationPage(admin, shop) {
+  if (await getRegistrationPage(admin, shop)) {
+    throw new RegistrationPageError("The registration page already exists");
+  }
+
+  const page = await createPage(admin, {
+    title: REGISTRATION_PAGE_TITLE,
+    handle: PAGE_HANDLE,
+    body: registrationPageBody(),
+    isPublished: true,
+  });
+  await updateShopSettings(shop, { registrationPageId: page.id });
+  try {
+    await linkRegistrationPage(admin, shop);
+  } catch (error) {
+    // The page is usable without a menu link; staff can place it later.
+    if (!(error instanceof RegistrationPageError)) throw error;
+    console.warn("Registration page not linked from a menu:", error.message);
+  }
+
+  return page;
+}
+
+/**
+ * Returns the registration page, creating it if needed. A page created by
+ * earlier versions of the app, which did not store its ID, is adopted by
+ * its title instead of creating a second one. Safe to run repeatedly.
+ */
+export async function setUpRegistrationPage(admin, shop) {
+  const page = await getRegistrationPage(admin, shop);
+  if (page) return page;
+
+  const legacy = (await listPages(admin)).find(
+    ({ title }) => title === REGISTRATION_PAGE_TITLE,
+  );
+  if (legacy) {
+    await updateShopSettings(shop, { registrationPageId: legacy.id });
+    return legacy;
+  }
+
+  return createRegistrationPage(admin, shop);
+}
+
+/**
+ * Replaces the page's content with the current template and publishes it.
+ */
+export async function republishRegistrationPage(admin, shop) {
+  const page = await requireRegistrationPage(admin, shop);
+
+  return updatePage(admin, page.id, {
+    body: registrationPageBody(),
+    isPublished: true,
+  });
+}
+
+export async function updateRegistrationPage(admin, shop, { title, handle }) {
+  const page = await requireRegistrationPage(admin, shop);
+
+  if (!title?.trim() || !handle?.trim()) {
+    throw new RegistrationPageError("Title and handle are required");
+  }
+
+  return updatePage(admin, page.id, {
+    title: title.trim(),
+    handle: handle.trim(),
+  });
+}
+
+export async function unpublishRegistrationPage(admin, shop) {
+  const page = await requireRegistrationPage(admin, shop);
+
+  return updatePage(admin, page.id, { isPublished: false });
+}
+
+/**
+ * Deletes the page and every menu entry linking to it.
+ */
+export async function deleteRegistrationPage(admin, shop) {
+  const page = await requireRegistrationPage(admin, shop);
+
+  await removePageFromMenus(admin, page.id);
+  await deletePage(admin, page.id);
+  await updateShopSettings(shop, { registrationPageId: null });
+}
+
+/**
+ * Menus the link can be placed in, where the link currently is, and whether
+ * it has gone missing: placed by the app, then deleted in the Shopify admin.
+ */
+export async function getMenuPlacement(admin, shop, page) {
+  const [settings, menus] = await Promise.all([
+    getShopSettings(shop),
+    listMenus(admin),
+  ]);
+
+  let link = null;
+  for (const menu of menus) {
+    const found = page && findPageLink(menu.items, page.id);
+    if (found) {
+      link = {
+        menuId: menu.id,
+        menuTitle: menu.title,
+        parentId: found.parent?.id || null,
+        parentTitle: found.parent?.title || null,
+        position: found.last ? null : found.index,
+        title: found.item.title,
+      };
+      break;
+    }
+  }
+
+  return {
+    menus,
+    placement: link || placementFromSettings(settings),
+    link,
+    missing: Boolean(page && settings?.menuId && !link),
+  };
+}
+
+/**
+ * Moves the registration page's menu link, and remembers where it goes if
+ * the page is created again.
+ */
+export async function saveMenuPlacement(admin, shop, { menuId, parentId, position, title }) {
+  const page = await requireRegistrationPage(admin, shop);
+
+  if (!menuId) {
+    throw new RegistrationPageError("Select a menu");
+  }
+  if (!title?.trim()) {
+    throw new RegistrationPageError("A link label is required");
+  }
+
+  const placement = {
+    menuId,
+    parentId: parentId || null,
+    position: Number.isInteger(position) && position >= 0 ? position : null,
+    title: title.trim(),
+  };
+
+  await placePageLink(admin, page, placement);
+  await updateShopSettings(shop, {
+    menuId: placement.menuId,
+    menuParentId: placement.parentId,
+    menuPosition: placement.position,
+    menuItemTitle: placement.title,
+  });
+}
+
+/**
+ * Removes the registration page from every menu. It stays unlinked until
+ * staff place it again.
+ */
+export async function removeMenuLink(admin, shop) {
+  const page = await requireRegistrationPage(admin, shop);
+
+  await removePageFromMenus(admin, page.id);
+  await updateShopSettings(shop, { menuId: null });
+}
+
+/**
+ * Makes sure the registration page is linked from a menu: where staff last
+ * placed it, or at the end of the main menu. Leaves an existing link alone.
+ */
+export async function linkRegistrationPage(admin, shop) {
+  const page = await requireRegistrationPage(admin, shop);
+  const menus = await listMenus(admin);
+  if (menus.some((menu) => findPageLink(menu.items, page.id))) return;
+
+  const placement = placementFromSettings(await getShopSettings(shop));
+  if (!placement.menuId) {
+    const mainMenu = menus.find(({ handle }) => handle === DEFAULT_MENU_HANDLE);
+    if (!mainMenu) {
+      throw new RegistrationPageError(
+        "The store has no main menu. Choose a menu for the link on the Wholesale Management page.",
+      );
+    }
+    placement.menuId = mainMenu.id;
+  }
+
+  await placePageLink(admin, page, placement);
+  await updateShopSettings(shop, { menuId: placement.menuId });
+}
@@ -0,0 +1,119 @@
+import { isCalendarDate } from "./dates";
+
+// Validation rules for registration submissions. The proxy action runs them
+// on every POST and the theme extension's form loads `validateFieldValue`
+// verbatim from /apps/proxy/validation.js, so a browser and a direct POST
+// are held to the same rules.
+
+/**
+ * Returns an error message for a single submitted value, or null when it is
+ * valid. `value` is the trimmed string the field submitted: "true" for a
+ * ticked checkbox, the file name for an upload and a JSON list for a
+ * locations field.
+ *
+ * Keep this function self-contained and ES5: it is served to the storefront
+ * with Function.prototype.toString. The storefront passes its own copy of
+ * `isCalendarDate` as `isDate`, since the imported one is not served.
+ */
+export function validateFieldValue(field, value, isDate) {
+  var emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  isDate = isDate || isCalendarDate;
+
+  if (!value) {
+    return field.required ? field.label + " is required" : null;
+  }
+  if (field.type === "checkbox" || field.type === "file") {
+    return null;
+  }
+  if (field.type === "locations") {
+    var locations;
+    try {
+      locations = JSON.parse(value);
+    } catch (error) {
+      locations = null;
+    }
+    if (!Array.isArray(locations)) {
+      return field.label + " could not be read";
+    }
+    if (locations.length > 20) {
+      return field.label + " can list at most 20 locations";
+    }
+    for (var i = 0; i < locations.length; i++) {
+      var location = locations[i] || {};
+      var position = field.label + " " + (i + 1) + ": ";
+      if (!String(location.name || "").trim()) {
+        return position + "location name is required";
+      }
+      if (!String(location.address1 || "").trim()) {
+        return position + "address line 1 is required";
+      }
+      if (location.contactEmail && !emailPattern.test(location.contactEmail)) {
+        return position + "please enter a valid contact email address";
+      }
+    }
+    return null;
+  }
+  if (field.minLength && value.length < field.minLength) {
+    return (
+      field.label +
+      " must be at least " +
+      field.minLength +
+      " characters long"
+    );
+  }
+  if (field.maxLength && value.length > field.maxLength) {
+    return (
+      field.label + " must not exceed " + field.maxLength + " characters"
+    );
+  }
+  if (field.type === "email" && !emailPattern.test(value)) {
+    return "Please enter a valid email address";
+  }
+  if (field.type === "date" && !isDate(value)) {
+    return "Please enter a valid date (YYYY-MM-DD)";
+  }
+  if (field.pattern && !new RegExp(field.pattern).test(value)) {
+    return (
+      field.patternMessage || field.label + " is not in the expected format"
+    );
+  }
+  if (
+    field.type === "select" &&
+    (field.options || []).indexOf(value) === -1
+  ) {
+    return "Please choose one of the listed options";
+  }
+  return null;
+}
+
+/**
+ * Whether a field is part of the submission: fields with `showWhenChecked`
+ * only appear while that checkbox is ticked.
+ */
+export function isFieldShown(field, values) {
+  return !field.showWhenChecked || values[field.showWhenChecked] === "true";
+}
+
+/**
+ * Validates submitted values against the form schema. Returns a map of
+ * field name to error message; an empty object means the submission is valid.
+ * Fields that are not shown are not validated.
+ */
+export function validateSubmission(fields, values) {
+  const errors = {};
+
+  for (const field of fields) {
+    if (!isFieldShown(field, values)) continue;
+
+    const value = values[field.name];
+    const message = validateFieldValue(
+      field,
+      typeof value === "string" ? value.trim() : "",
+    );
+    if (message) {
+      errors[field.name] = message;
+    }
+  }
+
+  return errors;
+}
@@ -0,0 +1,16 @@
+import { describe, expect, it } from "vitest";
+import { validateFieldValue } from "./registrationValidation";
+
+describe("validateFieldValue", () => {
+  const dateField = { name: "expiresOn", label: "Expires on", type: "date" };
+
+  it("accepts a YYYY-MM-DD date that exists", () => {
+    expect(validateFieldValue(dateField, "2024-02-29")).toBeNull();
+  });
+
+  it("rejects other date formats and dates that roll over", () => {
+    for (const value of ["03/05/2026", "March 5", "2026-02-30"]) {
+      expect(validateFieldValue(dateField, value)).toBe("Please enter a valid date (YYYY-MM-DD)");
+    }
+  });
+});
@@ -0,0 +1,5 @@
+export const SETUP_STATUS = {
+  PENDING: "PENDING",
+  COMPLETE: "COMPLETE",
+  FAILED: "FAILED",
+};
@@ -0,0 +1,88 @@
+import db from "../db.server";
+import { DEFAULT_ROLE_ASSIGNMENT, ROLE_SCOPE } from "./contactRoles";
+import {
+  DEFAULT_LOCATION_TERMS,
+  parseLocationTerms,
+  validateLocationTerms,
+} from "./locationTerms";
+
+export class SettingsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SettingsError";
+  }
+}
+
+/**
+ * Returns the shop's settings row, or null before the app has stored
+ * anything for the shop.
+ */
+export async function getShopSettings(shop) {
+  return db.shopSettings.findUnique({ where: { shop } });
+}
+
+export async function updateShopSettings(shop, data) {
+  return db.shopSettings.upsert({
+    where: { shop },
+    create: { shop, ...data },
+    update: data,
+  });
+}
+
+/** The staff addresses application notifications go to. */
+export function notificationEmails(settings) {
+  return settings?.notificationEmails ? JSON.parse(settings.notificationEmails) : [];
+}
+
+/**
+ * Checks a `{ roleName, scope }` role assignment from a form and returns it
+ * trimmed. Throws SettingsError for an unknown scope.
+ */
+export function readRoleAssignment({ roleName, scope }) {
+  if (!Object.values(ROLE_SCOPE).includes(scope)) {
+    throw new SettingsError("Choose which locations the role applies to");
+  }
+
+  return { roleName: (roleName || "").trim(), scope };
+}
+
+/** The role approved registrations give their contact, and where. */
+export function shopRoleAssignment(settings) {
+  return {
+    roleName: settings?.contactRole || DEFAULT_ROLE_ASSIGNMENT.roleName,
+    scope: settings?.roleScope || DEFAULT_ROLE_ASSIGNMENT.scope,
+  };
+}
+
+export async function saveRoleAssignment(shop, assignment) {
+  const { roleName, scope } = readRoleAssignment(assignment);
+
+  await updateShopSettings(shop, { contactRole: roleName || null, roleScope: scope });
+}
+
+/**
+ * Checks catalog and buying terms from a form (see locationTerms.js) and
+ * returns them parsed. Throws SettingsError when they are invalid.
+ */
+export function readLocationTerms(input) {
+  const terms = parseLocationTerms(input);
+  const [message] = Object.values(validateLocationTerms(terms));
+  if (message) {
+    throw new SettingsError(message);
+  }
+
+  return terms;
+}
+
+/** The catalog and buying terms new company locations get. */
+export function shopLocationTerms(settings) {
+  return settings?.locationTerms
+    ? { ...DEFAULT_LOCATION_TERMS, ...JSON.parse(settings.locationTerms) }
+    : DEFAULT_LOCATION_TERMS;
+}
+
+export async function saveLocationTerms(shop, input) {
+  const terms = readLocationTerms(input);
+
+  await updateShopSettings(shop, { locationTerms: JSON.stringify(terms) });
+}
@@ -0,0 +1,157 @@
+import db from "../db.server";
+import { getOfflineAdmin } from "./adminApi.server";
+import { APPLICATION_STATUS } from "./applicationStatus";
+import { EMAIL_EVENT } from "./emailTemplates";
+import { notifyApplicationEvent } from "./notifications.server";
+import { CERTIFICATE_REMINDER_DAYS } from "./taxExemptions";
+import { REGISTRATION_STEP, STEP_STATUS } from "./wholesaleRegistration.server";
+
+// Tax IDs and resale certificates of approved applications. The tax IDs
+// the pipeline set are kept here as well as on the locations, and a worker
+// reminds applicants and staff before a certificate expires.
+
+const DAY = 24 * 60 * 60 * 1000;
+const REMINDER_INTERVAL = 6 * 60 * 60 * 1000;
+const BATCH_SIZE = 20;
+
+function isTaxIdStep(name) {
+  return (
+    name === REGISTRATION_STEP.TAX_ID ||
+    name.startsWith(`${REGISTRATION_STEP.LOCATION_TAX_ID}:`)
+  );
+}
+
+/**
+ * Stores the tax IDs the pipeline run's `steps` set on the application's
+ * locations, noting whether Shopify's tax settings hold them too.
+ */
+export async function saveLocationTaxIds(application, steps) {
+  const saved = steps.filter(
+    ({ name, status, detail }) =>
+      isTaxIdStep(name) && status === STEP_STATUS.SUCCEEDED && detail?.taxId,
+  );
+
+  for (const { detail } of saved) {
+    const data = {
+      applicationId: application.id,
+      taxId: detail.taxId,
+      inTaxSettings: Boolean(detail.inTaxSettings),
+    };
+    await db.locationTaxId.upsert({
+      where: {
+        shop_companyLocationId: {
+          shop: application.shop,
+          companyLocationId: detail.locationId,
+        },
+      },
+      create: { shop: application.shop, companyLocationId: detail.locationId, ...data },
+      update: data,
+    });
+  }
+}
+
+/**
+ * Sets when an application's certificate expires, e.g. after the applicant
+ * sent a renewed one. A new date gets its own reminder.
+ */
+export async function setCertificateExpiry(shop, id, certificateExpiresOn) {
+  const { count } = await db.wholesaleApplication.updateMany({
+    where: { id, shop },
+    data: { certificateExpiresOn, certificateReminderSentAt: null },
+  });
+
+  return count > 0;
+}
+
+// Approved applications whose certificate expires within the reminder
+// window and that were not reminded of it yet, oldest expiry first. Already
+// expired certificates get no "expiring" reminder. `skipped` are the IDs
+// of reminders this check could not send.
+function dueReminders(skipped) {
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+
+  return db.wholesaleApplication.findMany({
+    where: {
+      status: APPLICATION_STATUS.APPROVED,
+      certificateExpiresOn: {
+        gte: today,
+        lte: new Date(Date.now() + CERTIFICATE_REMINDER_DAYS * DAY),
+      },
+      certificateReminderSentAt: null,
+      id: { notIn: skipped },
+    },
+    orderBy: { certificateExpiresOn: "asc" },
+    take: BATCH_SIZE,
+  });
+}
+
+// Sends one reminder and marks it sent, unless staff changed the expiry
+// date meanwhile. It counts as sent once any recipient got it, so the
+// others are not mailed again because one address failed. Resolves with
+// false when nobody got it; it stays due and is tried again at the next
+// check.
+async function sendReminder(application) {
+  let admin;
+  try {
+    admin = await getOfflineAdmin(application.shop);
+  } catch (error) {
+    console.error("Could not send a certificate reminder:", error);
+    return false;
+  }
+
+  const { sent, failed } = await notifyApplicationEvent(
+    admin,
+    application,
+    EMAIL_EVENT.CERTIFICATE_EXPIRING,
+  );
+  if (failed && !sent) return false;
+
+  await db.wholesaleApplication.updateMany({
+    where: { id: application.id, certificateExpiresOn: application.certificateExpiresOn },
+    data: { certificateReminderSentAt: new Date() },
+  });
+  return true;
+}
+
+let timer = null;
+let processing = false;
+
+async function sendCertificateReminders() {
+  timer = null;
+  if (processing) return;
+  processing = true;
+
+  try {
+    const skipped = [];
+    for (;;) {
+      const applications = await dueReminders(skipped);
+      if (!applications.length) break;
+
+      for (const application of applications) {
+        if (!(await sendReminder(application))) skipped.push(application.id);
+      }
+    }
+  } catch (error) {
+    console.error("Could not process certificate reminders:", error);
+  } finally {
+    processing = false;
+  }
+
+  scheduleReminders(Date.now() + REMINDER_INTERVAL);
+}
+
+function scheduleReminders(at) {
+  clearTimeout(timer);
+  timer = setTimeout(sendCertificateReminders, Math.max(0, at - Date.now()));
+  // The next check should not keep scripts or a stopping server alive.
+  timer.unref?.();
+}
+
+/**
+ * Starts checking for expiring certificates: shortly after the server
+ * starts, then every few hours. Calling it again has no effect.
+ */
+export function startCertificateReminders() {
+  if (!timer && !processing) scheduleReminders(Date.now() + 5000);
+}
@@ -0,0 +1,62 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+vi.mock("../db.server", () => ({
+  default: {
+    wholesaleApplication: { findMany: vi.fn(), updateMany: vi.fn() },
+  },
+}));
+vi.mock("./adminApi.server", () => ({ getOfflineAdmin: vi.fn(async () => ({})) }));
+vi.mock("./notifications.server", () => ({ notifyApplicationEvent: vi.fn() }));
+
+const { default: db } = await import("../db.server");
+const { notifyApplicationEvent } = await import("./notifications.server");
+
+const APPLICATION = {
+  id: "application-1",
+  shop: "wholesale-test.myshopify.com",
+  certificateExpiresOn: new Date("2026-11-01T00:00:00Z"),
+};
+
+// Runs the first reminder check with a fresh worker.
+async function runFirstCheck() {
+  vi.resetModules();
+  const { startCertificateReminders } = await import("./taxCertificates.server");
+  startCertificateReminders();
+  await vi.advanceTimersByTimeAsync(5000);
+}
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.clearAllMocks();
+  db.wholesaleApplication.findMany.mockResolvedValueOnce([APPLICATION]).mockResolvedValue([]);
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe("certificate reminders", () => {
+  it("marks a reminder sent once any recipient got it", async () => {
+    notifyApplicationEvent.mockResolvedValue({ sent: 1, failed: 1 });
+
+    await runFirstCheck();
+
+    expect(db.wholesaleApplication.updateMany).toHaveBeenCalledWith({
+      where: { id: APPLICATION.id, certificateExpiresOn: APPLICATION.certificateExpiresOn },
+      data: { certificateReminderSentAt: expect.any(Date) },
+    });
+  });
+
+  it("leaves a reminder due when nobody got it", async () => {
+    notifyApplicationEvent.mockResolvedValue({ sent: 0, failed: 2 });
+
+    await runFirstCheck();
+
+    expect(db.wholesaleApplication.updateMany).not.toHaveBeenCalled();
+    expect(db.wholesaleApplication.findMany).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        where: expect.objectContaining({ id: { notIn: [APPLICATION.id] } }),
+      }),
+    );
+  });
+});
@@ -0,0 +1,87 @@
+import { parseCalendarDate } from "./dates";
+
+// Tax exemptions staff can give the locations of an approved registration
+// after reviewing the applicant's resale or exemption certificate. Values
+// are Shopify's TaxExemption enum.
+
+const US_STATES = [
+  ["AL", "Alabama"], ["AK", "Alaska"], ["AZ", "Arizona"], ["AR", "Arkansas"],
+  ["CA", "California"], ["CO", "Colorado"], ["CT", "Connecticut"],
+  ["DE", "Delaware"], ["DC", "District of Columbia"], ["FL", "Florida"],
+  ["GA", "Georgia"], ["HI", "Hawaii"], ["ID", "Idaho"], ["IL", "Illinois"],
+  ["IN", "Indiana"], ["IA", "Iowa"], ["KS", "Kansas"], ["KY", "Kentucky"],
+  ["LA", "Louisiana"], ["ME", "Maine"], ["MD", "Maryland"],
+  ["MA", "Massachusetts"], ["MI", "Michigan"], ["MN", "Minnesota"],
+  ["MS", "Mississippi"], ["MO", "Missouri"], ["MT", "Montana"],
+  ["NE", "Nebraska"], ["NV", "Nevada"], ["NH", "New Hampshire"],
+  ["NJ", "New Jersey"], ["NM", "New Mexico"], ["NY", "New York"],
+  ["NC", "North Carolina"], ["ND", "North Dakota"], ["OH", "Ohio"],
+  ["OK", "Oklahoma"], ["OR", "Oregon"], ["PA", "Pennsylvania"],
+  ["RI", "Rhode Island"], ["SC", "South Carolina"], ["SD", "South Dakota"],
+  ["TN", "Tennessee"], ["TX", "Texas"], ["UT", "Utah"], ["VT", "Vermont"],
+  ["VA", "Virginia"], ["WA", "Washington"], ["WV", "West Virginia"],
+  ["WI", "Wisconsin"], ["WY", "Wyoming"],
+];
+
+export const TAX_EXEMPTION_OPTIONS = [
+  { label: "EU reverse charge", value: "EU_REVERSE_CHARGE_EXEMPTION_RULE" },
+  { label: "Canada: status card", value: "CA_STATUS_CARD_EXEMPTION" },
+  { label: "Canada: diplomat", value: "CA_DIPLOMAT_EXEMPTION" },
+  { label: "British Columbia reseller", value: "CA_BC_RESELLER_EXEMPTION" },
+  { label: "Manitoba reseller", value: "CA_MB_RESELLER_EXEMPTION" },
+  { label: "Saskatchewan reseller", value: "CA_SK_RESELLER_EXEMPTION" },
+  ...US_STATES.map(([code, name]) => ({
+    label: `${name} reseller`,
+    value: `US_${code}_RESELLER_EXEMPTION`,
+  })),
+];
+
+export const DEFAULT_TAX_EXEMPTION = { taxExempt: false, exemptions: [] };
+
+/** Whether `exemption` changes anything in the locations' taxes. */
+export function hasTaxExemption(exemption) {
+  return Boolean(exemption.taxExempt || exemption.exemptions.length);
+}
+
+/**
+ * An exemption from form values: `taxExempt` arrives as "true" and
+ * `exemptions` as a list or its JSON. Unknown exemptions are dropped.
+ */
+export function parseTaxExemption({ taxExempt, exemptions }) {
+  let list = exemptions || [];
+  if (typeof list === "string") {
+    try {
+      list = JSON.parse(list);
+    } catch {
+      list = [];
+    }
+  }
+  const known = TAX_EXEMPTION_OPTIONS.map(({ value }) => value);
+
+  return {
+    taxExempt: taxExempt === true || taxExempt === "true",
+    exemptions: Array.isArray(list)
+      ? [...new Set(list)].filter((value) => known.includes(value))
+      : [],
+  };
+}
+
+// Reminders go out this many days before a certificate expires.
+export const CERTIFICATE_REMINDER_DAYS = 30;
+
+/**
+ * A certificate expiry date from a form value (YYYY-MM-DD), as a Date at
+ * midnight UTC. Null for an empty value; undefined when it is not a date
+ * that exists.
+ */
+export function parseExpiryDate(value) {
+  const text = (value || "").trim();
+  if (!text) return null;
+
+  return parseCalendarDate(text) || undefined;
+}
+
+/** YYYY-MM-DD for an expiry date, or "" for none. */
+export function formatExpiryDate(date) {
+  return date ? new Date(date).toISOString().slice(0, 10) : "";
+}
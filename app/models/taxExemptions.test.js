@@ -0,0 +1,19 @@
+import { describe, expect, it } from "vitest";
+import { parseExpiryDate } from "./taxExemptions";
+
+describe("parseExpiryDate", () => {
+  it("reads a YYYY-MM-DD date as midnight UTC", () => {
+    expect(parseExpiryDate(" 2026-03-05 ")).toEqual(new Date("2026-03-05T00:00:00Z"));
+  });
+
+  it("is null for an empty value", () => {
+    expect(parseExpiryDate("")).toBeNull();
+    expect(parseExpiryDate(undefined)).toBeNull();
+  });
+
+  it("is undefined for dates that do not exist or are not YYYY-MM-DD", () => {
+    for (const value of ["2026-02-30", "03/05/2026", "March 5"]) {
+      expect(parseExpiryDate(value)).toBeUndefined();
+    }
+  });
+});
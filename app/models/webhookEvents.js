@@ -0,0 +1,33 @@
+// Events the app sends to the merchant's webhook endpoints.
+
+export const WEBHOOK_EVENT = {
+  APPLICATION_SUBMITTED: "application.submitted",
+  APPLICATION_APPROVED: "application.approved",
+  COMPANY_CREATED: "company.created",
+  CONTACT_ASSIGNED: "contact.assigned",
+};
+
+// Only sent with the "Send test event" button.
+export const TEST_EVENT = "test";
+
+export const WEBHOOK_EVENT_LABELS = {
+  [WEBHOOK_EVENT.APPLICATION_SUBMITTED]: "A registration is submitted or imported",
+  [WEBHOOK_EVENT.APPLICATION_APPROVED]: "A registration is approved",
+  [WEBHOOK_EVENT.COMPANY_CREATED]: "A company is created for a registration",
+  [WEBHOOK_EVENT.CONTACT_ASSIGNED]: "A customer becomes a contact of a company",
+};
+
+export const WEBHOOK_DELIVERY_STATUS = {
+  PENDING: "PENDING",
+  SUCCEEDED: "SUCCEEDED",
+  FAILED: "FAILED",
+};
+
+// Headers of every delivery. The signature is the base64 HMAC-SHA256 of
+// `<timestamp>.<body>` with the endpoint's secret.
+export const WEBHOOK_HEADERS = {
+  EVENT: "X-Wholesale-Event",
+  DELIVERY: "X-Wholesale-Delivery",
+  TIMESTAMP: "X-Wholesale-Timestamp",
+  SIGNATURE: "X-Wholesale-Signature",
+};
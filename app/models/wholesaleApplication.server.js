@@ -0,0 +1,659 @@
+import db from "../db.server";
+import { APPLICATION_STATUS, OPEN_STATUSES } from "./applicationStatus";
+import { queueWebhookEvent } from "./outboundWebhooks.server";
+import { readLocations } from "./registrationForm";
+import { validateFieldValue } from "./registrationValidation";
+import {
+  getShopSettings,
+  readLocationTerms,
+  readRoleAssignment,
+  shopLocationTerms,
+  shopRoleAssignment,
+} from "./shopSettings.server";
+import { saveLocationTaxIds } from "./taxCertificates.server";
+import { parseExpiryDate, parseTaxExemption } from "./taxExemptions";
+import { WEBHOOK_EVENT } from "./webhookEvents";
+import {
+  REGISTRATION_STEP,
+  STEP_STATUS,
+  isTransientError,
+  registerWholesaleAccount,
+} from "./wholesaleRegistration.server";
+
+export class ApplicationStateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ApplicationStateError";
+  }
+}
+
+const HISTORY_INCLUDE = {
+  events: { orderBy: { createdAt: "asc" } },
+  steps: { orderBy: { createdAt: "asc" } },
+  deliveries: { orderBy: { createdAt: "asc" } },
+  taxIds: { orderBy: { updatedAt: "asc" } },
+  attachments: {
+    select: {
+      id: true,
+      fieldName: true,
+      fileName: true,
+      contentType: true,
+      size: true,
+    },
+  },
+};
+
+function clean(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+function parseJson(value) {
+  return value ? JSON.parse(value) : null;
+}
+
+function deserialize(application) {
+  return {
+    ...application,
+    fields: JSON.parse(application.fields),
+    registration: parseJson(application.registration),
+    roleAssignment: parseJson(application.roleAssignment),
+    locationTerms: parseJson(application.locationTerms),
+    taxExemption: parseJson(application.taxExemption),
+    ...(application.steps
+      ? {
+          steps: application.steps.map((step) => ({
+            ...step,
+            detail: parseJson(step.detail),
+            errors: parseJson(step.errors),
+          })),
+        }
+      : {}),
+  };
+}
+
+/**
+ * Stores a storefront registration as a pending application. Nothing is
+ * written to Shopify until a staff member approves it.
+ *
+ * `fields` are the submitted values keyed by form field name, `registration`
+ * is their mapping onto the pipeline inputs (see `resolveRegistration`) and
+ * `attachments` are the uploaded files. `customerId` is the storefront
+ * customer who submitted it.
+ *
+ * `idempotencyKey` identifies one submission from the storefront. Sending
+ * the same key again as the same customer returns the application it
+ * created instead of storing a second one; another customer's key never
+ * matches. `note` is kept on the first entry of the status history,
+ * e.g. to record where an imported application came from.
+ */
+export async function createApplication(
+  shop,
+  {
+    fields,
+    registration,
+    attachments = [],
+    customerId = null,
+    idempotencyKey = null,
+    note = null,
+  },
+) {
+  if (idempotencyKey) {
+    const existing = await findApplicationBySubmission(shop, customerId, idempotencyKey);
+    if (existing) return existing;
+  }
+
+  const { values } = registration;
+  // The form's validation only lets calendar dates through; storing null
+  // instead would mean the certificate never gets a reminder.
+  const certificateExpiresOn = parseExpiryDate(values.certificateExpiresOn);
+  if (certificateExpiresOn === undefined) {
+    throw new ApplicationStateError("Enter the certificate expiry date as YYYY-MM-DD");
+  }
+
+  try {
+    const application = await db.wholesaleApplication.create({
+      data: {
+        shop,
+        idempotencyKey,
+        companyName: clean(values.companyName),
+        firstName: clean(values.firstName) || null,
+        lastName: clean(values.lastName) || null,
+        userEmail: clean(values.userEmail).toLowerCase(),
+        companyEmail: clean(values.companyEmail).toLowerCase() || null,
+        certificateExpiresOn,
+        fields: JSON.stringify(fields),
+        registration: JSON.stringify(registration),
+        events: { create: { toStatus: APPLICATION_STATUS.PENDING, note } },
+        customerId,
+        attachments: { create: attachments },
+      },
+    });
+
+    const created = deserialize(application);
+    await queueWebhookEvent(
+      shop,
+      WEBHOOK_EVENT.APPLICATION_SUBMITTED,
+      applicationPayload(created),
+    );
+
+    return created;
+  } catch (error) {
+    // A concurrent request with the same key won the unique constraint.
+    if (error.code === "P2002" && idempotencyKey) {
+      return findApplicationBySubmission(shop, customerId, idempotencyKey);
+    }
+    throw error;
+  }
+}
+
+// The application as sent in webhook payloads.
+function applicationPayload(application) {
+  return {
+    applicationId: application.id,
+    status: application.status,
+    companyName: application.companyName,
+    firstName: application.firstName,
+    lastName: application.lastName,
+    userEmail: application.userEmail,
+    companyEmail: application.companyEmail,
+    fields: application.fields,
+    companyId: application.companyId,
+    customerId: application.customerId,
+    submittedAt: application.createdAt,
+  };
+}
+
+// Imported applications have no customer, so this is not a findUnique.
+async function findApplicationBySubmission(shop, customerId, idempotencyKey) {
+  const application = await db.wholesaleApplication.findFirst({
+    where: { shop, customerId, idempotencyKey },
+  });
+
+  return application ? deserialize(application) : null;
+}
+
+export const APPLICATIONS_PAGE_SIZE = 25;
+
+function endOfDay(date) {
+  const end = new Date(date);
+  end.setUTCHours(23, 59, 59, 999);
+  return end;
+}
+
+// Prisma filter for the application list and exports. `query` matches the
+// company name, user email or company email; `from` and `to` are inclusive
+// `YYYY-MM-DD` submission dates.
+function applicationFilters(shop, { query, status, from, to } = {}) {
+  const search = clean(query);
+  const createdAt = {
+    ...(from ? { gte: new Date(from) } : {}),
+    ...(to ? { lte: endOfDay(to) } : {}),
+  };
+
+  return {
+    shop,
+    ...(status ? { status } : {}),
+    ...(Object.keys(createdAt).length ? { createdAt } : {}),
+    ...(search
+      ? {
+          OR: [
+            { companyName: { contains: search } },
+            { userEmail: { contains: search.toLowerCase() } },
+            { companyEmail: { contains: search.toLowerCase() } },
+          ],
+        }
+      : {}),
+  };
+}
+
+/**
+ * Lists a shop's applications, newest first, filtered as described in
+ * `applicationFilters`.
+ */
+export async function listApplications(
+  shop,
+  { query, status, from, to, page = 1, pageSize = APPLICATIONS_PAGE_SIZE } = {},
+) {
+  const where = applicationFilters(shop, { query, status, from, to });
+
+  const [applications, total] = await Promise.all([
+    db.wholesaleApplication.findMany({
+      where,
+      orderBy: { createdAt: "desc" },
+      skip: (page - 1) * pageSize,
+      take: pageSize,
+    }),
+    db.wholesaleApplication.count({ where }),
+  ]);
+
+  return {
+    applications: applications.map(deserialize),
+    total,
+    page,
+    pageCount: Math.max(1, Math.ceil(total / pageSize)),
+  };
+}
+
+/**
+ * One batch of the applications matching `filters`, oldest first, for
+ * reading all of them without loading them at once. Pass the ID of the last
+ * application of a batch as `after` to get the next one.
+ */
+export async function listApplicationsAfter(
+  shop,
+  filters,
+  { after = null, take = 100 } = {},
+) {
+  const applications = await db.wholesaleApplication.findMany({
+    where: applicationFilters(shop, filters),
+    orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+    take,
+    ...(after ? { cursor: { id: after }, skip: 1 } : {}),
+  });
+
+  return applications.map(deserialize);
+}
+
+/**
+ * The latest application linked to each of the given Shopify companies,
+ * keyed by company ID. Companies several registrations joined appear once.
+ */
+export async function findApplicationsByCompany(shop, companyIds) {
+  const applications = await db.wholesaleApplication.findMany({
+    where: { shop, companyId: { in: companyIds } },
+    orderBy: { createdAt: "asc" },
+  });
+
+  return Object.fromEntries(
+    applications.map((application) => [application.companyId, deserialize(application)]),
+  );
+}
+
+export async function getApplication(shop, id) {
+  const application = await db.wholesaleApplication.findFirst({
+    where: { id, shop },
+    include: HISTORY_INCLUDE,
+  });
+
+  return application ? deserialize(application) : null;
+}
+
+export async function getApplicationAttachment(shop, applicationId, id) {
+  return db.applicationAttachment.findFirst({
+    where: { id, applicationId, application: { shop } },
+  });
+}
+
+async function getOpenApplication(shop, id) {
+  const application = await getApplication(shop, id);
+
+  if (!application) {
+    throw new ApplicationStateError("Application not found");
+  }
+  if (!OPEN_STATUSES.includes(application.status)) {
+    throw new ApplicationStateError(
+      `Application has already been ${application.status.toLowerCase()}`,
+    );
+  }
+
+  return application;
+}
+
+/**
+ * Moves an application to `toStatus` and appends the change to its status
+ * history in the same write.
+ */
+async function transition(application, toStatus, { note, data = {} } = {}) {
+  const updated = await db.wholesaleApplication.update({
+    where: { id: application.id },
+    data: {
+      ...data,
+      status: toStatus,
+      reviewedAt: new Date(),
+      events: {
+        create: {
+          fromStatus: application.status,
+          toStatus,
+          note: note || null,
+        },
+      },
+    },
+    include: HISTORY_INCLUDE,
+  });
+
+  return deserialize(updated);
+}
+
+async function recordSteps(applicationId, steps) {
+  if (!steps?.length) return;
+
+  await db.wholesaleApplicationStep.createMany({
+    data: steps.map(({ name, status, detail, errors }) => ({
+      applicationId,
+      name,
+      status,
+      detail: detail ? JSON.stringify(detail) : null,
+      errors: errors ? JSON.stringify(errors) : null,
+    })),
+  });
+}
+
+// The most recent outcome of each pipeline step, keyed by step name.
+function latestSteps(steps) {
+  const latest = {};
+  for (const step of steps) {
+    if (step.name !== REGISTRATION_STEP.PIPELINE) {
+      latest[step.name] = { status: step.status, detail: step.detail };
+    }
+  }
+  return latest;
+}
+
+function completedSteps(steps) {
+  return Object.fromEntries(
+    Object.entries(latestSteps(steps)).filter(
+      ([, { status }]) => status !== STEP_STATUS.FAILED,
+    ),
+  );
+}
+
+/**
+ * Names of the pipeline steps whose last attempt failed. An approved
+ * application with failed steps can be retried from the admin.
+ */
+export function failedStepNames(application) {
+  return Object.entries(latestSteps(application.steps || []))
+    .filter(([, { status }]) => status === STEP_STATUS.FAILED)
+    .map(([name]) => name);
+}
+
+// Stable per application, so a retried run finds the company it created.
+function companyExternalId(application) {
+  return `wholesale-${application.id}`;
+}
+
+const AUTO_RETRY_ATTEMPTS = 3;
+const AUTO_RETRY_DELAY = 2000;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Runs the registration pipeline for an application, resuming after the
+ * steps earlier runs completed. Runs that fail for transient reasons
+ * (throttling, network) are retried automatically a few times. Every step
+ * outcome is stored against the application; the returned `steps` are those
+ * of all attempts of this run. Tax IDs it set are kept in LocationTaxId.
+ */
+async function runRegistration(admin, application) {
+  // Applications submitted before the form builder have no registration
+  // mapping; their fields already use the pipeline's names.
+  const { values, metafields } = application.registration || {
+    values: application.fields,
+    metafields: [],
+  };
+  const settings = await getShopSettings(application.shop);
+  const roleAssignment = application.roleAssignment || shopRoleAssignment(settings);
+  const locationTerms = application.locationTerms || shopLocationTerms(settings);
+  let completed = completedSteps(application.steps);
+  const runSteps = [];
+
+  for (let attempt = 1; ; attempt++) {
+    let result;
+    try {
+      result = await registerWholesaleAccount(admin, values, {
+        shop: application.shop,
+        metafields,
+        customerId: application.customerId,
+        externalId: companyExternalId(application),
+        completedSteps: completed,
+        roleAssignment,
+        locationTerms,
+        ...(application.taxExemption && { taxExemption: application.taxExemption }),
+      });
+    } catch (error) {
+      console.error("Wholesale registration pipeline failed:", error);
+      result = {
+        success: false,
+        error: error.message,
+        retryable: isTransientError(error),
+        steps: [
+          {
+            name: REGISTRATION_STEP.PIPELINE,
+            status: STEP_STATUS.FAILED,
+            errors: [{ message: error.message }],
+          },
+        ],
+      };
+    }
+
+    await recordSteps(application.id, result.steps);
+    await saveLocationTaxIds(application, result.steps || []);
+    runSteps.push(...(result.steps || []));
+
+    if (!result.retryable || attempt >= AUTO_RETRY_ATTEMPTS) {
+      return { ...result, steps: runSteps };
+    }
+
+    completed = { ...completed, ...completedSteps(result.steps) };
+    await sleep(AUTO_RETRY_DELAY * attempt);
+  }
+}
+
+/**
+ * Announces what a pipeline run created in Shopify: the company, and the
+ * customer becoming its contact, whether linked separately or created
+ * together with the company.
+ */
+async function queueRegistrationWebhooks(application, result) {
+  const steps = latestSteps(result.steps);
+  const companyId =
+    steps[REGISTRATION_STEP.COMPANY_CREATE]?.detail?.companyId ||
+    result.companyId ||
+    application.companyId;
+
+  if (steps[REGISTRATION_STEP.COMPANY_CREATE]?.status === STEP_STATUS.SUCCEEDED) {
+    await queueWebhookEvent(application.shop, WEBHOOK_EVENT.COMPANY_CREATED, {
+      applicationId: application.id,
+      companyId,
+      name: application.companyName,
+      email: application.companyEmail,
+    });
+  }
+
+  const contact = steps[REGISTRATION_STEP.CONTACT_ASSIGN];
+  if (contact && contact.status !== STEP_STATUS.FAILED) {
+    await queueWebhookEvent(application.shop, WEBHOOK_EVENT.CONTACT_ASSIGNED, {
+      applicationId: application.id,
+      companyId,
+      customerId: contact.detail?.customerId || result.customerId || null,
+      companyContactId: contact.detail?.companyContactId || null,
+      email: application.userEmail,
+    });
+  }
+}
+
+/**
+ * Approves an application by running the company/customer/role creation
+ * pipeline against the shop. It stays open if the pipeline fails so it can
+ * be approved again, which resumes from the failed step.
+ *
+ * `roleAssignment` and `locationTerms` override the shop's role and
+ * buying terms settings for this application (see `readRoleAssignment` and
+ * `readLocationTerms`); they are kept for retries. `taxExemption` holds the
+ * exemptions staff give the locations after reviewing the resale
+ * certificate (see `parseTaxExemption`) and `certificateExpiresOn` the
+ * certificate's expiry date as YYYY-MM-DD, replacing the submitted one.
+ */
+export async function approveApplication(
+  admin,
+  shop,
+  id,
+  { roleAssignment, locationTerms, taxExemption, certificateExpiresOn } = {},
+) {
+  let application = await getOpenApplication(shop, id);
+
+  const expiresOn =
+    certificateExpiresOn === undefined ? undefined : parseExpiryDate(certificateExpiresOn);
+  if (certificateExpiresOn !== undefined && expiresOn === undefined) {
+    throw new ApplicationStateError("Enter the certificate expiry date as YYYY-MM-DD");
+  }
+
+  const overrides = {
+    ...(roleAssignment && { roleAssignment: readRoleAssignment(roleAssignment) }),
+    ...(locationTerms && { locationTerms: readLocationTerms(locationTerms) }),
+    ...(taxExemption && { taxExemption: parseTaxExemption(taxExemption) }),
+  };
+  if (Object.keys(overrides).length || expiresOn !== undefined) {
+    await db.wholesaleApplication.update({
+      where: { id: application.id },
+      data: {
+        ...Object.fromEntries(
+          Object.entries(overrides).map(([key, value]) => [key, JSON.stringify(value)]),
+        ),
+        ...(expiresOn !== undefined && { certificateExpiresOn: expiresOn }),
+      },
+    });
+    application = {
+      ...application,
+      ...overrides,
+      ...(expiresOn !== undefined && { certificateExpiresOn: expiresOn }),
+    };
+  }
+
+  const result = await runRegistration(admin, application);
+
+  if (!result.success) {
+    await queueRegistrationWebhooks(application, result);
+    return { application: await getApplication(shop, id), result };
+  }
+
+  const updated = await transition(application, APPLICATION_STATUS.APPROVED, {
+    data: {
+      companyId: result.companyId || null,
+      customerId: result.customerId || application.customerId || null,
+    },
+    note: result.customerError || null,
+  });
+
+  await queueRegistrationWebhooks(updated, result);
+  await queueWebhookEvent(
+    shop,
+    WEBHOOK_EVENT.APPLICATION_APPROVED,
+    applicationPayload(updated),
+  );
+
+  return { application: updated, result };
+}
+
+/**
+ * Re-runs the steps that failed when an application was approved, e.g.
+ * after the merchant fixed the address that Shopify rejected.
+ */
+export async function retryApplication(admin, shop, id) {
+  const application = await getApplication(shop, id);
+
+  if (!application) {
+    throw new ApplicationStateError("Application not found");
+  }
+  if (application.status !== APPLICATION_STATUS.APPROVED) {
+    throw new ApplicationStateError("Only approved applications can be retried");
+  }
+  if (!failedStepNames(application).length) {
+    throw new ApplicationStateError("No failed steps to retry");
+  }
+
+  const result = await runRegistration(admin, application);
+
+  if (result.success) {
+    await db.wholesaleApplication.update({
+      where: { id: application.id },
+      data: {
+        companyId: result.companyId || application.companyId,
+        customerId: result.customerId || application.customerId,
+      },
+    });
+  }
+  await queueRegistrationWebhooks(application, result);
+
+  return { application: await getApplication(shop, id), result };
+}
+
+/**
+ * Adds a location to the company of an approved application. The location
+ * joins the registration's further locations (see readLocations) and the
+ * pipeline runs again, creating it like one from the form; if a step fails
+ * it can be retried like any other.
+ */
+export async function addApplicationLocation(admin, shop, id, location) {
+  const application = await getApplication(shop, id);
+
+  if (!application) {
+    throw new ApplicationStateError("Application not found");
+  }
+  if (application.status !== APPLICATION_STATUS.APPROVED || !application.companyId) {
+    throw new ApplicationStateError("Locations can only be added to an approved company");
+  }
+
+  const [entry] = readLocations(JSON.stringify([location]));
+  if (!entry.name || !entry.address1) {
+    throw new ApplicationStateError("Enter the location's name and address");
+  }
+  const emailError =
+    entry.contactEmail &&
+    validateFieldValue({ type: "email", label: "Contact email" }, entry.contactEmail);
+  if (emailError) {
+    throw new ApplicationStateError(emailError);
+  }
+
+  const previous = application.registration || {
+    values: application.fields,
+    metafields: [],
+  };
+  const registration = {
+    ...previous,
+    values: {
+      ...previous.values,
+      additionalLocations: JSON.stringify([
+        ...readLocations(previous.values.additionalLocations),
+        entry,
+      ]),
+    },
+  };
+  await db.wholesaleApplication.update({
+    where: { id: application.id },
+    data: { registration: JSON.stringify(registration) },
+  });
+
+  const result = await runRegistration(admin, { ...application, registration });
+  await queueRegistrationWebhooks(application, result);
+
+  return { application: await getApplication(shop, id), result };
+}
+
+export async function rejectApplication(shop, id, { reason } = {}) {
+  if (!clean(reason)) {
+    throw new ApplicationStateError("A rejection reason is required");
+  }
+
+  const application = await getOpenApplication(shop, id);
+
+  return transition(application, APPLICATION_STATUS.REJECTED, {
+    data: { rejectionReason: clean(reason) },
+    note: clean(reason),
+  });
+}
+
+export async function requestApplicationInfo(shop, id, { message } = {}) {
+  if (!clean(message)) {
+    throw new ApplicationStateError("Describe the information you need");
+  }
+
+  const application = await getOpenApplication(shop, id);
+
+  return transition(application, APPLICATION_STATUS.INFO_REQUESTED, {
+    data: { infoRequest: clean(message) },
+    note: clean(message),
+  });
+}
@@ -0,0 +1,329 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+vi.mock("../shopify.server", () => ({ unauthenticated: {} }));
+
+vi.mock("./adminApi.server", async (importOriginal) => ({
+  ...(await importOriginal()),
+  adminQuery: vi.fn(),
+  adminMutation: vi.fn(),
+}));
+
+vi.mock("../db.server", () => ({
+  default: {
+    wholesaleApplication: { create: vi.fn(), findFirst: vi.fn(), update: vi.fn() },
+    wholesaleApplicationStep: { createMany: vi.fn() },
+    shopSettings: { findUnique: vi.fn() },
+  },
+}));
+
+vi.mock("./outboundWebhooks.server", () => ({ queueWebhookEvent: vi.fn() }));
+
+const { default: db } = await import("../db.server");
+const { AdminThrottledError, AdminUserError, adminMutation, adminQuery } = await import(
+  "./adminApi.server"
+);
+const {
+  addApplicationLocation,
+  approveApplication,
+  createApplication,
+  failedStepNames,
+  retryApplication,
+} = await import("./wholesaleApplication.server");
+
+const SHOP = "wholesale-test.myshopify.com";
+
+function storedApplication(data) {
+  return {
+    id: "application-1",
+    status: "PENDING",
+    createdAt: new Date(),
+    ...data,
+    fields: JSON.stringify({}),
+    registration: null,
+  };
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+describe("createApplication", () => {
+  const submission = {
+    fields: {},
+    registration: { values: { companyName: "Acme Supplies", userEmail: "jane@acme.example" } },
+    customerId: "gid://shopify/Customer/42",
+    idempotencyKey: "key-1",
+  };
+
+  it("looks a key up only among the applications of the customer who sent it", async () => {
+    db.wholesaleApplication.findFirst.mockResolvedValue(null);
+    db.wholesaleApplication.create.mockImplementation(async ({ data }) => storedApplication(data));
+
+    await createApplication(SHOP, submission);
+
+    expect(db.wholesaleApplication.findFirst).toHaveBeenCalledWith({
+      where: { shop: SHOP, customerId: "gid://shopify/Customer/42", idempotencyKey: "key-1" },
+    });
+    expect(db.wholesaleApplication.create).toHaveBeenCalled();
+  });
+
+  it("returns the stored application for a repeated submission", async () => {
+    db.wholesaleApplication.findFirst.mockResolvedValue(
+      storedApplication({ customerId: submission.customerId, idempotencyKey: "key-1" }),
+    );
+
+    const application = await createApplication(SHOP, submission);
+
+    expect(application.id).toBe("application-1");
+    expect(db.wholesaleApplication.create).not.toHaveBeenCalled();
+  });
+});
+
+// The companies and customers of a shop as the pipeline's Admin API
+// operations see them. An error put in `failures` is thrown by the next call
+// of that operation; `operations` lists every call by name.
+function fakeShopify() {
+  const shop = { companies: [], customers: [], failures: {}, operations: [] };
+  const role = { id: "gid://shopify/CompanyContactRole/1", name: "Ordering only" };
+  let lastId = 0;
+  const gid = (type) => `gid://shopify/${type}/${++lastId}`;
+  const findCompany = (id) => shop.companies.find((company) => company.id === id);
+  const findLocation = (id) =>
+    shop.companies.flatMap(({ locations }) => locations).find((location) => location.id === id);
+  const findContact = (id) =>
+    shop.companies.flatMap(({ contacts }) => contacts).find((contact) => contact.id === id);
+
+  const addLocation = (company, { name, externalId = null }) => {
+    const location = { id: gid("CompanyLocation"), name, externalId, addresses: [] };
+    company.locations.push(location);
+    return location;
+  };
+  const companyView = (companyId) => {
+    const company = findCompany(companyId);
+    return {
+      company: {
+        defaultRole: null,
+        contactRoles: { nodes: [role] },
+        mainContact: company.mainContactId ? { id: company.mainContactId } : null,
+        locations: { nodes: company.locations },
+      },
+    };
+  };
+
+  const handlers = {
+    FindCustomerByEmail: () => ({ customers: { nodes: shop.customers } }),
+    CreateCustomer: ({ input }) => {
+      const customer = { id: gid("Customer"), phone: null, ...input };
+      shop.customers.push(customer);
+      return { customerCreate: { customer, userErrors: [] } };
+    },
+    FindCompanyByExternalId: () => ({ companies: { nodes: shop.companies } }),
+    CreateCompany: ({ input }) => {
+      const company = {
+        id: gid("Company"),
+        name: input.company.name,
+        externalId: input.company.externalId,
+        locations: [],
+        contacts: [],
+        mainContactId: null,
+      };
+      addLocation(company, { name: company.name });
+      if (input.companyContact) {
+        company.mainContactId = gid("CompanyContact");
+        company.contacts.push({ id: company.mainContactId, roles: [] });
+      }
+      shop.companies.push(company);
+      return { companyCreate: { company: { id: company.id, name: company.name }, userErrors: [] } };
+    },
+    GetFirstCompanyLocation: ({ companyId }) => companyView(companyId),
+    FindCompanyLocations: ({ companyId }) => companyView(companyId),
+    GetCompanyRoles: ({ companyId }) => companyView(companyId),
+    CreateCompanyLocation: ({ companyId, input }) => ({
+      companyLocationCreate: {
+        companyLocation: addLocation(findCompany(companyId), input),
+        userErrors: [],
+      },
+    }),
+    AssignCompanyLocationAddress: ({ locationId, address, addressTypes }) => {
+      const addresses = addressTypes.map((type) => ({ id: gid("CompanyAddress"), type, ...address }));
+      findLocation(locationId).addresses.push(...addresses);
+      return { companyLocationAssignAddress: { addresses, userErrors: [] } };
+    },
+    GetContactRoleAssignments: ({ companyContactId }) => ({
+      companyContact: {
+        roleAssignments: {
+          nodes: findContact(companyContactId).roles.map(({ id, locationId }) => ({
+            id,
+            role,
+            companyLocation: { id: locationId },
+          })),
+        },
+      },
+    }),
+    AssignContactRoles: ({ companyContactId, rolesToAssign }) => {
+      const roleAssignments = rolesToAssign.map(({ companyLocationId }) => ({
+        id: gid("CompanyContactRoleAssignment"),
+        locationId: companyLocationId,
+      }));
+      findContact(companyContactId).roles.push(...roleAssignments);
+      return { companyContactAssignRoles: { roleAssignments, userErrors: [] } };
+    },
+  };
+
+  shop.run = async (document, variables) => {
+    const [, operation] = document.match(/(?:query|mutation) (\w+)/);
+    shop.operations.push(operation);
+
+    const failure = shop.failures[operation];
+    if (failure) {
+      delete shop.failures[operation];
+      throw failure;
+    }
+    if (!handlers[operation]) {
+      throw new Error(`The fake shop does not handle ${operation}`);
+    }
+    return handlers[operation](variables);
+  };
+
+  return shop;
+}
+
+describe("registration pipeline", () => {
+  const admin = {};
+  const values = {
+    companyName: "Acme Supplies",
+    firstName: "Jane",
+    lastName: "Doe",
+    userEmail: "jane@acme.example",
+    address1: "1 Main St",
+    city: "Springfield",
+    country: "US",
+    state: "IL",
+    zip_code: "62701",
+  };
+  let shopify;
+  let applications;
+  let steps;
+
+  const withHistory = (application) => ({
+    ...application,
+    steps: steps.filter(({ applicationId }) => applicationId === application.id),
+    events: [],
+    deliveries: [],
+    taxIds: [],
+    attachments: [],
+  });
+  const calls = (operation) => shopify.operations.filter((name) => name === operation).length;
+
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "error").mockImplementation(() => {});
+
+    shopify = fakeShopify();
+    adminQuery.mockImplementation((_admin, document, variables) => shopify.run(document, variables));
+    adminMutation.mockImplementation(
+      async (_admin, document, variables, root) => (await shopify.run(document, variables))[root],
+    );
+
+    applications = new Map([
+      [
+        "application-1",
+        {
+          id: "application-1",
+          shop: SHOP,
+          status: "PENDING",
+          companyName: values.companyName,
+          userEmail: values.userEmail,
+          customerId: null,
+          companyId: null,
+          fields: JSON.stringify(values),
+          registration: JSON.stringify({ values, metafields: [] }),
+          roleAssignment: null,
+          locationTerms: null,
+          taxExemption: null,
+        },
+      ],
+    ]);
+    steps = [];
+
+    db.shopSettings.findUnique.mockResolvedValue(null);
+    db.wholesaleApplication.findFirst.mockImplementation(async ({ where }) => {
+      const application = applications.get(where.id);
+      return application?.shop === where.shop ? withHistory(application) : null;
+    });
+    db.wholesaleApplication.update.mockImplementation(async ({ where, data: { events, ...data } }) => {
+      const application = { ...applications.get(where.id), ...data };
+      applications.set(application.id, application);
+      return withHistory(application);
+    });
+    db.wholesaleApplicationStep.createMany.mockImplementation(async ({ data }) => {
+      steps.push(...data.map((step) => ({ ...step, createdAt: new Date() })));
+    });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("resumes after a failed step without creating a second company or customer", async () => {
+    vi.useFakeTimers();
+    shopify.failures.AssignCompanyLocationAddress = new AdminThrottledError("Throttled");
+
+    const approving = approveApplication(admin, SHOP, "application-1");
+    await vi.advanceTimersByTimeAsync(2000);
+    const { application, result } = await approving;
+
+    expect(result.success).toBe(true);
+    expect(calls("AssignCompanyLocationAddress")).toBe(2);
+    expect(calls("CreateCompany")).toBe(1);
+    expect(calls("CreateCustomer")).toBe(1);
+    expect(shopify.companies).toHaveLength(1);
+    expect(shopify.customers).toHaveLength(1);
+    expect(shopify.companies[0].locations[0].addresses).toHaveLength(2);
+    expect(application).toMatchObject({
+      status: "APPROVED",
+      companyId: shopify.companies[0].id,
+      customerId: shopify.customers[0].id,
+    });
+  });
+
+  it("retries only the steps that failed", async () => {
+    shopify.failures.AssignCompanyLocationAddress = new AdminUserError("Zip is invalid");
+    const { application: approved } = await approveApplication(admin, SHOP, "application-1");
+    expect(failedStepNames(approved)).toEqual(["addressAssign"]);
+
+    shopify.operations = [];
+    const { application, result } = await retryApplication(admin, SHOP, "application-1");
+
+    expect(shopify.operations).toEqual(["GetFirstCompanyLocation", "AssignCompanyLocationAddress"]);
+    expect(result.steps.map(({ name, status }) => [name, status])).toEqual([
+      ["addressAssign", "SUCCEEDED"],
+    ]);
+    expect(failedStepNames(application)).toEqual([]);
+  });
+
+  it("adds a location to the company the application created", async () => {
+    await approveApplication(admin, SHOP, "application-1");
+    shopify.operations = [];
+
+    const { result } = await addApplicationLocation(admin, SHOP, "application-1", {
+      name: "Warehouse",
+      address1: "2 Dock Rd",
+      city: "Springfield",
+      country: "US",
+    });
+
+    const [company] = shopify.companies;
+    const warehouse = company.locations[1];
+    expect(result.success).toBe(true);
+    expect(shopify.companies).toHaveLength(1);
+    expect(calls("CreateCompany")).toBe(0);
+    expect(calls("CreateCustomer")).toBe(0);
+    expect(company.locations.map(({ name }) => name)).toEqual(["Acme Supplies", "Warehouse"]);
+    expect(warehouse.externalId).toBe("wholesale-application-1-location-2");
+    expect(company.contacts[0].roles.map(({ locationId }) => locationId)).toEqual([
+      company.locations[0].id,
+      warehouse.id,
+    ]);
+  });
+});
@@ -0,0 +1,983 @@
+import {
+  AdminApiError,
+  AdminGraphqlError,
+  AdminUserError,
+} from "./adminApi.server";
+import {
+  assignCatalogToLocations,
+  assignCompanyLocationAddress,
+  assignContactRoles,
+  assignCustomerAsContact,
+  assignMainContact,
+  createCompany,
+  createCompanyLocation,
+  createCustomer,
+  findCompanyByExternalId,
+  findCompanyLocationByExternalId,
+  findCustomerByEmail,
+  getCompanyRoles,
+  getContactRoleAssignments,
+  getCustomer,
+  getFirstCompanyLocation,
+  getNetPaymentTermsTemplates,
+  revokeContactRoles,
+  setMetafields,
+  updateCompanyLocation,
+  updateCompanyLocationTaxExemptions,
+  updateCompanyLocationTaxId,
+  updateCustomer,
+} from "./adminResources.server";
+import { COMPANY_EMAIL_METAFIELD, LOCATION_TAX_ID_METAFIELD } from "./appMetafields";
+import { findCompanyByEmail, saveCompanyEmail } from "./companyEmails.server";
+import { DEFAULT_ROLE_ASSIGNMENT, ROLE_SCOPE } from "./contactRoles";
+import { DEFAULT_LOCATION_TERMS, hasBuyingTerms } from "./locationTerms";
+import { readLocations } from "./registrationForm";
+import { DEFAULT_TAX_EXEMPTION, hasTaxExemption } from "./taxExemptions";
+
+export const REGISTRATION_STEP = {
+  CUSTOMER_LOOKUP: "customerLookup",
+  CUSTOMER_UPDATE: "customerUpdate",
+  COMPANY_CREATE: "companyCreate",
+  COMPANY_EMAIL: "companyEmailMetafield",
+  LOCATION_RENAME: "locationRename",
+  ADDRESS_ASSIGN: "addressAssign",
+  BILLING_ADDRESS_ASSIGN: "billingAddressAssign",
+  TAX_ID: "taxId",
+  TAX_EXEMPTIONS: "taxExemptions",
+  BUYING_TERMS: "buyingTerms",
+  CATALOG_ASSIGN: "catalogAssign",
+  CUSTOMER_CREATE: "customerCreate",
+  CONTACT_ASSIGN: "contactAssign",
+  MAIN_CONTACT: "mainContactAssign",
+  ROLE_ASSIGN: "roleAssign",
+  METAFIELDS: "customMetafields",
+  // Steps for the further locations of a locations field are recorded once
+  // per location, named e.g. "locationCreate:2"; see locationStep.
+  LOCATION_CREATE: "locationCreate",
+  LOCATION_TAX_ID: "locationTaxId",
+  LOCATION_CONTACT: "locationContact",
+  LOCATION_ROLE: "locationRole",
+  // Recorded when the pipeline throws before it can report its own steps.
+  PIPELINE: "pipeline",
+};
+
+export const STEP_STATUS = {
+  SUCCEEDED: "SUCCEEDED",
+  FAILED: "FAILED",
+  SKIPPED: "SKIPPED",
+};
+
+const WHOLESALE_TAG = "wholesale";
+
+// Further locations are numbered from 2, the form's main location being the
+// company's first.
+function locationStep(step, number) {
+  return `${step}:${number}`;
+}
+
+/**
+ * Whether a failure is worth retrying as-is: throttling and network errors
+ * are, userErrors and invalid queries need someone to change something first.
+ */
+export function isTransientError(error) {
+  return (
+    error instanceof AdminApiError &&
+    !(error instanceof AdminUserError) &&
+    !(error instanceof AdminGraphqlError)
+  );
+}
+
+// Errors of a failed Admin API call in the shape steps are recorded with.
+// Anything else is a bug, not a step outcome, so it is rethrown.
+function stepErrors(error) {
+  if (error instanceof AdminApiError) return error.errors;
+  throw error;
+}
+
+// Input for customerCreate, or customerUpdate when `customer` already exists.
+// Existing tags are kept and the wholesale tag is added.
+function customerInput(fields, customer = null) {
+  const input = customer
+    ? {
+        id: customer.id,
+        tags: customer.tags.includes(WHOLESALE_TAG)
+          ? customer.tags
+          : [...customer.tags, WHOLESALE_TAG],
+      }
+    : { email: fields.userEmail, tags: [WHOLESALE_TAG] };
+
+  input.firstName = fields.firstName;
+  input.lastName = fields.lastName;
+  if (fields.phone?.trim()) {
+    input.phone = fields.phone.trim();
+  }
+
+  return input;
+}
+
+// CompanyAddressInput from submitted address values. Registrations default
+// to India, where the app started out.
+function companyAddress({ address1, address2, city, country, state, zip }) {
+  const address = {
+    address1: address1.trim(),
+    city: city?.trim() || "",
+    countryCode: (country || "IN").trim(),
+    zoneCode: (state || "").trim(),
+    zip: zip?.trim() || "",
+  };
+  if (address2?.trim()) {
+    address.address2 = address2.trim();
+  }
+
+  return address;
+}
+
+// CompanyLocationInput for an entry of a locations field. The location
+// bills to its shipping address.
+function locationInput(location, externalId) {
+  return {
+    name: location.name,
+    externalId,
+    shippingAddress: companyAddress(location),
+    billingSameAsShipping: true,
+  };
+}
+
+// The buyerExperienceConfiguration for `terms`, with the name of the payment
+// terms template it uses. Null when the shop has no template for the terms.
+async function buyerExperience(admin, { paymentTermsDays, checkoutToDraft, depositPercentage }) {
+  const configuration = { checkoutToDraft };
+  let template = null;
+
+  if (paymentTermsDays) {
+    template = (await getNetPaymentTermsTemplates(admin)).find(
+      ({ dueInDays }) => dueInDays === paymentTermsDays,
+    );
+    if (!template) return null;
+    configuration.paymentTermsTemplateId = template.id;
+  }
+  if (depositPercentage) configuration.deposit = { percentage: depositPercentage };
+
+  return { configuration, paymentTerms: template?.name || null };
+}
+
+// A customer for a location's contact, reusing their account if they have
+// one.
+async function contactCustomer(admin, { contactEmail, contactFirstName, contactLastName }) {
+  return (
+    (await findCustomerByEmail(admin, contactEmail)) ||
+    (await createCustomer(
+      admin,
+      customerInput({
+        userEmail: contactEmail,
+        firstName: contactFirstName,
+        lastName: contactLastName,
+      }),
+    ))
+  );
+}
+
+const SEARCH_INDEX_ATTEMPTS = 3;
+const SEARCH_INDEX_DELAY = 1000;
+
+// The customer search index lags behind writes, so an account created
+// moments ago is not found straight away. Asks again a few times before
+// giving up.
+async function findIndexedCustomer(admin, email) {
+  for (let attempt = 1; ; attempt++) {
+    const customer = await findCustomerByEmail(admin, email);
+    if (customer || attempt >= SEARCH_INDEX_ATTEMPTS) return customer;
+    await new Promise((resolve) => setTimeout(resolve, SEARCH_INDEX_DELAY));
+  }
+}
+
+// The role named `roleName` when one is configured. Otherwise the company's
+// default role, a buyer or admin role, or whatever role it has.
+function chooseRole({ defaultRole, contactRoles }, roleName) {
+  if (roleName) {
+    return (
+      contactRoles.find(({ name }) => name.toLowerCase() === roleName.toLowerCase()) ||
+      null
+    );
+  }
+
+  return (
+    defaultRole ||
+    contactRoles.find(({ name }) => /buyer/i.test(name)) ||
+    contactRoles.find(({ name }) => /admin/i.test(name)) ||
+    contactRoles[0] ||
+    null
+  );
+}
+
+function missingRoleMessage(roleName) {
+  return roleName
+    ? `The company has no role named "${roleName}"`
+    : "No valid role found to assign";
+}
+
+// Tax settings need B2B on Shopify Plus; other shops do not have the mutation.
+function isTaxSettingsUnavailable(error) {
+  return (
+    error instanceof AdminGraphqlError &&
+    error.errors.some(({ message = "" }) =>
+      message.includes("doesn't exist on type 'Mutation'"),
+    )
+  );
+}
+
+/**
+ * Creates (or reuses) the B2B company, customer, location address and role
+ * assignment for a wholesale registration.
+ *
+ * Runs against the Admin API client of the shop the registration belongs to;
+ * `shop` is its domain, used to look up existing companies by email in the
+ * local company email index.
+ * `fields` holds the registration values keyed by pipeline field name
+ * (companyName, userEmail, ...) and `metafields` the form fields the merchant
+ * mapped to company, location or customer metafields. `customerId` is the
+ * storefront customer who submitted the registration, if known. The outcome
+ * of every GraphQL step is returned in `steps` so callers can keep a record
+ * of what happened to the registration.
+ *
+ * The pipeline can be run again for the same registration. `completedSteps`
+ * maps step names to the `{ status, detail }` of steps that succeeded or were
+ * skipped in an earlier run; those are not repeated. `externalId` must be
+ * stable per registration: it is set on the company so a run that stopped
+ * right after creating it finds the company instead of creating another.
+ * `retryable` in the result is true when a step failed for a transient reason.
+ *
+ * `roleAssignment` is the `{ roleName, scope }` the contact gets: the role
+ * with that name (or the automatic choice when empty) on the location from
+ * the form, or on all the company's locations. `locationTerms` are the
+ * catalog and buying terms (payment terms, draft review, deposit) a newly
+ * created company's locations get; see locationTerms.js. `taxExemption` is
+ * the `{ taxExempt, exemptions }` staff gave the registration after
+ * reviewing its resale certificate, set on all of its locations.
+ *
+ * `fields.additionalLocations` lists further locations (see readLocations),
+ * each created on the company with its address and tax ID. Tax IDs are
+ * written to a location metafield and, where the shop has them, the
+ * location's tax settings; the steps' `inTaxSettings` tells which. The contact's
+ * role covers them too, and a location's own contact, if given, gets the
+ * role on that location. Locations added to the list later are created
+ * when the pipeline runs again.
+ */
+export async function registerWholesaleAccount(
+  admin,
+  fields,
+  {
+    shop,
+    metafields = [],
+    customerId: submittedBy = null,
+    externalId,
+    completedSteps = {},
+    roleAssignment = DEFAULT_ROLE_ASSIGNMENT,
+    locationTerms = DEFAULT_LOCATION_TERMS,
+    taxExemption = DEFAULT_TAX_EXEMPTION,
+  } = {},
+) {
+  const steps = [];
+  let retryable = false;
+  let companyLocationId = null;
+  const recordStep = (name, status, { detail = null, errors = null } = {}) => {
+    steps.push({ name, status, detail, errors });
+  };
+  const recordFailure = (name, error, detail = null) => {
+    const errors = stepErrors(error);
+    console.error(`Registration step ${name} failed:`, error);
+    retryable = retryable || isTransientError(error);
+    recordStep(name, STEP_STATUS.FAILED, { detail, errors });
+    return errors;
+  };
+  const done = (name) => completedSteps[name] || null;
+  // Locations an earlier run already covered in a step that acts on several.
+  const coveredLocations = (name) => {
+    const detail = done(name)?.detail;
+    return detail?.locationIds || (detail?.locationId ? [detail.locationId] : []);
+  };
+  // The metafield keeps the tax ID on shops without tax settings, where
+  // it would otherwise be lost.
+  const assignTaxId = async (name, locationId, taxId) => {
+    try {
+      await setMetafields(admin, [
+        {
+          ownerId: locationId,
+          ...LOCATION_TAX_ID_METAFIELD,
+          value: taxId,
+          type: "single_line_text_field",
+        },
+      ]);
+    } catch (error) {
+      recordFailure(name, error, { locationId, taxId });
+      return;
+    }
+
+    try {
+      await updateCompanyLocationTaxId(admin, locationId, taxId);
+      recordStep(name, STEP_STATUS.SUCCEEDED, {
+        detail: { locationId, taxId, inTaxSettings: true },
+      });
+    } catch (error) {
+      if (isTaxSettingsUnavailable(error)) {
+        console.warn("Tax settings are not available on this shop; tax ID kept in a metafield");
+        recordStep(name, STEP_STATUS.SUCCEEDED, {
+          detail: {
+            locationId,
+            taxId,
+            inTaxSettings: false,
+            reason: "Tax settings are not available on this shop",
+          },
+        });
+      } else {
+        recordFailure(name, error, { locationId, taxId });
+      }
+    }
+  };
+
+  const userEmail = fields.userEmail;
+
+  // Applications are validated on submission, but fail cleanly if one that
+  // predates the current form schema is missing the values we key on.
+  if (!userEmail?.trim() || !fields.companyName?.trim()) {
+    recordStep(REGISTRATION_STEP.PIPELINE, STEP_STATUS.FAILED, {
+      errors: [{ message: "User email and company name are required" }],
+    });
+    return { success: false, error: "User email and company name are required", steps };
+  }
+
+  // 1. Find the customer's existing account, if any. The answer is recorded
+  // so a later run takes the same branches even after step 4 created one.
+  let lookup = done(REGISTRATION_STEP.CUSTOMER_LOOKUP)?.detail;
+
+  if (!lookup) {
+    try {
+      const customer =
+        (submittedBy && (await getCustomer(admin, submittedBy))) ||
+        (await findCustomerByEmail(admin, userEmail));
+      lookup = { customerId: customer?.id || null };
+      recordStep(REGISTRATION_STEP.CUSTOMER_LOOKUP, STEP_STATUS.SUCCEEDED, { detail: lookup });
+    } catch (error) {
+      const errors = recordFailure(REGISTRATION_STEP.CUSTOMER_LOOKUP, error);
+      return { success: false, error: "Failed to look up the customer", details: errors, steps, retryable };
+    }
+  }
+
+  const existingCustomerId = lookup.customerId;
+
+  if (existingCustomerId && !done(REGISTRATION_STEP.CUSTOMER_UPDATE)) {
+    try {
+      const customer = await getCustomer(admin, existingCustomerId);
+      await updateCustomer(admin, customerInput(fields, customer));
+      recordStep(REGISTRATION_STEP.CUSTOMER_UPDATE, STEP_STATUS.SUCCEEDED, {
+        detail: { customerId: existingCustomerId },
+      });
+    } catch (error) {
+      recordFailure(REGISTRATION_STEP.CUSTOMER_UPDATE, error, { customerId: existingCustomerId });
+    }
+  }
+
+  // 2. Reuse the company registered with this company email, or create one
+  const companyEmail = fields.companyEmail?.trim();
+  const companyStep = done(REGISTRATION_STEP.COMPANY_CREATE);
+  let companyId = companyStep?.detail?.companyId || null;
+  let existingCompany = companyStep?.status === STEP_STATUS.SKIPPED;
+
+  if (!companyId) {
+    try {
+      const created = await findCompanyByExternalId(admin, externalId);
+      const existing =
+        !created && companyEmail ? await findCompanyByEmail(admin, shop, companyEmail) : null;
+
+      if (created) {
+        companyId = created.id;
+        recordStep(REGISTRATION_STEP.COMPANY_CREATE, STEP_STATUS.SUCCEEDED, {
+          detail: { companyId, reason: "Company created by an earlier attempt" },
+        });
+      } else if (existing) {
+        companyId = existing.id;
+        existingCompany = true;
+        recordStep(REGISTRATION_STEP.COMPANY_CREATE, STEP_STATUS.SKIPPED, {
+          detail: { companyId, reason: "Company with this email already exists" },
+        });
+      } else {
+        const companyInput = {
+          company: {
+            name: fields.companyName,
+            externalId,
+            note: `Created from Wholesale Registration form`,
+          },
+        };
+
+        // Existing customers are linked after the company is created;
+        // creating a contact with their email here would conflict with
+        // their account.
+        if (!existingCustomerId) {
+          companyInput.companyContact = {
+            email: userEmail,
+            firstName: fields.firstName,
+            lastName: fields.lastName,
+          };
+        }
+
+        const company = await createCompany(admin, companyInput);
+        companyId = company.id;
+        console.log("Created company:", companyId);
+        recordStep(REGISTRATION_STEP.COMPANY_CREATE, STEP_STATUS.SUCCEEDED, { detail: { companyId } });
+      }
+    } catch (error) {
+      const errors = recordFailure(REGISTRATION_STEP.COMPANY_CREATE, error);
+      return { success: false, error: "Failed to create company", details: errors, steps, retryable };
+    }
+  }
+
+  if (!existingCompany && companyEmail && !done(REGISTRATION_STEP.COMPANY_EMAIL)) {
+    try {
+      const [metafield] = await setMetafields(admin, [
+        {
+          ownerId: companyId,
+          ...COMPANY_EMAIL_METAFIELD,
+          value: companyEmail,
+          type: "single_line_text_field",
+        },
+      ]);
+      // Metafield changes do not trigger companies/update, so index it here.
+      await saveCompanyEmail(shop, { id: companyId, name: fields.companyName, email: companyEmail });
+      recordStep(REGISTRATION_STEP.COMPANY_EMAIL, STEP_STATUS.SUCCEEDED, {
+        detail: { metafieldId: metafield?.id },
+      });
+    } catch (error) {
+      recordFailure(REGISTRATION_STEP.COMPANY_EMAIL, error);
+    }
+  }
+
+  // 3. Name the company's location and give it its addresses and tax ID. The
+  // shipping address doubles as the billing address unless the form asked
+  // for a separate one.
+  const address1 = fields.address1?.trim();
+  const separateBilling =
+    fields.separateBilling === "true" && Boolean(fields.billingAddress1?.trim());
+  const locationName = fields.location?.trim();
+  const taxId = fields.taxId?.trim();
+  const locationPending =
+    !done(REGISTRATION_STEP.ADDRESS_ASSIGN) ||
+    (separateBilling && !done(REGISTRATION_STEP.BILLING_ADDRESS_ASSIGN)) ||
+    (locationName && !done(REGISTRATION_STEP.LOCATION_RENAME)) ||
+    (taxId && !done(REGISTRATION_STEP.TAX_ID));
+
+  if (address1 && locationPending) {
+    let location = null;
+    try {
+      location = await getFirstCompanyLocation(admin, companyId);
+      if (!location) {
+        recordStep(REGISTRATION_STEP.ADDRESS_ASSIGN, STEP_STATUS.FAILED, {
+          errors: [{ message: "No company location found" }],
+        });
+      }
+    } catch (error) {
+      recordFailure(REGISTRATION_STEP.ADDRESS_ASSIGN, error);
+    }
+
+    if (location) {
+      const locationId = location.id;
+      companyLocationId = locationId;
+
+      if (locationName && !done(REGISTRATION_STEP.LOCATION_RENAME)) {
+        try {
+          await updateCompanyLocation(admin, locationId, { name: locationName });
+          recordStep(REGISTRATION_STEP.LOCATION_RENAME, STEP_STATUS.SUCCEEDED, {
+            detail: { locationId, name: locationName },
+          });
+        } catch (error) {
+          recordFailure(REGISTRATION_STEP.LOCATION_RENAME, error, { locationId });
+        }
+      }
+
+      const shippingAddress = companyAddress({
+        address1,
+        address2: fields.address2,
+        city: fields.city,
+        country: fields.country,
+        state: fields.state,
+        zip: fields.zip_code,
+      });
+
+      if (!done(REGISTRATION_STEP.ADDRESS_ASSIGN)) {
+        const addressTypes = separateBilling ? ["SHIPPING"] : ["SHIPPING", "BILLING"];
+        try {
+          const addresses = await assignCompanyLocationAddress(admin, locationId, shippingAddress, addressTypes);
+          recordStep(REGISTRATION_STEP.ADDRESS_ASSIGN, STEP_STATUS.SUCCEEDED, {
+            detail: { locationId, addressTypes, addressIds: addresses?.map(({ id }) => id) },
+          });
+        } catch (error) {
+          recordFailure(REGISTRATION_STEP.ADDRESS_ASSIGN, error, { locationId });
+        }
+      }
+
+      if (separateBilling && !done(REGISTRATION_STEP.BILLING_ADDRESS_ASSIGN)) {
+        // A billing country left blank is taken to be the shipping country.
+        const billingAddress = companyAddress({
+          address1: fields.billingAddress1,
+          address2: fields.billingAddress2,
+          city: fields.billingCity,
+          country: fields.billingCountry || shippingAddress.countryCode,
+          state: fields.billingState,
+          zip: fields.billingZip,
+        });
+        try {
+          const addresses = await assignCompanyLocationAddress(admin, locationId, billingAddress, ["BILLING"]);
+          recordStep(REGISTRATION_STEP.BILLING_ADDRESS_ASSIGN, STEP_STATUS.SUCCEEDED, {
+            detail: { locationId, addressTypes: ["BILLING"], addressIds: addresses?.map(({ id }) => id) },
+          });
+        } catch (error) {
+          recordFailure(REGISTRATION_STEP.BILLING_ADDRESS_ASSIGN, error, { locationId });
+        }
+      }
+
+      if (taxId && !done(REGISTRATION_STEP.TAX_ID)) {
+        await assignTaxId(REGISTRATION_STEP.TAX_ID, locationId, taxId);
+      }
+    }
+  }
+
+  // Further locations from the form are created with their own address and
+  // tax ID. An external ID per location lets a retried create find the
+  // location an interrupted run made.
+  const additionalLocations = [];
+
+  for (const [index, location] of readLocations(fields.additionalLocations).entries()) {
+    const number = index + 2;
+    const createStep = locationStep(REGISTRATION_STEP.LOCATION_CREATE, number);
+    let locationId = done(createStep)?.detail?.locationId || null;
+
+    if (!locationId) {
+      const locationExternalId = `${externalId}-location-${number}`;
+      try {
+        const created =
+          (await findCompanyLocationByExternalId(admin, companyId, locationExternalId)) ||
+          (await createCompanyLocation(admin, companyId, locationInput(location, locationExternalId)));
+        locationId = created.id;
+        recordStep(createStep, STEP_STATUS.SUCCEEDED, {
+          detail: { locationId, name: location.name },
+        });
+      } catch (error) {
+        recordFailure(createStep, error, { name: location.name });
+        continue;
+      }
+    }
+
+    additionalLocations.push({ number, locationId, location });
+
+    const taxStep = locationStep(REGISTRATION_STEP.LOCATION_TAX_ID, number);
+    if (location.taxId && !done(taxStep)) {
+      await assignTaxId(taxStep, locationId, location.taxId);
+    }
+  }
+  const additionalLocationIds = additionalLocations.map(({ locationId }) => locationId);
+
+  // The new company's locations get the configured catalog and buying
+  // terms. Companies that already existed keep the terms they have.
+  const pendingFor = (name) =>
+    !done(name) ||
+    additionalLocationIds.some((id) => !coveredLocations(name).includes(id));
+  const buyingTermsPending =
+    hasBuyingTerms(locationTerms) && pendingFor(REGISTRATION_STEP.BUYING_TERMS);
+  const catalogPending =
+    Boolean(locationTerms.catalogId) && pendingFor(REGISTRATION_STEP.CATALOG_ASSIGN);
+  const exemptionsPending =
+    hasTaxExemption(taxExemption) && pendingFor(REGISTRATION_STEP.TAX_EXEMPTIONS);
+
+  // The registered locations get the tax exemptions staff approved with the
+  // resale certificate, whether or not the company is new.
+  if (exemptionsPending) {
+    let locationId = companyLocationId;
+    let updatingId = null;
+    try {
+      locationId = locationId || (await getFirstCompanyLocation(admin, companyId))?.id || null;
+      const locationIds = [locationId, ...additionalLocationIds].filter(
+        (id) => id && !coveredLocations(REGISTRATION_STEP.TAX_EXEMPTIONS).includes(id),
+      );
+
+      if (!locationId) {
+        recordStep(REGISTRATION_STEP.TAX_EXEMPTIONS, STEP_STATUS.FAILED, {
+          errors: [{ message: "No company location found" }],
+        });
+      } else {
+        for (updatingId of locationIds) {
+          await updateCompanyLocationTaxExemptions(admin, updatingId, {
+            taxExempt: taxExemption.taxExempt,
+            exemptionsToAssign: taxExemption.exemptions,
+          });
+        }
+        recordStep(REGISTRATION_STEP.TAX_EXEMPTIONS, STEP_STATUS.SUCCEEDED, {
+          detail: {
+            locationIds: [...coveredLocations(REGISTRATION_STEP.TAX_EXEMPTIONS), ...locationIds],
+            ...taxExemption,
+          },
+        });
+      }
+    } catch (error) {
+      if (isTaxSettingsUnavailable(error)) {
+        recordStep(REGISTRATION_STEP.TAX_EXEMPTIONS, STEP_STATUS.SKIPPED, {
+          detail: { ...taxExemption, reason: "Tax settings are not available on this shop" },
+        });
+      } else {
+        recordFailure(REGISTRATION_STEP.TAX_EXEMPTIONS, error, { locationId: updatingId });
+      }
+    }
+  }
+
+  if (!existingCompany && (buyingTermsPending || catalogPending)) {
+    let locationId = companyLocationId;
+    let locationErrors = null;
+    if (!locationId) {
+      try {
+        locationId = (await getFirstCompanyLocation(admin, companyId))?.id || null;
+      } catch (error) {
+        locationErrors = stepErrors(error);
+        retryable = retryable || isTransientError(error);
+      }
+    }
+
+    if (!locationId) {
+      const errors = locationErrors || [{ message: "No company location found" }];
+      if (buyingTermsPending) {
+        recordStep(REGISTRATION_STEP.BUYING_TERMS, STEP_STATUS.FAILED, { errors });
+      }
+      if (catalogPending) {
+        recordStep(REGISTRATION_STEP.CATALOG_ASSIGN, STEP_STATUS.FAILED, { errors });
+      }
+    } else {
+      companyLocationId = locationId;
+      const uncovered = (name) =>
+        [locationId, ...additionalLocationIds].filter(
+          (id) => !coveredLocations(name).includes(id),
+        );
+
+      if (buyingTermsPending) {
+        const locationIds = uncovered(REGISTRATION_STEP.BUYING_TERMS);
+        const { paymentTermsDays, checkoutToDraft, depositPercentage } = locationTerms;
+        let updatingId = null;
+        try {
+          const experience = await buyerExperience(admin, locationTerms);
+
+          if (!experience) {
+            recordStep(REGISTRATION_STEP.BUYING_TERMS, STEP_STATUS.FAILED, {
+              detail: { locationIds },
+              errors: [{ message: `Net ${paymentTermsDays} payment terms are not available on this shop` }],
+            });
+          } else {
+            for (updatingId of locationIds) {
+              await updateCompanyLocation(admin, updatingId, {
+                buyerExperienceConfiguration: experience.configuration,
+              });
+            }
+            recordStep(REGISTRATION_STEP.BUYING_TERMS, STEP_STATUS.SUCCEEDED, {
+              detail: {
+                locationIds: [...coveredLocations(REGISTRATION_STEP.BUYING_TERMS), ...locationIds],
+                paymentTerms: experience.paymentTerms,
+                checkoutToDraft,
+                depositPercentage,
+              },
+            });
+          }
+        } catch (error) {
+          recordFailure(REGISTRATION_STEP.BUYING_TERMS, error, { locationId: updatingId });
+        }
+      }
+
+      if (catalogPending) {
+        const locationIds = uncovered(REGISTRATION_STEP.CATALOG_ASSIGN);
+        try {
+          await assignCatalogToLocations(admin, locationTerms.catalogId, locationIds);
+          recordStep(REGISTRATION_STEP.CATALOG_ASSIGN, STEP_STATUS.SUCCEEDED, {
+            detail: {
+              locationIds: [...coveredLocations(REGISTRATION_STEP.CATALOG_ASSIGN), ...locationIds],
+              catalogId: locationTerms.catalogId,
+            },
+          });
+        } catch (error) {
+          recordFailure(REGISTRATION_STEP.CATALOG_ASSIGN, error, {
+            locationIds,
+            catalogId: locationTerms.catalogId,
+          });
+        }
+      }
+    }
+  }
+
+  // 4. Create the customer unless they already had an account
+  let customerId =
+    existingCustomerId ||
+    done(REGISTRATION_STEP.CUSTOMER_CREATE)?.detail?.customerId ||
+    done(REGISTRATION_STEP.CUSTOMER_UPDATE)?.detail?.customerId ||
+    null;
+  let customerError = null;
+
+  if (!customerId) {
+    try {
+      const customer = await createCustomer(admin, customerInput(fields));
+      customerId = customer.id;
+      console.log("Created customer:", customerId);
+      recordStep(REGISTRATION_STEP.CUSTOMER_CREATE, STEP_STATUS.SUCCEEDED, { detail: { customerId } });
+    } catch (error) {
+      const errors = stepErrors(error);
+      customerError = errors[0].message;
+
+      // The customer search index lags behind writes, so an account created
+      // moments ago can be missed by the lookup in step 1.
+      const emailTaken =
+        error instanceof AdminUserError && customerError.includes("Email has already been taken");
+      let foundCustomer = null;
+      try {
+        foundCustomer = emailTaken ? await findIndexedCustomer(admin, userEmail) : null;
+      } catch (lookupError) {
+        console.error("Customer lookup after email conflict failed:", lookupError);
+      }
+
+      if (foundCustomer) {
+        try {
+          await updateCustomer(admin, customerInput(fields, foundCustomer));
+          customerId = foundCustomer.id;
+          customerError = null;
+          recordStep(REGISTRATION_STEP.CUSTOMER_UPDATE, STEP_STATUS.SUCCEEDED, { detail: { customerId } });
+        } catch (updateError) {
+          customerError = recordFailure(REGISTRATION_STEP.CUSTOMER_UPDATE, updateError, {
+            customerId: foundCustomer.id,
+          })[0].message;
+        }
+      } else {
+        recordFailure(REGISTRATION_STEP.CUSTOMER_CREATE, error);
+      }
+    }
+  }
+
+  // 5. Link the customer to the company
+  let companyContactId = done(REGISTRATION_STEP.CONTACT_ASSIGN)?.detail?.companyContactId || null;
+
+  if (!done(REGISTRATION_STEP.CONTACT_ASSIGN)) {
+    if (!customerId) {
+      recordStep(REGISTRATION_STEP.CONTACT_ASSIGN, STEP_STATUS.FAILED, {
+        detail: { companyId },
+        errors: [{ message: "No customer to assign to the company" }],
+      });
+    } else if (existingCustomerId || existingCompany) {
+      try {
+        ({ id: companyContactId } = await assignCustomerAsContact(admin, companyId, customerId));
+        recordStep(REGISTRATION_STEP.CONTACT_ASSIGN, STEP_STATUS.SUCCEEDED, {
+          detail: { customerId, companyContactId },
+        });
+      } catch (error) {
+        recordFailure(REGISTRATION_STEP.CONTACT_ASSIGN, error, { customerId });
+      }
+    } else {
+      recordStep(REGISTRATION_STEP.CONTACT_ASSIGN, STEP_STATUS.SKIPPED, {
+        detail: { customerId, reason: "Contact created together with the company" },
+      });
+    }
+  }
+
+  // Existing customers become the main contact of the company.
+  if (existingCustomerId && companyContactId && !done(REGISTRATION_STEP.MAIN_CONTACT)) {
+    try {
+      await assignMainContact(admin, companyId, companyContactId);
+      recordStep(REGISTRATION_STEP.MAIN_CONTACT, STEP_STATUS.SUCCEEDED, {
+        detail: { companyContactId },
+      });
+    } catch (error) {
+      recordFailure(REGISTRATION_STEP.MAIN_CONTACT, error, { companyContactId });
+    }
+  }
+
+  // The contact gets the configured role so they can place orders, on the
+  // form's locations or all of the company's. A contact created together
+  // with the company is its main contact. Once the role is assigned, later
+  // runs only add it on further locations the earlier runs did not cover.
+  const contactStatus =
+    done(REGISTRATION_STEP.CONTACT_ASSIGN)?.status ||
+    steps.find(({ name }) => name === REGISTRATION_STEP.CONTACT_ASSIGN)?.status;
+
+  if (contactStatus && contactStatus !== STEP_STATUS.FAILED && pendingFor(REGISTRATION_STEP.ROLE_ASSIGN)) {
+    try {
+      const roles = await getCompanyRoles(admin, companyId);
+      const contactId =
+        contactStatus === STEP_STATUS.SKIPPED ? roles.mainContactId : companyContactId;
+      const role = chooseRole(roles, roleAssignment.roleName);
+      const firstLocationId = companyLocationId || roles.locations[0]?.id;
+      const covered = coveredLocations(REGISTRATION_STEP.ROLE_ASSIGN);
+      const locationIds = done(REGISTRATION_STEP.ROLE_ASSIGN)
+        ? additionalLocationIds.filter((id) => !covered.includes(id))
+        : roleAssignment.scope === ROLE_SCOPE.ALL_LOCATIONS
+          ? [...new Set([...roles.locations.map(({ id }) => id), ...additionalLocationIds])]
+          : [firstLocationId, ...additionalLocationIds].filter(Boolean);
+      // Locations the registration created. Elsewhere a role the contact
+      // already holds may have been chosen by staff and is left alone.
+      const createdIds = [...(existingCompany ? [] : [firstLocationId]), ...additionalLocationIds];
+
+      if (!contactId) {
+        recordStep(REGISTRATION_STEP.ROLE_ASSIGN, STEP_STATUS.FAILED, {
+          errors: [{ message: "No company contact found for role assignment" }],
+        });
+      } else if (!locationIds.length) {
+        recordStep(REGISTRATION_STEP.ROLE_ASSIGN, STEP_STATUS.FAILED, {
+          errors: [{ message: "No company location found for role assignment" }],
+        });
+      } else if (!role) {
+        recordStep(REGISTRATION_STEP.ROLE_ASSIGN, STEP_STATUS.FAILED, {
+          errors: [{ message: missingRoleMessage(roleAssignment.roleName) }],
+        });
+      } else {
+        // A contact holds one role per location: on the locations the
+        // registration created, replace other roles (Shopify may have given
+        // one on creation); elsewhere keep whatever role they hold.
+        const current = await getContactRoleAssignments(admin, contactId);
+        const replaced = current.filter(
+          ({ locationId, roleId }) =>
+            locationIds.includes(locationId) && createdIds.includes(locationId) && roleId !== role.id,
+        );
+        const missing = locationIds.filter(
+          (locationId) =>
+            !current.some(
+              (assignment) =>
+                assignment.locationId === locationId &&
+                (assignment.roleId === role.id || !createdIds.includes(locationId)),
+            ),
+        );
+
+        if (replaced.length) {
+          await revokeContactRoles(admin, contactId, replaced.map(({ id }) => id));
+        }
+        if (missing.length) {
+          await assignContactRoles(
+            admin,
+            contactId,
+            missing.map((locationId) => ({ roleId: role.id, locationId })),
+          );
+        }
+        recordStep(REGISTRATION_STEP.ROLE_ASSIGN, STEP_STATUS.SUCCEEDED, {
+          detail: {
+            companyContactId: contactId,
+            roleId: role.id,
+            roleName: role.name,
+            locationIds: [...covered, ...locationIds],
+          },
+        });
+      }
+    } catch (error) {
+      recordFailure(REGISTRATION_STEP.ROLE_ASSIGN, error, { companyContactId });
+    }
+  }
+
+  // A further location's own contact joins the company with the role on
+  // that location. One person listed for several locations is one contact.
+  const locationContacts = new Map();
+  let companyRoles = null;
+
+  for (const { number, locationId, location } of additionalLocations) {
+    const email = location.contactEmail.toLowerCase();
+    if (!email || email === userEmail.trim().toLowerCase()) continue;
+
+    const contactStep = locationStep(REGISTRATION_STEP.LOCATION_CONTACT, number);
+    const roleStep = locationStep(REGISTRATION_STEP.LOCATION_ROLE, number);
+    let contactId =
+      done(contactStep)?.detail?.companyContactId || locationContacts.get(email) || null;
+
+    if (!contactId) {
+      try {
+        const customer = await contactCustomer(admin, location);
+        ({ id: contactId } = await assignCustomerAsContact(admin, companyId, customer.id));
+        recordStep(contactStep, STEP_STATUS.SUCCEEDED, {
+          detail: { email, customerId: customer.id, companyContactId: contactId },
+        });
+      } catch (error) {
+        recordFailure(contactStep, error, { email });
+        continue;
+      }
+    }
+    locationContacts.set(email, contactId);
+
+    if (!done(roleStep)) {
+      try {
+        companyRoles = companyRoles || (await getCompanyRoles(admin, companyId));
+        const role = chooseRole(companyRoles, roleAssignment.roleName);
+
+        if (!role) {
+          recordStep(roleStep, STEP_STATUS.FAILED, {
+            errors: [{ message: missingRoleMessage(roleAssignment.roleName) }],
+          });
+        } else {
+          await assignContactRoles(admin, contactId, [{ roleId: role.id, locationId }]);
+          recordStep(roleStep, STEP_STATUS.SUCCEEDED, {
+            detail: {
+              companyContactId: contactId,
+              roleId: role.id,
+              roleName: role.name,
+              locationIds: [locationId],
+            },
+          });
+        }
+      } catch (error) {
+        recordFailure(roleStep, error, { companyContactId: contactId, locationId });
+      }
+    }
+  }
+
+  // 6. Custom form fields the merchant mapped to metafields in the form builder
+  if (metafields.length && !done(REGISTRATION_STEP.METAFIELDS)) {
+    let skippedMetafields = [];
+    try {
+      if (!companyLocationId && metafields.some(({ ownerType }) => ownerType === "COMPANY_LOCATION")) {
+        companyLocationId = (await getFirstCompanyLocation(admin, companyId))?.id || null;
+      }
+
+      const ownerIds = {
+        COMPANY: companyId,
+        COMPANY_LOCATION: companyLocationId,
+        CUSTOMER: customerId,
+      };
+      const metafieldInputs = metafields
+        .filter(({ ownerType }) => ownerIds[ownerType])
+        .map(({ ownerType, namespace, key, type, value }) => ({
+          ownerId: ownerIds[ownerType],
+          namespace,
+          key,
+          type,
+          value,
+        }));
+      skippedMetafields = metafields
+        .filter(({ ownerType }) => !ownerIds[ownerType])
+        .map(({ ownerType, namespace, key }) => `${ownerType} ${namespace}.${key}`);
+
+      if (metafieldInputs.length) {
+        const saved = await setMetafields(admin, metafieldInputs);
+        recordStep(REGISTRATION_STEP.METAFIELDS, STEP_STATUS.SUCCEEDED, {
+          detail: { metafieldIds: saved.map(({ id }) => id), skipped: skippedMetafields },
+        });
+      } else {
+        recordStep(REGISTRATION_STEP.METAFIELDS, STEP_STATUS.SKIPPED, {
+          detail: { skipped: skippedMetafields },
+        });
+      }
+    } catch (error) {
+      recordFailure(REGISTRATION_STEP.METAFIELDS, error, { skipped: skippedMetafields });
+    }
+  }
+
+  const message = customerId
+    ? "Company and customer created successfully!"
+    : customerError
+      ? `Company created successfully! Note: ${customerError}`
+      : "Company created successfully!";
+
+  console.log("Final result:", { companyId, customerId, customerError });
+
+  return {
+    success: true,
+    companyId,
+    customerId,
+    message,
+    customerError,
+    steps,
+    retryable,
+  };
+}
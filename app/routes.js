@@ -1,3 +1,4 @@
 import { flatRoutes } from "@remix-run/fs-routes";
 
-export default flatRoutes();
+// Tests sit next to the modules they cover; they are not routes.
+export default flatRoutes({ ignoredRouteFiles: ["**/*.test.*"] });
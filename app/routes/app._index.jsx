@@ -1,5 +1,5 @@
-import { useEffect } from "react";
-import { useFetcher, useNavigate } from "@remix-run/react";
+import { useState, useEffect } from "react";
+import { useFetcher, useLoaderData, useNavigate } from "@remix-run/react";
 import {
   Page,
   Layout,
@@ -7,37 +7,137 @@ import {
   Card,
   Button,
   BlockStack,
-  Box,
-  List,
-  Link,
+  Badge,
+  Banner,
+  Divider,
   InlineStack,
+  TextField,
 } from "@shopify/polaris";
 import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server";
+import { SETUP_STATUS } from "../models/setupStatus";
+import {
+  SetupError,
+  getSetupChecklist,
+  runSetup,
+  runSetupStep,
+  saveNotificationEmails,
+} from "../models/onboarding.server";
+
+const STATUS_BADGES = {
+  [SETUP_STATUS.PENDING]: { tone: undefined, label: "Not started" },
+  [SETUP_STATUS.COMPLETE]: { tone: "success", label: "Done" },
+  [SETUP_STATUS.FAILED]: { tone: "critical", label: "Failed" },
+};
 
+// Only reads the stored checklist: opening the dashboard does not change
+// anything in the shop. Setup runs when staff trigger it below.
 export const loader = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
-  
-  // Just return basic info, the wholesale page setup is handled in app.wholesalepage.jsx
-  return {
-    appInstalled: true,
-    timestamp: new Date().toISOString()
-  };
+  const { session } = await authenticate.admin(request);
+
+  return getSetupChecklist(session.shop);
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const body = await request.formData();
+  const intent = body.get("intent");
+
+  try {
+    if (intent === "runAll") {
+      const succeeded = await runSetup(admin, session.shop);
+      return succeeded
+        ? { success: true, message: "Setup complete" }
+        : { success: false, errors: [{ message: "Some setup steps failed" }] };
+    }
+
+    if (intent === "runStep") {
+      const succeeded = await runSetupStep(admin, session.shop, body.get("step"));
+      return succeeded
+        ? { success: true, message: "Step complete" }
+        : { success: false, errors: [{ message: "The step failed" }] };
+    }
+
+    if (intent === "saveNotificationEmails") {
+      await saveNotificationEmails(session.shop, body.get("emails"));
+      return { success: true, message: "Notification emails saved" };
+    }
+  } catch (error) {
+    if (error instanceof SetupError) {
+      return { success: false, errors: [{ message: error.message }] };
+    }
+    throw error;
+  }
+
+  return { success: false, errors: [{ message: "Invalid action type" }] };
 };
 
-// No action needed here - form submissions are handled by apps.proxy.jsx
+function SetupStepRow({ step, fetcher, children }) {
+  const badge = STATUS_BADGES[step.status];
+  const isRunning =
+    fetcher.state !== "idle" && fetcher.formData?.get("step") === step.name;
+
+  return (
+    <BlockStack gap="200">
+      <InlineStack align="space-between" blockAlign="center">
+        <InlineStack gap="200" blockAlign="center">
+          <Text as="h3" variant="headingSm">
+            {step.title}
+          </Text>
+          <Badge tone={badge.tone}>{badge.label}</Badge>
+        </InlineStack>
+        <Button
+          size="slim"
+          loading={isRunning}
+          disabled={fetcher.state !== "idle"}
+          onClick={() =>
+            fetcher.submit(
+              { intent: "runStep", step: step.name },
+              { method: "POST" },
+            )
+          }
+        >
+          {step.status === SETUP_STATUS.PENDING ? "Run" : "Run again"}
+        </Button>
+      </InlineStack>
+      <Text as="p" variant="bodyMd" tone="subdued">
+        {step.description}
+      </Text>
+      {step.error && (
+        <Text as="p" variant="bodyMd" tone="critical">
+          {step.error}
+        </Text>
+      )}
+      {children}
+    </BlockStack>
+  );
+}
 
 export default function Index() {
+  const { steps, complete, notificationEmails } = useLoaderData();
   const fetcher = useFetcher();
   const navigate = useNavigate();
+  const shopify = useAppBridge();
+
+  const savedEmails = notificationEmails.join(", ");
+  const [emails, setEmails] = useState(savedEmails);
+
+  useEffect(() => {
+    setEmails(savedEmails);
+  }, [savedEmails]);
 
-  // Trigger the wholesale page setup when this component mounts
   useEffect(() => {
-    // Navigate to wholesale page to trigger its loader (page creation)
-    // This ensures the page gets created when the app is installed/accessed
-    fetcher.load("/app/wholesalepage");
-    fetcher.load("/app/metafielddefinition");
-  }, []);
+    if (!fetcher.data) return;
+    if (fetcher.data.success) {
+      shopify.toast.show(fetcher.data.message);
+    } else if (fetcher.data.errors?.length) {
+      shopify.toast.show(`Error: ${fetcher.data.errors[0].message}`, {
+        isError: true,
+      });
+    }
+  }, [fetcher.data, shopify]);
+
+  const isSubmitting = fetcher.state !== "idle";
 
   return (
     <Page>
@@ -49,46 +149,70 @@ export default function Index() {
               <BlockStack gap="500">
                 <BlockStack gap="200">
                   <Text as="h2" variant="headingMd">
-                    Wholesale Registration App 🎉
+                    Set up wholesale registration
                   </Text>
                   <Text variant="bodyMd" as="p">
-                    Your wholesale registration app has been successfully installed! 
-                    The wholesale registration page is being set up automatically.
-                  </Text>
-                </BlockStack>
-                <BlockStack gap="200">
-                  <Text as="h3" variant="headingMd">
-                    App Features:
+                    Each step checks what your store already has before
+                    changing anything, so you can run them again at any time.
                   </Text>
-                  <List>
-                    <List.Item>
-                      Automatic wholesale registration page creation
-                    </List.Item>
-                    <List.Item>
-                      Customer login protection for the registration form
-                    </List.Item>
-                    <List.Item>
-                      B2B company and customer management integration
-                    </List.Item>
-                    <List.Item>
-                      Form validation and error handling
-                    </List.Item>
-                    <List.Item>
-                      Automatic navigation menu integration
-                    </List.Item>
-                  </List>
                 </BlockStack>
+
+                {complete && (
+                  <Banner tone="success" title="Setup is complete">
+                    <p>
+                      Customers can now apply for wholesale accounts from your
+                      storefront.
+                    </p>
+                  </Banner>
+                )}
+
+                {steps.map((step, index) => (
+                  <BlockStack gap="400" key={step.name}>
+                    {index > 0 && <Divider />}
+                    <SetupStepRow step={step} fetcher={fetcher}>
+                      {step.name === "notificationEmail" && (
+                        <InlineStack gap="200" blockAlign="end">
+                          <TextField
+                            label="Staff notification emails"
+                            value={emails}
+                            onChange={setEmails}
+                            autoComplete="off"
+                            helpText="Separate addresses with commas"
+                          />
+                          <Button
+                            disabled={isSubmitting || !emails.trim()}
+                            onClick={() =>
+                              fetcher.submit(
+                                { intent: "saveNotificationEmails", emails },
+                                { method: "POST" },
+                              )
+                            }
+                          >
+                            Save
+                          </Button>
+                        </InlineStack>
+                      )}
+                    </SetupStepRow>
+                  </BlockStack>
+                ))}
+
                 <InlineStack gap="300">
                   <Button
-                    onClick={() => navigate("/app/wholesalepage")}
                     variant="primary"
+                    loading={
+                      isSubmitting && fetcher.formData?.get("intent") === "runAll"
+                    }
+                    disabled={isSubmitting}
+                    onClick={() =>
+                      fetcher.submit({ intent: "runAll" }, { method: "POST" })
+                    }
                   >
+                    {complete ? "Run all steps again" : "Run setup"}
+                  </Button>
+                  <Button onClick={() => navigate("/app/wholesalepage")}>
                     View Wholesale Page Management
                   </Button>
                 </InlineStack>
-                <Text variant="bodyMd" as="p">
-                  Visit your storefront to see the wholesale registration form in action!
-                </Text>
               </BlockStack>
             </Card>
           </Layout.Section>
@@ -96,4 +220,4 @@ export default function Index() {
       </BlockStack>
     </Page>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,25 @@
+// app/routes/app.applications.$id.attachments.$attachmentId.jsx
+import { authenticate } from "../shopify.server";
+import { getApplicationAttachment } from "../models/wholesaleApplication.server";
+
+// Streams a file uploaded with an application back to staff.
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+
+  const attachment = await getApplicationAttachment(
+    session.shop,
+    params.id,
+    params.attachmentId,
+  );
+  if (!attachment) {
+    throw new Response("Attachment not found", { status: 404 });
+  }
+
+  return new Response(attachment.data, {
+    headers: {
+      "Content-Type": attachment.contentType,
+      "Content-Length": String(attachment.size),
+      "Content-Disposition": `attachment; filename="${encodeURIComponent(attachment.fileName)}"`,
+    },
+  });
+};
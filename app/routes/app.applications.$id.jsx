@@ -0,0 +1,1012 @@
+// app/routes/app.applications.$id.jsx
+import { useState, useEffect } from "react";
+import { json } from "@remix-run/node";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  Button,
+  BlockStack,
+  InlineStack,
+  TextField,
+  DataTable,
+  Badge,
+  Banner,
+  Link,
+  Select,
+  Checkbox,
+  ChoiceList,
+  Scrollable,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { ApplicationStatusBadge } from "../components/ApplicationStatusBadge";
+import {
+  APPLICATION_STATUS,
+  OPEN_STATUSES,
+} from "../models/applicationStatus";
+import {
+  ApplicationStateError,
+  addApplicationLocation,
+  approveApplication,
+  failedStepNames,
+  getApplication,
+  rejectApplication,
+  requestApplicationInfo,
+  retryApplication,
+} from "../models/wholesaleApplication.server";
+import { getRegistrationForm } from "../models/registrationForm.server";
+import { LOCATION_FIELDS, readLocations } from "../models/registrationForm";
+import { STEP_STATUS } from "../models/wholesaleRegistration.server";
+import { AdminApiError } from "../models/adminApi.server";
+import {
+  getRegistrationRecords,
+  listCompanyLocationCatalogs,
+  listContactRoleNames,
+} from "../models/adminResources.server";
+import {
+  LocationTermsFields,
+  locationTermsDraft,
+  locationTermsErrors,
+} from "../components/LocationTermsFields";
+import {
+  ROLE_SCOPE,
+  ROLE_SCOPE_LABELS,
+  roleOptions,
+} from "../models/contactRoles";
+import {
+  SettingsError,
+  getShopSettings,
+  shopLocationTerms,
+  shopRoleAssignment,
+} from "../models/shopSettings.server";
+import {
+  DELIVERY_STATUS,
+  EMAIL_EVENT,
+  EMAIL_EVENT_LABELS,
+  EMAIL_RECIPIENT_LABELS,
+} from "../models/emailTemplates";
+import { notifyApplicationEvent } from "../models/notifications.server";
+import { setCertificateExpiry } from "../models/taxCertificates.server";
+import {
+  DEFAULT_TAX_EXEMPTION,
+  TAX_EXEMPTION_OPTIONS,
+  formatExpiryDate,
+  parseExpiryDate,
+} from "../models/taxExemptions";
+
+const SCOPE_OPTIONS = Object.values(ROLE_SCOPE).map((value) => ({
+  label: ROLE_SCOPE_LABELS[value],
+  value,
+}));
+
+const STEP_TONES = {
+  SUCCEEDED: "success",
+  FAILED: "critical",
+  SKIPPED: undefined,
+};
+
+// Labels come from the current registration form; values for fields that
+// have since been removed from the form are still shown under their name.
+function submittedRows(application, formFields) {
+  const labels = new Map(formFields.map(({ name, label }) => [name, label]));
+  const locationFields = new Set(
+    formFields.filter(({ type }) => type === "locations").map(({ name }) => name),
+  );
+  const names = [
+    ...formFields.map(({ name }) => name),
+    ...Object.keys(application.fields).filter((name) => !labels.has(name)),
+  ];
+
+  return names
+    .filter((name) => name in application.fields)
+    .map((name) => [
+      labels.get(name) || name,
+      locationFields.has(name)
+        ? `${readLocations(application.fields[name]).length} (see Addresses)`
+        : String(application.fields[name] ?? "") || "—",
+    ]);
+}
+
+// The addresses the registration assigns to the company location, from the
+// pipeline's values, and its further locations. Billing is null when it is
+// the shipping address.
+function submittedAddresses(application) {
+  const values = application.registration?.values || application.fields;
+  const format = (parts) =>
+    parts
+      .map((part) => part?.trim())
+      .filter(Boolean)
+      .join(", ");
+
+  return {
+    shipping: format([
+      values.address1,
+      values.address2,
+      values.city,
+      values.state,
+      values.zip_code,
+      values.country,
+    ]),
+    billing:
+      values.separateBilling === "true" && values.billingAddress1?.trim()
+        ? format([
+            values.billingAddress1,
+            values.billingAddress2,
+            values.billingCity,
+            values.billingState,
+            values.billingZip,
+            values.billingCountry || values.country,
+          ])
+        : null,
+    locations: readLocations(values.additionalLocations).map((location) => ({
+      ...location,
+      address: format([
+        location.address1,
+        location.address2,
+        location.city,
+        location.state,
+        location.zip,
+        location.country,
+      ]),
+    })),
+  };
+}
+
+// The uploaded resale certificate: the attachment of the field mapped to it.
+function certificateAttachment(application) {
+  const fileName = application.registration?.values?.taxCertificate;
+
+  return fileName
+    ? application.attachments.find((attachment) => attachment.fileName === fileName) || null
+    : null;
+}
+
+function exemptionSummary({ taxExempt, exemptions }) {
+  if (taxExempt) return "Fully tax exempt";
+  if (!exemptions.length) return "None";
+
+  return exemptions
+    .map((value) => TAX_EXEMPTION_OPTIONS.find((option) => option.value === value)?.label || value)
+    .join(", ");
+}
+
+function formatSize(bytes) {
+  return bytes < 1024 * 1024
+    ? `${Math.ceil(bytes / 1024)} KB`
+    : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function adminUrl(gid) {
+  const [, resource, id] = gid.match(/gid:\/\/shopify\/(\w+)\/(\d+)/) || [];
+  const paths = { Company: "companies", Customer: "customers" };
+
+  return paths[resource] ? `shopify://admin/${paths[resource]}/${id}` : null;
+}
+
+export const loader = async ({ request, params }) => {
+  const { admin, session } = await authenticate.admin(request);
+
+  const application = await getApplication(session.shop, params.id);
+  if (!application) {
+    throw json({ error: "Application not found" }, { status: 404 });
+  }
+
+  // Current state of the Shopify objects an approved application created, so
+  // staff can see what the registration is linked to today.
+  let linkedRecords = null;
+  if (application.companyId || application.customerId) {
+    try {
+      linkedRecords = await getRegistrationRecords(admin, application);
+    } catch (error) {
+      console.error("Could not load linked Shopify records:", error);
+    }
+  }
+
+  // The role and buying terms approval will apply, preset from the shop's
+  // settings and open to change before approving.
+  let approval = null;
+  if (OPEN_STATUSES.includes(application.status)) {
+    const settings = await getShopSettings(session.shop);
+    approval = {
+      roleAssignment: application.roleAssignment || shopRoleAssignment(settings),
+      locationTerms: application.locationTerms || shopLocationTerms(settings),
+      roleNames: [],
+      catalogs: [],
+    };
+    try {
+      [approval.roleNames, approval.catalogs] = await Promise.all([
+        listContactRoleNames(admin),
+        listCompanyLocationCatalogs(admin),
+      ]);
+    } catch (error) {
+      if (!(error instanceof AdminApiError)) throw error;
+      console.error("Could not load company roles and catalogs:", error);
+    }
+  }
+
+  const form = await getRegistrationForm(session.shop);
+
+  return {
+    application,
+    linkedRecords,
+    formFields: form.fields,
+    failedSteps: failedStepNames(application),
+    approval,
+  };
+};
+
+export const action = async ({ request, params }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const body = await request.formData();
+  const intent = body.get("intent");
+  const note = (body.get("note") || "").toString();
+
+  try {
+    if (intent === "approve" || intent === "retry") {
+      const { application, result } =
+        intent === "approve"
+          ? await approveApplication(admin, session.shop, params.id, {
+              roleAssignment: {
+                roleName: body.get("roleName"),
+                scope: body.get("scope"),
+              },
+              locationTerms: {
+                catalogId: body.get("catalogId"),
+                paymentTermsDays: body.get("paymentTermsDays"),
+                checkoutToDraft: body.get("checkoutToDraft"),
+                depositPercentage: body.get("depositPercentage"),
+              },
+              taxExemption: {
+                taxExempt: body.get("taxExempt"),
+                exemptions: body.get("exemptions"),
+              },
+              certificateExpiresOn: (body.get("certificateExpiresOn") || "").toString(),
+            })
+          : await retryApplication(admin, session.shop, params.id);
+
+      if (!result.success) {
+        return {
+          success: false,
+          errors: [
+            { message: result.error || result.message },
+            ...(result.details || []),
+          ],
+        };
+      }
+
+      if (intent === "approve") {
+        await notifyApplicationEvent(admin, application, EMAIL_EVENT.APPROVED);
+      }
+      return { success: true, message: result.message };
+    }
+
+    if (intent === "addLocation") {
+      const { result } = await addApplicationLocation(
+        admin,
+        session.shop,
+        params.id,
+        Object.fromEntries(
+          LOCATION_FIELDS.map(({ name }) => [name, body.get(name) || ""]),
+        ),
+      );
+      const failed = (result.steps || [])
+        .filter(({ status }) => status === STEP_STATUS.FAILED)
+        .map(({ name }) => name);
+
+      if (!result.success || failed.length) {
+        return {
+          success: false,
+          errors: [
+            {
+              message:
+                result.error ||
+                `The location was saved, but these steps failed: ${[...new Set(failed)].join(", ")}`,
+            },
+          ],
+        };
+      }
+      return { success: true, message: "Location added" };
+    }
+
+    if (intent === "saveCertificateExpiry") {
+      const expiresOn = parseExpiryDate((body.get("certificateExpiresOn") || "").toString());
+      if (expiresOn === undefined) {
+        return {
+          success: false,
+          errors: [{ message: "Enter the certificate expiry date as YYYY-MM-DD" }],
+        };
+      }
+      if (!(await setCertificateExpiry(session.shop, params.id, expiresOn))) {
+        return { success: false, errors: [{ message: "Application not found" }] };
+      }
+      return { success: true, message: "Certificate expiry saved" };
+    }
+
+    if (intent === "reject") {
+      const application = await rejectApplication(session.shop, params.id, {
+        reason: note,
+      });
+      await notifyApplicationEvent(admin, application, EMAIL_EVENT.REJECTED);
+      return { success: true, message: "Application rejected" };
+    }
+
+    if (intent === "requestInfo") {
+      const application = await requestApplicationInfo(
+        session.shop,
+        params.id,
+        { message: note },
+      );
+      await notifyApplicationEvent(
+        admin,
+        application,
+        EMAIL_EVENT.INFO_REQUESTED,
+      );
+      return { success: true, message: "More information requested" };
+    }
+  } catch (error) {
+    if (
+      error instanceof ApplicationStateError ||
+      error instanceof SettingsError
+    ) {
+      return { success: false, errors: [{ message: error.message }] };
+    }
+    throw error;
+  }
+
+  return { success: false, errors: [{ message: "Invalid action type" }] };
+};
+
+function RecordLink({ gid, children }) {
+  const url = adminUrl(gid);
+  return url ? (
+    <Link url={url} target="_top">
+      {children}
+    </Link>
+  ) : (
+    children
+  );
+}
+
+const EMPTY_LOCATION = Object.fromEntries(
+  LOCATION_FIELDS.map(({ name }) => [name, ""]),
+);
+
+// Adds a location to the company once the application is approved; it is
+// created by the registration pipeline like one from the form.
+function AddLocation() {
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+  const [location, setLocation] = useState(EMPTY_LOCATION);
+
+  useEffect(() => {
+    if (!fetcher.data) return;
+    if (fetcher.data.success) {
+      shopify.toast.show(fetcher.data.message);
+      setLocation(EMPTY_LOCATION);
+    } else if (fetcher.data.errors?.length) {
+      shopify.toast.show(`Error: ${fetcher.data.errors[0].message}`, {
+        isError: true,
+      });
+    }
+  }, [fetcher.data, shopify]);
+
+  const incomplete = LOCATION_FIELDS.some(
+    ({ name, required }) => required && !location[name].trim(),
+  );
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <Text as="h2" variant="headingMd">
+          Add a location
+        </Text>
+        {LOCATION_FIELDS.map(({ name, label, type, required }) => (
+          <TextField
+            key={name}
+            label={label}
+            type={type}
+            value={location[name]}
+            onChange={(value) => setLocation({ ...location, [name]: value })}
+            requiredIndicator={required}
+            autoComplete="off"
+          />
+        ))}
+        <Text as="p" variant="bodySm" tone="subdued">
+          The location gets the buying terms of this registration. A contact
+          gets the buyer role on it.
+        </Text>
+        <InlineStack align="end">
+          <Button
+            variant="primary"
+            disabled={incomplete}
+            loading={fetcher.state !== "idle"}
+            onClick={() =>
+              fetcher.submit(
+                { intent: "addLocation", ...location },
+                { method: "POST" },
+              )
+            }
+          >
+            Add location
+          </Button>
+        </InlineStack>
+      </BlockStack>
+    </Card>
+  );
+}
+
+// The resale certificate of an approved application, its tax exemptions and
+// the tax IDs kept for its locations. A renewed certificate gets a new
+// expiry date, which schedules a new reminder.
+function TaxCertificate({ application, certificate, onDownload }) {
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+  const [expiresOn, setExpiresOn] = useState(
+    formatExpiryDate(application.certificateExpiresOn),
+  );
+
+  useEffect(() => {
+    if (!fetcher.data) return;
+    if (fetcher.data.success) {
+      shopify.toast.show(fetcher.data.message);
+    } else if (fetcher.data.errors?.length) {
+      shopify.toast.show(`Error: ${fetcher.data.errors[0].message}`, {
+        isError: true,
+      });
+    }
+  }, [fetcher.data, shopify]);
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <Text as="h2" variant="headingMd">
+          Tax certificate
+        </Text>
+        {certificate ? (
+          <InlineStack align="space-between" blockAlign="center">
+            <Text as="p">{certificate.fileName}</Text>
+            <Button size="slim" onClick={() => onDownload(certificate)}>
+              Download
+            </Button>
+          </InlineStack>
+        ) : (
+          <Text as="p" tone="subdued">
+            No certificate uploaded
+          </Text>
+        )}
+        <Text as="p">
+          Exemptions:{" "}
+          {exemptionSummary(application.taxExemption || DEFAULT_TAX_EXEMPTION)}
+        </Text>
+        <TextField
+          label="Certificate expires on"
+          type="date"
+          value={expiresOn}
+          onChange={setExpiresOn}
+          autoComplete="off"
+          helpText={
+            application.certificateReminderSentAt
+              ? `Reminder sent ${new Date(application.certificateReminderSentAt).toLocaleDateString()}`
+              : "The applicant and staff are reminded 30 days before"
+          }
+        />
+        <InlineStack align="end">
+          <Button
+            loading={fetcher.state !== "idle"}
+            disabled={expiresOn === formatExpiryDate(application.certificateExpiresOn)}
+            onClick={() =>
+              fetcher.submit(
+                { intent: "saveCertificateExpiry", certificateExpiresOn: expiresOn },
+                { method: "POST" },
+              )
+            }
+          >
+            Save expiry date
+          </Button>
+        </InlineStack>
+        {application.taxIds.length > 0 && (
+          <BlockStack gap="100">
+            <Text as="h3" variant="headingSm">
+              Tax IDs
+            </Text>
+            {application.taxIds.map((taxId) => (
+              <InlineStack key={taxId.id} gap="200" blockAlign="center">
+                <Text as="p">{taxId.taxId}</Text>
+                <Badge tone={taxId.inTaxSettings ? "success" : undefined}>
+                  {taxId.inTaxSettings ? "in tax settings" : "metafield only"}
+                </Badge>
+              </InlineStack>
+            ))}
+          </BlockStack>
+        )}
+      </BlockStack>
+    </Card>
+  );
+}
+
+function LocationAddress({ label, address }) {
+  return (
+    <Text as="p" variant="bodySm" tone="subdued">
+      {label}: {address ? address.formattedAddress.join(", ") : "none"}
+    </Text>
+  );
+}
+
+export default function ApplicationDetail() {
+  const {
+    application,
+    linkedRecords,
+    formFields,
+    failedSteps,
+    approval,
+  } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+
+  const [note, setNote] = useState("");
+  const [roleName, setRoleName] = useState(
+    approval?.roleAssignment.roleName ?? "",
+  );
+  const [scope, setScope] = useState(
+    approval?.roleAssignment.scope ?? ROLE_SCOPE.FORM_LOCATION,
+  );
+  const [terms, setTerms] = useState(
+    approval ? locationTermsDraft(approval.locationTerms) : null,
+  );
+  const [exemption, setExemption] = useState(
+    application.taxExemption || DEFAULT_TAX_EXEMPTION,
+  );
+  const [expiresOn, setExpiresOn] = useState(
+    formatExpiryDate(application.certificateExpiresOn),
+  );
+
+  const isOpen = OPEN_STATUSES.includes(application.status);
+  const isSubmitting = fetcher.state !== "idle";
+
+  useEffect(() => {
+    if (!fetcher.data) return;
+    if (fetcher.data.success) {
+      shopify.toast.show(fetcher.data.message);
+      setNote("");
+    } else if (fetcher.data.errors?.length) {
+      shopify.toast.show(`Error: ${fetcher.data.errors[0].message}`, {
+        isError: true,
+      });
+    }
+  }, [fetcher.data, shopify]);
+
+  const submit = (intent) =>
+    fetcher.submit(
+      {
+        intent,
+        note,
+        roleName,
+        scope,
+        ...(terms && {
+          ...terms,
+          checkoutToDraft: String(terms.checkoutToDraft),
+        }),
+        taxExempt: String(exemption.taxExempt),
+        exemptions: JSON.stringify(exemption.exemptions),
+        certificateExpiresOn: expiresOn,
+      },
+      { method: "POST" },
+    );
+  const termsInvalid =
+    terms && Object.keys(locationTermsErrors(terms)).length > 0;
+
+  // fetch() is authenticated by App Bridge, a plain link would not be.
+  const download = async (attachment) => {
+    const response = await fetch(
+      `/app/applications/${application.id}/attachments/${attachment.id}`,
+    );
+    if (!response.ok) {
+      shopify.toast.show("Error: could not download file", { isError: true });
+      return;
+    }
+
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = attachment.fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const company = linkedRecords?.company;
+  const customer = linkedRecords?.customer;
+  const addresses = submittedAddresses(application);
+  const certificate = certificateAttachment(application);
+
+  return (
+    <Page
+      backAction={{ content: "Applications", url: "/app/applications" }}
+      title={application.companyName}
+      titleMetadata={<ApplicationStatusBadge status={application.status} />}
+      subtitle={`Submitted ${new Date(application.createdAt).toLocaleString()}`}
+    >
+      <TitleBar title={application.companyName} />
+
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="500">
+            {application.rejectionReason && (
+              <Banner tone="critical" title="Rejection reason">
+                <p>{application.rejectionReason}</p>
+              </Banner>
+            )}
+            {application.status === APPLICATION_STATUS.INFO_REQUESTED && (
+              <Banner tone="warning" title="Information requested">
+                <p>{application.infoRequest}</p>
+              </Banner>
+            )}
+
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">
+                  Submitted details
+                </Text>
+                <DataTable
+                  columnContentTypes={["text", "text"]}
+                  headings={["Field", "Value"]}
+                  rows={submittedRows(application, formFields)}
+                />
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">
+                  Addresses
+                </Text>
+                <BlockStack gap="100">
+                  <Text as="h3" variant="headingSm">
+                    Shipping address
+                  </Text>
+                  <Text as="p" tone={addresses.shipping ? undefined : "subdued"}>
+                    {addresses.shipping || "Not provided"}
+                  </Text>
+                </BlockStack>
+                <BlockStack gap="100">
+                  <Text as="h3" variant="headingSm">
+                    Billing address
+                  </Text>
+                  <Text as="p" tone={addresses.billing ? undefined : "subdued"}>
+                    {addresses.billing || "Same as shipping address"}
+                  </Text>
+                </BlockStack>
+                {addresses.locations.map((location, index) => (
+                  <BlockStack gap="100" key={index}>
+                    <Text as="h3" variant="headingSm">
+                      {location.name}
+                    </Text>
+                    <Text as="p">{location.address}</Text>
+                    {location.taxId && (
+                      <Text as="p" tone="subdued">
+                        Tax ID: {location.taxId}
+                      </Text>
+                    )}
+                    {location.contactEmail && (
+                      <Text as="p" tone="subdued">
+                        Contact:{" "}
+                        {[
+                          location.contactFirstName,
+                          location.contactLastName,
+                          `<${location.contactEmail}>`,
+                        ]
+                          .filter(Boolean)
+                          .join(" ")}
+                      </Text>
+                    )}
+                  </BlockStack>
+                ))}
+              </BlockStack>
+            </Card>
+
+            {application.attachments.length > 0 && (
+              <Card>
+                <BlockStack gap="300">
+                  <Text as="h2" variant="headingMd">
+                    Attachments
+                  </Text>
+                  {application.attachments.map((attachment) => (
+                    <InlineStack
+                      key={attachment.id}
+                      align="space-between"
+                      blockAlign="center"
+                    >
+                      <Text as="p">
+                        {attachment.fileName}{" "}
+                        <Text as="span" tone="subdued">
+                          ({formatSize(attachment.size)})
+                        </Text>
+                      </Text>
+                      <Button size="slim" onClick={() => download(attachment)}>
+                        Download
+                      </Button>
+                    </InlineStack>
+                  ))}
+                </BlockStack>
+              </Card>
+            )}
+
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">
+                  Status history
+                </Text>
+                <DataTable
+                  columnContentTypes={["text", "text", "text"]}
+                  headings={["Date", "Status", "Note"]}
+                  rows={application.events.map((event) => [
+                    new Date(event.createdAt).toLocaleString(),
+                    <ApplicationStatusBadge
+                      key={event.id}
+                      status={event.toStatus}
+                    />,
+                    event.note || "—",
+                  ])}
+                />
+              </BlockStack>
+            </Card>
+
+            {application.deliveries.length > 0 && (
+              <Card>
+                <BlockStack gap="300">
+                  <Text as="h2" variant="headingMd">
+                    Emails
+                  </Text>
+                  <DataTable
+                    columnContentTypes={["text", "text", "text", "text", "text"]}
+                    headings={["Date", "Email", "To", "Subject", "Outcome"]}
+                    rows={application.deliveries.map((delivery) => [
+                      new Date(delivery.createdAt).toLocaleString(),
+                      `${EMAIL_EVENT_LABELS[delivery.event]} (${EMAIL_RECIPIENT_LABELS[delivery.recipient].toLowerCase()})`,
+                      delivery.to,
+                      delivery.subject,
+                      delivery.status === DELIVERY_STATUS.SENT ? (
+                        <Badge key={delivery.id} tone="success">
+                          sent
+                        </Badge>
+                      ) : (
+                        <Badge key={delivery.id} tone="critical">
+                          {`failed: ${delivery.error}`}
+                        </Badge>
+                      ),
+                    ])}
+                  />
+                </BlockStack>
+              </Card>
+            )}
+
+            {application.steps.length > 0 && (
+              <Card>
+                <BlockStack gap="300">
+                  <Text as="h2" variant="headingMd">
+                    Registration steps
+                  </Text>
+                  <DataTable
+                    columnContentTypes={["text", "text", "text", "text"]}
+                    headings={["Date", "Step", "Outcome", "Details"]}
+                    rows={application.steps.map((step) => [
+                      new Date(step.createdAt).toLocaleString(),
+                      step.name,
+                      <Badge key={step.id} tone={STEP_TONES[step.status]}>
+                        {step.status.toLowerCase()}
+                      </Badge>,
+                      step.errors
+                        ? step.errors.map(({ message }) => message).join("; ")
+                        : JSON.stringify(step.detail || {}),
+                    ])}
+                  />
+                </BlockStack>
+              </Card>
+            )}
+          </BlockStack>
+        </Layout.Section>
+
+        <Layout.Section variant="oneThird">
+          <BlockStack gap="500">
+            {isOpen && (
+              <Card>
+                <BlockStack gap="300">
+                  <Text as="h2" variant="headingMd">
+                    Review
+                  </Text>
+                  <TextField
+                    label="Reason or request for the applicant"
+                    value={note}
+                    onChange={setNote}
+                    multiline={3}
+                    autoComplete="off"
+                    helpText="Required when rejecting or requesting more information"
+                  />
+                  <Select
+                    label="Buyer role"
+                    options={roleOptions(approval.roleNames)}
+                    value={roleName}
+                    onChange={setRoleName}
+                  />
+                  <Select
+                    label="Role applies to"
+                    options={SCOPE_OPTIONS}
+                    value={scope}
+                    onChange={setScope}
+                    helpText="Preset from the settings; used when approving"
+                  />
+                  <Text as="h3" variant="headingSm">
+                    Buying terms for a new company
+                  </Text>
+                  <LocationTermsFields
+                    draft={terms}
+                    onChange={setTerms}
+                    catalogs={approval.catalogs}
+                  />
+                  <Text as="h3" variant="headingSm">
+                    Tax exemption
+                  </Text>
+                  {certificate ? (
+                    <InlineStack align="space-between" blockAlign="center">
+                      <Text as="p">{certificate.fileName}</Text>
+                      <Button size="slim" onClick={() => download(certificate)}>
+                        Review certificate
+                      </Button>
+                    </InlineStack>
+                  ) : (
+                    <Text as="p" tone="subdued">
+                      No certificate uploaded
+                    </Text>
+                  )}
+                  <TextField
+                    label="Certificate expires on"
+                    type="date"
+                    value={expiresOn}
+                    onChange={setExpiresOn}
+                    autoComplete="off"
+                  />
+                  <Checkbox
+                    label="Fully tax exempt"
+                    checked={exemption.taxExempt}
+                    onChange={(taxExempt) => setExemption({ ...exemption, taxExempt })}
+                  />
+                  {!exemption.taxExempt && (
+                    <Scrollable style={{ maxHeight: "200px" }}>
+                      <ChoiceList
+                        title="Exemptions"
+                        allowMultiple
+                        choices={TAX_EXEMPTION_OPTIONS}
+                        selected={exemption.exemptions}
+                        onChange={(exemptions) => setExemption({ ...exemption, exemptions })}
+                      />
+                    </Scrollable>
+                  )}
+                  <Text as="p" variant="bodySm" tone="subdued">
+                    Set on the company&apos;s locations when approving. Needs
+                    tax settings, which are available on Shopify Plus.
+                  </Text>
+                  <InlineStack gap="200">
+                    <Button
+                      variant="primary"
+                      onClick={() => submit("approve")}
+                      loading={isSubmitting}
+                      disabled={termsInvalid}
+                    >
+                      Approve
+                    </Button>
+                    <Button
+                      onClick={() => submit("requestInfo")}
+                      disabled={isSubmitting || !note.trim()}
+                    >
+                      Request more info
+                    </Button>
+                    <Button
+                      tone="critical"
+                      onClick={() => submit("reject")}
+                      disabled={isSubmitting || !note.trim()}
+                    >
+                      Reject
+                    </Button>
+                  </InlineStack>
+                </BlockStack>
+              </Card>
+            )}
+
+            {application.status === APPLICATION_STATUS.APPROVED &&
+              failedSteps.length > 0 && (
+                <Card>
+                  <BlockStack gap="300">
+                    <Text as="h2" variant="headingMd">
+                      Incomplete registration
+                    </Text>
+                    <Text as="p" variant="bodyMd">
+                      These steps failed: {failedSteps.join(", ")}. Retrying
+                      resumes from the failed steps; completed steps are not
+                      repeated.
+                    </Text>
+                    <InlineStack>
+                      <Button
+                        onClick={() => submit("retry")}
+                        loading={isSubmitting}
+                      >
+                        Retry failed steps
+                      </Button>
+                    </InlineStack>
+                  </BlockStack>
+                </Card>
+              )}
+
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">
+                  Shopify records
+                </Text>
+                <BlockStack gap="100">
+                  <Text as="h3" variant="headingSm">
+                    Company
+                  </Text>
+                  {application.companyId ? (
+                    <RecordLink gid={application.companyId}>
+                      {company?.name || application.companyId}
+                    </RecordLink>
+                  ) : (
+                    <Text as="p" tone="subdued">
+                      Not created yet
+                    </Text>
+                  )}
+                  {company?.locations?.nodes?.map((location) => (
+                    <BlockStack key={location.id}>
+                      <Text as="p" tone="subdued">
+                        Location: {location.name}
+                      </Text>
+                      <LocationAddress
+                        label="Shipping"
+                        address={location.shippingAddress}
+                      />
+                      <LocationAddress
+                        label="Billing"
+                        address={location.billingAddress}
+                      />
+                    </BlockStack>
+                  ))}
+                </BlockStack>
+                <BlockStack gap="100">
+                  <Text as="h3" variant="headingSm">
+                    Customer
+                  </Text>
+                  {application.customerId ? (
+                    <RecordLink gid={application.customerId}>
+                      {customer?.displayName || application.customerId}
+                    </RecordLink>
+                  ) : (
+                    <Text as="p" tone="subdued">
+                      Not created yet
+                    </Text>
+                  )}
+                  {customer?.email && (
+                    <Text as="p" tone="subdued">
+                      {customer.email}
+                    </Text>
+                  )}
+                </BlockStack>
+              </BlockStack>
+            </Card>
+
+            {application.status === APPLICATION_STATUS.APPROVED && (
+              <TaxCertificate
+                application={application}
+                certificate={certificate}
+                onDownload={download}
+              />
+            )}
+
+            {application.status === APPLICATION_STATUS.APPROVED &&
+              application.companyId && <AddLocation />}
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,209 @@
+// app/routes/app.applications._index.jsx
+import { useState } from "react";
+import { useLoaderData, useNavigate, useSearchParams } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  Button,
+  BlockStack,
+  InlineStack,
+  TextField,
+  Select,
+  IndexTable,
+  Pagination,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  ApplicationStatusBadge,
+  STATUS_BADGES,
+} from "../components/ApplicationStatusBadge";
+import { isCalendarDate } from "../models/dates";
+import { listApplications } from "../models/wholesaleApplication.server";
+
+const STATUS_OPTIONS = [
+  { label: "All statuses", value: "" },
+  ...Object.entries(STATUS_BADGES).map(([value, { label }]) => ({
+    label,
+    value,
+  })),
+];
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+
+  const status = url.searchParams.get("status") || "";
+  const from = url.searchParams.get("from") || "";
+  const to = url.searchParams.get("to") || "";
+  const errors = {};
+  if (from && !isCalendarDate(from)) errors.from = "Enter a valid date";
+  if (to && !isCalendarDate(to)) errors.to = "Enter a valid date";
+
+  const filters = {
+    query: url.searchParams.get("query") || "",
+    status: STATUS_BADGES[status] ? status : "",
+    from,
+    to,
+  };
+  const page = Math.max(1, parseInt(url.searchParams.get("page"), 10) || 1);
+
+  // A date with an error stays in its field but does not filter the list.
+  const result = await listApplications(session.shop, {
+    ...filters,
+    from: errors.from ? "" : from,
+    to: errors.to ? "" : to,
+    page,
+  });
+
+  return { ...result, filters, errors };
+};
+
+export default function Applications() {
+  const { applications, total, page, pageCount, filters, errors } = useLoaderData();
+  const [, setSearchParams] = useSearchParams();
+  const navigate = useNavigate();
+
+  const [query, setQuery] = useState(filters.query);
+  const [status, setStatus] = useState(filters.status);
+  const [from, setFrom] = useState(filters.from);
+  const [to, setTo] = useState(filters.to);
+
+  const search = (values, nextPage = 1) => {
+    const params = { ...values, page: nextPage > 1 ? String(nextPage) : "" };
+    setSearchParams(
+      Object.fromEntries(Object.entries(params).filter(([, value]) => value)),
+    );
+  };
+
+  const clearFilters = () => {
+    setQuery("");
+    setStatus("");
+    setFrom("");
+    setTo("");
+    setSearchParams({});
+  };
+
+  const rowMarkup = applications.map((application, index) => (
+    <IndexTable.Row
+      id={application.id}
+      key={application.id}
+      position={index}
+      onClick={() => navigate(`/app/applications/${application.id}`)}
+    >
+      <IndexTable.Cell>
+        <Text as="span" variant="bodyMd" fontWeight="semibold">
+          {application.companyName}
+        </Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{application.userEmail}</IndexTable.Cell>
+      <IndexTable.Cell>{application.companyEmail || "—"}</IndexTable.Cell>
+      <IndexTable.Cell>
+        {new Date(application.createdAt).toLocaleDateString()}
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <ApplicationStatusBadge status={application.status} />
+      </IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <Page>
+      <TitleBar title="Wholesale Applications" />
+
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <InlineStack gap="300" blockAlign="end" wrap>
+                <div style={{ flexGrow: 1 }}>
+                  <TextField
+                    label="Search"
+                    value={query}
+                    onChange={setQuery}
+                    placeholder="Company name or email"
+                    autoComplete="off"
+                    clearButton
+                    onClearButtonClick={() => setQuery("")}
+                  />
+                </div>
+                <Select
+                  label="Status"
+                  options={STATUS_OPTIONS}
+                  value={status}
+                  onChange={setStatus}
+                />
+                <TextField
+                  label="Submitted from"
+                  type="date"
+                  value={from}
+                  onChange={setFrom}
+                  error={errors.from}
+                  autoComplete="off"
+                />
+                <TextField
+                  label="Submitted to"
+                  type="date"
+                  value={to}
+                  onChange={setTo}
+                  error={errors.to}
+                  autoComplete="off"
+                />
+                <Button
+                  variant="primary"
+                  onClick={() => search({ query, status, from, to })}
+                >
+                  Apply
+                </Button>
+                <Button onClick={clearFilters}>Clear</Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card padding="0">
+            <IndexTable
+              resourceName={{ singular: "application", plural: "applications" }}
+              itemCount={applications.length}
+              selectable={false}
+              emptyState={
+                <div style={{ padding: 16 }}>
+                  <Text as="p" variant="bodyMd">
+                    No wholesale applications match these filters.
+                  </Text>
+                </div>
+              }
+              headings={[
+                { title: "Company" },
+                { title: "User email" },
+                { title: "Company email" },
+                { title: "Submitted" },
+                { title: "Status" },
+              ]}
+            >
+              {rowMarkup}
+            </IndexTable>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <InlineStack align="space-between" blockAlign="center">
+            <Text as="p" tone="subdued">
+              {total} application{total === 1 ? "" : "s"}
+            </Text>
+            <Pagination
+              hasPrevious={page > 1}
+              onPrevious={() => search(filters, page - 1)}
+              hasNext={page < pageCount}
+              onNext={() => search(filters, page + 1)}
+              label={`Page ${page} of ${pageCount}`}
+            />
+          </InlineStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
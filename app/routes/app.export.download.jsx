@@ -0,0 +1,26 @@
+// app/routes/app.export.download.jsx
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import {
+  ExportError,
+  exportResponse,
+  readExportOptions,
+} from "../models/exports.server";
+
+// Streams the export chosen on /app/export.
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+
+  let options;
+  try {
+    options = readExportOptions(new URL(request.url).searchParams);
+  } catch (error) {
+    if (!(error instanceof ExportError)) throw error;
+    return json(
+      { success: false, errors: [{ message: error.message }] },
+      { status: 400 },
+    );
+  }
+
+  return exportResponse(admin, session.shop, options);
+};
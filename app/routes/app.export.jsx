@@ -0,0 +1,145 @@
+// app/routes/app.export.jsx
+import { useState } from "react";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  Button,
+  BlockStack,
+  InlineStack,
+  Select,
+  TextField,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { STATUS_BADGES } from "../components/ApplicationStatusBadge";
+
+const DATASET_OPTIONS = [
+  { label: "Registrations with their company", value: "registrations" },
+  { label: "All wholesale companies", value: "companies" },
+];
+
+const FORMAT_OPTIONS = [
+  { label: "CSV", value: "csv" },
+  { label: "JSON", value: "json" },
+];
+
+const STATUS_OPTIONS = [
+  { label: "All statuses", value: "" },
+  ...Object.entries(STATUS_BADGES).map(([value, { label }]) => ({
+    label,
+    value,
+  })),
+];
+
+export const loader = async ({ request }) => {
+  await authenticate.admin(request);
+
+  return null;
+};
+
+export default function Export() {
+  const shopify = useAppBridge();
+  const [dataset, setDataset] = useState("registrations");
+  const [format, setFormat] = useState("csv");
+  const [status, setStatus] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [downloading, setDownloading] = useState(false);
+
+  // fetch() is authenticated by App Bridge, a plain link would not be.
+  const download = async () => {
+    const params = new URLSearchParams(
+      Object.entries({ dataset, format, status, from, to }).filter(
+        ([, value]) => value,
+      ),
+    );
+
+    setDownloading(true);
+    try {
+      const response = await fetch(`/app/export/download?${params}`);
+      if (!response.ok) {
+        const body = await response.json().catch(() => null);
+        shopify.toast.show(
+          `Error: ${body?.errors?.[0]?.message || "could not export"}`,
+          { isError: true },
+        );
+        return;
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `wholesale-${dataset}-${new Date().toISOString().slice(0, 10)}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <Page>
+      <TitleBar title="Export" />
+
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <Text as="h2" variant="headingMd">
+                Export wholesale data
+              </Text>
+              <Text as="p" variant="bodyMd" tone="subdued">
+                Registrations include the company, main contact, location
+                address and tax ID they created. The company export lists
+                every B2B company in your store with its registration, if it
+                has one. Dates filter by submission for registrations and by
+                creation for companies.
+              </Text>
+              <InlineStack gap="300" blockAlign="end" wrap>
+                <Select
+                  label="Export"
+                  options={DATASET_OPTIONS}
+                  value={dataset}
+                  onChange={setDataset}
+                />
+                <Select
+                  label="Format"
+                  options={FORMAT_OPTIONS}
+                  value={format}
+                  onChange={setFormat}
+                />
+                <Select
+                  label="Registration status"
+                  options={STATUS_OPTIONS}
+                  value={status}
+                  onChange={setStatus}
+                />
+                <TextField
+                  label="From"
+                  type="date"
+                  value={from}
+                  onChange={setFrom}
+                  autoComplete="off"
+                />
+                <TextField
+                  label="To"
+                  type="date"
+                  value={to}
+                  onChange={setTo}
+                  autoComplete="off"
+                />
+              </InlineStack>
+              <InlineStack>
+                <Button variant="primary" loading={downloading} onClick={download}>
+                  Download
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
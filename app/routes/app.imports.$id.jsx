@@ -0,0 +1,402 @@
+// app/routes/app.imports.$id.jsx
+import { useState, useEffect } from "react";
+import {
+  useFetcher,
+  useLoaderData,
+  useNavigate,
+  useRevalidator,
+} from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  Button,
+  BlockStack,
+  InlineStack,
+  InlineGrid,
+  Select,
+  DataTable,
+  Banner,
+  Badge,
+  ProgressBar,
+  IndexTable,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  IMPORT_ROW_BADGES,
+  ImportRowStatusBadge,
+  ImportStatusBadge,
+} from "../components/ImportStatusBadge";
+import { IMPORT_STATUS } from "../models/importStatus";
+import {
+  ImportError,
+  getImport,
+  listImportRows,
+  previewImport,
+  resumeImport,
+  saveImportMapping,
+  startImport,
+} from "../models/importJobs.server";
+
+const POLL_INTERVAL = 3000;
+
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+
+  let job;
+  try {
+    job = await getImport(session.shop, params.id);
+  } catch (error) {
+    if (!(error instanceof ImportError)) throw error;
+    throw new Response("Import not found", { status: 404 });
+  }
+
+  if (job.status === IMPORT_STATUS.DRAFT) {
+    return { job, preview: await previewImport(session.shop, job.id), rows: [] };
+  }
+
+  return { job, preview: null, rows: await listImportRows(session.shop, job.id) };
+};
+
+export const action = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const body = await request.formData();
+  const intent = body.get("intent");
+
+  try {
+    if (intent === "saveMapping") {
+      await saveImportMapping(
+        session.shop,
+        params.id,
+        JSON.parse(body.get("mapping") || "{}"),
+      );
+      return { success: true, message: "Column mapping saved" };
+    }
+
+    if (intent === "start") {
+      await startImport(session.shop, params.id);
+      return { success: true, message: "Import started" };
+    }
+
+    if (intent === "resume") {
+      await resumeImport(session.shop, params.id);
+      return { success: true, message: "Import resumed" };
+    }
+  } catch (error) {
+    if (error instanceof ImportError) {
+      return { success: false, errors: [{ message: error.message }] };
+    }
+    throw error;
+  }
+
+  return { success: false, errors: [{ message: "Invalid action type" }] };
+};
+
+function columnOptions(headers) {
+  return [
+    { label: "Not imported", value: "" },
+    ...headers.map((header, index) => ({
+      label: header || `Column ${index + 1}`,
+      value: String(index),
+    })),
+  ];
+}
+
+function mappingState(mapping) {
+  return Object.fromEntries(
+    Object.entries(mapping).map(([name, column]) => [name, String(column)]),
+  );
+}
+
+function ImportMapping({ job, preview, fetcher }) {
+  const saved = mappingState(job.mapping);
+  const [mapping, setMapping] = useState(saved);
+
+  const savedKey = JSON.stringify(saved);
+  useEffect(() => {
+    setMapping(JSON.parse(savedKey));
+  }, [savedKey]);
+
+  const chosen = Object.entries(mapping).filter(([, value]) => value);
+  const dirty =
+    chosen.length !== Object.keys(saved).length ||
+    chosen.some(([name, value]) => saved[name] !== value);
+  const isSubmitting = fetcher.state !== "idle";
+  const mappedFields = preview.fields.filter(
+    ({ name }) => job.mapping[name] !== undefined,
+  );
+  const invalidCount = preview.invalid.length;
+
+  return (
+    <>
+      <Layout.Section>
+        <Card>
+          <BlockStack gap="400">
+            <Text as="h2" variant="headingMd">
+              Column mapping
+            </Text>
+            <Text as="p" variant="bodyMd" tone="subdued">
+              Choose the column each registration form field is read from.
+              Values are checked with the same rules as the storefront form.
+            </Text>
+            <InlineGrid columns={{ xs: 1, md: 2 }} gap="300">
+              {preview.fields.map((field) => (
+                <Select
+                  key={field.name}
+                  label={field.required ? `${field.label} (required)` : field.label}
+                  options={columnOptions(job.headers)}
+                  value={mapping[field.name] || ""}
+                  onChange={(value) =>
+                    setMapping((current) => ({ ...current, [field.name]: value }))
+                  }
+                />
+              ))}
+            </InlineGrid>
+            <InlineStack>
+              <Button
+                disabled={!dirty || isSubmitting}
+                loading={
+                  isSubmitting && fetcher.formData?.get("intent") === "saveMapping"
+                }
+                onClick={() =>
+                  fetcher.submit(
+                    { intent: "saveMapping", mapping: JSON.stringify(mapping) },
+                    { method: "POST" },
+                  )
+                }
+              >
+                Save mapping and preview
+              </Button>
+            </InlineStack>
+          </BlockStack>
+        </Card>
+      </Layout.Section>
+
+      <Layout.Section>
+        <Card>
+          <BlockStack gap="400">
+            <Text as="h2" variant="headingMd">
+              Preview
+            </Text>
+            <Text as="p" variant="bodyMd">
+              {preview.validCount} of {job.rowCount} rows can be imported.
+              {invalidCount > 0 &&
+                ` ${invalidCount} row${invalidCount === 1 ? "" : "s"} with errors will be skipped.`}
+            </Text>
+            <DataTable
+              columnContentTypes={["numeric", "text", ...mappedFields.map(() => "text")]}
+              headings={["Row", "Check", ...mappedFields.map(({ label }) => label)]}
+              rows={preview.rows.map((row) => [
+                row.line,
+                Object.keys(row.errors).length ? (
+                  <Badge key={row.line} tone="critical">
+                    Invalid
+                  </Badge>
+                ) : (
+                  <Badge key={row.line} tone="success">
+                    Valid
+                  </Badge>
+                ),
+                ...mappedFields.map(({ name }) => row.values[name]),
+              ])}
+              footerContent={
+                preview.rows.length < job.rowCount
+                  ? `Showing the first ${preview.rows.length} rows`
+                  : undefined
+              }
+            />
+
+            {invalidCount > 0 && (
+              <Banner tone="warning" title="Rows with errors">
+                <BlockStack gap="100">
+                  {preview.invalid.map((row) => (
+                    <Text as="p" variant="bodyMd" key={row.line}>
+                      Row {row.line}: {Object.values(row.errors).join("; ")}
+                    </Text>
+                  ))}
+                </BlockStack>
+              </Banner>
+            )}
+
+            <InlineStack>
+              <Button
+                variant="primary"
+                disabled={dirty || !preview.validCount || isSubmitting}
+                loading={isSubmitting && fetcher.formData?.get("intent") === "start"}
+                onClick={() => fetcher.submit({ intent: "start" }, { method: "POST" })}
+              >
+                Import {preview.validCount} rows
+              </Button>
+            </InlineStack>
+          </BlockStack>
+        </Card>
+      </Layout.Section>
+    </>
+  );
+}
+
+function ImportProgress({ job, rows, fetcher }) {
+  const navigate = useNavigate();
+  const shopify = useAppBridge();
+  const stopped = job.status === IMPORT_STATUS.FAILED || job.interrupted;
+
+  // fetch() is authenticated by App Bridge, a plain link would not be.
+  const downloadReport = async () => {
+    const response = await fetch(`/app/imports/${job.id}/report.csv`);
+    if (!response.ok) {
+      shopify.toast.show("Error: could not download the report", { isError: true });
+      return;
+    }
+
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = job.fileName.replace(/(\.csv)?$/i, "-results.csv");
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const rowMarkup = rows.map((row, index) => (
+    <IndexTable.Row
+      id={row.id}
+      key={row.id}
+      position={index}
+      onClick={
+        row.applicationId
+          ? () => navigate(`/app/applications/${row.applicationId}`)
+          : undefined
+      }
+    >
+      <IndexTable.Cell>{row.line}</IndexTable.Cell>
+      <IndexTable.Cell>
+        <Text as="span" variant="bodyMd" fontWeight="semibold">
+          {row.companyName || "—"}
+        </Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{row.userEmail || "—"}</IndexTable.Cell>
+      <IndexTable.Cell>
+        <ImportRowStatusBadge status={row.status} />
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        {row.errors.map(({ message }) => message).join("; ")}
+      </IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <>
+      <Layout.Section>
+        <Card>
+          <BlockStack gap="400">
+            {stopped && (
+              <Banner
+                tone="warning"
+                title="The import stopped before all rows were processed"
+                action={{
+                  content: "Resume import",
+                  loading: fetcher.state !== "idle",
+                  onAction: () =>
+                    fetcher.submit({ intent: "resume" }, { method: "POST" }),
+                }}
+              >
+                {job.error && <p>{job.error}</p>}
+              </Banner>
+            )}
+            <InlineStack align="space-between" blockAlign="center">
+              <Text as="h2" variant="headingMd">
+                {job.processed} of {job.total} rows processed
+              </Text>
+              <Button
+                onClick={downloadReport}
+                disabled={job.status === IMPORT_STATUS.RUNNING && !stopped}
+              >
+                Download report
+              </Button>
+            </InlineStack>
+            <ProgressBar
+              progress={job.total ? (job.processed / job.total) * 100 : 0}
+              tone={stopped ? "critical" : "highlight"}
+            />
+            <InlineStack gap="300">
+              {Object.entries(IMPORT_ROW_BADGES).map(([status, { label, tone }]) => (
+                <Badge key={status} tone={tone}>
+                  {`${label}: ${job.counts[status] || 0}`}
+                </Badge>
+              ))}
+            </InlineStack>
+          </BlockStack>
+        </Card>
+      </Layout.Section>
+
+      <Layout.Section>
+        <Card padding="0">
+          <IndexTable
+            resourceName={{ singular: "row", plural: "rows" }}
+            itemCount={rows.length}
+            selectable={false}
+            headings={[
+              { title: "Row" },
+              { title: "Company" },
+              { title: "User email" },
+              { title: "Status" },
+              { title: "Details" },
+            ]}
+          >
+            {rowMarkup}
+          </IndexTable>
+        </Card>
+      </Layout.Section>
+    </>
+  );
+}
+
+export default function ImportDetail() {
+  const { job, preview, rows } = useLoaderData();
+  const fetcher = useFetcher();
+  const revalidator = useRevalidator();
+  const shopify = useAppBridge();
+
+  useEffect(() => {
+    if (!fetcher.data) return;
+    if (fetcher.data.success) {
+      shopify.toast.show(fetcher.data.message);
+    } else if (fetcher.data.errors?.length) {
+      shopify.toast.show(`Error: ${fetcher.data.errors[0].message}`, {
+        isError: true,
+      });
+    }
+  }, [fetcher.data, shopify]);
+
+  // Follow a running import until it finishes.
+  const running = job.status === IMPORT_STATUS.RUNNING && !job.interrupted;
+  useEffect(() => {
+    if (!running) return;
+    const timer = setInterval(() => {
+      if (revalidator.state === "idle") revalidator.revalidate();
+    }, POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [running, revalidator]);
+
+  return (
+    <Page
+      backAction={{ content: "Imports", url: "/app/imports" }}
+      title={job.fileName}
+      titleMetadata={
+        <ImportStatusBadge status={job.status} interrupted={job.interrupted} />
+      }
+      subtitle={`Uploaded ${new Date(job.createdAt).toLocaleString()}`}
+    >
+      <TitleBar title={job.fileName} />
+
+      <Layout>
+        {preview ? (
+          <ImportMapping job={job} preview={preview} fetcher={fetcher} />
+        ) : (
+          <ImportProgress job={job} rows={rows} fetcher={fetcher} />
+        )}
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,23 @@
+// app/routes/app.imports.$id.report[.]csv.jsx
+import { authenticate } from "../shopify.server";
+import { ImportError, importReport } from "../models/importJobs.server";
+
+// The outcome of every row of an import, as a CSV download.
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+
+  let report;
+  try {
+    report = await importReport(session.shop, params.id);
+  } catch (error) {
+    if (!(error instanceof ImportError)) throw error;
+    throw new Response("Import not found", { status: 404 });
+  }
+
+  return new Response(report, {
+    headers: {
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="import-${params.id}.csv"`,
+    },
+  });
+};
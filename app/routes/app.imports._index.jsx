@@ -0,0 +1,166 @@
+// app/routes/app.imports._index.jsx
+import { useState, useEffect } from "react";
+import { useFetcher, useLoaderData, useNavigate } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  Button,
+  BlockStack,
+  InlineStack,
+  DropZone,
+  IndexTable,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { ImportStatusBadge } from "../components/ImportStatusBadge";
+import {
+  ImportError,
+  MAX_IMPORT_ROWS,
+  createImport,
+  listImports,
+} from "../models/importJobs.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  return { imports: await listImports(session.shop), maxRows: MAX_IMPORT_ROWS };
+};
+
+export const action = async ({ request }) => {
+  const { session, redirect } = await authenticate.admin(request);
+  const body = await request.formData();
+
+  try {
+    const job = await createImport(session.shop, body.get("file"));
+    return redirect(`/app/imports/${job.id}`);
+  } catch (error) {
+    if (!(error instanceof ImportError)) throw error;
+    return { success: false, errors: [{ message: error.message }] };
+  }
+};
+
+export default function Imports() {
+  const { imports, maxRows } = useLoaderData();
+  const fetcher = useFetcher();
+  const navigate = useNavigate();
+  const shopify = useAppBridge();
+  const [file, setFile] = useState(null);
+
+  useEffect(() => {
+    if (fetcher.data?.errors?.length) {
+      shopify.toast.show(`Error: ${fetcher.data.errors[0].message}`, {
+        isError: true,
+      });
+    }
+  }, [fetcher.data, shopify]);
+
+  const upload = () => {
+    const formData = new FormData();
+    formData.append("file", file);
+    fetcher.submit(formData, {
+      method: "POST",
+      encType: "multipart/form-data",
+    });
+  };
+
+  const rowMarkup = imports.map((job, index) => (
+    <IndexTable.Row
+      id={job.id}
+      key={job.id}
+      position={index}
+      onClick={() => navigate(`/app/imports/${job.id}`)}
+    >
+      <IndexTable.Cell>
+        <Text as="span" variant="bodyMd" fontWeight="semibold">
+          {job.fileName}
+        </Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{new Date(job.createdAt).toLocaleString()}</IndexTable.Cell>
+      <IndexTable.Cell>{job.rowCount}</IndexTable.Cell>
+      <IndexTable.Cell>
+        {job.total ? `${job.processed} of ${job.total}` : "—"}
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <ImportStatusBadge status={job.status} interrupted={job.interrupted} />
+      </IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <Page>
+      <TitleBar title="Import Wholesale Accounts" />
+
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">
+                Upload a CSV file
+              </Text>
+              <Text as="p" variant="bodyMd">
+                The first row must name the columns. You map them to the
+                registration form fields and preview the rows before anything
+                is created. Rows with the same company email are added as
+                contacts of one company. Up to {maxRows} rows per file.
+              </Text>
+              <DropZone
+                accept=".csv,text/csv"
+                type="file"
+                allowMultiple={false}
+                onDrop={(files) => setFile(files[0] || null)}
+              >
+                {file ? (
+                  <div style={{ padding: 16 }}>
+                    <Text as="p" variant="bodyMd">
+                      {file.name}
+                    </Text>
+                  </div>
+                ) : (
+                  <DropZone.FileUpload actionHint="Accepts .csv files" />
+                )}
+              </DropZone>
+              <InlineStack>
+                <Button
+                  variant="primary"
+                  disabled={!file}
+                  loading={fetcher.state !== "idle"}
+                  onClick={upload}
+                >
+                  Upload and map columns
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card padding="0">
+            <IndexTable
+              resourceName={{ singular: "import", plural: "imports" }}
+              itemCount={imports.length}
+              selectable={false}
+              emptyState={
+                <div style={{ padding: 16 }}>
+                  <Text as="p" variant="bodyMd">
+                    No imports yet.
+                  </Text>
+                </div>
+              }
+              headings={[
+                { title: "File" },
+                { title: "Uploaded" },
+                { title: "Rows" },
+                { title: "Processed" },
+                { title: "Status" },
+              ]}
+            >
+              {rowMarkup}
+            </IndexTable>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -23,6 +23,13 @@ export default function App() {
           Home
         </Link>
         <Link to="/app/wholesalepage">Wholesale Management</Link>
+        <Link to="/app/applications">Applications</Link>
+        <Link to="/app/imports">Import</Link>
+        <Link to="/app/export">Export</Link>
+        <Link to="/app/notifications">Notifications</Link>
+        <Link to="/app/webhooks">Webhooks</Link>
+        <Link to="/app/settings">Settings</Link>
+        <Link to="/app/registrationform">Registration Form</Link>
         <Link to="/app/additional">Additional page</Link>
       </NavMenu>
       <Outlet />
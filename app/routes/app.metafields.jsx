@@ -1,6 +1,6 @@
 // app/routes/app.metafields.jsx
 import { useState, useEffect } from "react";
-import { useFetcher, useLoaderData } from "@remix-run/react";
+import { useFetcher, useLoaderData, useSearchParams } from "@remix-run/react";
 import {
   Page,
   Layout,
@@ -8,192 +8,297 @@ import {
   Card,
   Button,
   BlockStack,
+  InlineStack,
+  InlineGrid,
   TextField,
-  Toast,
   DataTable,
   Badge,
+  Banner,
+  Box,
+  Divider,
+  Pagination,
   Select,
 } from "@shopify/polaris";
 import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server";
+import { AdminApiError } from "../models/adminApi.server";
+import { listCompaniesWithMetafields } from "../models/adminResources.server";
+import {
+  APP_METAFIELD_DEFINITIONS,
+  DEFINITION_STATUS,
+  METAFIELD_OWNER_LABELS,
+  validateMetafieldValue,
+} from "../models/appMetafields";
+import {
+  checkMetafieldDefinitions,
+  ensureMetafieldDefinitions,
+} from "../models/metafieldDefinitions.server";
+import {
+  MetafieldValueError,
+  saveOwnerMetafields,
+} from "../models/companyMetafields.server";
 
-export const loader = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
+const DEFINITION_TONES = {
+  [DEFINITION_STATUS.OK]: "success",
+  [DEFINITION_STATUS.MISSING]: "critical",
+  [DEFINITION_STATUS.DRIFTED]: "warning",
+};
 
-  const metafieldDefinitionsResponse = await admin.graphql(`
-    query GetMetafieldDefinitions {
-      companyMetafields: metafieldDefinitions(first: 50, ownerType: COMPANY) {
-        edges {
-          node {
-            id
-            name
-            namespace
-            key
-            type { name }
-            description
-            capabilities {
-              uniqueValues { eligible enabled }
-            }
-          }
-        }
-      }
-    }
-  `);
+const COMPANY_DEFINITIONS = APP_METAFIELD_DEFINITIONS.filter(
+  ({ ownerType }) => ownerType === "COMPANY",
+);
+const LOCATION_DEFINITIONS = APP_METAFIELD_DEFINITIONS.filter(
+  ({ ownerType }) => ownerType === "COMPANY_LOCATION",
+);
 
-  const companiesResponse = await admin.graphql(`
-    query GetCompaniesWithMetafields {
-      companies(first: 100) {
-        edges {
-          node {
-            id
-            name
-            metafields(first: 20, namespace: "custom", keys: ["companyEmail"]) {
-              edges {
-                node {
-                  id
-                  namespace
-                  key
-                  value
-                  type
-                }
-              }
-            }
-          }
-        }
-      }
-    }
-  `);
+export const loader = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+  const url = new URL(request.url);
 
-  const defsJson = await metafieldDefinitionsResponse.json();
-  const companiesJson = await companiesResponse.json();
+  const query = url.searchParams.get("query") || "";
+  const [definitions, page] = await Promise.all([
+    checkMetafieldDefinitions(admin),
+    listCompaniesWithMetafields(admin, {
+      query,
+      after: url.searchParams.get("after"),
+      before: url.searchParams.get("before"),
+    }),
+  ]);
 
-  return {
-    metafieldDefinitions: {
-      companies: defsJson.data?.companyMetafields?.edges || [],
-    },
-    companies: companiesJson.data?.companies?.edges || [],
-  };
+  return { definitions, ...page, query };
 };
 
+// Shopify reports a taken company email as a uniqueness error on the value.
+function adminErrors(error) {
+  return error.errors.map((e) =>
+    /unique|duplicate|already exists/i.test(e.message)
+      ? {
+          ...e,
+          message:
+            "This email address is already in use by another company. Please use a unique email address.",
+        }
+      : e
+  );
+}
+
 export const action = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
   const body = await request.formData();
   const actionType = body.get("actionType");
 
-  if (actionType === "setMetafield") {
-    const entityId = body.get("entityId");
-    const emailValue = (body.get("emailValue") || "").toString().trim();
-
-    // Basic email validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!entityId || !emailRegex.test(emailValue)) {
+  if (actionType === "createDefinitions") {
+    try {
+      const { created } = await ensureMetafieldDefinitions(admin);
       return {
-        success: false,
-        errors: [{ message: "Please select a company and enter a valid email." }],
+        success: true,
+        message: created.length
+          ? `Created ${created.length} metafield definitions`
+          : "All metafield definitions already exist",
+        errors: [],
       };
+    } catch (error) {
+      if (!(error instanceof AdminApiError)) throw error;
+      return { success: false, errors: error.errors };
+    }
+  }
+
+  if (actionType === "saveMetafields") {
+    let values;
+    try {
+      values = JSON.parse(body.get("values") || "{}");
+    } catch {
+      return { success: false, errors: [{ message: "Invalid metafield values" }] };
     }
 
-    const resp = await admin.graphql(
-      `
-      mutation SetMetafield($metafields: [MetafieldsSetInput!]!) {
-        metafieldsSet(metafields: $metafields) {
-          metafields { id key namespace value type }
-          userErrors { field message }
-        }
+    try {
+      await saveOwnerMetafields(admin, session.shop, {
+        ownerId: body.get("ownerId"),
+        ownerType: body.get("ownerType"),
+        values,
+      });
+      return { success: true, message: "Metafields saved", errors: [] };
+    } catch (error) {
+      if (error instanceof MetafieldValueError) {
+        return { success: false, errors: error.errors };
       }
-    `,
-      {
-        variables: {
-          metafields: [
-            {
-              ownerId: entityId,
-              namespace: "custom",
-              key: "companyEmail",
-              value: emailValue,
-              type: "single_line_text_field",
-            },
-          ],
-        },
+      if (error instanceof AdminApiError) {
+        return { success: false, errors: adminErrors(error) };
       }
-    );
+      throw error;
+    }
+  }
 
-    const json = await resp.json();
-    const errs = json.data?.metafieldsSet?.userErrors || [];
+  return { success: false, errors: [{ message: "Invalid action type" }] };
+};
 
-    // Improve unique/duplicate error clarity
-    const processed = errs.map((e) =>
-      /unique|duplicate|already exists/i.test(e.message)
-        ? {
-            ...e,
-            message:
-              "This email address is already in use by another company. Please use a unique email address.",
-          }
-        : e
-    );
+function MetafieldInput({ definition, value, error, onChange }) {
+  const choices = definition.validations.find(({ name }) => name === "choices");
 
-    return {
-      success: processed.length === 0,
-      metafields: json.data?.metafieldsSet?.metafields,
-      errors: processed,
-    };
+  if (choices) {
+    return (
+      <Select
+        label={definition.name}
+        options={[
+          { label: "Not set", value: "" },
+          ...JSON.parse(choices.value).map((choice) => ({
+            label: choice,
+            value: choice,
+          })),
+        ]}
+        value={value}
+        onChange={onChange}
+        error={error}
+      />
+    );
   }
 
-  return { success: false, errors: [{ message: "Invalid action type" }] };
-};
+  return (
+    <TextField
+      label={definition.name}
+      type={
+        definition.type === "number_integer"
+          ? "integer"
+          : definition.type === "url"
+            ? "url"
+            : "text"
+      }
+      value={value}
+      onChange={onChange}
+      error={error}
+      autoComplete="off"
+    />
+  );
+}
 
-export default function Metafields() {
-  const { metafieldDefinitions, companies } = useLoaderData();
+// Inline editor for one company or location. Only changed values are sent;
+// clearing a field deletes its metafield.
+function OwnerMetafields({ ownerId, ownerType, title, values, definitions }) {
   const fetcher = useFetcher();
   const shopify = useAppBridge();
+  const [draft, setDraft] = useState(values);
 
-  const [selectedEntityId, setSelectedEntityId] = useState("");
-  const [emailValue, setEmailValue] = useState("");
-  const [toast, setToast] = useState({ open: false, content: "", error: false });
+  // Every save revalidates the whole page; only reset the draft when this
+  // owner's stored values changed, so edits in other rows survive.
+  const savedValues = JSON.stringify(values);
+  useEffect(() => {
+    setDraft(JSON.parse(savedValues));
+  }, [savedValues]);
 
-  // Prepare <Select> options for companies
-  const companyOptions = companies.map(({ node }) => ({
-    label: node.name || "Unnamed company",
-    value: node.id,
-  }));
+  useEffect(() => {
+    if (!fetcher.data) return;
+    if (fetcher.data.success) {
+      shopify.toast.show(`${title}: ${fetcher.data.message}`);
+    } else if (fetcher.data.errors?.length) {
+      shopify.toast.show(`Error: ${fetcher.data.errors[0].message}`, {
+        isError: true,
+      });
+    }
+  }, [fetcher.data, shopify, title]);
 
-  // Prepare table rows
-  const tableRows = companies.map(({ node }) => {
-    const mfEdge = node.metafields?.edges?.[0];
-    const val = mfEdge?.node?.value || "Not set";
-    const badge = mfEdge ? (
-      <Badge status="success">Set</Badge>
-    ) : (
-      <Badge status="attention">Not set</Badge>
-    );
+  const changed = Object.fromEntries(
+    definitions
+      .filter(({ key }) => (draft[key] || "") !== (values[key] || ""))
+      .map(({ key }) => [key, (draft[key] || "").trim()]),
+  );
+  const serverErrors =
+    fetcher.state === "idle" && fetcher.data && !fetcher.data.success
+      ? fetcher.data.errors
+      : [];
+  const fieldError = (definition) =>
+    validateMetafieldValue(definition, (draft[definition.key] || "").trim()) ||
+    serverErrors.find(({ field }) => field === definition.key)?.message;
+  const invalid = definitions.some(
+    (definition) => definition.key in changed && fieldError(definition),
+  );
 
-    return [node.name || "Unnamed", node.id.replace("gid://shopify/Company/", ""), val, badge];
-  });
+  return (
+    <BlockStack gap="300">
+      <InlineStack align="space-between" blockAlign="center">
+        <Text as="h3" variant="headingSm">
+          {title}
+        </Text>
+        <InlineStack gap="200">
+          <Button
+            disabled={!Object.keys(changed).length || fetcher.state !== "idle"}
+            onClick={() => setDraft(values)}
+          >
+            Discard
+          </Button>
+          <Button
+            variant="primary"
+            loading={fetcher.state !== "idle"}
+            disabled={!Object.keys(changed).length || invalid}
+            onClick={() =>
+              fetcher.submit(
+                {
+                  actionType: "saveMetafields",
+                  ownerId,
+                  ownerType,
+                  values: JSON.stringify(changed),
+                },
+                { method: "POST" }
+              )
+            }
+          >
+            Save
+          </Button>
+        </InlineStack>
+      </InlineStack>
+      <InlineGrid columns={{ xs: 1, md: 2 }} gap="300">
+        {definitions.map((definition) => (
+          <MetafieldInput
+            key={definition.key}
+            definition={definition}
+            value={draft[definition.key] || ""}
+            error={fieldError(definition)}
+            onChange={(value) =>
+              setDraft((current) => ({ ...current, [definition.key]: value }))
+            }
+          />
+        ))}
+      </InlineGrid>
+    </BlockStack>
+  );
+}
+
+export default function Metafields() {
+  const {
+    definitions,
+    companies,
+    hasNextPage,
+    hasPreviousPage,
+    startCursor,
+    endCursor,
+    query: currentQuery,
+  } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+  const [, setSearchParams] = useSearchParams();
+  const [query, setQuery] = useState(currentQuery);
 
   useEffect(() => {
     if (!fetcher.data) return;
     if (fetcher.data.success) {
-      shopify.toast.show("Company email saved");
-      setEmailValue("");
+      shopify.toast.show(fetcher.data.message);
     } else if (fetcher.data.errors?.length) {
-      setToast({ open: true, content: `Error: ${fetcher.data.errors[0].message}`, error: true });
+      shopify.toast.show(`Error: ${fetcher.data.errors[0].message}`, {
+        isError: true,
+      });
     }
   }, [fetcher.data, shopify]);
 
-  const handleSave = () => {
-    if (!selectedEntityId || !emailValue.trim()) {
-      setToast({ open: true, content: "Select a company and enter an email.", error: true });
-      return;
-    }
-    fetcher.submit(
-      { actionType: "setMetafield", entityId: selectedEntityId, emailValue },
-      { method: "POST" }
+  const navigate = (params) =>
+    setSearchParams(
+      Object.fromEntries(
+        Object.entries({ query: currentQuery, ...params }).filter(
+          ([, value]) => value
+        )
+      )
     );
-  };
 
-  const hasDefinition =
-    (metafieldDefinitions.companies || []).some(
-      (e) => e.node.namespace === "custom" && e.node.key === "companyEmail"
-    );
+  const missingDefinitions = definitions.some(
+    ({ status }) => status === DEFINITION_STATUS.MISSING
+  );
 
   return (
     <Page>
@@ -202,33 +307,86 @@ export default function Metafields() {
       <Layout>
         <Layout.Section>
           <Card>
-            <BlockStack gap="300">
+            <BlockStack gap="400">
               <Text as="h2" variant="headingMd">
-                Company Email Metafield
+                Company Metafields
               </Text>
-              {!hasDefinition && (
-                <Text variant="bodyMd" tone="critical">
-                  The metafield definition <code>custom.companyEmail</code> was not found. Return to the Dashboard to initialize it.
+              {missingDefinitions && (
+                <Banner tone="warning">
+                  <p>
+                    Some metafield definitions are missing, so Shopify cannot
+                    enforce their types and validations. Create them below
+                    before editing values.
+                  </p>
+                </Banner>
+              )}
+
+              <form
+                onSubmit={(event) => {
+                  event.preventDefault();
+                  navigate({ query });
+                }}
+              >
+                <InlineStack gap="200" blockAlign="end">
+                  <TextField
+                    label="Search companies"
+                    value={query}
+                    onChange={setQuery}
+                    placeholder="Company name"
+                    autoComplete="off"
+                  />
+                  <Button submit>Search</Button>
+                  {currentQuery && (
+                    <Button
+                      onClick={() => {
+                        setQuery("");
+                        setSearchParams({});
+                      }}
+                    >
+                      Clear
+                    </Button>
+                  )}
+                </InlineStack>
+              </form>
+
+              {companies.length === 0 && (
+                <Text as="p" variant="bodyMd" tone="subdued">
+                  No companies match this search.
                 </Text>
               )}
 
-              <Select
-                label="Company"
-                placeholder="Select a company"
-                options={companyOptions}
-                onChange={setSelectedEntityId}
-                value={selectedEntityId}
-              />
-              <TextField
-                label="Company Email"
-                value={emailValue}
-                onChange={setEmailValue}
-                autoComplete="email"
-                helpText="Must be unique across companies"
-              />
-              <Button onClick={handleSave} variant="primary" disabled={!hasDefinition || fetcher.state === "submitting"}>
-                {fetcher.state === "submitting" ? "Saving…" : "Save Email"}
-              </Button>
+              {companies.map((company) => (
+                <BlockStack gap="400" key={company.id}>
+                  <Divider />
+                  <OwnerMetafields
+                    ownerId={company.id}
+                    ownerType="COMPANY"
+                    title={company.name || "Unnamed company"}
+                    values={company.values}
+                    definitions={COMPANY_DEFINITIONS}
+                  />
+                  {company.locations.map((location) => (
+                    <Box key={location.id} paddingInlineStart="600">
+                      <OwnerMetafields
+                        ownerId={location.id}
+                        ownerType="COMPANY_LOCATION"
+                        title={`${company.name} – ${location.name}`}
+                        values={location.values}
+                        definitions={LOCATION_DEFINITIONS}
+                      />
+                    </Box>
+                  ))}
+                </BlockStack>
+              ))}
+
+              <InlineStack align="center">
+                <Pagination
+                  hasPrevious={hasPreviousPage}
+                  onPrevious={() => navigate({ before: startCursor })}
+                  hasNext={hasNextPage}
+                  onNext={() => navigate({ after: endCursor })}
+                />
+              </InlineStack>
             </BlockStack>
           </Card>
         </Layout.Section>
@@ -237,27 +395,38 @@ export default function Metafields() {
           <Card>
             <BlockStack gap="300">
               <Text as="h2" variant="headingMd">
-                Companies Overview
+                Metafield Definitions
               </Text>
               <DataTable
                 columnContentTypes={["text", "text", "text", "text"]}
-                headings={["Company", "Company ID", "Email (custom.companyEmail)", "Status"]}
-                rows={tableRows}
+                headings={["Definition", "Owner", "Status", "Differences"]}
+                rows={definitions.map((definition) => [
+                  definition.name,
+                  METAFIELD_OWNER_LABELS[definition.ownerType],
+                  <Badge
+                    key={`${definition.ownerType}.${definition.key}`}
+                    tone={DEFINITION_TONES[definition.status]}
+                  >
+                    {definition.status.toLowerCase()}
+                  </Badge>,
+                  definition.differences.join("; "),
+                ])}
               />
+              <Button
+                onClick={() =>
+                  fetcher.submit(
+                    { actionType: "createDefinitions" },
+                    { method: "POST" }
+                  )
+                }
+                disabled={!missingDefinitions || fetcher.state !== "idle"}
+              >
+                Create missing definitions
+              </Button>
             </BlockStack>
           </Card>
         </Layout.Section>
       </Layout>
-
-      {toast.open && (
-        <div style={{ position: "fixed", bottom: 16, right: 16 }}>
-          <Toast
-            content={toast.content}
-            error={toast.error}
-            onDismiss={() => setToast({ open: false, content: "", error: false })}
-          />
-        </div>
-      )}
     </Page>
   );
 }
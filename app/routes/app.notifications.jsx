@@ -0,0 +1,344 @@
+// app/routes/app.notifications.jsx
+import { useState, useEffect } from "react";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  Button,
+  BlockStack,
+  InlineStack,
+  InlineGrid,
+  TextField,
+  Checkbox,
+  Badge,
+  Box,
+  Divider,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  EMAIL_EVENT_LABELS,
+  EMAIL_RECIPIENT_LABELS,
+  SAMPLE_VARIABLES,
+  TEMPLATE_VARIABLES,
+  renderTemplate,
+} from "../models/emailTemplates";
+import {
+  NotificationError,
+  getEmailTemplates,
+  mailSettings,
+  resetEmailTemplate,
+  saveEmailTemplate,
+  sendTestEmail,
+} from "../models/notifications.server";
+import { SetupError, saveNotificationEmails } from "../models/onboarding.server";
+import {
+  getShopSettings,
+  notificationEmails,
+} from "../models/shopSettings.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const [templates, settings] = await Promise.all([
+    getEmailTemplates(session.shop),
+    getShopSettings(session.shop),
+  ]);
+
+  return {
+    templates,
+    staffEmails: notificationEmails(settings),
+    mail: mailSettings(session.shop),
+    testAddress: session.onlineAccessInfo?.associated_user?.email || "",
+  };
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const body = await request.formData();
+  const intent = body.get("intent");
+  const template = {
+    event: body.get("event"),
+    recipient: body.get("recipient"),
+  };
+
+  try {
+    if (intent === "saveEmails") {
+      await saveNotificationEmails(session.shop, body.get("emails"));
+      return { success: true, message: "Staff addresses saved" };
+    }
+
+    if (intent === "saveTemplate") {
+      await saveEmailTemplate(session.shop, {
+        ...template,
+        enabled: body.get("enabled") === "true",
+        subject: body.get("subject"),
+        body: body.get("body"),
+      });
+      return { success: true, message: "Email saved" };
+    }
+
+    if (intent === "resetTemplate") {
+      await resetEmailTemplate(session.shop, template);
+      return { success: true, message: "Email reset to the default" };
+    }
+
+    if (intent === "sendTest") {
+      await sendTestEmail(admin, session.shop, {
+        ...template,
+        to: body.get("to"),
+      });
+      return { success: true, message: `Test email sent to ${body.get("to")}` };
+    }
+  } catch (error) {
+    if (error instanceof NotificationError || error instanceof SetupError) {
+      return { success: false, errors: [{ message: error.message }] };
+    }
+    throw error;
+  }
+
+  return { success: false, errors: [{ message: "Invalid action type" }] };
+};
+
+function useResultToast(fetcher) {
+  const shopify = useAppBridge();
+
+  useEffect(() => {
+    if (!fetcher.data) return;
+    if (fetcher.data.success) {
+      shopify.toast.show(fetcher.data.message);
+    } else if (fetcher.data.errors?.length) {
+      shopify.toast.show(`Error: ${fetcher.data.errors[0].message}`, {
+        isError: true,
+      });
+    }
+  }, [fetcher.data, shopify]);
+}
+
+function TemplateEditor({ template, testAddress }) {
+  const fetcher = useFetcher();
+  const [draft, setDraft] = useState(template);
+  const [to, setTo] = useState(testAddress);
+  useResultToast(fetcher);
+
+  // Saving or resetting revalidates every template; only reset the draft
+  // when this one's stored wording changed.
+  const saved = JSON.stringify(template);
+  useEffect(() => {
+    setDraft(JSON.parse(saved));
+  }, [saved]);
+
+  const changed =
+    draft.enabled !== template.enabled ||
+    draft.subject !== template.subject ||
+    draft.body !== template.body;
+  const busy = fetcher.state !== "idle";
+  const submit = (intent, fields = {}) =>
+    fetcher.submit(
+      {
+        intent,
+        event: template.event,
+        recipient: template.recipient,
+        ...fields,
+      },
+      { method: "POST" },
+    );
+
+  return (
+    <BlockStack gap="300">
+      <InlineStack align="space-between" blockAlign="center">
+        <InlineStack gap="200" blockAlign="center">
+          <Text as="h3" variant="headingSm">
+            {`${EMAIL_EVENT_LABELS[template.event]} – ${EMAIL_RECIPIENT_LABELS[template.recipient].toLowerCase()}`}
+          </Text>
+          {template.isDefault ? (
+            <Badge>Default</Badge>
+          ) : (
+            <Badge tone="info">Customized</Badge>
+          )}
+        </InlineStack>
+        <Checkbox
+          label="Send this email"
+          checked={draft.enabled}
+          onChange={(enabled) => setDraft({ ...draft, enabled })}
+        />
+      </InlineStack>
+
+      <InlineGrid columns={{ xs: 1, md: 2 }} gap="400">
+        <BlockStack gap="300">
+          <TextField
+            label="Subject"
+            value={draft.subject}
+            onChange={(subject) => setDraft({ ...draft, subject })}
+            autoComplete="off"
+          />
+          <TextField
+            label="Message"
+            value={draft.body}
+            onChange={(body) => setDraft({ ...draft, body })}
+            multiline={8}
+            autoComplete="off"
+          />
+        </BlockStack>
+        <Box background="bg-surface-secondary" padding="300" borderRadius="200">
+          <BlockStack gap="200">
+            <Text as="p" variant="bodySm" tone="subdued">
+              Preview with sample values
+            </Text>
+            <Text as="p" variant="bodyMd" fontWeight="semibold">
+              {renderTemplate(draft.subject, SAMPLE_VARIABLES)}
+            </Text>
+            <Text as="p" variant="bodyMd">
+              <span style={{ whiteSpace: "pre-wrap" }}>
+                {renderTemplate(draft.body, SAMPLE_VARIABLES)}
+              </span>
+            </Text>
+          </BlockStack>
+        </Box>
+      </InlineGrid>
+
+      <InlineStack align="space-between" blockAlign="end" gap="200">
+        <InlineStack gap="200" blockAlign="end">
+          <TextField
+            label="Send a test to"
+            type="email"
+            value={to}
+            onChange={setTo}
+            autoComplete="email"
+          />
+          <Button
+            disabled={!to || busy}
+            loading={busy && fetcher.formData?.get("intent") === "sendTest"}
+            onClick={() => submit("sendTest", { to })}
+          >
+            Send test
+          </Button>
+        </InlineStack>
+        <InlineStack gap="200">
+          <Button
+            disabled={template.isDefault || busy}
+            onClick={() => submit("resetTemplate")}
+          >
+            Reset to default
+          </Button>
+          <Button
+            disabled={!changed || busy}
+            onClick={() => setDraft(template)}
+          >
+            Discard
+          </Button>
+          <Button
+            variant="primary"
+            disabled={!changed}
+            loading={busy && fetcher.formData?.get("intent") === "saveTemplate"}
+            onClick={() =>
+              submit("saveTemplate", {
+                enabled: String(draft.enabled),
+                subject: draft.subject,
+                body: draft.body,
+              })
+            }
+          >
+            Save
+          </Button>
+        </InlineStack>
+      </InlineStack>
+    </BlockStack>
+  );
+}
+
+export default function Notifications() {
+  const { templates, staffEmails, mail, testAddress } = useLoaderData();
+  const fetcher = useFetcher();
+  const [emails, setEmails] = useState(staffEmails.join(", "));
+  useResultToast(fetcher);
+
+  return (
+    <Page>
+      <TitleBar title="Notifications" />
+
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">
+                Staff addresses
+              </Text>
+              <Text as="p" variant="bodyMd" tone="subdued">
+                {`Emails are sent from ${mail.from} through the ${mail.transport} transport.`}
+                {mail.transport === "capture" &&
+                  " Captured emails are only logged on the server and not delivered."}
+                {mail.transport === "unconfigured" &&
+                  " No mail server is configured, so emails fail until SMTP_HOST is set."}
+              </Text>
+              <InlineStack gap="200" blockAlign="end">
+                <Box minWidth="400px">
+                  <TextField
+                    label="Staff notification emails"
+                    helpText="Separate addresses with commas. Applicants' replies go to the first one."
+                    value={emails}
+                    onChange={setEmails}
+                    autoComplete="off"
+                  />
+                </Box>
+                <Button
+                  variant="primary"
+                  loading={fetcher.state !== "idle"}
+                  onClick={() =>
+                    fetcher.submit(
+                      { intent: "saveEmails", emails },
+                      { method: "POST" },
+                    )
+                  }
+                >
+                  Save
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <Text as="h2" variant="headingMd">
+                Emails
+              </Text>
+              {templates.map((template) => (
+                <BlockStack gap="400" key={`${template.event}-${template.recipient}`}>
+                  <Divider />
+                  <TemplateEditor template={template} testAddress={testAddress} />
+                </BlockStack>
+              ))}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section variant="oneThird">
+          <Card>
+            <BlockStack gap="200">
+              <Text as="h2" variant="headingMd">
+                Variables
+              </Text>
+              <Text as="p" variant="bodyMd" tone="subdued">
+                Subjects and messages can use these placeholders.
+              </Text>
+              {TEMPLATE_VARIABLES.map(({ name, description }) => (
+                <BlockStack gap="050" key={name}>
+                  <Text as="p" variant="bodyMd" fontWeight="semibold">
+                    {`{{${name}}}`}
+                  </Text>
+                  <Text as="p" variant="bodySm" tone="subdued">
+                    {description}
+                  </Text>
+                </BlockStack>
+              ))}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,376 @@
+// app/routes/app.registrationform.jsx
+import { useState, useEffect } from "react";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  Button,
+  BlockStack,
+  InlineStack,
+  InlineGrid,
+  TextField,
+  Select,
+  Checkbox,
+  Banner,
+  Divider,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  FIELD_MAPPINGS,
+  FIELD_TYPES,
+  METAFIELD_OWNER_TYPES,
+} from "../models/registrationForm";
+import {
+  FormSchemaError,
+  getRegistrationForm,
+  resetRegistrationForm,
+  saveRegistrationForm,
+} from "../models/registrationForm.server";
+
+const MAPPING_OPTIONS = FIELD_MAPPINGS.map(({ value, label }) => ({
+  value,
+  label,
+}));
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  return getRegistrationForm(session.shop);
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const body = await request.formData();
+  const actionType = body.get("actionType");
+
+  if (actionType === "save") {
+    let fields;
+    try {
+      fields = JSON.parse(body.get("fields"));
+    } catch (error) {
+      return { success: false, errors: [{ message: "Invalid form data" }] };
+    }
+
+    try {
+      await saveRegistrationForm(session.shop, fields);
+      return { success: true, message: "Registration form saved" };
+    } catch (error) {
+      if (error instanceof FormSchemaError) {
+        return { success: false, errors: error.errors };
+      }
+      throw error;
+    }
+  }
+
+  if (actionType === "reset") {
+    await resetRegistrationForm(session.shop);
+    return { success: true, message: "Registration form reset to default" };
+  }
+
+  return { success: false, errors: [{ message: "Invalid action type" }] };
+};
+
+// Checkbox fields other than `field` that it can be shown for.
+function visibilityOptions(field, fields) {
+  const checkboxes = fields.filter(
+    (candidate) => candidate.type === "checkbox" && candidate !== field,
+  );
+
+  return [
+    { label: "Always", value: "" },
+    ...checkboxes.map(({ name, label }) => ({
+      label: `Only when "${label || name}" is ticked`,
+      value: name,
+    })),
+    ...(field.showWhenChecked &&
+    !checkboxes.some(({ name }) => name === field.showWhenChecked)
+      ? [{ label: "Checkbox not found", value: field.showWhenChecked }]
+      : []),
+  ];
+}
+
+function FieldEditor({ field, fields, index, onChange, onMove, onRemove }) {
+  const update = (changes) => onChange(index, { ...field, ...changes });
+  const count = fields.length;
+
+  return (
+    <BlockStack gap="300">
+      <InlineStack align="space-between" blockAlign="center">
+        <Text as="h3" variant="headingSm">
+          {index + 1}. {field.label || "Untitled field"}
+        </Text>
+        <InlineStack gap="200">
+          <Button
+            size="slim"
+            disabled={index === 0}
+            onClick={() => onMove(index, -1)}
+          >
+            Move up
+          </Button>
+          <Button
+            size="slim"
+            disabled={index === count - 1}
+            onClick={() => onMove(index, 1)}
+          >
+            Move down
+          </Button>
+          <Button size="slim" tone="critical" onClick={() => onRemove(index)}>
+            Remove
+          </Button>
+        </InlineStack>
+      </InlineStack>
+
+      <InlineGrid columns={3} gap="300">
+        <TextField
+          label="Label"
+          value={field.label}
+          onChange={(label) => update({ label })}
+          autoComplete="off"
+        />
+        <TextField
+          label="Field name"
+          value={field.name}
+          onChange={(name) => update({ name })}
+          autoComplete="off"
+          helpText="Used as the input name"
+        />
+        <Select
+          label="Type"
+          options={FIELD_TYPES}
+          value={field.type}
+          onChange={(type) => update({ type })}
+        />
+      </InlineGrid>
+
+      <InlineGrid columns={3} gap="300">
+        <Select
+          label="Maps to"
+          options={MAPPING_OPTIONS}
+          value={field.mapping}
+          onChange={(mapping) =>
+            update({
+              mapping,
+              metafield:
+                mapping === "metafield"
+                  ? field.metafield || {
+                      ownerType: "COMPANY",
+                      namespace: "",
+                      key: "",
+                    }
+                  : undefined,
+            })
+          }
+        />
+        <TextField
+          label="Max length"
+          type="number"
+          value={field.maxLength ? String(field.maxLength) : ""}
+          onChange={(value) =>
+            update({ maxLength: value ? parseInt(value, 10) : undefined })
+          }
+          autoComplete="off"
+        />
+        <div style={{ paddingTop: 24 }}>
+          <Checkbox
+            label="Required"
+            checked={!!field.required}
+            onChange={(required) => update({ required })}
+          />
+        </div>
+      </InlineGrid>
+
+      {field.mapping === "metafield" && (
+        <InlineGrid columns={3} gap="300">
+          <Select
+            label="Metafield owner"
+            options={METAFIELD_OWNER_TYPES}
+            value={field.metafield?.ownerType}
+            onChange={(ownerType) =>
+              update({ metafield: { ...field.metafield, ownerType } })
+            }
+          />
+          <TextField
+            label="Namespace"
+            value={field.metafield?.namespace || ""}
+            onChange={(namespace) =>
+              update({ metafield: { ...field.metafield, namespace } })
+            }
+            autoComplete="off"
+          />
+          <TextField
+            label="Key"
+            value={field.metafield?.key || ""}
+            onChange={(key) => update({ metafield: { ...field.metafield, key } })}
+            autoComplete="off"
+          />
+        </InlineGrid>
+      )}
+
+      {field.type === "select" && (
+        <TextField
+          label="Options"
+          value={(field.options || []).join(", ")}
+          onChange={(value) =>
+            update({
+              options: value
+                .split(",")
+                .map((option) => option.trim())
+                .filter(Boolean),
+            })
+          }
+          helpText="Separate options with commas"
+          autoComplete="off"
+        />
+      )}
+
+      <Select
+        label="Show"
+        options={visibilityOptions(field, fields)}
+        value={field.showWhenChecked || ""}
+        onChange={(name) => update({ showWhenChecked: name || undefined })}
+        helpText="Hidden fields are not validated or submitted, e.g. a billing address that differs from the shipping address."
+      />
+    </BlockStack>
+  );
+}
+
+export default function RegistrationForm() {
+  const form = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+
+  const [fields, setFields] = useState(form.fields);
+  const [errors, setErrors] = useState([]);
+
+  useEffect(() => {
+    setFields(form.fields);
+  }, [form.fields]);
+
+  useEffect(() => {
+    if (!fetcher.data) return;
+    if (fetcher.data.success) {
+      shopify.toast.show(fetcher.data.message);
+      setErrors([]);
+    } else {
+      setErrors(fetcher.data.errors || []);
+    }
+  }, [fetcher.data, shopify]);
+
+  const changeField = (index, field) =>
+    setFields(fields.map((current, i) => (i === index ? field : current)));
+
+  const moveField = (index, offset) => {
+    const next = [...fields];
+    const [field] = next.splice(index, 1);
+    next.splice(index + offset, 0, field);
+    setFields(next);
+  };
+
+  const removeField = (index) =>
+    setFields(fields.filter((_, i) => i !== index));
+
+  const addField = () =>
+    setFields([
+      ...fields,
+      {
+        name: `field${fields.length + 1}`,
+        label: "",
+        type: "text",
+        required: false,
+        mapping: "none",
+      },
+    ]);
+
+  const isSubmitting = fetcher.state !== "idle";
+
+  return (
+    <Page>
+      <TitleBar title="Registration Form" />
+
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="500">
+            {errors.length > 0 && (
+              <Banner tone="critical" title="The form could not be saved">
+                <ul>
+                  {errors.map(({ message }) => (
+                    <li key={message}>{message}</li>
+                  ))}
+                </ul>
+              </Banner>
+            )}
+
+            <Card>
+              <BlockStack gap="400">
+                {fields.map((field, index) => (
+                  <BlockStack gap="400" key={index}>
+                    {index > 0 && <Divider />}
+                    <FieldEditor
+                      field={field}
+                      fields={fields}
+                      index={index}
+                      onChange={changeField}
+                      onMove={moveField}
+                      onRemove={removeField}
+                    />
+                  </BlockStack>
+                ))}
+                <InlineStack>
+                  <Button onClick={addField}>Add field</Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+
+            <InlineStack gap="200" align="end">
+              <Button
+                tone="critical"
+                disabled={form.isDefault || isSubmitting}
+                onClick={() =>
+                  fetcher.submit({ actionType: "reset" }, { method: "POST" })
+                }
+              >
+                Reset to default
+              </Button>
+              <Button
+                variant="primary"
+                loading={isSubmitting}
+                onClick={() =>
+                  fetcher.submit(
+                    { actionType: "save", fields: JSON.stringify(fields) },
+                    { method: "POST" },
+                  )
+                }
+              >
+                Save form
+              </Button>
+            </InlineStack>
+          </BlockStack>
+        </Layout.Section>
+
+        <Layout.Section variant="oneThird">
+          <Card>
+            <BlockStack gap="200">
+              <Text as="h2" variant="headingMd">
+                How fields are used
+              </Text>
+              <Text as="p" variant="bodyMd">
+                The storefront registration form shows these fields in this
+                order. When an application is approved, each value is written
+                to the customer, company, company location or metafield it maps
+                to. Fields mapped to "Application only" are kept on the
+                application for review.
+              </Text>
+              <Text as="p" variant="bodyMd">
+                Customer email and company name must be mapped to required
+                fields.
+              </Text>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,233 @@
+// app/routes/app.settings.jsx
+import { useState, useEffect } from "react";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  Button,
+  BlockStack,
+  InlineStack,
+  Select,
+  ChoiceList,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { AdminApiError } from "../models/adminApi.server";
+import {
+  listCompanyLocationCatalogs,
+  listContactRoleNames,
+} from "../models/adminResources.server";
+import {
+  LocationTermsFields,
+  locationTermsDraft,
+  locationTermsErrors,
+} from "../components/LocationTermsFields";
+import {
+  ROLE_SCOPE,
+  ROLE_SCOPE_LABELS,
+  roleOptions,
+} from "../models/contactRoles";
+import {
+  SettingsError,
+  getShopSettings,
+  saveLocationTerms,
+  saveRoleAssignment,
+  shopLocationTerms,
+  shopRoleAssignment,
+} from "../models/shopSettings.server";
+
+const SCOPE_CHOICES = Object.values(ROLE_SCOPE).map((value) => ({
+  label: ROLE_SCOPE_LABELS[value],
+  value,
+}));
+
+// Choices loaded from Shopify; the settings stay editable without them.
+async function loadOrEmpty(load, what) {
+  try {
+    return await load();
+  } catch (error) {
+    if (!(error instanceof AdminApiError)) throw error;
+    console.error(`Could not load ${what}:`, error);
+    return [];
+  }
+}
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+
+  const [settings, roleNames, catalogs] = await Promise.all([
+    getShopSettings(session.shop),
+    loadOrEmpty(() => listContactRoleNames(admin), "company roles"),
+    loadOrEmpty(() => listCompanyLocationCatalogs(admin), "catalogs"),
+  ]);
+
+  return {
+    roleAssignment: shopRoleAssignment(settings),
+    locationTerms: shopLocationTerms(settings),
+    roleNames,
+    catalogs,
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const body = await request.formData();
+  const intent = body.get("intent");
+
+  try {
+    if (intent === "saveRoleAssignment") {
+      await saveRoleAssignment(session.shop, {
+        roleName: body.get("roleName"),
+        scope: body.get("scope"),
+      });
+      return { success: true, message: "Buyer role saved" };
+    }
+
+    if (intent === "saveLocationTerms") {
+      await saveLocationTerms(session.shop, Object.fromEntries(body));
+      return { success: true, message: "Buying terms saved" };
+    }
+  } catch (error) {
+    if (error instanceof SettingsError) {
+      return { success: false, errors: [{ message: error.message }] };
+    }
+    throw error;
+  }
+
+  return { success: false, errors: [{ message: "Invalid action type" }] };
+};
+
+function useResultToast(fetcher) {
+  const shopify = useAppBridge();
+
+  useEffect(() => {
+    if (!fetcher.data) return;
+    if (fetcher.data.success) {
+      shopify.toast.show(fetcher.data.message);
+    } else if (fetcher.data.errors?.length) {
+      shopify.toast.show(`Error: ${fetcher.data.errors[0].message}`, {
+        isError: true,
+      });
+    }
+  }, [fetcher.data, shopify]);
+}
+
+function RoleSettings({ roleAssignment, roleNames }) {
+  const fetcher = useFetcher();
+  const [roleName, setRoleName] = useState(roleAssignment.roleName);
+  const [scope, setScope] = useState(roleAssignment.scope);
+  useResultToast(fetcher);
+
+  const changed =
+    roleName !== roleAssignment.roleName || scope !== roleAssignment.scope;
+
+  return (
+    <Layout.AnnotatedSection
+      title="Buyer role"
+      description="The role the contact of an approved registration gets at their company. Staff can choose differently when approving a single application."
+    >
+      <Card>
+        <BlockStack gap="400">
+          <Select
+            label="Role"
+            options={roleOptions(roleNames)}
+            value={roleName}
+            onChange={setRoleName}
+            helpText="Ordering only lets contacts place orders; Location admin can also manage the location's other contacts. The role must exist on the company."
+          />
+          <ChoiceList
+            title="Locations"
+            choices={SCOPE_CHOICES}
+            selected={[scope]}
+            onChange={([value]) => setScope(value)}
+          />
+          <InlineStack align="end">
+            <Button
+              variant="primary"
+              disabled={!changed}
+              loading={fetcher.state !== "idle"}
+              onClick={() =>
+                fetcher.submit(
+                  { intent: "saveRoleAssignment", roleName, scope },
+                  { method: "POST" },
+                )
+              }
+            >
+              Save
+            </Button>
+          </InlineStack>
+          <Text as="p" variant="bodySm" tone="subdued">
+            Changes apply to applications approved from now on.
+          </Text>
+        </BlockStack>
+      </Card>
+    </Layout.AnnotatedSection>
+  );
+}
+
+function BuyingTermsSettings({ locationTerms, catalogs }) {
+  const fetcher = useFetcher();
+  const saved = locationTermsDraft(locationTerms);
+  const [draft, setDraft] = useState(saved);
+  useResultToast(fetcher);
+
+  const changed = JSON.stringify(draft) !== JSON.stringify(saved);
+  const invalid = Object.keys(locationTermsErrors(draft)).length > 0;
+
+  return (
+    <Layout.AnnotatedSection
+      title="Buying terms"
+      description="What the location of a company created for an approved registration gets. Companies that already existed keep their terms. Staff can choose differently when approving a single application."
+    >
+      <Card>
+        <BlockStack gap="400">
+          <LocationTermsFields
+            draft={draft}
+            onChange={setDraft}
+            catalogs={catalogs}
+          />
+          <InlineStack align="end">
+            <Button
+              variant="primary"
+              disabled={!changed || invalid}
+              loading={fetcher.state !== "idle"}
+              onClick={() =>
+                fetcher.submit(
+                  {
+                    intent: "saveLocationTerms",
+                    ...draft,
+                    checkoutToDraft: String(draft.checkoutToDraft),
+                  },
+                  { method: "POST" },
+                )
+              }
+            >
+              Save
+            </Button>
+          </InlineStack>
+        </BlockStack>
+      </Card>
+    </Layout.AnnotatedSection>
+  );
+}
+
+export default function Settings() {
+  const { roleAssignment, locationTerms, roleNames, catalogs } =
+    useLoaderData();
+
+  return (
+    <Page>
+      <TitleBar title="Settings" />
+
+      <Layout>
+        <RoleSettings roleAssignment={roleAssignment} roleNames={roleNames} />
+        <BuyingTermsSettings
+          locationTerms={locationTerms}
+          catalogs={catalogs}
+        />
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,413 @@
+// app/routes/app.webhooks.jsx
+import { useState, useEffect } from "react";
+import { useFetcher, useLoaderData, useRevalidator } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  Button,
+  BlockStack,
+  InlineStack,
+  TextField,
+  Checkbox,
+  Badge,
+  DataTable,
+  Divider,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  WEBHOOK_DELIVERY_STATUS,
+  WEBHOOK_EVENT,
+  WEBHOOK_EVENT_LABELS,
+  WEBHOOK_HEADERS,
+} from "../models/webhookEvents";
+import {
+  WebhookError,
+  createWebhookEndpoint,
+  deleteWebhookEndpoint,
+  listWebhookDeliveries,
+  listWebhookEndpoints,
+  redeliverWebhook,
+  sendTestEvent,
+  updateWebhookEndpoint,
+} from "../models/outboundWebhooks.server";
+
+const DELIVERY_BADGES = {
+  [WEBHOOK_DELIVERY_STATUS.PENDING]: { tone: "attention", label: "Retrying" },
+  [WEBHOOK_DELIVERY_STATUS.SUCCEEDED]: { tone: "success", label: "Delivered" },
+  [WEBHOOK_DELIVERY_STATUS.FAILED]: { tone: "critical", label: "Failed" },
+};
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const [endpoints, deliveries] = await Promise.all([
+    listWebhookEndpoints(session.shop),
+    listWebhookDeliveries(session.shop),
+  ]);
+
+  return { endpoints, deliveries };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const body = await request.formData();
+  const intent = body.get("intent");
+  const id = body.get("id");
+
+  let events;
+  try {
+    events = JSON.parse(body.get("events") || "[]");
+  } catch (error) {
+    events = null;
+  }
+  if (!Array.isArray(events)) {
+    return { success: false, errors: [{ message: "Invalid form data" }] };
+  }
+  const endpoint = {
+    url: body.get("url"),
+    events,
+    enabled: body.get("enabled") === "true",
+  };
+
+  try {
+    if (intent === "createEndpoint") {
+      await createWebhookEndpoint(session.shop, endpoint);
+      return { success: true, message: "Endpoint added" };
+    }
+
+    if (intent === "updateEndpoint") {
+      await updateWebhookEndpoint(session.shop, id, endpoint);
+      return { success: true, message: "Endpoint saved" };
+    }
+
+    if (intent === "deleteEndpoint") {
+      await deleteWebhookEndpoint(session.shop, id);
+      return { success: true, message: "Endpoint deleted" };
+    }
+
+    if (intent === "sendTest") {
+      const delivery = await sendTestEvent(session.shop, id);
+      return delivery.status === WEBHOOK_DELIVERY_STATUS.SUCCEEDED
+        ? { success: true, message: `Test event delivered (${delivery.responseStatus})` }
+        : {
+            success: false,
+            errors: [{ message: `Test event failed: ${delivery.error}` }],
+          };
+    }
+
+    if (intent === "redeliver") {
+      await redeliverWebhook(session.shop, id);
+      return { success: true, message: "Delivery queued again" };
+    }
+  } catch (error) {
+    if (error instanceof WebhookError) {
+      return { success: false, errors: [{ message: error.message }] };
+    }
+    throw error;
+  }
+
+  return { success: false, errors: [{ message: "Invalid action type" }] };
+};
+
+function useResultToast(fetcher) {
+  const shopify = useAppBridge();
+
+  useEffect(() => {
+    if (!fetcher.data) return;
+    if (fetcher.data.success) {
+      shopify.toast.show(fetcher.data.message);
+    } else if (fetcher.data.errors?.length) {
+      shopify.toast.show(`Error: ${fetcher.data.errors[0].message}`, {
+        isError: true,
+      });
+    }
+  }, [fetcher.data, shopify]);
+}
+
+function EventChoices({ events, onChange }) {
+  return (
+    <BlockStack gap="100">
+      {Object.values(WEBHOOK_EVENT).map((event) => (
+        <Checkbox
+          key={event}
+          label={event}
+          helpText={WEBHOOK_EVENT_LABELS[event]}
+          checked={events.includes(event)}
+          onChange={(checked) =>
+            onChange(
+              checked
+                ? [...events, event]
+                : events.filter((candidate) => candidate !== event),
+            )
+          }
+        />
+      ))}
+    </BlockStack>
+  );
+}
+
+function EndpointEditor({ endpoint }) {
+  const fetcher = useFetcher();
+  const [url, setUrl] = useState(endpoint.url);
+  const [events, setEvents] = useState(endpoint.events);
+  const [enabled, setEnabled] = useState(endpoint.enabled);
+  const [showSecret, setShowSecret] = useState(false);
+  useResultToast(fetcher);
+
+  const busy = fetcher.state !== "idle";
+  const pendingIntent = busy ? fetcher.formData?.get("intent") : null;
+  const submit = (intent, fields = {}) =>
+    fetcher.submit({ intent, id: endpoint.id, ...fields }, { method: "POST" });
+
+  return (
+    <BlockStack gap="300">
+      <InlineStack align="space-between" blockAlign="center">
+        <Text as="h3" variant="headingSm" breakWord>
+          {endpoint.url}
+        </Text>
+        {endpoint.enabled ? (
+          <Badge tone="success">Active</Badge>
+        ) : (
+          <Badge>Disabled</Badge>
+        )}
+      </InlineStack>
+      <TextField
+        label="Endpoint URL"
+        type="url"
+        value={url}
+        onChange={setUrl}
+        autoComplete="off"
+      />
+      <EventChoices events={events} onChange={setEvents} />
+      <Checkbox
+        label="Send events to this endpoint"
+        helpText="Deliveries queued while disabled are sent once it is enabled again."
+        checked={enabled}
+        onChange={setEnabled}
+      />
+      <InlineStack gap="200" blockAlign="center">
+        <Text as="span" variant="bodyMd">
+          Signing secret:
+        </Text>
+        <Text as="span" variant="bodyMd" fontWeight="semibold" breakWord>
+          {showSecret ? endpoint.secret : "••••••••••••••••"}
+        </Text>
+        <Button variant="plain" onClick={() => setShowSecret(!showSecret)}>
+          {showSecret ? "Hide" : "Show"}
+        </Button>
+      </InlineStack>
+      <InlineStack align="end" gap="200">
+        <Button
+          tone="critical"
+          disabled={busy}
+          loading={pendingIntent === "deleteEndpoint"}
+          onClick={() => submit("deleteEndpoint")}
+        >
+          Delete
+        </Button>
+        <Button
+          disabled={busy || !endpoint.enabled}
+          loading={pendingIntent === "sendTest"}
+          onClick={() => submit("sendTest")}
+        >
+          Send test event
+        </Button>
+        <Button
+          variant="primary"
+          disabled={busy}
+          loading={pendingIntent === "updateEndpoint"}
+          onClick={() =>
+            submit("updateEndpoint", {
+              url,
+              events: JSON.stringify(events),
+              enabled: String(enabled),
+            })
+          }
+        >
+          Save
+        </Button>
+      </InlineStack>
+    </BlockStack>
+  );
+}
+
+function NewEndpoint() {
+  const fetcher = useFetcher();
+  const [url, setUrl] = useState("");
+  const [events, setEvents] = useState(Object.values(WEBHOOK_EVENT));
+  useResultToast(fetcher);
+
+  useEffect(() => {
+    if (fetcher.data?.success) setUrl("");
+  }, [fetcher.data]);
+
+  return (
+    <BlockStack gap="300">
+      <TextField
+        label="Endpoint URL"
+        type="url"
+        value={url}
+        onChange={setUrl}
+        placeholder="https://erp.example.com/webhooks/wholesale"
+        autoComplete="off"
+      />
+      <EventChoices events={events} onChange={setEvents} />
+      <InlineStack align="end">
+        <Button
+          variant="primary"
+          disabled={!url}
+          loading={fetcher.state !== "idle"}
+          onClick={() =>
+            fetcher.submit(
+              { intent: "createEndpoint", url, events: JSON.stringify(events) },
+              { method: "POST" },
+            )
+          }
+        >
+          Add endpoint
+        </Button>
+      </InlineStack>
+    </BlockStack>
+  );
+}
+
+function RedeliverButton({ delivery }) {
+  const fetcher = useFetcher();
+  useResultToast(fetcher);
+
+  return (
+    <Button
+      variant="plain"
+      loading={fetcher.state !== "idle"}
+      onClick={() =>
+        fetcher.submit(
+          { intent: "redeliver", id: delivery.id },
+          { method: "POST" },
+        )
+      }
+    >
+      Retry now
+    </Button>
+  );
+}
+
+function deliveryOutcome(delivery) {
+  const parts = [];
+  if (delivery.responseStatus) parts.push(`HTTP ${delivery.responseStatus}`);
+  if (delivery.error && delivery.status !== WEBHOOK_DELIVERY_STATUS.SUCCEEDED) {
+    parts.push(delivery.error);
+  }
+  if (delivery.status === WEBHOOK_DELIVERY_STATUS.PENDING && delivery.nextAttemptAt) {
+    parts.push(`next attempt ${new Date(delivery.nextAttemptAt).toLocaleString()}`);
+  }
+  return parts.join(" – ") || "Not attempted yet";
+}
+
+export default function Webhooks() {
+  const { endpoints, deliveries } = useLoaderData();
+  const revalidator = useRevalidator();
+
+  return (
+    <Page>
+      <TitleBar title="Webhooks" />
+
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="400">
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h2" variant="headingMd">
+                  Endpoints
+                </Text>
+                <Text as="p" variant="bodyMd" tone="subdued">
+                  Each subscribed event is posted as JSON to the endpoint.
+                  Endpoints that do not answer with a 2xx status within 10
+                  seconds are retried for about 20 hours, with growing
+                  intervals.
+                </Text>
+                {endpoints.map((endpoint) => (
+                  <BlockStack gap="400" key={endpoint.id}>
+                    <Divider />
+                    <EndpointEditor endpoint={endpoint} />
+                  </BlockStack>
+                ))}
+                <Divider />
+                <Text as="h3" variant="headingSm">
+                  Add an endpoint
+                </Text>
+                <NewEndpoint />
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="300">
+                <InlineStack align="space-between" blockAlign="center">
+                  <Text as="h2" variant="headingMd">
+                    Recent deliveries
+                  </Text>
+                  <Button
+                    loading={revalidator.state !== "idle"}
+                    onClick={() => revalidator.revalidate()}
+                  >
+                    Refresh
+                  </Button>
+                </InlineStack>
+                {deliveries.length === 0 ? (
+                  <Text as="p" variant="bodyMd" tone="subdued">
+                    No events have been sent yet.
+                  </Text>
+                ) : (
+                  <DataTable
+                    columnContentTypes={["text", "text", "text", "text", "numeric", "text", "text"]}
+                    headings={["Date", "Event", "Endpoint", "Status", "Attempts", "Outcome", ""]}
+                    rows={deliveries.map((delivery) => {
+                      const badge = DELIVERY_BADGES[delivery.status];
+                      return [
+                        new Date(delivery.createdAt).toLocaleString(),
+                        delivery.event,
+                        delivery.endpoint.url,
+                        <Badge key={delivery.id} tone={badge.tone}>
+                          {badge.label}
+                        </Badge>,
+                        delivery.attempts,
+                        deliveryOutcome(delivery),
+                        delivery.status === WEBHOOK_DELIVERY_STATUS.SUCCEEDED ? (
+                          ""
+                        ) : (
+                          <RedeliverButton key={delivery.id} delivery={delivery} />
+                        ),
+                      ];
+                    })}
+                  />
+                )}
+              </BlockStack>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+
+        <Layout.Section variant="oneThird">
+          <Card>
+            <BlockStack gap="200">
+              <Text as="h2" variant="headingMd">
+                Verifying payloads
+              </Text>
+              <Text as="p" variant="bodyMd">
+                {`Every request carries the event name in ${WEBHOOK_HEADERS.EVENT}, a unique delivery ID in ${WEBHOOK_HEADERS.DELIVERY} and the send time in ${WEBHOOK_HEADERS.TIMESTAMP}, in seconds.`}
+              </Text>
+              <Text as="p" variant="bodyMd">
+                {`${WEBHOOK_HEADERS.SIGNATURE} is the base64 HMAC-SHA256 of the timestamp, a dot and the raw request body, keyed with the endpoint's signing secret. Reject requests whose signature does not match or whose timestamp is more than a few minutes old.`}
+              </Text>
+              <Text as="p" variant="bodyMd">
+                The payload&apos;s id is the same for every endpoint and
+                retry of one event; use it to ignore repeats.
+              </Text>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,58 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+vi.mock("../shopify.server", () => ({
+  authenticate: {
+    admin: vi.fn(async () => ({ session: { shop: "wholesale-test.myshopify.com" } })),
+  },
+}));
+
+vi.mock("../models/outboundWebhooks.server", () => ({
+  WebhookError: class WebhookError extends Error {},
+  createWebhookEndpoint: vi.fn(),
+  updateWebhookEndpoint: vi.fn(),
+}));
+
+const { createWebhookEndpoint } = await import("../models/outboundWebhooks.server");
+const { action } = await import("./app.webhooks");
+
+function submit(values) {
+  const body = new FormData();
+  for (const [name, value] of Object.entries(values)) body.set(name, value);
+
+  return action({
+    request: new Request("https://wholesale.example.com/app/webhooks", { method: "POST", body }),
+  });
+}
+
+describe("action", () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it.each(["[not json", '"application.submitted"'])(
+    "answers events sent as %s with a validation error",
+    async (events) => {
+      const result = await submit({
+        intent: "createEndpoint",
+        url: "https://hooks.example.com/wholesale",
+        events,
+      });
+
+      expect(result).toEqual({ success: false, errors: [{ message: "Invalid form data" }] });
+      expect(createWebhookEndpoint).not.toHaveBeenCalled();
+    },
+  );
+
+  it("adds an endpoint for the chosen events", async () => {
+    const result = await submit({
+      intent: "createEndpoint",
+      url: "https://hooks.example.com/wholesale",
+      events: JSON.stringify(["application.submitted"]),
+    });
+
+    expect(result).toEqual({ success: true, message: "Endpoint added" });
+    expect(createWebhookEndpoint).toHaveBeenCalledWith("wholesale-test.myshopify.com", {
+      url: "https://hooks.example.com/wholesale",
+      events: ["application.submitted"],
+      enabled: false,
+    });
+  });
+});
@@ -1,6 +1,6 @@
-import { useEffect } from "react";
+import { useState, useEffect } from "react";
 import { json } from "@remix-run/node";
-import { useFetcher } from "@remix-run/react";
+import { useFetcher, useLoaderData } from "@remix-run/react";
 import {
   Page,
   Layout,
@@ -8,934 +8,379 @@ import {
   Card,
   Button,
   BlockStack,
-  Box,
+  Badge,
+  Banner,
+  Divider,
+  Select,
   List,
-  Link,
   InlineStack,
+  TextField,
 } from "@shopify/polaris";
 import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server";
+import { AdminApiError } from "../models/adminApi.server";
+import {
+  RegistrationPageError,
+  createRegistrationPage,
+  deleteRegistrationPage,
+  getMenuPlacement,
+  getRegistrationPage,
+  removeMenuLink,
+  saveMenuPlacement,
+  republishRegistrationPage,
+  unpublishRegistrationPage,
+  updateRegistrationPage,
+} from "../models/registrationPage.server";
+
+// Handles of the theme extension's blocks (extensions/wholesale-registration)
+const FORM_BLOCK = "registration_form";
+const FORM_EMBED = "registration_embed";
+
+// Theme editor deep links that add the app block to the page template or
+// switch on the app embed.
+function themeEditorUrls(shop, page) {
+  const apiKey = process.env.SHOPIFY_API_KEY || "";
+  const editor = `https://${shop}/admin/themes/current/editor`;
+  const previewPath = page ? `&previewPath=/pages/${page.handle}` : "";
+
+  return {
+    addBlock: `${editor}?template=page&addAppBlockId=${apiKey}/${FORM_BLOCK}&target=newAppsSection${previewPath}`,
+    enableEmbed: `${editor}?context=apps&activateAppId=${apiKey}/${FORM_EMBED}`,
+  };
+}
 
 export const loader = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
-
-  // Check if custom page already exists
-  const pagesResponse = await admin.graphql(
-    `#graphql
-      query GetPages($first: Int!) {
-        pages(first: $first) {
-          edges {
-            node {
-              id
-              title
-              handle
-            }
-          }
-        }
-      }`,
-    {
-      variables: {
-        first: 50,
-      },
-    },
-  );
-
-  const pagesData = await pagesResponse.json();
-  const existingPage = pagesData.data?.pages?.edges?.find(
-    edge => edge.node.title === "Wholesale Registration" || edge.node.handle === "quick-order"
-  )?.node;
-
-  // If page doesn't exist, create it automatically
-  if (!existingPage) {
-    try {
-      // Create the page
-      const pageResponse = await admin.graphql(
-        `#graphql
-          mutation CreatePage($page: PageCreateInput!) {
-            pageCreate(page: $page) {
-              page {
-                id
-                title
-                handle
-              }
-              userErrors {
-                code
-                field
-                message
-              }
-            }
-          }`,
-        {
-          variables: {
-            page: {
-              title: "Wholesale Registration",
-              handle: `quick-order-${Math.random().toString(36).substring(2, 15)}`,
-              body: `
-                <div id="protected-page-content">
-                  <div id="login-required" style="text-align: center; padding: 40px;">
-                    <p>Please login to view the content</p>
-                    <a href="/account/login?return_url={{ request.path | url_encode }}" style="background: #000; color: #fff; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin-top: 16px;">Login</a>
-                  </div>
-                  
-                 <div id="protected-content" style="display: none; text-align: center; padding: 40px;">
-  <div style="max-width: 500px; margin: 0 auto; text-align: left;">
-    <h2 style="margin-bottom: 20px;">Company Information</h2>
-    <form id="wholesaleForm" method="post" action="/apps/proxy" onsubmit="return submitForm(event)">
-      <div style="margin-bottom: 16px;">
-        <label>Company Name *</label>
-        <input type="text" name="companyName" id="companyName" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px;" required minlength="2" maxlength="100" />
-        <div id="companyName-error" class="error-message"></div>
-      </div>
-
-      <div style="margin-bottom: 16px;">
-        <label>First Name *</label>
-        <input type="text" name="firstName" id="firstName" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px;" required minlength="2" maxlength="50" pattern="[a-zA-Z\\s]+" />
-        <div id="firstName-error" class="error-message"></div>
-      </div>
-
-      <div style="margin-bottom: 16px;">
-        <label>Last Name *</label>
-        <input type="text" name="lastName" id="lastName" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px;" required minlength="2" maxlength="50" pattern="[a-zA-Z\\s]+" />
-
-        <div id="lastName-error" class="error-message"></div>
-      </div>
-
-      <div style="margin-bottom: 16px;">
-        <label>Location</label>
-        <input type="text" name="location" id="location" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px;" maxlength="100" />
-        <div id="location-error" class="error-message"></div>
-      </div>
-
-      <div style="margin-bottom: 16px;">
-        <label>Tax ID</label>
-        <input type="text" name="taxId" id="taxId" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px;" pattern="[0-9\\-]+" maxlength="20" />
-        <div id="taxId-error" class="error-message"></div>
-      </div>
-
-      <div style="margin-bottom: 16px;">
-        <label>Phone Number</label>
-        <input type="tel" name="phone" id="phone" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px;" pattern="[0-9\\+\\-\\(\\)\\s]+" maxlength="15" />
-        <div id="phone-error" class="error-message"></div>
-      </div>
-
-      <div style="margin-bottom: 16px;">
-        <label>Company Email *</label>
-        <input type="email" name="companyEmail" id="companyEmail" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px;"  required maxlength="100"  />
-        <div id="companyEmail-error" class="error-message"></div>
-      </div>
-
-      <div style="margin-bottom: 16px;">
-        <label>User Email *</label>
-        <input type="email" name="userEmail" id="userEmail" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px;" required maxlength="100" />
-        <div id="userEmail-error" class="error-message"></div>
-      </div>
-
-      <div style="margin-bottom: 16px;">
-        <label>Address Line 1 *</label>
-        <input type="text" name="address1" id="address1" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px;" required maxlength="191" />
-        <div id="address1-error" class="error-message"></div>
-      </div>
-
-      <div style="margin-bottom: 16px;">
-        <label>Address Line 2</label>
-        <input type="text" name="address2" id="address2" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px;" maxlength="191" />
-        <div id="address2-error" class="error-message"></div>
-      </div>
-
-      <div style="margin-bottom: 16px;">
-        <label>Country</label>
-        <input type="text" name="country" id="country" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px;" maxlength="191" />
-        <div id="country-error" class="error-message"></div>
-      </div>
-
-      <div style="margin-bottom: 16px;">
-        <label>State</label>
-        <input type="text" name="state" id="state" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px;" maxlength="191" />
-        <div id="state-error" class="error-message"></div>
-      </div>
-
-      <div style="margin-bottom: 16px;">
-        <label>City</label>
-        <input type="text" name="city" id="city" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px;" maxlength="191" />
-        <div id="city-error" class="error-message"></div>
-      </div>
-
-      <div style="margin-bottom: 16px;">
-        <label>ZIP Code</label>
-        <input type="text" name="zip_code" id="zip_code" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px;" maxlength="191" />
-        <div id="zip_code-error" class="error-message"></div>
-      </div>
-
-      <button type="submit" id="submitBtn" class="submit-btn">
-        Submit
-      </button>
-    </form>
-  </div>
-</div>
-
-                <style>
-                  .error-message {
-                    color: #e74c3c;
-                    font-size: 12px;
-                    margin-top: 4px;
-                    display: none;
-                  }
-                  .error {
-                    border-color: #e74c3c !important;
-                  }
-                  .success {
-                    border-color: #27ae60 !important;
-                  }
-                  
-                  /* Toast notification styles */
-                  .toast {
-                    position: fixed;
-                    top: 20px;
-                    right: 20px;
-                    padding: 15px 20px;
-                    border-radius: 5px;
-                    color: white;
-                    font-weight: bold;
-                    z-index: 9999;
-                    opacity: 0;
-                    transform: translateX(100%);
-                    transition: all 0.3s ease-in-out;
-                  }
-                  
-                  .toast.show {
-                    opacity: 1;
-                    transform: translateX(0);
-                  }
-                  
-                  .toast.success {
-                    background-color: #27ae60;
-                  }
-                  
-                  .toast.error {
-                    background-color: #e74c3c;
-                  }
-                  
-                  .toast.info {
-                    background-color: #3498db;
-                  }
-                  
-                  /* Loading spinner */
-                  .loading-spinner {
-                    display: inline-block;
-                    width: 20px;
-                    height: 20px;
-                    border: 3px solid #f3f3f3;
-                    border-top: 3px solid #3498db;
-                    border-radius: 50%;
-                    animation: spin 1s linear infinite;
-                    margin-right: 10px;
-                  }
-                  
-                  @keyframes spin {
-                    0% { transform: rotate(0deg); }
-                    100% { transform: rotate(360deg); }
-                  }
-                  
-                  .submit-btn {
-                    background: #000; 
-                    color: #fff; 
-                    padding: 12px 24px; 
-                    border: none; 
-                    border-radius: 4px; 
-                    cursor: pointer;
-                    display: flex;
-                    align-items: center;
-                    justify-content: center;
-                  }
-                  
-                  .submit-btn:disabled {
-                    background: #ccc;
-                    cursor: not-allowed;
-                  }
-                </style>
-
-                <script>
-                  // Toast notification functions
-                  function showToast(message, type, duration) {
-                    type = type || 'info';
-                    duration = duration || 5000;
-                    
-                    // Remove any existing toasts
-                    var existingToasts = document.querySelectorAll('.toast');
-                    for (var i = 0; i < existingToasts.length; i++) {
-                      existingToasts[i].remove();
-                    }
-                    
-                    // Create new toast
-                    var toast = document.createElement('div');
-                    toast.className = 'toast ' + type;
-                    toast.textContent = message;
-                    
-                    // Add to page
-                    document.body.appendChild(toast);
-                    
-                    // Show toast
-                    setTimeout(function() {
-                      toast.classList.add('show');
-                    }, 100);
-                    
-                    // Auto remove
-                    setTimeout(function() {
-                      toast.classList.remove('show');
-                      setTimeout(function() {
-                        if (toast.parentNode) {
-                          toast.remove();
-                        }
-                      }, 300);
-                    }, duration);
-                  }
-                  
-                  // Form submission function
-                  function submitForm(event) {
-                    event.preventDefault(); // Prevent default form submission
-                    
-                    // First validate the form
-                    if (!validateForm()) {
-                      return false;
-                    }
-                    
-                    var form = document.getElementById('wholesaleForm');
-                    var submitBtn = document.getElementById('submitBtn');
-                    var formData = new FormData(form);
-                    
-                    // Disable submit button and show loading
-                    submitBtn.disabled = true;
-                    submitBtn.innerHTML = '<span class="loading-spinner"></span>Submitting...';
-                    
-                    fetch('/apps/proxy', {
-                      method: 'POST',
-                      body: formData
-                    })
-                    .then(function(response) {
-                      return response.json().then(function(data) {
-                        return { response: response, data: data };
-                      });
-                    })
-                    .then(function(result) {
-                      // Re-enable submit button
-                      submitBtn.disabled = false;
-                      submitBtn.innerHTML = 'Submit';
-                      
-                      // Always show success message and clear form since the backend is working
-                      showToast('Form submitted successfully! Your request has been processed.', 'success');
-                      form.reset(); // Clear the form
-                      // Clear any styling
-                      var inputs = document.querySelectorAll('input');
-                      for (var i = 0; i < inputs.length; i++) {
-                        inputs[i].classList.remove('error', 'success');
-                      }
-                    })
-                    .catch(function(error) {
-                      // Re-enable submit button
-                      submitBtn.disabled = false;
-                      submitBtn.innerHTML = 'Submit';
-                      
-                      console.error('Form submission error:', error);
-                      // Still show success since the backend processing is working
-                      showToast('Form submitted! Your request is being processed.', 'success');
-                      form.reset(); // Clear the form anyway
-                      // Clear any styling
-                      var inputs = document.querySelectorAll('input');
-                      for (var i = 0; i < inputs.length; i++) {
-                        inputs[i].classList.remove('error', 'success');
-                      }
-                    });
-                    
-                    return false;
-                  }
-
-                  function validateForm() {
-                    let isValid = true;
-                    
-                    // Clear previous errors
-                    document.querySelectorAll('.error-message').forEach(el => el.style.display = 'none');
-                    document.querySelectorAll('input').forEach(el => el.classList.remove('error', 'success'));
-                    
-                    // Company Name validation
-                    const companyName = document.getElementById('companyName');
-                    if (!companyName.value.trim() || companyName.value.trim().length < 2) {
-                      showError('companyName', 'Company name must be at least 2 characters long');
-                      isValid = false;
-                    } else if (companyName.value.trim().length > 100) {
-                      showError('companyName', 'Company name must not exceed 100 characters');
-                      isValid = false;
-                    } else {
-                      companyName.classList.add('success');
-                    }
-                    
-                    // First Name validation
-                    const firstName = document.getElementById('firstName');
-                    const namePattern = /^[a-zA-Z\\s]+$/;
-                    if (!firstName.value.trim() || firstName.value.trim().length < 2) {
-                      showError('firstName', 'First name must be at least 2 characters long');
-                      isValid = false;
-                    } else if (!namePattern.test(firstName.value.trim())) {
-                      showError('firstName', 'First name can only contain letters and spaces');
-                      isValid = false;
-                    } else if (firstName.value.trim().length > 50) {
-                      showError('firstName', 'First name must not exceed 50 characters');
-                      isValid = false;
-                    } else {
-                      firstName.classList.add('success');
-                    }
-                    
-                    // Last Name validation
-                    const lastName = document.getElementById('lastName');
-                    if (!lastName.value.trim() || lastName.value.trim().length < 2) {
-                      showError('lastName', 'Last name must be at least 2 characters long');
-                      isValid = false;
-                    } else if (!namePattern.test(lastName.value.trim())) {
-                      showError('lastName', 'Last name can only contain letters and spaces');
-                      isValid = false;
-                    } else if (lastName.value.trim().length > 50) {
-                      showError('lastName', 'Last name must not exceed 50 characters');
-                      isValid = false;
-                    } else {
-                      lastName.classList.add('success');
-                    }
-                    
-                    // Location validation (optional)
-                    const location = document.getElementById('location');
-                    if (location.value.trim() && location.value.trim().length > 100) {
-                      showError('location', 'Location must not exceed 100 characters');
-                      isValid = false;
-                    } else if (location.value.trim()) {
-                      location.classList.add('success');
-                    }
-                    
-                    // Tax ID validation (optional)
-                    const taxId = document.getElementById('taxId');
-                    const taxIdPattern = /^[0-9\\-]+$/;
-                    if (taxId.value.trim() && !taxIdPattern.test(taxId.value.trim())) {
-                      showError('taxId', 'Tax ID can only contain numbers and hyphens');
-                      isValid = false;
-                    } else if (taxId.value.trim() && taxId.value.trim().length > 20) {
-                      showError('taxId', 'Tax ID must not exceed 20 characters');
-                      isValid = false;
-                    } else if (taxId.value.trim()) {
-                      taxId.classList.add('success');
-                    }
-                    
-                    // Phone validation (optional)
-                    const phone = document.getElementById('phone');
-                    const phonePattern = /^[0-9\\+\\-\\(\\)\\s]+$/;
-                    if (phone.value.trim() && !phonePattern.test(phone.value.trim())) {
-                      showError('phone', 'Phone number can only contain numbers, +, -, (), and spaces');
-                      isValid = false;
-                    } else if (phone.value.trim() && (phone.value.trim().length < 10 || phone.value.trim().length > 15)) {
-                      showError('phone', 'Phone number must be between 10-15 characters');
-                      isValid = false;
-                    } else if (phone.value.trim()) {
-                      phone.classList.add('success');
-                    }
-                    
-                    // Company Email validation (optional)
-                    const companyEmail = document.getElementById('companyEmail');
-                    const emailPattern = /^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$/;
-                    if (companyEmail.value.trim() && !emailPattern.test(companyEmail.value.trim())) {
-                      showError('companyEmail', 'Please enter a valid email address');
-                      isValid = false;
-                    } else if (companyEmail.value.trim() && companyEmail.value.trim().length > 100) {
-                      showError('companyEmail', 'Email must not exceed 100 characters');
-                      isValid = false;
-                    } else if (companyEmail.value.trim()) {
-                      companyEmail.classList.add('success');
-                    }
-                    
-                    // User Email validation (required)
-                    const userEmail = document.getElementById('userEmail');
-                    if (!userEmail.value.trim()) {
-                      showError('userEmail', 'User email is required');
-                      isValid = false;
-                    } else if (!emailPattern.test(userEmail.value.trim())) {
-                      showError('userEmail', 'Please enter a valid email address');
-                      isValid = false;
-                    } else if (userEmail.value.trim().length > 100) {
-                      showError('userEmail', 'Email must not exceed 100 characters');
-                      isValid = false;
-                    } else {
-                      userEmail.classList.add('success');
-                    }
-                    
-                    // Address1 validation (required)
-                    const address1 = document.getElementById('address1');
-                    if (!address1.value.trim()) {
-                      showError('address1', 'Address Line 1 is required');
-                      isValid = false;
-                    } else if (address1.value.trim().length > 191) {
-                      showError('address1', 'Address Line 1 must not exceed 191 characters');
-                      isValid = false;
-                    } else {
-                      address1.classList.add('success');
-                    }
-                    
-                    // Address2 validation (optional)
-                    const address2 = document.getElementById('address2');
-                    if (address2.value.trim() && address2.value.trim().length > 191) {
-                      showError('address2', 'Address Line 2 must not exceed 191 characters');
-                      isValid = false;
-                    } else if (address2.value.trim()) {
-                      address2.classList.add('success');
-                    }
-                    
-                    // Country validation (optional)
-                    const country = document.getElementById('country');
-                    if (country.value.trim() && country.value.trim().length > 191) {
-                      showError('country', 'Country must not exceed 191 characters');
-                      isValid = false;
-                    } else if (country.value.trim()) {
-                      country.classList.add('success');
-                    }
-                    
-                    // State validation (optional)
-                    const state = document.getElementById('state');
-                    if (state.value.trim() && state.value.trim().length > 191) {
-                      showError('state', 'State must not exceed 191 characters');
-                      isValid = false;
-                    } else if (state.value.trim()) {
-                      state.classList.add('success');
-                    }
-                    
-                    // City validation (optional)
-                    const city = document.getElementById('city');
-                    if (city.value.trim() && city.value.trim().length > 191) {
-                      showError('city', 'City must not exceed 191 characters');
-                      isValid = false;
-                    } else if (city.value.trim()) {
-                      city.classList.add('success');
-                    }
-                    
-                    // ZIP Code validation (optional)
-                    const zipCode = document.getElementById('zip_code');
-                    if (zipCode.value.trim() && zipCode.value.trim().length > 191) {
-                      showError('zip_code', 'ZIP Code must not exceed 191 characters');
-                      isValid = false;
-                    } else if (zipCode.value.trim()) {
-                      zipCode.classList.add('success');
-                    }
-                    
-                    return isValid;
-                  }
-                  
-                  function showError(fieldId, message) {
-                    const field = document.getElementById(fieldId);
-                    const errorDiv = document.getElementById(fieldId + '-error');
-                    field.classList.add('error');
-                    errorDiv.textContent = message;
-                    errorDiv.style.display = 'block';
-                  }
-                  
-                  // Real-time validation on blur
-                  document.addEventListener('DOMContentLoaded', function() {
-                    const inputs = document.querySelectorAll('input');
-                    inputs.forEach(input => {
-                      input.addEventListener('blur', function() {
-                        validateSingleField(this);
-                      });
-                    });
-                  });
-                  
-                  function validateSingleField(field) {
-                    const fieldId = field.id;
-                    const errorDiv = document.getElementById(fieldId + '-error');
-                    
-                    // Clear previous error
-                    field.classList.remove('error', 'success');
-                    errorDiv.style.display = 'none';
-                    
-                    switch(fieldId) {
-                      case 'companyName':
-                        if (field.value.trim() && (field.value.trim().length < 2 || field.value.trim().length > 100)) {
-                          showError(fieldId, 'Company name must be between 2-100 characters');
-                        } else if (field.value.trim()) {
-                          field.classList.add('success');
-                        }
-                        break;
-                        
-                      case 'firstName':
-                      case 'lastName':
-                        const namePattern = /^[a-zA-Z\\s]+$/;
-                        if (field.value.trim() && field.value.trim().length < 2) {
-                          showError(fieldId, 'Name must be at least 2 characters long');
-                        } else if (field.value.trim() && !namePattern.test(field.value.trim())) {
-                          showError(fieldId, 'Name can only contain letters and spaces');
-                        } else if (field.value.trim() && field.value.trim().length > 50) {
-                          showError(fieldId, 'Name must not exceed 50 characters');
-                        } else if (field.value.trim()) {
-                          field.classList.add('success');
-                        }
-                        break;
-                        
-                      case 'taxId':
-                        const taxIdPattern = /^[0-9\\-]+$/;
-                        if (field.value.trim() && !taxIdPattern.test(field.value.trim())) {
-                          showError(fieldId, 'Tax ID can only contain numbers and hyphens');
-                        } else if (field.value.trim() && field.value.trim().length > 20) {
-                          showError(fieldId, 'Tax ID must not exceed 20 characters');
-                        } else if (field.value.trim()) {
-                          field.classList.add('success');
-                        }
-                        break;
-                        
-                      case 'phone':
-                        const phonePattern = /^[0-9\\+\\-\\(\\)\\s]+$/;
-                        if (field.value.trim() && !phonePattern.test(field.value.trim())) {
-                          showError(fieldId, 'Phone number can only contain numbers, +, -, (), and spaces');
-                        } else if (field.value.trim() && (field.value.trim().length < 10 || field.value.trim().length > 15)) {
-                          showError(fieldId, 'Phone number must be between 10-15 characters');
-                        } else if (field.value.trim()) {
-                          field.classList.add('success');
-                        }
-                        break;
-                        
-                      case 'companyEmail':
-                      case 'userEmail':
-                        const emailPattern = /^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$/;
-                        if (field.value.trim() && !emailPattern.test(field.value.trim())) {
-                          showError(fieldId, 'Please enter a valid email address');
-                        } else if (field.value.trim() && field.value.trim().length > 100) {
-                          showError(fieldId, 'Email must not exceed 100 characters');
-                        } else if (field.value.trim()) {
-                          field.classList.add('success');
-                        }
-                        break;
-                        
-                      case 'address1':
-                        if (field.value.trim() && field.value.trim().length > 191) {
-                          showError(fieldId, 'Address Line 1 must not exceed 191 characters');
-                        } else if (field.value.trim()) {
-                          field.classList.add('success');
-                        }
-                        break;
-                        
-                      case 'address2':
-                      case 'country':
-                      case 'state':
-                      case 'city':
-                      case 'zip_code':
-                        if (field.value.trim() && field.value.trim().length > 191) {
-                          showError(fieldId, 'Field must not exceed 191 characters');
-                        } else if (field.value.trim()) {
-                          field.classList.add('success');
-                        }
-                        break;
-                    }
-                  }
-
-                  function checkCustomerLogin() {
-                    // Check for customer object in window
-                    if (typeof window.customer !== 'undefined' && window.customer && window.customer.id) {
-                      showProtectedContent();
-                      return;
-                    }
-                    
-                    // Check Shopify analytics
-                    if (typeof window.ShopifyAnalytics !== 'undefined' && 
-                        window.ShopifyAnalytics.meta && 
-                        window.ShopifyAnalytics.meta.page && 
-                        window.ShopifyAnalytics.meta.page.customerId) {
-                      showProtectedContent();
-                      return;
-                    }
-                    
-                    // Try /account.js API
-                    fetch('/account.js')
-                      .then(response => {
-                        if (response.ok) {
-                          return response.json();
-                        }
-                        throw new Error('Not logged in');
-                      })
-                      .then(customer => {
-                        if (customer && customer.id) {
-                          showProtectedContent();
-                        } else {
-                          showLoginRequired();
-                        }
-                      })
-                      .catch(() => {
-                        // Check for logout links
-                        const logoutLinks = document.querySelectorAll('a[href*="/account/logout"]');
-                        if (logoutLinks.length > 0) {
-                          showProtectedContent();
-                        } else {
-                          showLoginRequired();
-                        }
-                      });
-                  }
-                  
-                  function showProtectedContent() {
-                    document.getElementById('login-required').style.display = 'none';
-                    document.getElementById('protected-content').style.display = 'block';
-                  }
-                  
-                  function showLoginRequired() {
-                    document.getElementById('login-required').style.display = 'block';
-                    document.getElementById('protected-content').style.display = 'none';
-                  }
-                  
-                  checkCustomerLogin();
-                  document.addEventListener('DOMContentLoaded', checkCustomerLogin);
-                  setTimeout(checkCustomerLogin, 1000);
-                  setTimeout(checkCustomerLogin, 3000);
-                </script>
-              `,
-              isPublished: true,
-            },
-          },
-        },
-      );
-
-      const pageData = await pageResponse.json();
-      
-      if (pageData.data?.pageCreate?.page?.id) {
-        const pageId = pageData.data.pageCreate.page.id;
-        
-        // Get the main menu by handle
-        const menuResponse = await admin.graphql(
-          `#graphql
-            query GetMainMenu {
-              menus(first: 10) {
-                edges {
-                  node {
-                    id
-                    handle
-                    title
-                    items {
-                      id
-                      title
-                      type
-                      url
-                      resourceId
-                    }
-                  }
-                }
-              }
-            }`
-        );
-
-        const menuData = await menuResponse.json();
-        const mainMenu = menuData.data?.menus?.edges?.find(
-          edge => edge.node.handle === 'main-menu' || edge.node.title === 'Main menu'
-        )?.node;
-        
-        console.log("Main menu found:", mainMenu ? { id: mainMenu.id, handle: mainMenu.handle, title: mainMenu.title } : "Not found");
-
-        if (mainMenu) {
-          // Check if our page is already in the menu
-          const existingItem = mainMenu.items.find(
-            item => item.title === "Wholesale Registration"
-          );
-
-          if (!existingItem) {
-            // Add menu item to existing main menu using menuUpdate
-            const updatedItems = [
-              ...mainMenu.items.map(item => ({
-                id: item.id,
-                title: item.title,
-                type: item.type,
-                url: item.url,
-                resourceId: item.resourceId
-              })),
-              {
-                title: "Wholesale Registration",
-                type: "PAGE",
-                resourceId: pageId,
-                url: `/pages/${pageData.data.pageCreate.page.handle}`
-              }
-            ];
-            
-            const menuUpdateResponse = await admin.graphql(
-              `#graphql
-                mutation UpdateMenu($id: ID!, $title: String!, $handle: String!, $items: [MenuItemUpdateInput!]!) {
-                  menuUpdate(id: $id, title: $title, handle: $handle, items: $items) {
-                    menu {
-                      id
-                      handle
-                      items {
-                        id
-                        title
-                      }
-                    }
-                    userErrors {
-                      code
-                      field
-                      message
-                    }
-                  }
-                }`,
-              {
-                variables: {
-                  id: mainMenu.id,
-                  title: mainMenu.title,
-                  handle: mainMenu.handle,
-                  items: updatedItems
-                }
-              }
-            );
-            
-            const menuUpdateData = await menuUpdateResponse.json();
-            if (menuUpdateData.data?.menuUpdate?.userErrors?.length > 0) {
-              console.error("Menu update errors:", menuUpdateData.data.menuUpdate.userErrors);
-            } else {
-              console.log("Menu updated successfully with new page");
-            }
-          }
-        } else {
-          console.log("Main menu not found, creating new main menu");
-          
-          // Create a new main menu if it doesn't exist
-          const newMenuResponse = await admin.graphql(
-            `#graphql
-              mutation CreateMenu($title: String!, $handle: String!, $items: [MenuItemCreateInput!]!) {
-                menuCreate(title: $title, handle: $handle, items: $items) {
-                  menu {
-                    id
-                    handle
-                    items {
-                      id
-                      title
-                    }
-                  }
-                  userErrors {
-                    code
-                    field
-                    message
-                  }
-                }
-              }`,
-            {
-              variables: {
-                title: "Main menu",
-                handle: "main-menu",
-                items: [
-                  {
-                    title: "Home",
-                    type: "FRONTPAGE",
-                    url: "/"
-                  },
-                  {
-                    title: "Wholesale Registration",
-                    type: "PAGE",
-                    resourceId: pageId,
-                    url: `/pages/${pageData.data.pageCreate.page.handle}`
-                  }
-                ]
-              }
-            }
-          );
-
-          const newMenuData = await newMenuResponse.json();
-          if (newMenuData.data?.menuCreate?.userErrors?.length > 0) {
-            console.error("Menu creation errors:", newMenuData.data.menuCreate.userErrors);
-          } else {
-            console.log("New main menu created successfully");
-          }
-        }
-      }
-    } catch (error) {
-      console.error("Error auto-creating page:", error);
+  const { admin, session } = await authenticate.admin(request);
+
+  let page = null;
+  let menuPlacement = null;
+  try {
+    page = await getRegistrationPage(admin, session.shop);
+    if (page) {
+      menuPlacement = await getMenuPlacement(admin, session.shop, page);
     }
+  } catch (error) {
+    console.error("Error loading the registration page:", error);
   }
 
-  return json({ 
-    message: "Wholesale page setup completed",
-    pageExists: !!existingPage,
-    pageId: existingPage?.id || null 
+  return json({
+    page,
+    menuPlacement,
+    storefrontUrl: page ? `https://${session.shop}/pages/${page.handle}` : null,
+    themeEditor: themeEditorUrls(session.shop, page),
   });
 };
 
 export const action = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
-  const formData = await request.formData();
-
-  const companyInput = {
-    name: formData.get("companyName"),
-    externalId: `ext-${Date.now()}`,
-    taxExemptions: [], // optional
-    note: `Created from Wholesale Registration form`,
-  };
+  const { admin, session } = await authenticate.admin(request);
+  const body = await request.formData();
+  const actionType = body.get("actionType");
+
+  try {
+    if (actionType === "create") {
+      await createRegistrationPage(admin, session.shop);
+      return { success: true, message: "Registration page created" };
+    }
+
+    if (actionType === "republish") {
+      await republishRegistrationPage(admin, session.shop);
+      return { success: true, message: "Registration page re-published" };
+    }
+
+    if (actionType === "update") {
+      await updateRegistrationPage(admin, session.shop, {
+        title: (body.get("title") || "").toString(),
+        handle: (body.get("handle") || "").toString(),
+      });
+      return { success: true, message: "Registration page updated" };
+    }
+
+    if (actionType === "unpublish") {
+      await unpublishRegistrationPage(admin, session.shop);
+      return { success: true, message: "Registration page unpublished" };
+    }
+
+    if (actionType === "placeMenuLink") {
+      const position = body.get("position");
+      await saveMenuPlacement(admin, session.shop, {
+        menuId: body.get("menuId"),
+        parentId: body.get("parentId"),
+        position: position ? parseInt(position, 10) : null,
+        title: (body.get("title") || "").toString(),
+      });
+      return { success: true, message: "Menu link saved" };
+    }
 
-  // 1. Create company
-  const companyResponse = await admin.graphql(
-    `#graphql
-      mutation CreateCompany($input: CompanyCreateInput!) {
-        companyCreate(company: $input) {
-          company {
-            id
-            name
-          }
-          userErrors {
-            field
-            message
-          }
-        }
-      }`,
-    { variables: { input: companyInput } }
+    if (actionType === "removeMenuLink") {
+      await removeMenuLink(admin, session.shop);
+      return { success: true, message: "Removed from menu" };
+    }
+
+    if (actionType === "delete") {
+      await deleteRegistrationPage(admin, session.shop);
+      return { success: true, message: "Registration page deleted" };
+    }
+  } catch (error) {
+    if (error instanceof RegistrationPageError) {
+      return { success: false, errors: [{ message: error.message }] };
+    }
+    if (error instanceof AdminApiError) {
+      return { success: false, errors: error.errors };
+    }
+    throw error;
+  }
+
+  return { success: false, errors: [{ message: "Invalid action type" }] };
+};
+
+function PageSettings({ page, storefrontUrl, fetcher }) {
+  const [title, setTitle] = useState(page.title);
+  const [handle, setHandle] = useState(page.handle);
+  const [confirmDelete, setConfirmDelete] = useState(false);
+
+  useEffect(() => {
+    setTitle(page.title);
+    setHandle(page.handle);
+  }, [page.title, page.handle]);
+
+  const isSubmitting = fetcher.state !== "idle";
+  const submit = (actionType, data = {}) =>
+    fetcher.submit({ actionType, ...data }, { method: "POST" });
+
+  return (
+    <BlockStack gap="400">
+      <InlineStack gap="200" blockAlign="center">
+        <Text as="h3" variant="headingMd">
+          {page.title}
+        </Text>
+        <Badge tone={page.isPublished ? "success" : undefined}>
+          {page.isPublished ? "Published" : "Unpublished"}
+        </Badge>
+      </InlineStack>
+      {page.isPublished && (
+        <Button url={storefrontUrl} target="_blank" variant="plain">
+          View on storefront
+        </Button>
+      )}
+
+      <TextField
+        label="Title"
+        value={title}
+        onChange={setTitle}
+        autoComplete="off"
+      />
+      <TextField
+        label="Handle"
+        value={handle}
+        onChange={setHandle}
+        prefix="/pages/"
+        autoComplete="off"
+      />
+
+      <InlineStack gap="200">
+        <Button
+          variant="primary"
+          loading={isSubmitting}
+          disabled={title === page.title && handle === page.handle}
+          onClick={() => submit("update", { title, handle })}
+        >
+          Save
+        </Button>
+        <Button disabled={isSubmitting} onClick={() => submit("republish")}>
+          Re-publish with latest template
+        </Button>
+        {page.isPublished && (
+          <Button disabled={isSubmitting} onClick={() => submit("unpublish")}>
+            Unpublish
+          </Button>
+        )}
+        {confirmDelete ? (
+          <>
+            <Button
+              tone="critical"
+              variant="primary"
+              disabled={isSubmitting}
+              onClick={() => {
+                setConfirmDelete(false);
+                submit("delete");
+              }}
+            >
+              Delete page and menu entry
+            </Button>
+            <Button onClick={() => setConfirmDelete(false)}>Cancel</Button>
+          </>
+        ) : (
+          <Button
+            tone="critical"
+            disabled={isSubmitting}
+            onClick={() => setConfirmDelete(true)}
+          >
+            Delete
+          </Button>
+        )}
+      </InlineStack>
+    </BlockStack>
   );
-  const companyJson = await companyResponse.json();
-  const companyId = companyJson.data?.companyCreate?.company?.id;
-
-  // 2. Create customer
-  const customerInput = {
-    firstName: formData.get("firstName"),
-    lastName: formData.get("lastName"),
-    email: formData.get("userEmail"),
-    phone: formData.get("phone"),
-    tags: ["wholesale"],
+}
+
+// Parent choices: the menu's top two levels, since menus nest three deep.
+function parentOptions(menu) {
+  const options = [{ label: "None (top level)", value: "" }];
+
+  for (const item of menu?.items || []) {
+    options.push({ label: item.title, value: item.id });
+    for (const child of item.items || []) {
+      options.push({ label: `${item.title} › ${child.title}`, value: child.id });
+    }
+  }
+
+  return options;
+}
+
+function siblingItems(menu, parentId, pageId) {
+  const find = (items) => {
+    for (const item of items) {
+      if (item.id === parentId) return item.items || [];
+      const found = find(item.items || []);
+      if (found) return found;
+    }
+    return null;
   };
+  const items = (parentId ? find(menu?.items || []) : menu?.items) || [];
 
-  const customerResponse = await admin.graphql(
-    `#graphql
-      mutation CreateCustomer($input: CustomerInput!) {
-        customerCreate(input: $input) {
-          customer {
-            id
-            email
-            tags
-          }
-          userErrors {
-            field
-            message
-          }
-        }
-      }`,
-    { variables: { input: customerInput } }
-  );
-  const customerJson = await customerResponse.json();
-  const customerId = customerJson.data?.customerCreate?.customer?.id;
-
-  // 3. Assign customer to company as main contact
-  await admin.graphql(
-    `#graphql
-      mutation AssignMainContact($companyId: ID!, $customerId: ID!) {
-        companyAssignMainContact(companyId: $companyId, customerId: $customerId) {
-          company {
-            id
-            mainContact {
-              id
-              firstName
-              lastName
-            }
-          }
-          userErrors {
-            field
-            message
-          }
-        }
-      }`,
-    { variables: { companyId, customerId } }
+  return items.filter((item) => item.resourceId !== pageId);
+}
+
+function MenuPlacement({ page, menuPlacement, fetcher }) {
+  const { menus, placement, link, missing } = menuPlacement;
+
+  const [menuId, setMenuId] = useState(placement.menuId || menus[0]?.id || "");
+  const [parentId, setParentId] = useState(placement.parentId || "");
+  const [position, setPosition] = useState(
+    placement.position === null ? "" : String(placement.position),
   );
+  const [title, setTitle] = useState(placement.title);
 
-  return json({ success: true, companyId, customerId });
-};
+  const menu = menus.find(({ id }) => id === menuId);
+  const siblings = siblingItems(menu, parentId, page.id);
+  const positionOptions = [
+    { label: "Last", value: "" },
+    { label: "First", value: "0" },
+    ...siblings.slice(0, -1).map((item, index) => ({
+      label: `After ${item.title}`,
+      value: String(index + 1),
+    })),
+  ];
+
+  const isSubmitting = fetcher.state !== "idle";
+
+  return (
+    <BlockStack gap="400">
+      <Text as="h3" variant="headingMd">
+        Menu link
+      </Text>
+      {missing && (
+        <Banner tone="warning" title="The menu link was removed">
+          <p>
+            The link to the registration page is no longer in any menu. It was
+            probably deleted in the Shopify admin. Save below to add it back.
+          </p>
+        </Banner>
+      )}
+      <Text variant="bodyMd" as="p">
+        {link
+          ? `Linked as "${link.title}" in ${link.menuTitle}${link.parentTitle ? ` under ${link.parentTitle}` : ""}.`
+          : "The registration page is not linked from any menu."}
+      </Text>
+
+      {menus.length === 0 ? (
+        <Text variant="bodyMd" as="p" tone="subdued">
+          Your store has no navigation menus.
+        </Text>
+      ) : (
+        <>
+          <Select
+            label="Menu"
+            options={menus.map(({ id, title }) => ({ label: title, value: id }))}
+            value={menuId}
+            onChange={(value) => {
+              setMenuId(value);
+              setParentId("");
+              setPosition("");
+            }}
+          />
+          <Select
+            label="Nest under"
+            options={parentOptions(menu)}
+            value={parentId}
+            onChange={(value) => {
+              setParentId(value);
+              setPosition("");
+            }}
+          />
+          <Select
+            label="Position"
+            options={positionOptions}
+            value={position}
+            onChange={setPosition}
+          />
+          <TextField
+            label="Link label"
+            value={title}
+            onChange={setTitle}
+            autoComplete="off"
+          />
+          <InlineStack gap="200">
+            <Button
+              variant="primary"
+              loading={isSubmitting}
+              disabled={!menuId || !title.trim()}
+              onClick={() =>
+                fetcher.submit(
+                  { actionType: "placeMenuLink", menuId, parentId, position, title },
+                  { method: "POST" },
+                )
+              }
+            >
+              {link ? "Move link" : "Add to menu"}
+            </Button>
+            {link && (
+              <Button
+                tone="critical"
+                disabled={isSubmitting}
+                onClick={() =>
+                  fetcher.submit(
+                    { actionType: "removeMenuLink" },
+                    { method: "POST" },
+                  )
+                }
+              >
+                Remove from menu
+              </Button>
+            )}
+          </InlineStack>
+        </>
+      )}
+    </BlockStack>
+  );
+}
 
 export default function WholesalePage() {
+  const { page, menuPlacement, storefrontUrl, themeEditor } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+
+  useEffect(() => {
+    if (!fetcher.data) return;
+    if (fetcher.data.success) {
+      shopify.toast.show(fetcher.data.message);
+    } else if (fetcher.data.errors?.length) {
+      shopify.toast.show(`Error: ${fetcher.data.errors[0].message}`, {
+        isError: true,
+      });
+    }
+  }, [fetcher.data, shopify]);
+
   return (
     <Page>
       <TitleBar title="Wholesale Registration Management" />
@@ -951,10 +396,73 @@ export default function WholesalePage() {
                   </Text>
                   <Text variant="bodyMd" as="p">
                     This page manages the wholesale registration functionality for your store.
-                    The wholesale registration form has been created and added to your storefront navigation.
                   </Text>
                 </BlockStack>
 
+                {/* Storefront page */}
+                {page ? (
+                  <>
+                    <PageSettings
+                      page={page}
+                      storefrontUrl={storefrontUrl}
+                      fetcher={fetcher}
+                    />
+                    {menuPlacement && (
+                      <>
+                        <Divider />
+                        <MenuPlacement
+                          page={page}
+                          menuPlacement={menuPlacement}
+                          fetcher={fetcher}
+                        />
+                      </>
+                    )}
+                  </>
+                ) : (
+                  <BlockStack gap="200">
+                    <Text variant="bodyMd" as="p">
+                      Your store has no wholesale registration page. Create
+                      one to add it to your storefront and main menu.
+                    </Text>
+                    <InlineStack>
+                      <Button
+                        variant="primary"
+                        loading={fetcher.state !== "idle"}
+                        onClick={() =>
+                          fetcher.submit(
+                            { actionType: "create" },
+                            { method: "POST" },
+                          )
+                        }
+                      >
+                        Create page
+                      </Button>
+                    </InlineStack>
+                  </BlockStack>
+                )}
+
+                {/* Theme extension */}
+                <BlockStack gap="200">
+                  <Text as="h3" variant="headingMd">
+                    Show the form in your theme
+                  </Text>
+                  <Text variant="bodyMd" as="p">
+                    The registration form is an app block. Add it to the
+                    registration page, or to any other template, from the
+                    theme editor, where you can also change its colors,
+                    labels and button text. The app embed adds a button to
+                    every page that opens the form in a popup instead.
+                  </Text>
+                  <InlineStack gap="200">
+                    <Button url={themeEditor.addBlock} target="_top">
+                      Add form block to page template
+                    </Button>
+                    <Button url={themeEditor.enableEmbed} target="_top">
+                      Enable popup embed
+                    </Button>
+                  </InlineStack>
+                </BlockStack>
+
                 {/* Features List */}
                 <BlockStack gap="200">
                   <Text as="h3" variant="headingMd">
@@ -982,8 +490,8 @@ export default function WholesalePage() {
 
                 {/* Footer Note */}
                 <Text variant="bodyMd" as="p">
-                  The form automatically creates companies and assigns customers as main contacts
-                  when submissions are received from your storefront.
+                  Submissions from your storefront are queued as applications. Companies and
+                  customer contacts are created once an application is approved.
                 </Text>
               </BlockStack>
             </Card>
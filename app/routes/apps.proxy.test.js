@@ -0,0 +1,243 @@
+import { createHmac } from "node:crypto";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+const SECRET = "test-proxy-secret";
+const SHOP = "wholesale-test.myshopify.com";
+const CUSTOMER = {
+  id: "gid://shopify/Customer/42",
+  email: "jane@acme.example",
+  firstName: "Jane",
+  lastName: "Doe",
+};
+const FORM_FIELDS = [
+  { name: "companyName", label: "Company Name", type: "text", required: true, mapping: "company.name" },
+  { name: "userEmail", label: "User Email", type: "email", required: true, mapping: "customer.email" },
+];
+
+const sessions = vi.hoisted(() => new Map());
+
+// A real app instance with a fixed secret, so signatures are checked by the
+// library exactly as in production. Sessions live in memory.
+vi.mock("../shopify.server", async () => {
+  await import("@shopify/shopify-app-remix/adapters/node");
+  const { ApiVersion, AppDistribution, LogSeverity, shopifyApp } = await import(
+    "@shopify/shopify-app-remix/server"
+  );
+  const app = shopifyApp({
+    apiKey: "test-api-key",
+    apiSecretKey: SECRET,
+    apiVersion: ApiVersion.January25,
+    scopes: ["read_customers"],
+    appUrl: "https://wholesale.example.com",
+    distribution: AppDistribution.AppStore,
+    logger: { level: LogSeverity.Error },
+    sessionStorage: {
+      storeSession: async (session) => sessions.set(session.id, session) && true,
+      loadSession: async (id) => sessions.get(id),
+      deleteSession: async (id) => sessions.delete(id),
+      deleteSessions: async (ids) => ids.every((id) => sessions.delete(id)),
+      findSessionsByShop: async (shop) =>
+        [...sessions.values()].filter((session) => session.shop === shop),
+    },
+    future: { unstable_newEmbeddedAuthStrategy: true, removeRest: true },
+  });
+
+  return { authenticate: app.authenticate };
+});
+
+vi.mock("../db.server", () => ({ default: {} }));
+
+vi.mock("../models/registrationForm.server", async (importOriginal) => ({
+  ...(await importOriginal()),
+  getRegistrationForm: vi.fn(async () => ({ fields: FORM_FIELDS, isDefault: false })),
+}));
+
+vi.mock("../models/adminResources.server", () => ({
+  getCustomer: vi.fn(async (admin, id) => (id === CUSTOMER.id ? CUSTOMER : null)),
+}));
+
+vi.mock("../models/wholesaleApplication.server", () => ({
+  createApplication: vi.fn(async () => ({ id: "application-1", status: "PENDING" })),
+}));
+
+vi.mock("../models/notifications.server", () => ({
+  notifyApplicationEvent: vi.fn(),
+}));
+
+const { Session } = await import("@shopify/shopify-api");
+const { createApplication } = await import("../models/wholesaleApplication.server");
+const { getRegistrationForm } = await import("../models/registrationForm.server");
+const { action, loader } = await import("./apps.proxy");
+
+// The query string Shopify's app proxy adds, signed like Shopify signs it.
+function proxyUrl({ customerId = "42", secret = SECRET, signed = true } = {}) {
+  const query = {
+    shop: SHOP,
+    logged_in_customer_id: customerId,
+    path_prefix: "/apps/wholesale",
+    timestamp: String(Math.trunc(Date.now() / 1000)),
+  };
+  const message = Object.entries(query)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${key}=${value}`)
+    .join("");
+  const signature = createHmac("sha256", secret).update(message).digest("hex");
+
+  const params = new URLSearchParams(signed ? { ...query, signature } : query);
+  return `https://wholesale.example.com/apps/proxy?${params}`;
+}
+
+function submission(url, values) {
+  const body = new FormData();
+  for (const [name, value] of Object.entries(values)) body.append(name, value);
+
+  return new Request(url, { method: "POST", body });
+}
+
+const VALID_VALUES = { companyName: "Acme Supplies", userEmail: CUSTOMER.email };
+
+// authenticateProxy throws its 401 responses.
+async function outcome(promise) {
+  try {
+    return await promise;
+  } catch (response) {
+    if (response instanceof Response) return response;
+    throw response;
+  }
+}
+
+async function expectUnauthorized(promise, code) {
+  const response = await outcome(promise);
+  expect(response.status).toBe(401);
+  expect(await response.json()).toMatchObject({ success: false, code });
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  sessions.clear();
+  const id = `offline_${SHOP}`;
+  sessions.set(
+    id,
+    new Session({ id, shop: SHOP, state: "", isOnline: false, accessToken: "token" }),
+  );
+});
+
+describe("app proxy loader", () => {
+  it("serves the form to a signed request", async () => {
+    const response = await loader({ request: new Request(proxyUrl()) });
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toMatchObject({
+      fields: FORM_FIELDS,
+      loggedIn: true,
+      prefill: { userEmail: CUSTOMER.email },
+    });
+  });
+
+  it("rejects a request without a signature", async () => {
+    await expectUnauthorized(
+      loader({ request: new Request(proxyUrl({ signed: false })) }),
+      "INVALID_SIGNATURE",
+    );
+  });
+
+  it("rejects a request signed with another secret", async () => {
+    await expectUnauthorized(
+      loader({ request: new Request(proxyUrl({ secret: "forged" })) }),
+      "INVALID_SIGNATURE",
+    );
+  });
+
+  it("rejects a shop the app is not installed on", async () => {
+    sessions.clear();
+
+    await expectUnauthorized(
+      loader({ request: new Request(proxyUrl()) }),
+      "APP_NOT_INSTALLED",
+    );
+  });
+
+  it("tells a visitor who is not logged in to log in", async () => {
+    const response = await loader({ request: new Request(proxyUrl({ customerId: "" })) });
+
+    expect(await response.json()).toMatchObject({ loggedIn: false });
+  });
+});
+
+describe("app proxy action", () => {
+  it("stores a signed submission for the signed shop and customer", async () => {
+    const response = await action({ request: submission(proxyUrl(), VALID_VALUES) });
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toMatchObject({ success: true, applicationId: "application-1" });
+    expect(createApplication).toHaveBeenCalledWith(
+      SHOP,
+      expect.objectContaining({ customerId: CUSTOMER.id }),
+    );
+  });
+
+  it("rejects a certificate expiry date that is not a calendar date", async () => {
+    getRegistrationForm.mockResolvedValueOnce({
+      fields: [
+        ...FORM_FIELDS,
+        { name: "expiresOn", label: "Certificate expires on", type: "date", mapping: "tax.certificateExpiry" },
+      ],
+      isDefault: false,
+    });
+
+    const response = await action({
+      request: submission(proxyUrl(), { ...VALID_VALUES, expiresOn: "03/05/2026" }),
+    });
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toMatchObject({
+      success: false,
+      errors: { expiresOn: "Please enter a valid date (YYYY-MM-DD)" },
+    });
+    expect(createApplication).not.toHaveBeenCalled();
+  });
+
+  it("does not tell the storefront why storing a submission failed", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    createApplication.mockRejectedValueOnce(new Error("SQLITE_BUSY: database is locked"));
+
+    const response = await action({ request: submission(proxyUrl(), VALID_VALUES) });
+
+    expect(response.status).toBe(500);
+    expect(await response.json()).toEqual({ error: "Internal server error" });
+  });
+
+  it("rejects a submission without a signature", async () => {
+    await expectUnauthorized(
+      action({ request: submission(proxyUrl({ signed: false }), VALID_VALUES) }),
+      "INVALID_SIGNATURE",
+    );
+    expect(createApplication).not.toHaveBeenCalled();
+  });
+
+  it("rejects a submission signed with another secret", async () => {
+    await expectUnauthorized(
+      action({ request: submission(proxyUrl({ secret: "forged" }), VALID_VALUES) }),
+      "INVALID_SIGNATURE",
+    );
+    expect(createApplication).not.toHaveBeenCalled();
+  });
+
+  it("rejects a shop the app is not installed on", async () => {
+    sessions.clear();
+
+    await expectUnauthorized(
+      action({ request: submission(proxyUrl(), VALID_VALUES) }),
+      "APP_NOT_INSTALLED",
+    );
+    expect(createApplication).not.toHaveBeenCalled();
+  });
+
+  it("requires a logged-in customer", async () => {
+    await expectUnauthorized(
+      action({ request: submission(proxyUrl({ customerId: "" }), VALID_VALUES) }),
+      "LOGIN_REQUIRED",
+    );
+    expect(createApplication).not.toHaveBeenCalled();
+  });
+});
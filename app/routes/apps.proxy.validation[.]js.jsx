@@ -0,0 +1,27 @@
+import { authenticate } from "../shopify.server";
+import { isCalendarDate } from "../models/dates";
+import { validateFieldValue } from "../models/registrationValidation";
+
+// Serves the field validation rules to the theme extension's registration
+// form, so the storefront checks fields with the same function the proxy
+// action runs. It gets the date check it calls passed in.
+export const loader = async ({ request }) => {
+  await authenticate.public.appProxy(request);
+
+  return new Response(
+    `(function () {
+  var isCalendarDate = ${isCalendarDate.toString()};
+  var validateFieldValue = ${validateFieldValue.toString()};
+  window.wholesaleValidateFieldValue = function (field, value) {
+    return validateFieldValue(field, value, isCalendarDate);
+  };
+})();
+`,
+    {
+      headers: {
+        "Content-Type": "application/javascript; charset=utf-8",
+        "Cache-Control": "public, max-age=300",
+      },
+    },
+  );
+};
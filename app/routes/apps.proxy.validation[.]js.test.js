@@ -0,0 +1,36 @@
+import { runInNewContext } from "node:vm";
+import { describe, expect, it, vi } from "vitest";
+
+vi.mock("../shopify.server", () => ({
+  authenticate: { public: { appProxy: vi.fn(async () => ({})) } },
+}));
+
+const { loader } = await import("./apps.proxy.validation[.]js");
+
+// Runs the served script the way a storefront page does, without the
+// server's modules.
+async function servedValidator() {
+  const response = await loader({ request: new Request("https://shop.example/apps/proxy/validation.js") });
+  const window = {};
+  runInNewContext(await response.text(), { window });
+
+  return window.wholesaleValidateFieldValue;
+}
+
+describe("served field validation", () => {
+  const dateField = { name: "expiresOn", label: "Expires on", type: "date" };
+
+  it("accepts a calendar date", async () => {
+    const validate = await servedValidator();
+
+    expect(validate(dateField, "2026-03-05")).toBeNull();
+  });
+
+  it("rejects dates that are not YYYY-MM-DD or do not exist", async () => {
+    const validate = await servedValidator();
+
+    for (const value of ["03/05/2026", "March 5", "2026-02-30"]) {
+      expect(validate(dateField, value)).toBe("Please enter a valid date (YYYY-MM-DD)");
+    }
+  });
+});
@@ -1,5 +1,6 @@
 import { authenticate } from "../shopify.server";
 import db from "../db.server";
+import { clearCompanyEmails } from "../models/companyEmails.server";
 
 export const action = async ({ request }) => {
   const { shop, session, topic } = await authenticate.webhook(request);
@@ -12,5 +13,8 @@ export const action = async ({ request }) => {
     await db.session.deleteMany({ where: { shop } });
   }
 
+  // No company webhooks arrive while uninstalled; rebuild the index on return.
+  await clearCompanyEmails(shop);
+
   return new Response();
 };
@@ -0,0 +1,12 @@
+import { authenticate } from "../shopify.server";
+import { removeCompanyEmail } from "../models/companyEmails.server";
+
+export const action = async ({ request }) => {
+  const { payload, topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  await removeCompanyEmail(shop, payload.admin_graphql_api_id);
+
+  return new Response();
+};
@@ -0,0 +1,16 @@
+import { authenticate } from "../shopify.server";
+import { refreshCompanyEmail } from "../models/companyEmails.server";
+
+// Subscribed to companies/create and companies/update. The payload has no
+// metafields, so the company's email is read back from the Admin API.
+export const action = async ({ request }) => {
+  const { admin, payload, topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  if (admin) {
+    await refreshCompanyEmail(admin, shop, payload.admin_graphql_api_id);
+  }
+
+  return new Response();
+};
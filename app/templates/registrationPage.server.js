@@ -0,0 +1,9 @@
+// Storefront page for wholesale registration. The page only carries an
+// introduction; the form itself is the theme extension's "Wholesale
+// registration" app block, which the merchant adds to the page template.
+
+export const REGISTRATION_PAGE_TITLE = "Wholesale Registration";
+
+export function registrationPageBody() {
+  return `<p>Apply for a wholesale account with the form below. We review every application and will email you once it has been approved.</p>`;
+}
@@ -0,0 +1,371 @@
+// Renders the wholesale registration form from the form builder schema
+// served by the app proxy and posts submissions back to it. Field rules come
+// from /apps/proxy/validation.js, the same function the proxy action runs;
+// until it has loaded the browser's own constraint checks are used.
+(function() {
+  function validateFieldValue(field, value, input) {
+    if (typeof window.wholesaleValidateFieldValue === 'function') {
+      return window.wholesaleValidateFieldValue(field, value);
+    }
+    return input.checkValidity() ? null : input.validationMessage;
+  }
+
+  // Identifies one submission, so a retried or double-clicked submit does
+  // not create a second application. A new key is issued once it succeeds.
+  function newIdempotencyKey() {
+    return window.crypto && window.crypto.randomUUID
+      ? window.crypto.randomUUID()
+      : Date.now().toString(36) + '-' + Math.random().toString(36).slice(2);
+  }
+
+  function createInput(field) {
+    var input;
+
+    if (field.type === 'select') {
+      input = document.createElement('select');
+      var placeholder = document.createElement('option');
+      placeholder.value = '';
+      placeholder.textContent = '…';
+      input.appendChild(placeholder);
+      (field.options || []).forEach(function(optionValue) {
+        var option = document.createElement('option');
+        option.value = optionValue;
+        option.textContent = optionValue;
+        input.appendChild(option);
+      });
+    } else {
+      input = document.createElement('input');
+      // A locations field submits its entries as JSON; see renderLocations.
+      input.type = field.type === 'locations' ? 'hidden' : field.type;
+      if (field.type === 'checkbox') input.value = 'true';
+    }
+
+    input.name = field.name;
+    if (field.required) input.required = true;
+    if (field.minLength) input.minLength = field.minLength;
+    if (field.maxLength) input.maxLength = field.maxLength;
+    if (field.pattern) input.pattern = field.pattern;
+    return input;
+  }
+
+  function RegistrationForm(root) {
+    this.root = root;
+    this.form = root.querySelector('[data-form]');
+    this.fieldsContainer = root.querySelector('[data-fields]');
+    this.status = root.querySelector('[data-status]');
+    this.submitButton = root.querySelector('[data-submit]');
+    this.submitLabel = this.submitButton.textContent;
+    this.proxyUrl = root.dataset.proxyUrl;
+    this.fields = [];
+    this.inputs = {};
+    this.errors = {};
+    this.wrappers = {};
+    this.locationFields = [];
+    this.resets = [];
+
+    this.form.addEventListener('submit', this.submit.bind(this));
+    this.load();
+  }
+
+  RegistrationForm.prototype.load = function() {
+    var self = this;
+
+    fetch(this.proxyUrl, { headers: { Accept: 'application/json' } })
+      .then(function(response) {
+        if (!response.ok) throw new Error('Could not load the registration form');
+        return response.json();
+      })
+      .then(function(data) {
+        // The app proxy signs the logged-in customer's ID, so its answer wins
+        // over a cached page.
+        if (!data.loggedIn) {
+          self.root.querySelector('[data-login]').hidden = false;
+          self.form.hidden = true;
+          return;
+        }
+        self.locationFields = data.locationFields || [];
+        self.render(data.fields || [], data.prefill || {}, data.lockedFields || []);
+      })
+      .catch(function(error) {
+        console.error('Wholesale registration form could not be loaded:', error);
+        self.fieldsContainer.textContent = self.root.dataset.unavailableMessage;
+        self.submitButton.disabled = true;
+      });
+  };
+
+  RegistrationForm.prototype.render = function(fields, prefill, lockedFields) {
+    var self = this;
+
+    this.fields = fields;
+    this.inputs = {};
+    this.errors = {};
+    this.wrappers = {};
+    this.resets = [];
+    this.fieldsContainer.innerHTML = '';
+    this.form.elements._idempotency_key.value = newIdempotencyKey();
+
+    fields.forEach(function(field) {
+      var id = self.root.id + '-' + field.name;
+      var wrapper = document.createElement('div');
+      wrapper.className = 'wholesale-registration__field';
+
+      var label = document.createElement('label');
+      label.setAttribute('for', id);
+      label.textContent = field.label + (field.required ? ' *' : '');
+
+      var input = createInput(field);
+      input.id = id;
+      if (prefill[field.name]) {
+        input.value = prefill[field.name];
+        input.defaultValue = prefill[field.name];
+      }
+      if (lockedFields.indexOf(field.name) !== -1) {
+        input.readOnly = true;
+      }
+      input.addEventListener('blur', function() {
+        self.validateField(field);
+      });
+
+      var error = document.createElement('div');
+      error.className = 'wholesale-registration__error';
+      error.hidden = true;
+
+      if (field.type === 'checkbox') {
+        label.insertBefore(document.createTextNode(' '), label.firstChild);
+        label.insertBefore(input, label.firstChild);
+        wrapper.appendChild(label);
+      } else if (field.type === 'locations') {
+        wrapper.appendChild(label);
+        self.renderLocations(field, wrapper, input);
+      } else {
+        wrapper.appendChild(label);
+        wrapper.appendChild(input);
+      }
+      wrapper.appendChild(error);
+      self.fieldsContainer.appendChild(wrapper);
+
+      self.inputs[field.name] = input;
+      self.errors[field.name] = error;
+      self.wrappers[field.name] = wrapper;
+    });
+
+    fields.forEach(function(field) {
+      if (field.type !== 'checkbox') return;
+      self.inputs[field.name].addEventListener('change', function() {
+        self.updateVisibility();
+      });
+    });
+    this.updateVisibility();
+  };
+
+  // Each location gets a fieldset of inputs without names; their values are
+  // kept in the field's hidden input as a JSON list, which is what is
+  // validated and submitted.
+  RegistrationForm.prototype.renderLocations = function(field, wrapper, input) {
+    var self = this;
+    var list = document.createElement('div');
+    list.className = 'wholesale-registration__locations';
+
+    var addButton = document.createElement('button');
+    addButton.type = 'button';
+    addButton.className = 'wholesale-registration__location-button';
+    addButton.textContent = this.root.dataset.addLocationLabel;
+
+    function serialize() {
+      var locations = Array.prototype.map.call(list.children, function(entry) {
+        var location = {};
+        self.locationFields.forEach(function(locationField) {
+          location[locationField.name] = entry
+            .querySelector('[data-location-field="' + locationField.name + '"]')
+            .value.trim();
+        });
+        return location;
+      });
+      input.value = locations.length ? JSON.stringify(locations) : '';
+    }
+
+    function numberEntries() {
+      Array.prototype.forEach.call(list.children, function(entry, index) {
+        entry.querySelector('legend').textContent = field.label + ' ' + (index + 1);
+      });
+    }
+
+    function addEntry() {
+      var entry = document.createElement('fieldset');
+      entry.className = 'wholesale-registration__location';
+      entry.appendChild(document.createElement('legend'));
+
+      self.locationFields.forEach(function(locationField) {
+        var label = document.createElement('label');
+        label.textContent = locationField.label + (locationField.required ? ' *' : '');
+        var control = document.createElement('input');
+        control.type = locationField.type;
+        control.setAttribute('data-location-field', locationField.name);
+        control.addEventListener('input', serialize);
+        control.addEventListener('change', function() {
+          self.validateField(field);
+        });
+        label.appendChild(control);
+        entry.appendChild(label);
+      });
+
+      var removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.className = 'wholesale-registration__location-button';
+      removeButton.textContent = self.root.dataset.removeLocationLabel;
+      removeButton.addEventListener('click', function() {
+        list.removeChild(entry);
+        numberEntries();
+        serialize();
+        self.validateField(field);
+      });
+      entry.appendChild(removeButton);
+
+      list.appendChild(entry);
+      numberEntries();
+      serialize();
+    }
+
+    addButton.addEventListener('click', addEntry);
+    this.resets.push(function() {
+      list.innerHTML = '';
+      serialize();
+    });
+
+    wrapper.appendChild(list);
+    wrapper.appendChild(addButton);
+    wrapper.appendChild(input);
+  };
+
+  RegistrationForm.prototype.isShown = function(field) {
+    var checkbox = field.showWhenChecked && this.inputs[field.showWhenChecked];
+    return !checkbox || checkbox.checked;
+  };
+
+  // Fields that depend on an unticked checkbox are hidden and disabled, so
+  // they are neither validated nor submitted.
+  RegistrationForm.prototype.updateVisibility = function() {
+    var self = this;
+
+    this.fields.forEach(function(field) {
+      var shown = self.isShown(field);
+      self.wrappers[field.name].hidden = !shown;
+      self.inputs[field.name].disabled = !shown;
+      if (!shown) self.showError(field.name, null);
+    });
+  };
+
+  RegistrationForm.prototype.value = function(field) {
+    var input = this.inputs[field.name];
+
+    if (field.type === 'checkbox') return input.checked ? 'true' : '';
+    if (field.type === 'file') return input.files.length ? input.files[0].name : '';
+    return input.value.trim();
+  };
+
+  RegistrationForm.prototype.showError = function(name, message) {
+    var input = this.inputs[name];
+    var error = this.errors[name];
+    if (!input) return;
+
+    input.classList.toggle('is-invalid', !!message);
+    error.textContent = message || '';
+    error.hidden = !message;
+  };
+
+  RegistrationForm.prototype.validateField = function(field) {
+    if (!this.isShown(field)) return true;
+
+    var message = validateFieldValue(field, this.value(field), this.inputs[field.name]);
+    this.showError(field.name, message);
+    return !message;
+  };
+
+  RegistrationForm.prototype.showStatus = function(message, isError) {
+    this.status.textContent = message;
+    this.status.classList.toggle('is-error', isError);
+    this.status.hidden = !message;
+  };
+
+  RegistrationForm.prototype.setSubmitting = function(submitting) {
+    this.submitButton.disabled = submitting;
+    this.submitButton.textContent = submitting
+      ? this.root.dataset.submittingLabel
+      : this.submitLabel;
+  };
+
+  RegistrationForm.prototype.submit = function(event) {
+    var self = this;
+    event.preventDefault();
+
+    var valid = this.fields.reduce(function(valid, field) {
+      return self.validateField(field) && valid;
+    }, true);
+    if (!valid) return;
+
+    this.showStatus('', false);
+    this.setSubmitting(true);
+
+    fetch(this.proxyUrl, { method: 'POST', body: new FormData(this.form) })
+      .then(function(response) {
+        return response.json().then(function(data) {
+          return { response: response, data: data };
+        });
+      })
+      .then(function(result) {
+        self.setSubmitting(false);
+
+        if (!result.response.ok || !result.data.success) {
+          // The proxy returns { errors: { fieldName: message } } for invalid fields
+          var errors = result.data.errors || {};
+          Object.keys(errors).forEach(function(name) {
+            self.showError(name, errors[name]);
+          });
+          self.showStatus(result.data.error || self.root.dataset.submitErrorMessage, true);
+          return;
+        }
+
+        self.form.reset();
+        self.resets.forEach(function(reset) {
+          reset();
+        });
+        self.updateVisibility();
+        self.form.elements._idempotency_key.value = newIdempotencyKey();
+        self.showStatus(self.root.dataset.successMessage || result.data.message, false);
+      })
+      .catch(function(error) {
+        console.error('Wholesale registration could not be submitted:', error);
+        self.setSubmitting(false);
+        self.showStatus(self.root.dataset.submitErrorMessage, true);
+      });
+  };
+
+  function init() {
+    var roots = document.querySelectorAll('[data-wholesale-registration]');
+    for (var i = 0; i < roots.length; i++) {
+      if (!roots[i].querySelector('[data-form]') || roots[i].registrationForm) continue;
+      roots[i].id = roots[i].id || 'wholesale-registration-' + i;
+      roots[i].registrationForm = new RegistrationForm(roots[i]);
+    }
+  }
+
+  // Launcher and close buttons of the app embed's dialog
+  document.addEventListener('click', function(event) {
+    var opener = event.target.closest('[data-wholesale-registration-open]');
+    if (opener) {
+      opener.parentNode.querySelector('[data-wholesale-registration-dialog]').showModal();
+      return;
+    }
+
+    var closer = event.target.closest('[data-wholesale-registration-close]');
+    if (closer) closer.closest('dialog').close();
+  });
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+  // The theme editor re-renders blocks when their settings change.
+  document.addEventListener('shopify:section:load', init);
+})();
@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "WholesaleApplication" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "companyName" TEXT NOT NULL,
+    "firstName" TEXT,
+    "lastName" TEXT,
+    "userEmail" TEXT NOT NULL,
+    "companyEmail" TEXT,
+    "fields" TEXT NOT NULL,
+    "rejectionReason" TEXT,
+    "infoRequest" TEXT,
+    "companyId" TEXT,
+    "customerId" TEXT,
+    "reviewedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "WholesaleApplication_shop_status_idx" ON "WholesaleApplication"("shop", "status");
@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "WholesaleApplicationEvent" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "applicationId" TEXT NOT NULL,
+    "fromStatus" TEXT,
+    "toStatus" TEXT NOT NULL,
+    "note" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "WholesaleApplicationEvent_applicationId_fkey" FOREIGN KEY ("applicationId") REFERENCES "WholesaleApplication" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "WholesaleApplicationStep" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "applicationId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "detail" TEXT,
+    "errors" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "WholesaleApplicationStep_applicationId_fkey" FOREIGN KEY ("applicationId") REFERENCES "WholesaleApplication" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "WholesaleApplicationEvent_applicationId_idx" ON "WholesaleApplicationEvent"("applicationId");
+
+-- CreateIndex
+CREATE INDEX "WholesaleApplicationStep_applicationId_idx" ON "WholesaleApplicationStep"("applicationId");
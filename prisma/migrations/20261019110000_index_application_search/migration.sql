@@ -0,0 +1,8 @@
+-- CreateIndex
+CREATE INDEX "WholesaleApplication_shop_createdAt_idx" ON "WholesaleApplication"("shop", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "WholesaleApplication_shop_userEmail_idx" ON "WholesaleApplication"("shop", "userEmail");
+
+-- CreateIndex
+CREATE INDEX "WholesaleApplication_shop_companyEmail_idx" ON "WholesaleApplication"("shop", "companyEmail");
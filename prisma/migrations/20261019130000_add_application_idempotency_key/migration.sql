@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "WholesaleApplication" ADD COLUMN "idempotencyKey" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WholesaleApplication_shop_idempotencyKey_key" ON "WholesaleApplication"("shop", "idempotencyKey");
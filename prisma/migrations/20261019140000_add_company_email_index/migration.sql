@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "CompanyEmail" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "companyId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "CompanyEmailSync" (
+    "shop" TEXT NOT NULL PRIMARY KEY,
+    "syncedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CompanyEmail_shop_companyId_key" ON "CompanyEmail"("shop", "companyId");
+
+-- CreateIndex
+CREATE INDEX "CompanyEmail_shop_email_idx" ON "CompanyEmail"("shop", "email");
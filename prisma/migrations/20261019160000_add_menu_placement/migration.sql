@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "menuId" TEXT;
+ALTER TABLE "ShopSettings" ADD COLUMN "menuParentId" TEXT;
+ALTER TABLE "ShopSettings" ADD COLUMN "menuPosition" INTEGER;
+ALTER TABLE "ShopSettings" ADD COLUMN "menuItemTitle" TEXT;
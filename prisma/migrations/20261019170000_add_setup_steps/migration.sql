@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "notificationEmail" TEXT;
+
+-- CreateTable
+CREATE TABLE "SetupStep" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "error" TEXT,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SetupStep_shop_name_key" ON "SetupStep"("shop", "name");
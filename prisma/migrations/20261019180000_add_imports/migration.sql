@@ -0,0 +1,40 @@
+-- CreateTable
+CREATE TABLE "ImportJob" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "fileName" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'DRAFT',
+    "headers" TEXT NOT NULL,
+    "data" TEXT NOT NULL,
+    "mapping" TEXT,
+    "error" TEXT,
+    "startedAt" DATETIME,
+    "finishedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "ImportRow" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "jobId" TEXT NOT NULL,
+    "line" INTEGER NOT NULL,
+    "status" TEXT NOT NULL,
+    "fields" TEXT NOT NULL,
+    "registration" TEXT NOT NULL,
+    "errors" TEXT,
+    "applicationId" TEXT,
+    "companyId" TEXT,
+    "customerId" TEXT,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "ImportRow_jobId_fkey" FOREIGN KEY ("jobId") REFERENCES "ImportJob" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "ImportJob_shop_createdAt_idx" ON "ImportJob"("shop", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "ImportRow_jobId_status_idx" ON "ImportRow"("jobId", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ImportRow_jobId_line_key" ON "ImportRow"("jobId", "line");
@@ -0,0 +1,37 @@
+-- The notification address becomes a list of staff addresses.
+ALTER TABLE "ShopSettings" RENAME COLUMN "notificationEmail" TO "notificationEmails";
+UPDATE "ShopSettings" SET "notificationEmails" = json_array("notificationEmails") WHERE "notificationEmails" IS NOT NULL;
+
+-- CreateTable
+CREATE TABLE "EmailTemplate" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "event" TEXT NOT NULL,
+    "recipient" TEXT NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "subject" TEXT NOT NULL,
+    "body" TEXT NOT NULL,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "EmailDelivery" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "applicationId" TEXT NOT NULL,
+    "event" TEXT NOT NULL,
+    "recipient" TEXT NOT NULL,
+    "to" TEXT NOT NULL,
+    "subject" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "error" TEXT,
+    "messageId" TEXT,
+    "transport" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "EmailDelivery_applicationId_fkey" FOREIGN KEY ("applicationId") REFERENCES "WholesaleApplication" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "EmailTemplate_shop_event_recipient_key" ON "EmailTemplate"("shop", "event", "recipient");
+
+-- CreateIndex
+CREATE INDEX "EmailDelivery_applicationId_idx" ON "EmailDelivery"("applicationId");
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "contactRole" TEXT;
+ALTER TABLE "ShopSettings" ADD COLUMN "roleScope" TEXT;
+
+-- AlterTable
+ALTER TABLE "WholesaleApplication" ADD COLUMN "roleAssignment" TEXT;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "locationTerms" TEXT;
+
+-- AlterTable
+ALTER TABLE "WholesaleApplication" ADD COLUMN "locationTerms" TEXT;
@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "WholesaleApplication" ADD COLUMN "taxExemption" TEXT;
+ALTER TABLE "WholesaleApplication" ADD COLUMN "certificateExpiresOn" DATETIME;
+ALTER TABLE "WholesaleApplication" ADD COLUMN "certificateReminderSentAt" DATETIME;
+
+-- CreateTable
+CREATE TABLE "LocationTaxId" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "applicationId" TEXT NOT NULL,
+    "companyLocationId" TEXT NOT NULL,
+    "taxId" TEXT NOT NULL,
+    "inTaxSettings" BOOLEAN NOT NULL,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "LocationTaxId_applicationId_fkey" FOREIGN KEY ("applicationId") REFERENCES "WholesaleApplication" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "WholesaleApplication_status_certificateExpiresOn_idx" ON "WholesaleApplication"("status", "certificateExpiresOn");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LocationTaxId_shop_companyLocationId_key" ON "LocationTaxId"("shop", "companyLocationId");
+
+-- CreateIndex
+CREATE INDEX "LocationTaxId_applicationId_idx" ON "LocationTaxId"("applicationId");
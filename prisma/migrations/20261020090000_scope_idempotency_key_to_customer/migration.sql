@@ -0,0 +1,5 @@
+-- DropIndex
+DROP INDEX "WholesaleApplication_shop_idempotencyKey_key";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WholesaleApplication_shop_customerId_idempotencyKey_key" ON "WholesaleApplication"("shop", "customerId", "idempotencyKey");
@@ -0,0 +1,10 @@
+import { defineConfig } from "vitest/config";
+
+// Kept apart from vite.config.js: tests import route modules directly and
+// do not need the Remix plugin.
+export default defineConfig({
+  test: {
+    include: ["app/**/*.test.{js,jsx}"],
+    environment: "node",
+  },
+});